@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import axios from 'axios';
+import { config } from './index.js';
+import { logger } from '../utils/logger.js';
+
+// Si Google no envía Cache-Control, se refrescan las llaves cada hora
+const DEFAULT_CACHE_SECONDS = 60 * 60;
+// Intervalo mínimo entre refrescos forzados por un kid desconocido
+const MIN_REFRESH_INTERVAL_MS = 60 * 1000;
+
+let cachedKeys = null;
+let cachedUntil = 0;
+let fetchedAt = 0;
+let pendingFetch = null;
+let localKeySet = null;
+
+/**
+ * Convierte un key-set (objeto kid → PEM o JWKS { keys: [...] }) en un Map kid → KeyObject
+ * @param {Object} keySet
+ * @returns {Map<string, crypto.KeyObject>}
+ */
+const parseKeySet = (keySet) => {
+  const keys = new Map();
+
+  if (Array.isArray(keySet?.keys)) {
+    for (const jwk of keySet.keys) {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+    return keys;
+  }
+
+  for (const [kid, pem] of Object.entries(keySet || {})) {
+    const key = pem.includes('BEGIN CERTIFICATE')
+      ? new crypto.X509Certificate(pem).publicKey
+      : crypto.createPublicKey(pem);
+    keys.set(kid, key);
+  }
+
+  return keys;
+};
+
+const getMaxAge = (cacheControl = '') => {
+  const match = /max-age=(\d+)/.exec(cacheControl);
+  return match ? Number(match[1]) : DEFAULT_CACHE_SECONDS;
+};
+
+const fetchGoogleKeys = async () => {
+  logger.debug('Fetching Firebase signing keys');
+  const response = await axios.get(config.firebase.certsUrl, { timeout: 10000 });
+
+  cachedKeys = parseKeySet(response.data);
+  fetchedAt = Date.now();
+  cachedUntil = fetchedAt + getMaxAge(response.headers['cache-control']) * 1000;
+
+  return cachedKeys;
+};
+
+/**
+ * Reemplaza las llaves de Google por un key-set local (tests o entornos sin red).
+ * Pasar null restablece el comportamiento por defecto.
+ * @param {Object|null} keySet - Objeto kid → PEM o JWKS { keys: [...] }
+ */
+export const setFirebaseKeySet = (keySet) => {
+  localKeySet = keySet ? parseKeySet(keySet) : null;
+};
+
+if (config.firebase.keySetPath) {
+  setFirebaseKeySet(JSON.parse(fs.readFileSync(config.firebase.keySetPath, 'utf8')));
+  logger.info({ path: config.firebase.keySetPath }, 'Using local Firebase key set');
+}
+
+/**
+ * Devuelve la llave pública con la que se firmó un ID token
+ * @param {string} kid - Key ID del header del token
+ * @returns {Promise<crypto.KeyObject|undefined>}
+ */
+export const getFirebaseSigningKey = async (kid) => {
+  if (localKeySet) return localKeySet.get(kid);
+
+  // Una llave desconocida puede indicar rotación: se fuerza un refresh
+  const expired = !cachedKeys || Date.now() >= cachedUntil;
+  const unknownKid = cachedKeys && !cachedKeys.has(kid) && Date.now() - fetchedAt > MIN_REFRESH_INTERVAL_MS;
+
+  if (expired || unknownKid) {
+    pendingFetch = pendingFetch || fetchGoogleKeys().finally(() => {
+      pendingFetch = null;
+    });
+    await pendingFetch;
+  }
+
+  return cachedKeys.get(kid);
+};
@@ -29,12 +29,58 @@ if (process.env.NODE_ENV === 'production' || process.env.VALIDATE_ENV === 'true'
   validateEnvVars();
 }
 
+const parseList = (value) =>
+  (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+/**
+ * TRUST_PROXY para app.set('trust proxy'): número de proxies delante de la API (p. ej. 1 detrás
+ * de un balanceador), lista de IPs/subredes confiables o true/false
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return parseList(value);
+};
+
+// Políticas de rate limit por defecto; RATE_LIMIT_POLICIES (JSON) las ajusta o agrega otras
+const defaultRateLimitPolicies = {
+  // Todo /api por IP, antes de autenticar
+  api: {
+    windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutos
+    max: Number(process.env.RATE_LIMIT_MAX) || 100, // 100 requests por ventana
+    by: 'ip',
+  },
+  // Rutas autenticadas, por usuario
+  authenticated: { windowMs: 60 * 1000, max: 120, by: 'user' },
+  // Integraciones: cada petición llama al proveedor, por compañía
+  integrations: { windowMs: 60 * 1000, max: 20, by: 'company' },
+  // Webhooks entrantes (fuera de `api`): los proveedores envían ráfagas desde IPs compartidas y
+  // cada entrega se verifica por HMAC
+  webhooks: { windowMs: 60 * 1000, max: 1000, by: 'ip' },
+};
+
+const buildRateLimitPolicies = () => {
+  const overrides = JSON.parse(process.env.RATE_LIMIT_POLICIES || '{}');
+
+  return Object.fromEntries(
+    [...new Set([...Object.keys(defaultRateLimitPolicies), ...Object.keys(overrides)])].map(
+      (name) => [name, { ...defaultRateLimitPolicies[name], ...overrides[name] }]
+    )
+  );
+};
+
 export const config = {
   app: {
     name: process.env.APP_NAME || 'Mordecai API',
     port: Number(process.env.PORT) || 3000,
     nodeEnv: process.env.NODE_ENV || 'development',
     apiVersion: process.env.API_VERSION || 'v1',
+    // Sin esto req.ip es la IP del proxy y el rate limit trata a todos como un solo cliente
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   },
   db: {
     enabled: process.env.DB_ENABLED !== 'false', // Por defecto habilitado, deshabilitar con DB_ENABLED=false
@@ -51,21 +97,170 @@ export const config = {
       min: Number(process.env.PG_POOL_MIN) || 0,
     },
     logging: process.env.DB_LOGGING === 'true',
-    sync: {
-      // Opciones: 'alter', 'force', false
-      // 'alter': modifica tablas existentes
-      // 'force': elimina y recrea tablas (¡CUIDADO en producción!)
-      // false: no sincroniza (usa migraciones)
-      mode: process.env.DB_SYNC_MODE || false,
+    migrations: {
+      // Ejecuta las migraciones pendientes al arrancar; si está apagado, en producción
+      // el servidor no arranca mientras existan migraciones pendientes
+      runOnStart: process.env.DB_MIGRATE_ON_START === 'true',
+    },
+  },
+  firebase: {
+    projectId: process.env.FIREBASE_PROJECT_ID,
+    // Certificados públicos con los que Google firma los ID tokens
+    certsUrl:
+      process.env.FIREBASE_CERTS_URL ||
+      'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com',
+    // Key-set local (JSON kid → PEM o JWKS) que reemplaza a Google, útil en tests
+    keySetPath: process.env.FIREBASE_KEY_SET_PATH,
+    clockSkewSeconds: Number(process.env.FIREBASE_CLOCK_SKEW_SECONDS) || 5,
+    autoProvisionUsers: process.env.FIREBASE_AUTO_PROVISION_USERS !== 'false',
+  },
+  platform: {
+    // UIDs de Firebase de los operadores de la plataforma: administran lo que es global (las
+    // tareas programadas), fuera de los roles de cada compañía
+    operatorUids: parseList(process.env.PLATFORM_OPERATOR_UIDS),
+  },
+  siigo: {
+    baseUrl: process.env.SIIGO_BASE_URL || 'https://api.siigo.com',
+    // Identificador de la aplicación que Siigo exige en el header Partner-Id
+    partnerId: process.env.SIIGO_PARTNER_ID || 'MordecaiAI',
+    timeoutMs: Number(process.env.SIIGO_TIMEOUT_MS) || 30000,
+    maxRetries: Number(process.env.SIIGO_MAX_RETRIES) || 3,
+    retryBaseDelayMs: Number(process.env.SIIGO_RETRY_BASE_DELAY_MS) || 500,
+    // El token se renueva este número de segundos antes de expirar
+    tokenRefreshMarginSeconds: Number(process.env.SIIGO_TOKEN_REFRESH_MARGIN_SECONDS) || 300,
+  },
+  shopify: {
+    // Secreto de la app con el que Shopify firma los webhooks (X-Shopify-Hmac-Sha256)
+    webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET,
+    apiVersion: process.env.SHOPIFY_API_VERSION || '2025-07',
+    // Cada tienda tiene su propio dominio: el health check solo verifica la salida hacia Shopify
+    healthCheckUrl: process.env.SHOPIFY_HEALTH_CHECK_URL || 'https://www.shopify.com',
+  },
+  credentials: {
+    // Llaves maestras que cifran las llaves de datos de cada credencial, en formato
+    // "versión:llave-base64" separadas por coma (32 bytes cada una): "1:abc...,2:def..."
+    masterKeys: process.env.CREDENTIALS_MASTER_KEYS,
+    // Versión con la que se cifran las credenciales nuevas; por defecto la más alta
+    activeKeyVersion: Number(process.env.CREDENTIALS_ACTIVE_KEY_VERSION) || null,
+  },
+  jobs: {
+    // Apagar para que este proceso solo sirva HTTP y otro proceso consuma la cola
+    workerEnabled: process.env.JOBS_WORKER_ENABLED !== 'false',
+    pollIntervalMs: Number(process.env.JOBS_POLL_INTERVAL_MS) || 1000,
+    // Concurrencia por tipo de trabajo cuando la definición no indica otra
+    defaultConcurrency: Number(process.env.JOBS_DEFAULT_CONCURRENCY) || 2,
+    defaultMaxAttempts: Number(process.env.JOBS_DEFAULT_MAX_ATTEMPTS) || 5,
+    retryBaseDelayMs: Number(process.env.JOBS_RETRY_BASE_DELAY_MS) || 5000,
+    // Un trabajo en running cuyo lock no se renueva en este tiempo se considera abandonado
+    // y vuelve a la cola; el worker lo renueva cada tercio de este valor mientras corre
+    lockTimeoutMs: Number(process.env.JOBS_LOCK_TIMEOUT_MS) || 10 * 60 * 1000,
+    // Tiempo máximo para que terminen los trabajos en curso al apagar el servidor
+    shutdownTimeoutMs: Number(process.env.JOBS_SHUTDOWN_TIMEOUT_MS) || 8000,
+  },
+  logging: {
+    redact: {
+      // Se suman a los predeterminados de utils/redact.js (se comparan sin distinguir mayúsculas)
+      fields: parseList(process.env.LOG_REDACT_FIELDS),
+      headers: parseList(process.env.LOG_REDACT_HEADERS),
+      queryParams: parseList(process.env.LOG_REDACT_QUERY_PARAMS),
+      // Rutas de pino adicionales (https://getpino.io/#/docs/redaction)
+      paths: parseList(process.env.LOG_REDACT_PATHS),
+      // Los bodies más grandes se registran truncados (el parser acepta hasta 20 MB)
+      maxBodyLength: Number(process.env.LOG_MAX_BODY_LENGTH) || 2048,
+    },
+  },
+  outboundWebhooks: {
+    timeoutMs: Number(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS) || 10000,
+    // Intentos por entrega antes de darla por fallida (backoff exponencial de la cola)
+    maxAttempts: Number(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseDelayMs: Number(process.env.OUTBOUND_WEBHOOK_RETRY_BASE_DELAY_MS) || 30 * 1000,
+    // Intentos fallidos seguidos (de cualquier entrega) que desactivan la suscripción
+    disableAfterFailures: Number(process.env.OUTBOUND_WEBHOOK_DISABLE_AFTER_FAILURES) || 20,
+    // Fuera de producción se aceptan URLs http:// (receptores locales)
+    allowHttp:
+      process.env.OUTBOUND_WEBHOOK_ALLOW_HTTP !== undefined
+        ? process.env.OUTBOUND_WEBHOOK_ALLOW_HTTP === 'true'
+        : process.env.NODE_ENV !== 'production',
+    // Solo para receptores en la red local (desarrollo): permite URLs a IPs privadas, loopback
+    // y link-local, que de otro modo se rechazan para evitar SSRF
+    allowPrivateNetworks: process.env.OUTBOUND_WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true',
+  },
+  catalogReconciliation: {
+    maxAttempts: Number(process.env.CATALOG_RECONCILIATION_MAX_ATTEMPTS) || 3,
+  },
+  scheduler: {
+    // Apagar en los procesos que no deben disparar tareas programadas
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    // Zona horaria de las expresiones cron
+    timezone: process.env.SCHEDULER_TIMEZONE || 'America/Bogota',
+    // Tiempo máximo para que terminen las tareas en curso al apagar el servidor
+    shutdownTimeoutMs: Number(process.env.SCHEDULER_SHUTDOWN_TIMEOUT_MS) || 8000,
+    // Expresiones cron (minuto hora día mes día-semana) de cada tarea
+    schedules: {
+      catalogReconciliation: process.env.SCHEDULE_CATALOG_RECONCILIATION || '0 2 * * *',
+      integrationTokens: process.env.SCHEDULE_INTEGRATION_TOKENS || '0 */6 * * *',
+      idempotencyPurge: process.env.SCHEDULE_IDEMPOTENCY_PURGE || '*/10 * * * *',
+    },
+  },
+  imports: {
+    // Tamaño máximo del archivo CSV/XLSX subido
+    maxFileSizeBytes: (Number(process.env.IMPORT_MAX_FILE_SIZE_MB) || 10) * 1024 * 1024,
+    maxRows: Number(process.env.IMPORT_MAX_ROWS) || 5000,
+    // Filas que se envían a Siigo entre cada registro de progreso
+    batchSize: Number(process.env.IMPORT_BATCH_SIZE) || 50,
+    maxAttempts: Number(process.env.IMPORT_MAX_ATTEMPTS) || 5,
+  },
+  apiKeys: {
+    // Vencimiento de las llaves emitidas sin expiresAt y máximo permitido
+    defaultTtlDays: Number(process.env.API_KEY_DEFAULT_TTL_DAYS) || 365,
+    maxTtlDays: Number(process.env.API_KEY_MAX_TTL_DAYS) || 730,
+  },
+  idempotency: {
+    // Tiempo durante el que una Idempotency-Key devuelve la respuesta guardada
+    ttlMs: (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000,
+    // Una llave en processing por más de esto se considera abandonada (proceso caído)
+    lockTimeoutMs: Number(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS) || 2 * 60 * 1000,
+  },
+  health: {
+    timeoutMs: Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000,
+    // Los probes de Kubernetes/balanceadores no disparan una consulta por cada llamada
+    cacheTtlMs: Number(process.env.HEALTH_CHECK_CACHE_TTL_MS) || 5000,
+    integrations: {
+      enabled: process.env.HEALTH_CHECK_INTEGRATIONS !== 'false',
+      cacheTtlMs: Number(process.env.HEALTH_CHECK_INTEGRATIONS_CACHE_TTL_MS) || 60 * 1000,
     },
+    // Un trabajo listo que espera más que esto marca la cola como degradada
+    jobsMaxLagMs: Number(process.env.HEALTH_JOBS_MAX_LAG_MS) || 5 * 60 * 1000,
+    // Tiempo que /health/ready responde not ready antes de dejar de aceptar conexiones,
+    // para que el balanceador saque la instancia
+    shutdownDelayMs:
+      process.env.SHUTDOWN_READINESS_DELAY_MS !== undefined
+        ? Number(process.env.SHUTDOWN_READINESS_DELAY_MS)
+        : process.env.NODE_ENV === 'production'
+          ? 5000
+          : 0,
+  },
+  docs: {
+    // Swagger UI en /api/<versión>/docs; /openapi.json se sirve siempre
+    uiEnabled:
+      process.env.DOCS_UI_ENABLED !== undefined
+        ? process.env.DOCS_UI_ENABLED === 'true'
+        : process.env.NODE_ENV !== 'production',
+  },
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    // Si se define, GET /metrics exige Authorization: Bearer <token>
+    token: process.env.METRICS_TOKEN,
+    // Métricas del proceso de Node (CPU, memoria, event loop, GC)
+    collectDefault: process.env.METRICS_COLLECT_DEFAULT !== 'false',
   },
   cors: {
     origin: process.env.CORS_ORIGIN || '*',
     credentials: process.env.CORS_CREDENTIALS === 'true',
   },
   rateLimit: {
-    windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutos
-    max: Number(process.env.RATE_LIMIT_MAX) || 100, // 100 requests por ventana
+    // { windowMs, max, by } por nombre; by: ip, user o company (sin sesión, la IP)
+    policies: buildRateLimitPolicies(),
   },
 };
 
@@ -0,0 +1,74 @@
+/**
+ * Matriz de permisos por rol. Los permisos siguen el formato `recurso:acción`;
+ * `recurso:*` concede todas las acciones del recurso y `*` concede todo.
+ */
+export const PERMISSIONS = [
+  'company:read',
+  'company:write',
+  'roles:write',
+  'users:read',
+  'users:write',
+  'orders:read',
+  'orders:write',
+  'invoices:read',
+  'invoices:write',
+  'integrations:read',
+  'integrations:write',
+  'api-keys:read',
+  'api-keys:write',
+  'audit-logs:read',
+  'webhooks:read',
+  'webhooks:write',
+  'catalog:read',
+  'catalog:write',
+  'imports:read',
+  'imports:write',
+];
+
+const RESOURCES = new Set(PERMISSIONS.map((permission) => permission.split(':')[0]));
+
+// Permiso del catálogo o comodín `recurso:*` de un recurso existente
+export const isKnownPermission = (permission) =>
+  PERMISSIONS.includes(permission) ||
+  (typeof permission === 'string' &&
+    permission.endsWith(':*') &&
+    RESOURCES.has(permission.slice(0, -2)));
+
+export const ROLE_PERMISSIONS = {
+  owner: ['*'],
+  admin: [
+    'company:read',
+    'company:write',
+    'users:*',
+    'orders:*',
+    'invoices:*',
+    'integrations:*',
+    'api-keys:*',
+    'audit-logs:read',
+    'webhooks:*',
+    'catalog:*',
+    'imports:*',
+  ],
+  member: [
+    'company:read',
+    'users:read',
+    'orders:read',
+    'invoices:read',
+    'integrations:read',
+    'webhooks:read',
+    'catalog:read',
+    'imports:read',
+  ],
+};
+
+// Roles cuyos permisos puede ajustar cada compañía (el owner siempre conserva todos)
+export const CONFIGURABLE_ROLES = ['admin', 'member'];
+
+// Permisos que no se pueden delegar a una API key (una llave no administra llaves ni roles
+// ni lee la auditoría)
+export const NON_DELEGABLE_PERMISSIONS = [
+  'roles:write',
+  'api-keys:read',
+  'api-keys:write',
+  'audit-logs:read',
+];
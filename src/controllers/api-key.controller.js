@@ -0,0 +1,34 @@
+import {
+  getApiKey,
+  issueApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+} from '../services/api-key.service.js';
+
+export const list = async (req, res) => {
+  res.paginated(await listApiKeys(req.listQuery));
+};
+
+export const get = async (req, res) => {
+  res.ok(await getApiKey(req.params.id));
+};
+
+export const create = async (req, res) => {
+  const { apiKey, token } = await issueApiKey(req.company, req.principal, req.body);
+  res.created({ apiKey, token }, 'API key issued');
+};
+
+export const rotate = async (req, res) => {
+  const { apiKey, token, previous } = await rotateApiKey(
+    req.company,
+    req.principal,
+    req.params.id,
+    req.body
+  );
+  res.created({ apiKey, token, previous }, 'API key rotated');
+};
+
+export const revoke = async (req, res) => {
+  res.ok(await revokeApiKey(req.params.id), 'API key revoked');
+};
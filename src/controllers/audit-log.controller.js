@@ -0,0 +1,5 @@
+import { listAuditLogs } from '../services/audit.service.js';
+
+export const list = async (req, res) => {
+  res.paginated(await listAuditLogs(req.listQuery));
+};
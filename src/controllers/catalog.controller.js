@@ -0,0 +1,54 @@
+import {
+  confirmProductMapping,
+  getCatalogReconciliation,
+  getCatalogSettings,
+  getProductMapping,
+  listCatalogReconciliations,
+  listProductMappings,
+  overrideProductMapping,
+  requestCatalogReconciliation,
+  updateCatalogSettings,
+} from '../services/catalog-reconciliation.service.js';
+
+export const getSettings = async (req, res) => {
+  res.ok(getCatalogSettings(req.company));
+};
+
+export const putSettings = async (req, res) => {
+  res.ok(await updateCatalogSettings(req.company, req.body), 'Catalog settings updated');
+};
+
+export const listReconciliations = async (req, res) => {
+  res.paginated(await listCatalogReconciliations(req.listQuery));
+};
+
+export const getReconciliation = async (req, res) => {
+  res.ok(await getCatalogReconciliation(req.params.id));
+};
+
+export const reconcile = async (req, res) => {
+  const reconciliation = await requestCatalogReconciliation(req.company, req.principal);
+  res.accepted(reconciliation, 'Catalog reconciliation queued');
+};
+
+export const listMappings = async (req, res) => {
+  res.paginated(await listProductMappings(req.listQuery));
+};
+
+export const getMapping = async (req, res) => {
+  res.ok(await getProductMapping(req.params.id));
+};
+
+export const confirmMapping = async (req, res) => {
+  res.ok(await confirmProductMapping(req.params.id, req.principal), 'Product mapping confirmed');
+};
+
+export const overrideMapping = async (req, res) => {
+  const mapping = await overrideProductMapping(
+    req.company,
+    req.params.id,
+    req.principal,
+    req.body.siigoCode
+  );
+  res.ok(mapping, 'Product mapping updated');
+};
@@ -0,0 +1,30 @@
+import { getEffectivePermissions } from '../services/authorization.service.js';
+import { updateRolePermissions, updateSiigoSettings } from '../services/company.service.js';
+import { CONFIGURABLE_ROLES } from '../config/permissions.js';
+
+export const getCurrentCompany = async (req, res) => {
+  res.ok(req.company);
+};
+
+export const getRolePermissions = async (req, res) => {
+  const roles = ['owner', ...CONFIGURABLE_ROLES];
+  const permissions = Object.fromEntries(
+    roles.map((role) => [role, getEffectivePermissions(role, req.company)])
+  );
+
+  res.ok({ overrides: req.company.rolePermissions, permissions });
+};
+
+export const putRolePermissions = async (req, res) => {
+  const company = await updateRolePermissions(req.company, req.body);
+  res.ok(company.rolePermissions, 'Role permissions updated');
+};
+
+export const getSiigoSettings = async (req, res) => {
+  res.ok(req.company.siigoSettings);
+};
+
+export const putSiigoSettings = async (req, res) => {
+  const company = await updateSiigoSettings(req.company, req.body);
+  res.ok(company.siigoSettings, 'Siigo settings updated');
+};
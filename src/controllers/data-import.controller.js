@@ -0,0 +1,22 @@
+import { matchedData } from 'express-validator';
+import { getDataImport, importFile, listDataImports } from '../services/data-import.service.js';
+
+export const upload = async (req, res) => {
+  const { dataImport, preview } = await importFile(req.company, req.principal, {
+    entity: req.params.entity,
+    file: req.file,
+    // req.query se vuelve a leer en cada acceso: el valor ya convertido está en matchedData
+    dryRun: matchedData(req, { locations: ['query'] }).dryRun === true,
+  });
+
+  if (preview) return res.ok(preview, 'Import preview');
+  res.accepted(dataImport, 'Data import queued');
+};
+
+export const list = async (req, res) => {
+  res.paginated(await listDataImports(req.listQuery));
+};
+
+export const get = async (req, res) => {
+  res.ok(await getDataImport(req.params.id));
+};
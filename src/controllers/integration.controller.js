@@ -0,0 +1,28 @@
+import {
+  connectIntegration,
+  disconnectIntegration,
+  listIntegrations,
+  testIntegration,
+} from '../services/integration.service.js';
+
+export const list = async (req, res) => {
+  res.ok(await listIntegrations());
+};
+
+export const connect = async (req, res) => {
+  const credential = await connectIntegration(req.company, req.params.provider, req.body, req.user);
+  res.ok(credential, 'Integration connected');
+};
+
+export const test = async (req, res) => {
+  const credential = await testIntegration(req.company, req.params.provider);
+  res.ok(
+    credential,
+    credential.status === 'connected' ? 'Integration is working' : 'Integration test failed'
+  );
+};
+
+export const disconnect = async (req, res) => {
+  await disconnectIntegration(req.company, req.params.provider);
+  res.ok(null, 'Integration disconnected');
+};
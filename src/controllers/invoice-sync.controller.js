@@ -0,0 +1,17 @@
+import {
+  getInvoiceSync,
+  listInvoiceSyncs,
+  retryInvoiceSync,
+} from '../services/invoice-sync.service.js';
+
+export const list = async (req, res) => {
+  res.paginated(await listInvoiceSyncs(req.listQuery, { status: req.query.status }));
+};
+
+export const get = async (req, res) => {
+  res.ok(await getInvoiceSync(req.params.id));
+};
+
+export const retry = async (req, res) => {
+  res.accepted(await retryInvoiceSync(req.params.id), 'Invoice sync queued');
+};
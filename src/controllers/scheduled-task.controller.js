@@ -0,0 +1,36 @@
+import {
+  getScheduledTask,
+  listScheduledTaskRuns,
+  listScheduledTasks,
+  runScheduledTask,
+  setScheduledTaskPaused,
+} from '../services/scheduled-task.service.js';
+
+export const list = async (req, res) => {
+  res.ok(await listScheduledTasks());
+};
+
+export const get = async (req, res) => {
+  res.ok(await getScheduledTask(req.params.name));
+};
+
+export const listRuns = async (req, res) => {
+  res.paginated(await listScheduledTaskRuns(req.params.name, req.listQuery));
+};
+
+export const run = async (req, res) => {
+  const taskRun = await runScheduledTask(req.params.name, req.principal);
+  res.accepted(taskRun, 'Scheduled task started');
+};
+
+export const pause = async (req, res) => {
+  res.ok(
+    await setScheduledTaskPaused(req.params.name, req.principal, true),
+    'Scheduled task paused'
+  );
+};
+
+export const resume = async (req, res) => {
+  const task = await setScheduledTaskPaused(req.params.name, req.principal, false);
+  res.ok(task, 'Scheduled task resumed');
+};
@@ -0,0 +1,44 @@
+import {
+  createWebhookSubscription,
+  deleteWebhookSubscription,
+  getWebhookSubscription,
+  listWebhookDeliveries,
+  listWebhookSubscriptions,
+  redeliverWebhook,
+  updateWebhookSubscription,
+} from '../services/outbound-webhook.service.js';
+
+export const list = async (req, res) => {
+  res.paginated(await listWebhookSubscriptions(req.listQuery));
+};
+
+export const get = async (req, res) => {
+  res.ok(await getWebhookSubscription(req.params.id));
+};
+
+export const create = async (req, res) => {
+  const { subscription, secret } = await createWebhookSubscription(
+    req.company,
+    req.principal,
+    req.body
+  );
+  res.created({ subscription, secret }, 'Webhook subscription created');
+};
+
+export const update = async (req, res) => {
+  res.ok(await updateWebhookSubscription(req.params.id, req.body), 'Webhook subscription updated');
+};
+
+export const remove = async (req, res) => {
+  await deleteWebhookSubscription(req.params.id);
+  res.ok(null, 'Webhook subscription deleted');
+};
+
+export const listDeliveries = async (req, res) => {
+  res.paginated(await listWebhookDeliveries(req.params.id, req.listQuery));
+};
+
+export const redeliver = async (req, res) => {
+  const delivery = await redeliverWebhook(req.params.id, req.params.deliveryId);
+  res.accepted(delivery, 'Webhook redelivery queued');
+};
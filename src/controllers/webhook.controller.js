@@ -0,0 +1,6 @@
+import { receiveShopifyWebhook } from '../services/shopify-webhook.service.js';
+
+export const receiveShopify = async (req, res) => {
+  const result = await receiveShopifyWebhook({ headers: req.headers, rawBody: req.rawBody });
+  res.ok(result, 'Webhook received');
+};
@@ -0,0 +1,90 @@
+import { config } from '../config/index.js';
+import { sequelize } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { getStatus, migrateDown, migrateUp } from './migrator.js';
+import { initModels } from '../models/index.js';
+import { rotateCredentialKeys } from '../services/integration.service.js';
+
+/**
+ * Uso:
+ *   node src/database/cli.js migrate [--to <archivo>] [--dry-run]
+ *   node src/database/cli.js migrate:undo [--steps <n> | --to <archivo>] [--dry-run]
+ *   node src/database/cli.js migrate:status
+ *   node src/database/cli.js seed [--dry-run]
+ *   node src/database/cli.js seed:undo [--steps <n>] [--dry-run]
+ *   node src/database/cli.js credentials:rotate
+ */
+const [command, ...args] = process.argv.slice(2);
+
+const getOption = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const options = {
+  to: getOption('to'),
+  steps: getOption('steps') ? Number(getOption('steps')) : undefined,
+  dryRun: args.includes('--dry-run'),
+};
+
+const printSql = (results) => {
+  for (const { name, sql = [] } of results) {
+    process.stdout.write(`\n-- ${name}\n${sql.map((statement) => `${statement};`).join('\n')}\n`);
+  }
+};
+
+const assertSeedsAllowed = () => {
+  if (config.app.nodeEnv === 'production') {
+    throw new Error('Seeders are meant for development data and cannot run in production');
+  }
+};
+
+const commands = {
+  migrate: () => migrateUp(options),
+  'migrate:undo': () => migrateDown(options),
+  'migrate:status': async () => {
+    const status = await getStatus('migrations');
+    for (const entry of status) {
+      process.stdout.write(`${entry.status.padEnd(10)} ${entry.name}\n`);
+    }
+    return [];
+  },
+  seed: () => {
+    assertSeedsAllowed();
+    return migrateUp({ ...options, kind: 'seeders' });
+  },
+  'seed:undo': () => {
+    assertSeedsAllowed();
+    return migrateDown({ ...options, kind: 'seeders' });
+  },
+  // Vuelve a cifrar las llaves de datos con CREDENTIALS_ACTIVE_KEY_VERSION
+  'credentials:rotate': async () => {
+    initModels(sequelize);
+    await rotateCredentialKeys();
+    return [];
+  },
+};
+
+const run = async () => {
+  if (!commands[command]) {
+    throw new Error(`Unknown command "${command}". Available: ${Object.keys(commands).join(', ')}`);
+  }
+
+  const results = await commands[command]();
+
+  if (options.dryRun) {
+    printSql(results);
+  } else if (results.length > 0) {
+    logger.info({ files: results.map((result) => result.name) }, `${command} finished`);
+  } else if (!['migrate:status', 'credentials:rotate'].includes(command)) {
+    logger.info(`${command}: nothing to do`);
+  }
+};
+
+run()
+  .then(() => sequelize?.close())
+  .catch(async (error) => {
+    logger.error({ error: error.message }, `${command} failed`);
+    await sequelize?.close();
+    process.exit(1);
+  });
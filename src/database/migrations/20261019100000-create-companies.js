@@ -0,0 +1,46 @@
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable(
+    'companies',
+    {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      taxId: {
+        type: Sequelize.STRING,
+        unique: true,
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'suspended'),
+        allowNull: false,
+        defaultValue: 'active',
+      },
+      rolePermissions: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    },
+    { transaction }
+  );
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('companies', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_companies_status"', {
+    transaction,
+  });
+};
@@ -0,0 +1,55 @@
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable(
+    'users',
+    {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      firebaseUid: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      displayName: {
+        type: Sequelize.STRING,
+      },
+      role: {
+        type: Sequelize.ENUM('owner', 'admin', 'member'),
+        defaultValue: 'member',
+      },
+      companyId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'companies', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      lastLoginAt: {
+        type: Sequelize.DATE,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    },
+    { transaction }
+  );
+
+  await queryInterface.addIndex('users', ['companyId'], { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('users', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_role"', { transaction });
+};
@@ -0,0 +1,93 @@
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.addColumn(
+    'companies',
+    'shopifyDomain',
+    { type: Sequelize.STRING, unique: true },
+    { transaction }
+  );
+
+  await queryInterface.createTable(
+    'webhook_events',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      provider: { type: Sequelize.STRING, allowNull: false },
+      externalId: { type: Sequelize.STRING, allowNull: false },
+      topic: { type: Sequelize.STRING, allowNull: false },
+      shopDomain: { type: Sequelize.STRING },
+      companyId: {
+        type: Sequelize.INTEGER,
+        references: { model: 'companies', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      rawPayload: { type: Sequelize.TEXT, allowNull: false },
+      status: {
+        type: Sequelize.ENUM('received', 'processing', 'processed', 'failed'),
+        allowNull: false,
+        defaultValue: 'received',
+      },
+      attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      lastError: { type: Sequelize.TEXT },
+      processedAt: { type: Sequelize.DATE },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('webhook_events', ['provider', 'externalId'], {
+    unique: true,
+    transaction,
+  });
+  await queryInterface.addIndex('webhook_events', ['status'], { transaction });
+
+  await queryInterface.createTable(
+    'orders',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      companyId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'companies', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      source: { type: Sequelize.STRING, allowNull: false },
+      externalId: { type: Sequelize.STRING, allowNull: false },
+      orderNumber: { type: Sequelize.STRING },
+      email: { type: Sequelize.STRING },
+      currency: { type: Sequelize.STRING(3) },
+      subtotal: { type: Sequelize.DECIMAL(14, 2) },
+      totalTax: { type: Sequelize.DECIMAL(14, 2) },
+      totalDiscounts: { type: Sequelize.DECIMAL(14, 2) },
+      total: { type: Sequelize.DECIMAL(14, 2) },
+      totalRefunded: { type: Sequelize.DECIMAL(14, 2), allowNull: false, defaultValue: 0 },
+      financialStatus: { type: Sequelize.STRING },
+      fulfillmentStatus: { type: Sequelize.STRING },
+      customer: { type: Sequelize.JSONB },
+      billingAddress: { type: Sequelize.JSONB },
+      lineItems: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      paymentGateways: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      refunds: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      placedAt: { type: Sequelize.DATE },
+      cancelledAt: { type: Sequelize.DATE },
+      sourceUpdatedAt: { type: Sequelize.DATE },
+      raw: { type: Sequelize.JSONB },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('orders', ['companyId', 'source', 'externalId'], {
+    unique: true,
+    transaction,
+  });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('orders', { transaction });
+  await queryInterface.dropTable('webhook_events', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_webhook_events_status"', {
+    transaction,
+  });
+  await queryInterface.removeColumn('companies', 'shopifyDomain', { transaction });
+};
@@ -0,0 +1,107 @@
+const companyReference = (Sequelize) => ({
+  type: Sequelize.INTEGER,
+  allowNull: false,
+  references: { model: 'companies', key: 'id' },
+  onUpdate: 'CASCADE',
+  onDelete: 'CASCADE',
+});
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.addColumn(
+    'companies',
+    'siigoSettings',
+    { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+    { transaction }
+  );
+
+  await queryInterface.createTable(
+    'product_mappings',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      companyId: companyReference(Sequelize),
+      sku: { type: Sequelize.STRING, allowNull: false },
+      siigoCode: { type: Sequelize.STRING, allowNull: false },
+      origin: {
+        type: Sequelize.ENUM('manual', 'auto'),
+        allowNull: false,
+        defaultValue: 'manual',
+      },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('product_mappings', ['companyId', 'sku'], {
+    unique: true,
+    transaction,
+  });
+
+  await queryInterface.createTable(
+    'invoice_syncs',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      companyId: companyReference(Sequelize),
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: { model: 'orders', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processing', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      siigoInvoiceId: { type: Sequelize.STRING },
+      siigoInvoiceName: { type: Sequelize.STRING },
+      lastError: { type: Sequelize.TEXT },
+      lastAttemptAt: { type: Sequelize.DATE },
+      succeededAt: { type: Sequelize.DATE },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('invoice_syncs', ['companyId', 'status'], { transaction });
+
+  await queryInterface.createTable(
+    'invoice_sync_attempts',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      companyId: companyReference(Sequelize),
+      invoiceSyncId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'invoice_syncs', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      attempt: { type: Sequelize.INTEGER, allowNull: false },
+      status: { type: Sequelize.ENUM('succeeded', 'failed'), allowNull: false },
+      request: { type: Sequelize.JSONB },
+      response: { type: Sequelize.JSONB },
+      errorMessage: { type: Sequelize.TEXT },
+      durationMs: { type: Sequelize.INTEGER },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('invoice_sync_attempts', ['invoiceSyncId'], { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('invoice_sync_attempts', { transaction });
+  await queryInterface.dropTable('invoice_syncs', { transaction });
+  await queryInterface.dropTable('product_mappings', { transaction });
+  for (const type of [
+    'enum_invoice_sync_attempts_status',
+    'enum_invoice_syncs_status',
+    'enum_product_mappings_origin',
+  ]) {
+    await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "${type}"`, { transaction });
+  }
+  await queryInterface.removeColumn('companies', 'siigoSettings', { transaction });
+};
@@ -0,0 +1,44 @@
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable(
+    'jobs',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      type: { type: Sequelize.STRING, allowNull: false },
+      payload: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+      status: {
+        type: Sequelize.ENUM('pending', 'running', 'completed', 'dead'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      priority: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      runAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      maxAttempts: { type: Sequelize.INTEGER, allowNull: false },
+      companyId: {
+        type: Sequelize.INTEGER,
+        references: { model: 'companies', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      lastError: { type: Sequelize.TEXT },
+      lockedAt: { type: Sequelize.DATE },
+      lockedBy: { type: Sequelize.STRING },
+      completedAt: { type: Sequelize.DATE },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('jobs', ['type', 'status', 'runAt'], {
+    transaction,
+  });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('jobs', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_jobs_status"', { transaction });
+};
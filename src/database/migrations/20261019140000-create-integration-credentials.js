@@ -0,0 +1,51 @@
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable(
+    'integration_credentials',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      companyId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'companies', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      provider: { type: Sequelize.STRING, allowNull: false },
+      status: {
+        type: Sequelize.ENUM('connected', 'error'),
+        allowNull: false,
+        defaultValue: 'connected',
+      },
+      ciphertext: { type: Sequelize.TEXT, allowNull: false },
+      encryptedDataKey: { type: Sequelize.TEXT, allowNull: false },
+      keyVersion: { type: Sequelize.INTEGER, allowNull: false },
+      metadata: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+      connectedById: {
+        type: Sequelize.INTEGER,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      lastTestedAt: { type: Sequelize.DATE },
+      lastError: { type: Sequelize.TEXT },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('integration_credentials', ['companyId', 'provider'], {
+    unique: true,
+    transaction,
+  });
+  await queryInterface.addIndex('integration_credentials', ['keyVersion'], { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('integration_credentials', { transaction });
+  await queryInterface.sequelize.query(
+    'DROP TYPE IF EXISTS "enum_integration_credentials_status"',
+    {
+      transaction,
+    }
+  );
+};
@@ -0,0 +1,7 @@
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.addColumn('jobs', 'requestId', { type: Sequelize.STRING }, { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.removeColumn('jobs', 'requestId', { transaction });
+};
@@ -0,0 +1,42 @@
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable(
+    'idempotency_keys',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      scope: { type: Sequelize.STRING, allowNull: false },
+      key: { type: Sequelize.STRING, allowNull: false },
+      companyId: {
+        type: Sequelize.INTEGER,
+        references: { model: 'companies', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      fingerprint: { type: Sequelize.STRING(64), allowNull: false },
+      status: {
+        type: Sequelize.ENUM('processing', 'completed'),
+        allowNull: false,
+        defaultValue: 'processing',
+      },
+      responseStatus: { type: Sequelize.INTEGER },
+      responseContentType: { type: Sequelize.STRING },
+      responseBody: { type: Sequelize.TEXT },
+      lockedAt: { type: Sequelize.DATE },
+      expiresAt: { type: Sequelize.DATE, allowNull: false },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('idempotency_keys', ['scope', 'key'], {
+    unique: true,
+    transaction,
+  });
+  await queryInterface.addIndex('idempotency_keys', ['expiresAt'], { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('idempotency_keys', { transaction });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_idempotency_keys_status"', {
+    transaction,
+  });
+};
@@ -0,0 +1,16 @@
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable(
+    'rate_limit_counters',
+    {
+      key: { type: Sequelize.STRING, primaryKey: true },
+      hits: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      resetAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('rate_limit_counters', ['resetAt'], { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('rate_limit_counters', { transaction });
+};
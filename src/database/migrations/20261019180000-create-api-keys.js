@@ -0,0 +1,43 @@
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable(
+    'api_keys',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      companyId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'companies', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      name: { type: Sequelize.STRING, allowNull: false },
+      prefix: { type: Sequelize.STRING, allowNull: false, unique: true },
+      secretHash: { type: Sequelize.STRING(64), allowNull: false },
+      scopes: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      expiresAt: { type: Sequelize.DATE, allowNull: false },
+      lastUsedAt: { type: Sequelize.DATE },
+      lastUsedIp: { type: Sequelize.STRING },
+      revokedAt: { type: Sequelize.DATE },
+      createdById: {
+        type: Sequelize.INTEGER,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      rotatedFromId: {
+        type: Sequelize.INTEGER,
+        references: { model: 'api_keys', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('api_keys', ['companyId'], { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('api_keys', { transaction });
+};
@@ -0,0 +1,47 @@
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  // Sin llaves foráneas: el historial se conserva aunque se borren la compañía o el actor
+  await queryInterface.createTable(
+    'audit_logs',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      companyId: { type: Sequelize.INTEGER },
+      actorType: { type: Sequelize.ENUM('user', 'api-key', 'system'), allowNull: false },
+      actorId: { type: Sequelize.INTEGER },
+      action: { type: Sequelize.STRING, allowNull: false },
+      targetType: { type: Sequelize.STRING, allowNull: false },
+      targetId: { type: Sequelize.STRING },
+      before: { type: Sequelize.JSONB },
+      after: { type: Sequelize.JSONB },
+      requestId: { type: Sequelize.STRING },
+      ip: { type: Sequelize.STRING },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('audit_logs', ['companyId', 'createdAt'], { transaction });
+  await queryInterface.addIndex('audit_logs', ['targetType', 'targetId'], { transaction });
+
+  // Append-only también para quien escriba SQL directo
+  await queryInterface.sequelize.query(
+    `CREATE FUNCTION audit_logs_append_only() RETURNS trigger AS $$
+     BEGIN
+       RAISE EXCEPTION 'audit_logs is append-only';
+     END;
+     $$ LANGUAGE plpgsql;
+
+     CREATE TRIGGER audit_logs_append_only
+       BEFORE UPDATE OR DELETE ON audit_logs
+       FOR EACH ROW EXECUTE FUNCTION audit_logs_append_only();`,
+    { transaction }
+  );
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('audit_logs', { transaction });
+  await queryInterface.sequelize.query('DROP FUNCTION IF EXISTS audit_logs_append_only()', {
+    transaction,
+  });
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_audit_logs_actorType"', {
+    transaction,
+  });
+};
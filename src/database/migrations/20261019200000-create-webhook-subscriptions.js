@@ -0,0 +1,96 @@
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable(
+    'webhook_subscriptions',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      companyId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'companies', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      url: { type: Sequelize.STRING(2048), allowNull: false },
+      events: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      description: { type: Sequelize.STRING },
+      status: {
+        type: Sequelize.ENUM('active', 'disabled'),
+        allowNull: false,
+        defaultValue: 'active',
+      },
+      ciphertext: { type: Sequelize.TEXT, allowNull: false },
+      encryptedDataKey: { type: Sequelize.TEXT, allowNull: false },
+      keyVersion: { type: Sequelize.INTEGER, allowNull: false },
+      consecutiveFailures: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      disabledAt: { type: Sequelize.DATE },
+      disabledReason: { type: Sequelize.STRING },
+      createdById: {
+        type: Sequelize.INTEGER,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('webhook_subscriptions', ['companyId'], { transaction });
+
+  await queryInterface.createTable(
+    'webhook_deliveries',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      companyId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'companies', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      subscriptionId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'webhook_subscriptions', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      eventId: { type: Sequelize.UUID, allowNull: false },
+      event: { type: Sequelize.STRING, allowNull: false },
+      payload: { type: Sequelize.JSONB, allowNull: false },
+      status: {
+        type: Sequelize.ENUM('pending', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      responseStatus: { type: Sequelize.INTEGER },
+      responseBody: { type: Sequelize.TEXT },
+      errorMessage: { type: Sequelize.TEXT },
+      durationMs: { type: Sequelize.INTEGER },
+      lastAttemptAt: { type: Sequelize.DATE },
+      deliveredAt: { type: Sequelize.DATE },
+      redeliveryOfId: {
+        type: Sequelize.INTEGER,
+        references: { model: 'webhook_deliveries', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('webhook_deliveries', ['subscriptionId', 'createdAt'], {
+    transaction,
+  });
+  await queryInterface.addIndex('webhook_deliveries', ['eventId'], { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('webhook_deliveries', { transaction });
+  await queryInterface.dropTable('webhook_subscriptions', { transaction });
+  for (const type of ['enum_webhook_deliveries_status', 'enum_webhook_subscriptions_status']) {
+    await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "${type}"`, { transaction });
+  }
+};
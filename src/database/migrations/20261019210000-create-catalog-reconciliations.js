@@ -0,0 +1,117 @@
+const MAPPING_COLUMNS = (Sequelize) => ({
+  status: {
+    type: Sequelize.ENUM('matched', 'ambiguous', 'unmatched', 'confirmed'),
+    allowNull: false,
+    defaultValue: 'matched',
+  },
+  matchedBy: { type: Sequelize.ENUM('sku', 'barcode', 'name') },
+  candidates: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+  conflicts: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+  hasConflicts: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+  shopify: { type: Sequelize.JSONB },
+  siigo: { type: Sequelize.JSONB },
+  reconciledAt: { type: Sequelize.DATE },
+  confirmedAt: { type: Sequelize.DATE },
+  confirmedById: {
+    type: Sequelize.INTEGER,
+    references: { model: 'users', key: 'id' },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL',
+  },
+});
+
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.addColumn(
+    'companies',
+    'catalogSettings',
+    { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+    { transaction }
+  );
+
+  // Los SKU sin producto en Siigo también se guardan (unmatched, sin siigoCode)
+  await queryInterface.changeColumn(
+    'product_mappings',
+    'siigoCode',
+    { type: Sequelize.STRING, allowNull: true },
+    { transaction }
+  );
+  for (const [column, definition] of Object.entries(MAPPING_COLUMNS(Sequelize))) {
+    await queryInterface.addColumn('product_mappings', column, definition, { transaction });
+  }
+  // Los mapeos que un usuario definió a mano cuentan como confirmados
+  await queryInterface.sequelize.query(
+    `UPDATE "product_mappings" SET "status" = 'confirmed' WHERE "origin" = 'manual'`,
+    { transaction }
+  );
+  await queryInterface.addIndex('product_mappings', ['companyId', 'status'], { transaction });
+
+  await queryInterface.createTable(
+    'catalog_reconciliations',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      companyId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'companies', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      trigger: { type: Sequelize.ENUM('manual', 'schedule'), allowNull: false },
+      status: {
+        type: Sequelize.ENUM('pending', 'running', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      summary: { type: Sequelize.JSONB },
+      error: { type: Sequelize.TEXT },
+      requestedById: {
+        type: Sequelize.INTEGER,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      startedAt: { type: Sequelize.DATE },
+      finishedAt: { type: Sequelize.DATE },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('catalog_reconciliations', ['companyId', 'createdAt'], {
+    transaction,
+  });
+  // Una sola conciliación en curso por compañía, aunque la pidan varias réplicas a la vez
+  await queryInterface.addIndex('catalog_reconciliations', ['companyId'], {
+    name: 'catalog_reconciliations_active_company',
+    unique: true,
+    where: { status: ['pending', 'running'] },
+    transaction,
+  });
+};
+
+export const down = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.dropTable('catalog_reconciliations', { transaction });
+
+  await queryInterface.removeIndex('product_mappings', ['companyId', 'status'], { transaction });
+  for (const column of Object.keys(MAPPING_COLUMNS(Sequelize))) {
+    await queryInterface.removeColumn('product_mappings', column, { transaction });
+  }
+  await queryInterface.bulkDelete('product_mappings', { siigoCode: null }, { transaction });
+  await queryInterface.changeColumn(
+    'product_mappings',
+    'siigoCode',
+    { type: Sequelize.STRING, allowNull: false },
+    { transaction }
+  );
+
+  await queryInterface.removeColumn('companies', 'catalogSettings', { transaction });
+
+  for (const type of [
+    'enum_catalog_reconciliations_trigger',
+    'enum_catalog_reconciliations_status',
+    'enum_product_mappings_status',
+    'enum_product_mappings_matchedBy',
+  ]) {
+    await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "${type}"`, { transaction });
+  }
+};
@@ -0,0 +1,64 @@
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable(
+    'scheduled_tasks',
+    {
+      name: { type: Sequelize.STRING, primaryKey: true },
+      paused: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      pausedAt: { type: Sequelize.DATE },
+      pausedById: {
+        type: Sequelize.INTEGER,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+
+  await queryInterface.createTable(
+    'scheduled_task_runs',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      task: { type: Sequelize.STRING, allowNull: false },
+      trigger: { type: Sequelize.ENUM('schedule', 'manual'), allowNull: false },
+      scheduledFor: { type: Sequelize.DATE },
+      status: {
+        type: Sequelize.ENUM('running', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'running',
+      },
+      result: { type: Sequelize.JSONB },
+      error: { type: Sequelize.TEXT },
+      instance: { type: Sequelize.STRING, allowNull: false },
+      requestedById: {
+        type: Sequelize.INTEGER,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      startedAt: { type: Sequelize.DATE, allowNull: false },
+      finishedAt: { type: Sequelize.DATE },
+      durationMs: { type: Sequelize.INTEGER },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('scheduled_task_runs', ['task', 'startedAt'], { transaction });
+  // Cada ejecución programada corre una sola vez aunque todas las réplicas la disparen
+  await queryInterface.addIndex('scheduled_task_runs', ['task', 'scheduledFor'], {
+    unique: true,
+    where: { trigger: 'schedule' },
+    transaction,
+  });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('scheduled_task_runs', { transaction });
+  await queryInterface.dropTable('scheduled_tasks', { transaction });
+  for (const type of ['enum_scheduled_task_runs_trigger', 'enum_scheduled_task_runs_status']) {
+    await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "${type}"`, { transaction });
+  }
+};
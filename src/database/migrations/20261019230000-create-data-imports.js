@@ -0,0 +1,56 @@
+export const up = async ({ queryInterface, Sequelize, transaction }) => {
+  await queryInterface.createTable(
+    'data_imports',
+    {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      companyId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'companies', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      entity: { type: Sequelize.ENUM('customers', 'products'), allowNull: false },
+      filename: { type: Sequelize.STRING },
+      format: { type: Sequelize.ENUM('csv', 'xlsx'), allowNull: false },
+      status: {
+        type: Sequelize.ENUM('pending', 'running', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      totalRows: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      validRows: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      invalidRows: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      processedRows: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      createdRows: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      skippedRows: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      failedRows: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      rows: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      rowErrors: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      error: { type: Sequelize.TEXT },
+      requestedById: {
+        type: Sequelize.INTEGER,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      startedAt: { type: Sequelize.DATE },
+      finishedAt: { type: Sequelize.DATE },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    },
+    { transaction }
+  );
+  await queryInterface.addIndex('data_imports', ['companyId', 'createdAt'], { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable('data_imports', { transaction });
+  for (const type of [
+    'enum_data_imports_entity',
+    'enum_data_imports_format',
+    'enum_data_imports_status',
+  ]) {
+    await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "${type}"`, { transaction });
+  }
+};
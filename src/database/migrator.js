@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Sequelize } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+const currentDir = path.dirname(fileURLToPath(import.meta.url));
+
+const LEDGERS = {
+  migrations: { dir: path.join(currentDir, 'migrations'), table: 'SequelizeMeta' },
+  seeders: { dir: path.join(currentDir, 'seeders'), table: 'SequelizeData' },
+};
+
+// Evita que dos réplicas ejecuten la misma migración al arrancar a la vez
+const LOCK_KEY = 'mordecai:migrations';
+
+const ensureSequelize = () => {
+  if (!sequelize) {
+    throw new Error('Database is disabled or not configured; migrations cannot run.');
+  }
+  return sequelize;
+};
+
+const readFiles = (kind) => {
+  const { dir } = LEDGERS[kind];
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.js'))
+    .sort()
+    .map((file) => {
+      const filePath = path.join(dir, file);
+      const checksum = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+      return { name: file, path: filePath, checksum };
+    });
+};
+
+const ensureLedger = async (kind) => {
+  await ensureSequelize().query(
+    `CREATE TABLE IF NOT EXISTS "${LEDGERS[kind].table}" (
+      "name" VARCHAR(255) PRIMARY KEY,
+      "checksum" VARCHAR(64) NOT NULL,
+      "executedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+    )`
+  );
+};
+
+const readLedger = async (kind, options = {}) => {
+  const db = ensureSequelize();
+  const { table } = LEDGERS[kind];
+
+  if (!(await db.getQueryInterface().tableExists(table, options))) return [];
+
+  return db.query(`SELECT "name", "checksum", "executedAt" FROM "${table}" ORDER BY "name"`, {
+    type: Sequelize.QueryTypes.SELECT,
+    ...options,
+  });
+};
+
+/**
+ * Estado de cada migración (o seeder): executed, pending, modified (el archivo cambió
+ * después de ejecutarse) o missing (está en el ledger pero ya no existe el archivo)
+ * @param {'migrations'|'seeders'} [kind='migrations']
+ * @returns {Promise<Array<{ name: string, status: string, executedAt: Date|null }>>}
+ */
+export const getStatus = async (kind = 'migrations') => {
+  const files = readFiles(kind);
+  const executed = new Map((await readLedger(kind)).map((row) => [row.name, row]));
+
+  const status = files.map((file) => {
+    const row = executed.get(file.name);
+    let state = 'pending';
+    if (row) state = row.checksum === file.checksum ? 'executed' : 'modified';
+    return { name: file.name, status: state, executedAt: row?.executedAt || null };
+  });
+
+  for (const row of executed.values()) {
+    if (!files.some((file) => file.name === row.name)) {
+      status.push({ name: row.name, status: 'missing', executedAt: row.executedAt });
+    }
+  }
+
+  return status.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const loadStep = async (file, direction) => {
+  const migration = await import(pathToFileURL(file.path).href);
+  if (typeof migration[direction] !== 'function') {
+    throw new Error(`${file.name} does not export a "${direction}" function`);
+  }
+  return migration[direction];
+};
+
+/**
+ * Ejecuta up/down de cada archivo en su propia transacción y actualiza el ledger
+ */
+const runFiles = async (kind, files, direction) => {
+  const db = ensureSequelize();
+  const { table } = LEDGERS[kind];
+  const done = [];
+
+  for (const file of files) {
+    const step = await loadStep(file, direction);
+    logger.info({ name: file.name }, `Running ${kind} ${direction}`);
+
+    const ran = await db
+      .transaction(async (transaction) => {
+        await db.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+          replacements: { key: LOCK_KEY },
+          transaction,
+        });
+
+        // Otra réplica pudo ejecutarlo mientras se esperaba el lock
+        const [rows] = await db.query(`SELECT "name" FROM "${table}" WHERE "name" = :name`, {
+          replacements: { name: file.name },
+          transaction,
+        });
+        const executed = rows.length > 0;
+        if (direction === 'up' ? executed : !executed) return false;
+
+        await step({ queryInterface: db.getQueryInterface(), Sequelize, transaction });
+
+        const ledgerSql =
+          direction === 'up'
+            ? `INSERT INTO "${table}" ("name", "checksum") VALUES (:name, :checksum)`
+            : `DELETE FROM "${table}" WHERE "name" = :name`;
+        await db.query(ledgerSql, {
+          replacements: { name: file.name, checksum: file.checksum },
+          transaction,
+        });
+
+        return true;
+      })
+      .catch((error) => {
+        logger.error({ error, name: file.name, direction }, `Error running ${kind} ${direction}`);
+        throw error;
+      });
+
+    if (ran) done.push({ name: file.name });
+  }
+
+  return done;
+};
+
+/**
+ * Ejecuta los archivos en una única transacción que luego se revierte,
+ * capturando el SQL que cada uno habría ejecutado
+ */
+const dryRunFiles = async (files, direction) => {
+  const db = ensureSequelize();
+  const originalLogging = db.options.logging;
+  const transaction = await db.transaction();
+  const result = [];
+
+  try {
+    for (const file of files) {
+      const step = await loadStep(file, direction);
+      const sql = [];
+      db.options.logging = (message) => sql.push(message.replace(/^Executing \([^)]*\): /, ''));
+
+      await step({ queryInterface: db.getQueryInterface(), Sequelize, transaction });
+
+      db.options.logging = originalLogging;
+      result.push({ name: file.name, sql });
+    }
+  } finally {
+    db.options.logging = originalLogging;
+    await transaction.rollback();
+  }
+
+  return result;
+};
+
+/**
+ * Ejecuta las migraciones (o seeders) pendientes en orden
+ * @param {Object} [options]
+ * @param {'migrations'|'seeders'} [options.kind='migrations']
+ * @param {string} [options.to] - Última migración a ejecutar (incluida)
+ * @param {boolean} [options.dryRun=false] - Ejecuta todo en una transacción revertida y devuelve el SQL
+ * @returns {Promise<Array<{ name: string, sql?: string[] }>>}
+ */
+export const migrateUp = async ({ kind = 'migrations', to, dryRun = false } = {}) => {
+  if (!dryRun) await ensureLedger(kind);
+
+  const status = await getStatus(kind);
+  const modified = status.filter((entry) => entry.status === 'modified');
+  if (kind === 'migrations' && modified.length > 0) {
+    throw new Error(`Executed migrations were modified: ${modified.map((m) => m.name).join(', ')}`);
+  }
+
+  const pending = readFiles(kind).filter((file) =>
+    status.some((entry) => entry.name === file.name && entry.status === 'pending')
+  );
+  const target = to ? pending.findIndex((file) => file.name === to) : pending.length - 1;
+  if (to && target === -1) throw new Error(`${to} is not a pending ${kind} file`);
+
+  const files = pending.slice(0, target + 1);
+  return dryRun ? dryRunFiles(files, 'up') : runFiles(kind, files, 'up');
+};
+
+/**
+ * Revierte las últimas migraciones (o seeders) ejecutadas
+ * @param {Object} [options]
+ * @param {'migrations'|'seeders'} [options.kind='migrations']
+ * @param {number} [options.steps=1] - Cantidad de archivos a revertir
+ * @param {string} [options.to] - Revierte hasta esta migración (incluida); ignora steps
+ * @param {boolean} [options.dryRun=false]
+ * @returns {Promise<Array<{ name: string, sql?: string[] }>>}
+ */
+export const migrateDown = async ({ kind = 'migrations', steps = 1, to, dryRun = false } = {}) => {
+  const files = new Map(readFiles(kind).map((file) => [file.name, file]));
+  const executed = (await readLedger(kind)).map((row) => row.name).reverse();
+
+  const count = to ? executed.indexOf(to) + 1 : steps;
+  if (to && count === 0) throw new Error(`${to} has not been executed`);
+
+  const toRevert = executed.slice(0, count).map((name) => {
+    if (!files.has(name)) throw new Error(`Cannot revert ${name}: file not found`);
+    return files.get(name);
+  });
+
+  return dryRun ? dryRunFiles(toRevert, 'down') : runFiles(kind, toRevert, 'down');
+};
+
+/**
+ * Verifica al arrancar que el esquema esté al día. En producción se niega a continuar
+ * si hay migraciones pendientes o modificadas; en otros entornos solo avisa.
+ * @param {Object} options
+ * @param {boolean} options.strict
+ */
+export const assertMigrationsUpToDate = async ({ strict }) => {
+  const status = await getStatus('migrations');
+  const pending = status.filter((entry) => entry.status === 'pending').map((entry) => entry.name);
+  const modified = status.filter((entry) => entry.status === 'modified').map((entry) => entry.name);
+
+  if (pending.length === 0 && modified.length === 0) {
+    logger.info('Database schema is up to date');
+    return;
+  }
+
+  const details = { pending, modified };
+  if (strict) {
+    logger.fatal(details, 'Database schema does not match the migration files');
+    throw new Error(
+      'Pending or modified migrations found; run "npm run db:migrate" before starting'
+    );
+  }
+
+  logger.warn(details, 'Database schema does not match the migration files');
+};
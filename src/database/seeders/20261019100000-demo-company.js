@@ -0,0 +1,52 @@
+/**
+ * Compañía de desarrollo con un owner. SEED_OWNER_FIREBASE_UID y SEED_OWNER_EMAIL
+ * permiten asociarlo a un usuario real del proyecto de Firebase.
+ */
+export const up = async ({ queryInterface, transaction }) => {
+  const now = new Date();
+
+  const [company] = await queryInterface.bulkInsert(
+    'companies',
+    [
+      {
+        name: 'Demo Company',
+        taxId: '900000000-1',
+        status: 'active',
+        rolePermissions: '{}',
+        createdAt: now,
+        updatedAt: now,
+      },
+    ],
+    { transaction, returning: ['id'] }
+  );
+
+  await queryInterface.bulkInsert(
+    'users',
+    [
+      {
+        firebaseUid: process.env.SEED_OWNER_FIREBASE_UID || 'dev-owner',
+        email: process.env.SEED_OWNER_EMAIL || 'owner@demo.local',
+        displayName: 'Demo Owner',
+        role: 'owner',
+        companyId: company.id,
+        createdAt: now,
+        updatedAt: now,
+      },
+    ],
+    { transaction }
+  );
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+  const demoCompany = `SELECT "id" FROM "companies" WHERE "taxId" = '900000000-1'`;
+
+  await queryInterface.sequelize.query(
+    `DELETE FROM "users" WHERE "companyId" IN (${demoCompany})`,
+    {
+      transaction,
+    }
+  );
+  await queryInterface.sequelize.query(`DELETE FROM "companies" WHERE "id" IN (${demoCompany})`, {
+    transaction,
+  });
+};
@@ -0,0 +1,44 @@
+import { apiRoutes } from '../routes/index.js';
+import { buildOpenApiSpec, findUndocumentedRoutes } from './openapi.js';
+
+/**
+ * Uso:
+ *   node src/docs/cli.js check    Falla si una ruta no tiene entrada en ROUTE_DOCS (CI)
+ *   node src/docs/cli.js export   Imprime la especificación OpenAPI
+ */
+const [command] = process.argv.slice(2);
+
+const commands = {
+  check: () => {
+    const { undocumented, stale } = findUndocumentedRoutes(apiRoutes);
+
+    // Las rutas solo de desarrollo o desactivadas por configuración no cuentan como error
+    for (const key of stale)
+      process.stderr.write(`warning: documented route not mounted: ${key}\n`);
+
+    if (undocumented.length > 0) {
+      process.stderr.write(
+        `Routes without an entry in src/docs/route-docs.js:\n${undocumented
+          .map((key) => `  ${key}`)
+          .join('\n')}\n`
+      );
+      return 1;
+    }
+
+    process.stdout.write('All routes are documented\n');
+    return 0;
+  },
+  export: () => {
+    process.stdout.write(`${JSON.stringify(buildOpenApiSpec(apiRoutes), null, 2)}\n`);
+    return 0;
+  },
+};
+
+if (!commands[command]) {
+  process.stderr.write(
+    `Unknown command "${command}". Available: ${Object.keys(commands).join(', ')}\n`
+  );
+  process.exit(1);
+}
+
+process.exit(commands[command]());
@@ -0,0 +1,522 @@
+import { config } from '../config/index.js';
+import { ERROR_CATALOG } from '../errors/index.js';
+import { authenticateMiddleware, idempotencyMiddleware } from '../middlewares/index.js';
+import { DEFAULT_LIMIT, MAX_LIMIT } from '../utils/list-query.js';
+import { ROUTE_DOCS } from './route-docs.js';
+
+const LOCATIONS = { params: 'path', query: 'query', headers: 'header' };
+
+const withoutUndefined = (object) =>
+  Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+// Esquema JSON que aporta cada validador estándar de express-validator
+const VALIDATOR_SCHEMAS = {
+  isInt: ({ min, max } = {}) => ({ type: 'integer', minimum: min, maximum: max }),
+  isFloat: ({ min, max } = {}) => ({ type: 'number', minimum: min, maximum: max }),
+  isNumeric: () => ({ type: 'string', pattern: '^[+-]?([0-9]*[.])?[0-9]+$' }),
+  isBoolean: () => ({ type: 'boolean' }),
+  isEmail: () => ({ type: 'string', format: 'email' }),
+  isURL: () => ({ type: 'string', format: 'uri' }),
+  isUUID: () => ({ type: 'string', format: 'uuid' }),
+  isISO8601: () => ({ type: 'string', format: 'date-time' }),
+  isIn: (values) => ({ enum: values }),
+  matches: (pattern) => ({ type: 'string', pattern: pattern?.source ?? pattern }),
+  isLength: ({ min, max } = {}) => ({ minLength: min, maxLength: max }),
+};
+
+// isString, isArray e isObject son validaciones custom de express-validator (v7): se
+// reconocen por el código de su función
+const CUSTOM_VALIDATOR_SCHEMAS = [
+  ["value => typeof value === 'string'", { type: 'string' }],
+  ["value => typeof value === 'object'", { type: 'object' }],
+  ['value => Array.isArray(value)', { type: 'array', items: {} }],
+];
+
+const describeValidator = (item) => {
+  // notEmpty() es not().isEmpty()
+  if (item.validator.name === 'isEmpty') return item.negated ? { minLength: 1 } : {};
+  if (item.negated) return {};
+
+  const describe = VALIDATOR_SCHEMAS[item.validator.name];
+  if (describe) {
+    // express-validator guarda null cuando el validador se llama sin opciones
+    return withoutUndefined(describe(...(item.options || []).map((option) => option ?? undefined)));
+  }
+
+  const source = item.validator.toString();
+  return CUSTOM_VALIDATOR_SCHEMAS.find(([prefix]) => source.startsWith(prefix))?.[1] || {};
+};
+
+/**
+ * Ruta de Express (/:id) a ruta de OpenAPI ({id})
+ * @param {string} path
+ */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1');
+
+const isValidationChain = (handler) => typeof handler?.builder?.build === 'function';
+
+/**
+ * Lo que una cadena de express-validator dice de sus campos: ubicación, esquema y si es
+ * obligatorio (las cadenas condicionales con .if() nunca lo son)
+ */
+const describeChain = (chain) => {
+  const context = chain.builder.build();
+  const schema = {};
+  let conditional = false;
+
+  for (const item of context.stack) {
+    if (item.constructor.name === 'ChainCondition') conditional = true;
+    if (item.validator) Object.assign(schema, describeValidator(item));
+  }
+
+  return {
+    fields: context.fields,
+    locations: context.locations,
+    schema,
+    required: context.optional === false && !conditional,
+  };
+};
+
+// Ubica un campo (a.b, *.grant, items.*) dentro del esquema del body
+const setBodyField = (root, field, schema, required) => {
+  if (field === '') return Object.assign(root, schema);
+
+  const segments = field.split('.');
+  let parent = root;
+
+  for (const [index, segment] of segments.entries()) {
+    const last = index === segments.length - 1;
+    const next = last ? schema : {};
+
+    if (segment === '*') {
+      const key = parent.type === 'array' ? 'items' : 'additionalProperties';
+      if (parent.type !== 'array') parent.type = 'object';
+      parent[key] = Object.assign(typeof parent[key] === 'object' ? parent[key] : {}, next);
+      parent = parent[key];
+      continue;
+    }
+
+    parent.type = parent.type || 'object';
+    parent.properties = parent.properties || {};
+    parent.properties[segment] = Object.assign(parent.properties[segment] || {}, next);
+
+    if (last && required && !segments.includes('*')) {
+      parent.required = [...new Set([...(parent.required || []), segment])];
+    }
+    parent = parent.properties[segment];
+  }
+  return root;
+};
+
+const FILTER_TYPE_SCHEMAS = {
+  integer: { type: 'integer' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  date: { type: 'string', format: 'date-time' },
+};
+
+/**
+ * Parámetros de query de un listado con el middleware listQuery
+ */
+const listQueryParameters = ({
+  sortable,
+  defaultSort,
+  filterable = {},
+  defaultLimit = DEFAULT_LIMIT,
+  maxLimit = MAX_LIMIT,
+}) => [
+  {
+    name: 'page',
+    in: 'query',
+    required: false,
+    schema: { type: 'integer', minimum: 1, default: 1 },
+  },
+  {
+    name: 'limit',
+    in: 'query',
+    required: false,
+    schema: { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit },
+  },
+  {
+    name: 'cursor',
+    in: 'query',
+    required: false,
+    description: 'nextCursor o prevCursor de una respuesta anterior; no se combina con page',
+    schema: { type: 'string' },
+  },
+  {
+    name: 'sort',
+    in: 'query',
+    required: false,
+    description: `Campos separados por coma, con - para descendente. Permitidos: ${Object.keys(sortable).join(', ')}`,
+    schema: withoutUndefined({ type: 'string', default: defaultSort }),
+  },
+  ...(Object.keys(filterable).length > 0
+    ? [
+        {
+          name: 'filter',
+          in: 'query',
+          required: false,
+          style: 'deepObject',
+          explode: true,
+          description:
+            'filter[campo]=valor o filter[campo][operador]=valor (eq, ne, gt, gte, lt, lte, ' +
+            'in con valores separados por coma, contains)',
+          schema: {
+            type: 'object',
+            properties: Object.fromEntries(
+              Object.entries(filterable).map(([field, { type, values }]) => [
+                field,
+                type === 'enum'
+                  ? { enum: values }
+                  : FILTER_TYPE_SCHEMAS[type] || { type: 'string' },
+              ])
+            ),
+          },
+        },
+      ]
+    : []),
+];
+
+const problemResponse = (description, schema = 'Problem') => ({
+  description,
+  content: { 'application/problem+json': { schema: { $ref: `#/components/schemas/${schema}` } } },
+});
+
+const successResponse = (doc, paginated) => {
+  if (doc.response) return doc.response;
+
+  const properties = paginated
+    ? {
+        data: { type: 'array', items: doc.data?.items || {} },
+        pagination: { $ref: '#/components/schemas/Pagination' },
+        links: { $ref: '#/components/schemas/PaginationLinks' },
+      }
+    : { data: doc.data || {} };
+
+  return {
+    description: doc.responseDescription || 'Success',
+    content: {
+      'application/json': {
+        schema: {
+          allOf: [{ $ref: '#/components/schemas/SuccessEnvelope' }, { type: 'object', properties }],
+        },
+      },
+    },
+  };
+};
+
+/**
+ * Operación de OpenAPI de una ruta: lo que se infiere de sus middlewares (autenticación,
+ * permisos, validaciones) más la entrada de ROUTE_DOCS
+ */
+const buildOperation = (
+  { method, path, handlers, authenticated, platformOperator, idempotent },
+  doc
+) => {
+  const parameters = new Map();
+  const body = {};
+  const permissions = handlers.flatMap((handler) => handler.permissions || []);
+  const chains = handlers.filter(isValidationChain);
+  const list = handlers.find((handler) => handler.listQuery)?.listQuery;
+
+  for (const chain of chains) {
+    const { fields, locations, schema, required } = describeChain(chain);
+
+    for (const location of locations) {
+      for (const field of fields) {
+        if (location === 'body') {
+          setBodyField(body, field, schema, required);
+        } else if (LOCATIONS[location]) {
+          parameters.set(`${location}:${field}`, {
+            name: field,
+            in: LOCATIONS[location],
+            required: location === 'params' || required,
+            schema,
+          });
+        }
+      }
+    }
+  }
+
+  // Parámetros de ruta sin validador
+  for (const [, name] of path.matchAll(/:(\w+)/g)) {
+    if (!parameters.has(`params:${name}`)) {
+      parameters.set(`params:${name}`, {
+        name,
+        in: 'path',
+        required: true,
+        schema: { type: 'string' },
+      });
+    }
+  }
+
+  if (list) {
+    for (const parameter of listQueryParameters(list)) {
+      parameters.set(`query:${parameter.name}`, parameter);
+    }
+  }
+
+  const idempotencyKey = idempotent && idempotencyMiddleware.IDEMPOTENT_METHODS.includes(method);
+  if (idempotencyKey) {
+    parameters.set('header:Idempotency-Key', {
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: idempotent.storeBody
+        ? 'Los reintentos con la misma llave y la misma petición devuelven la respuesta guardada ' +
+          '(header Idempotent-Replayed: true) sin repetir la operación'
+        : 'Un reintento con la misma llave recibe 409 sin repetir la operación: la respuesta ' +
+          'contiene secretos y no se guarda',
+      schema: { type: 'string', maxLength: 255 },
+    });
+  }
+
+  const requestBody =
+    doc.requestBody ||
+    (Object.keys(body).length > 0 && {
+      required: true,
+      content: { 'application/json': { schema: body } },
+    });
+
+  const responses = { [doc.status || 200]: successResponse(doc, Boolean(list)) };
+  if (chains.length > 0 || requestBody || list) {
+    responses[400] = problemResponse('Invalid parameters', 'ValidationProblem');
+  }
+  if (authenticated) responses[401] = { $ref: '#/components/responses/Unauthorized' };
+  if (permissions.length > 0 || platformOperator) {
+    responses[403] = { $ref: '#/components/responses/Forbidden' };
+  }
+  if (path.includes(':')) responses[404] = { $ref: '#/components/responses/NotFound' };
+  if (idempotencyKey) {
+    responses[409] = problemResponse(
+      'Idempotency-Key reutilizada con otra petición o petición original en curso'
+    );
+  }
+  for (const status of doc.errors || []) {
+    responses[status] = problemResponse(
+      Object.values(ERROR_CATALOG).find((entry) => entry.status === status)?.title || 'Error'
+    );
+  }
+  responses[429] = { $ref: '#/components/responses/TooManyRequests' };
+  responses[500] = { $ref: '#/components/responses/InternalError' };
+
+  return withoutUndefined({
+    summary: doc.summary,
+    description:
+      [
+        doc.description,
+        permissions.length > 0 && `Requiere permiso: ${permissions.join(', ')}.`,
+        platformOperator && 'Solo para operadores de la plataforma (PLATFORM_OPERATOR_UIDS).',
+      ]
+        .filter(Boolean)
+        .join('\n\n') || undefined,
+    tags: doc.tags,
+    security: authenticated ? [{ firebaseAuth: [] }, { appToken: [] }] : undefined,
+    'x-permissions': permissions.length > 0 ? permissions : undefined,
+    parameters: [...parameters.values(), ...(doc.parameters || [])],
+    requestBody: requestBody || undefined,
+    responses,
+  });
+};
+
+/**
+ * Rutas registradas en los routers montados bajo /api/<versión>
+ * @param {Array<[string, import('express').Router]>} apiRoutes
+ * @returns {Array<{ method: string, path: string, key: string, handlers: Function[],
+ *   authenticated: boolean, platformOperator: boolean,
+ *   idempotent: { storeBody: boolean }|null }>}
+ */
+export const listApiRoutes = (apiRoutes) => {
+  const basePath = `/api/${config.app.apiVersion}`;
+
+  return apiRoutes.flatMap(([mountPath, router]) => {
+    const routerMiddlewares = router.stack
+      .filter((layer) => !layer.route)
+      .map((layer) => layer.handle);
+    const authenticated = routerMiddlewares.includes(authenticateMiddleware.authenticate);
+    const platformOperator = routerMiddlewares.some((handler) => handler.platformOperator);
+    const idempotent = routerMiddlewares.find((handler) => handler.idempotency)?.idempotency;
+
+    return router.stack
+      .filter((layer) => layer.route)
+      .flatMap(({ route }) => {
+        // Clave de ROUTE_DOCS: método y ruta relativa a /api/<versión>
+        const relativePath = `${mountPath}${route.path}`.replace(/(.)\/$/, '$1');
+        const handlers = route.stack.map((layer) => layer.handle);
+        const routeAuthenticated =
+          authenticated || handlers.includes(authenticateMiddleware.authenticate);
+
+        return Object.keys(route.methods).map((method) => ({
+          method: method.toUpperCase(),
+          path: `${basePath}${relativePath}`,
+          key: `${method.toUpperCase()} ${relativePath}`,
+          handlers,
+          authenticated: routeAuthenticated,
+          platformOperator:
+            platformOperator || handlers.some((handler) => handler.platformOperator),
+          idempotent:
+            handlers.find((handler) => handler.idempotency)?.idempotency || idempotent || null,
+        }));
+      });
+  });
+};
+
+/**
+ * Rutas sin entrada en ROUTE_DOCS y entradas de ROUTE_DOCS sin ruta
+ * @param {Array<[string, import('express').Router]>} apiRoutes
+ */
+export const findUndocumentedRoutes = (apiRoutes) => {
+  const keys = listApiRoutes(apiRoutes).map((route) => route.key);
+
+  return {
+    undocumented: keys.filter((key) => !ROUTE_DOCS[key]),
+    stale: Object.keys(ROUTE_DOCS).filter((key) => !keys.includes(key)),
+  };
+};
+
+const buildComponents = () => ({
+  securitySchemes: {
+    firebaseAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'ID token de Firebase Authentication',
+    },
+    appToken: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'x-app-token',
+      description: 'API key de la compañía (mk_<prefijo>_<secreto>), ver /api-keys',
+    },
+  },
+  schemas: {
+    SuccessEnvelope: {
+      type: 'object',
+      required: ['success', 'message', 'data'],
+      properties: {
+        success: { type: 'boolean', const: true },
+        message: { type: 'string' },
+        data: {},
+      },
+    },
+    Pagination: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        limit: { type: 'integer' },
+        page: { type: ['integer', 'null'], description: 'null al paginar con cursor' },
+        totalPages: { type: 'integer' },
+        hasNext: { type: 'boolean' },
+        hasPrev: { type: 'boolean' },
+        nextCursor: { type: ['string', 'null'] },
+        prevCursor: { type: ['string', 'null'] },
+      },
+    },
+    PaginationLinks: {
+      type: 'object',
+      properties: Object.fromEntries(
+        ['self', 'first', 'prev', 'next', 'last'].map((name) => [
+          name,
+          { type: ['string', 'null'] },
+        ])
+      ),
+    },
+    Problem: {
+      type: 'object',
+      description: 'RFC 9457 (application/problem+json)',
+      required: ['type', 'title', 'status', 'code'],
+      properties: {
+        type: {
+          type: 'string',
+          format: 'uri',
+          enum: Object.values(ERROR_CATALOG).map((entry) => entry.type),
+        },
+        title: { type: 'string' },
+        status: { type: 'integer' },
+        detail: { type: 'string' },
+        instance: { type: 'string' },
+        code: { type: 'string', enum: Object.values(ERROR_CATALOG).map((entry) => entry.code) },
+        details: { type: 'object' },
+        requestId: { type: 'string' },
+        provider: { type: 'string', description: 'Solo en integration_error' },
+      },
+    },
+    ValidationProblem: {
+      allOf: [
+        { $ref: '#/components/schemas/Problem' },
+        {
+          type: 'object',
+          properties: {
+            invalidParams: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string' },
+                  message: { type: 'string' },
+                  location: { type: 'string', enum: ['body', 'query', 'params', 'headers'] },
+                  value: {},
+                },
+              },
+            },
+          },
+        },
+      ],
+    },
+  },
+  responses: {
+    BadRequest: problemResponse('Invalid request'),
+    Unauthorized: problemResponse('Missing or invalid token'),
+    Forbidden: problemResponse('Missing permission'),
+    NotFound: problemResponse('Resource not found'),
+    TooManyRequests: {
+      ...problemResponse('Rate limit exceeded'),
+      headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Segundos' } },
+    },
+    InternalError: problemResponse('Unexpected error'),
+  },
+});
+
+/**
+ * Documento OpenAPI 3.1 de la API
+ * @param {Array<[string, import('express').Router]>} apiRoutes
+ * @returns {Object}
+ */
+export const buildOpenApiSpec = (apiRoutes) => {
+  const paths = {};
+
+  for (const route of listApiRoutes(apiRoutes)) {
+    const doc = ROUTE_DOCS[route.key];
+    if (!doc || doc.hidden) continue;
+
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = buildOperation(route, doc);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: config.app.name,
+      version: config.app.apiVersion,
+      description:
+        'Respuestas exitosas: { success, message, data }. Errores: application/problem+json; ' +
+        `catálogo de códigos en GET /api/${config.app.apiVersion}/errors.`,
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components: buildComponents(),
+  };
+};
+
+let cachedSpec = null;
+
+/**
+ * Documento OpenAPI cacheado (las rutas no cambian en tiempo de ejecución)
+ * @param {Array<[string, import('express').Router]>} apiRoutes
+ */
+export const getOpenApiSpec = (apiRoutes) => {
+  if (!cachedSpec) cachedSpec = buildOpenApiSpec(apiRoutes);
+  return cachedSpec;
+};
@@ -0,0 +1,710 @@
+/**
+ * Documentación de cada ruta bajo /api/<versión>, por "MÉTODO /ruta" (con parámetros de
+ * Express). Parámetros, body, autenticación, permisos y errores comunes se infieren de los
+ * middlewares de la ruta; aquí va lo que no se puede inferir:
+ *   summary, description, tags
+ *   data          - Esquema de `data` en la respuesta exitosa (en listados paginados, el
+ *                   array de items)
+ *   status        - Status de éxito si no es 200
+ *   errors        - Status de error adicionales (409, 422, 502, ...)
+ *   requestBody   - Body cuando la validación no es una cadena de express-validator
+ *   parameters    - Parámetros adicionales (headers)
+ *   response      - Respuesta exitosa completa cuando no usa el formato { success, data }
+ *   hidden        - Ruta interna, fuera de la especificación
+ * `npm run openapi:check` falla si una ruta no tiene entrada.
+ */
+
+const timestamps = {
+  createdAt: { type: 'string', format: 'date-time' },
+  updatedAt: { type: 'string', format: 'date-time' },
+};
+
+const integration = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    companyId: { type: 'integer' },
+    provider: { type: 'string', enum: ['siigo', 'shopify'] },
+    status: { type: 'string', enum: ['connected', 'error'] },
+    metadata: { type: 'object', description: 'Resumen no sensible (secretos enmascarados)' },
+    connectedById: { type: ['integer', 'null'] },
+    lastTestedAt: { type: ['string', 'null'], format: 'date-time' },
+    lastError: { type: ['string', 'null'] },
+    ...timestamps,
+  },
+};
+
+const invoiceSync = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    companyId: { type: 'integer' },
+    orderId: { type: 'integer' },
+    status: { type: 'string', enum: ['pending', 'processing', 'succeeded', 'failed'] },
+    attempts: { type: 'integer' },
+    siigoInvoiceId: { type: ['string', 'null'] },
+    siigoInvoiceName: { type: ['string', 'null'] },
+    lastError: { type: ['string', 'null'] },
+    lastAttemptAt: { type: ['string', 'null'], format: 'date-time' },
+    succeededAt: { type: ['string', 'null'], format: 'date-time' },
+    order: { type: 'object' },
+    ...timestamps,
+  },
+};
+
+const apiKey = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    companyId: { type: 'integer' },
+    name: { type: 'string' },
+    prefix: { type: 'string', description: 'El token empieza por mk_<prefix>_' },
+    scopes: { type: 'array', items: { type: 'string' } },
+    status: { type: 'string', enum: ['active', 'expired', 'revoked'] },
+    expiresAt: { type: 'string', format: 'date-time' },
+    lastUsedAt: { type: ['string', 'null'], format: 'date-time' },
+    lastUsedIp: { type: ['string', 'null'] },
+    revokedAt: { type: ['string', 'null'], format: 'date-time' },
+    createdById: { type: ['integer', 'null'] },
+    rotatedFromId: { type: ['integer', 'null'] },
+    ...timestamps,
+  },
+};
+
+const issuedApiKey = {
+  type: 'object',
+  properties: {
+    apiKey,
+    token: { type: 'string', description: 'Secreto completo; solo se devuelve en esta respuesta' },
+  },
+};
+
+const auditLog = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    companyId: { type: ['integer', 'null'] },
+    actorType: { type: 'string', enum: ['user', 'api-key', 'system'] },
+    actorId: { type: ['integer', 'null'] },
+    action: { type: 'string', description: 'create, update, delete o una acción explícita' },
+    targetType: { type: 'string', description: 'Modelo afectado (User, ApiKey, ...)' },
+    targetId: { type: ['string', 'null'] },
+    before: { type: ['object', 'null'], description: 'Campos que cambiaron, antes del cambio' },
+    after: { type: ['object', 'null'], description: 'Campos que cambiaron, después del cambio' },
+    requestId: { type: ['string', 'null'] },
+    ip: { type: ['string', 'null'] },
+    createdAt: { type: 'string', format: 'date-time' },
+  },
+};
+
+const webhookSubscription = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    companyId: { type: 'integer' },
+    url: { type: 'string', format: 'uri' },
+    events: {
+      type: 'array',
+      items: { type: 'string', enum: ['invoice.created', 'invoice_sync.failed'] },
+    },
+    description: { type: ['string', 'null'] },
+    status: { type: 'string', enum: ['active', 'disabled'] },
+    keyVersion: { type: 'integer' },
+    consecutiveFailures: { type: 'integer' },
+    disabledAt: { type: ['string', 'null'], format: 'date-time' },
+    disabledReason: { type: ['string', 'null'] },
+    createdById: { type: ['integer', 'null'] },
+    ...timestamps,
+  },
+};
+
+const webhookDelivery = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    companyId: { type: 'integer' },
+    subscriptionId: { type: 'integer' },
+    eventId: { type: 'string', format: 'uuid' },
+    event: { type: 'string' },
+    payload: { type: 'object', description: '{ id, type, createdAt, data }' },
+    status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+    attempts: { type: 'integer' },
+    responseStatus: { type: ['integer', 'null'] },
+    responseBody: { type: ['string', 'null'], description: 'Primeros 256 caracteres' },
+    errorMessage: { type: ['string', 'null'] },
+    durationMs: { type: ['integer', 'null'] },
+    lastAttemptAt: { type: ['string', 'null'], format: 'date-time' },
+    deliveredAt: { type: ['string', 'null'], format: 'date-time' },
+    redeliveryOfId: { type: ['integer', 'null'] },
+    ...timestamps,
+  },
+};
+
+const catalogSettings = {
+  type: 'object',
+  properties: {
+    matchBy: {
+      type: 'array',
+      items: { type: 'string', enum: ['sku', 'barcode', 'name'] },
+      description: 'Reglas en orden; gana la primera que encuentra un solo producto',
+    },
+    priceTolerance: { type: 'number', description: 'Diferencia (antes de IVA) aceptada' },
+    comparePrices: { type: 'boolean' },
+    compareTaxes: { type: 'boolean' },
+    scheduleEnabled: { type: 'boolean' },
+  },
+};
+
+const productMapping = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    companyId: { type: 'integer' },
+    sku: { type: 'string' },
+    siigoCode: { type: ['string', 'null'] },
+    origin: { type: 'string', enum: ['manual', 'auto'] },
+    status: { type: 'string', enum: ['matched', 'ambiguous', 'unmatched', 'confirmed'] },
+    matchedBy: { type: ['string', 'null'], enum: ['sku', 'barcode', 'name', null] },
+    candidates: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Códigos de Siigo que coinciden por igual (ambiguous)',
+    },
+    conflicts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string', enum: ['price', 'tax', 'product'] },
+          shopify: {},
+          siigo: {},
+        },
+      },
+    },
+    hasConflicts: { type: 'boolean' },
+    shopify: { type: ['object', 'null'], description: 'Variante de Shopify conciliada' },
+    siigo: { type: ['object', 'null'], description: 'Producto de Siigo conciliado' },
+    reconciledAt: { type: ['string', 'null'], format: 'date-time' },
+    confirmedAt: { type: ['string', 'null'], format: 'date-time' },
+    confirmedById: { type: ['integer', 'null'] },
+    ...timestamps,
+  },
+};
+
+const catalogReconciliation = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    companyId: { type: 'integer' },
+    trigger: { type: 'string', enum: ['manual', 'schedule'] },
+    status: { type: 'string', enum: ['pending', 'running', 'succeeded', 'failed'] },
+    summary: {
+      type: ['object', 'null'],
+      description:
+        'Totales por estado, variantes sin SKU (withoutSku) y productos solo en Siigo ' +
+        '(siigoOnly)',
+    },
+    error: { type: ['string', 'null'] },
+    requestedById: { type: ['integer', 'null'] },
+    startedAt: { type: ['string', 'null'], format: 'date-time' },
+    finishedAt: { type: ['string', 'null'], format: 'date-time' },
+    ...timestamps,
+  },
+};
+
+const scheduledTaskRun = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    task: { type: 'string' },
+    trigger: { type: 'string', enum: ['schedule', 'manual'] },
+    scheduledFor: { type: ['string', 'null'], format: 'date-time' },
+    status: { type: 'string', enum: ['running', 'succeeded', 'failed'] },
+    result: { type: ['object', 'null'], description: 'Lo que devolvió la tarea' },
+    error: { type: ['string', 'null'] },
+    instance: { type: 'string', description: 'Proceso que la ejecutó (host:pid)' },
+    requestedById: { type: ['integer', 'null'] },
+    startedAt: { type: 'string', format: 'date-time' },
+    finishedAt: { type: ['string', 'null'], format: 'date-time' },
+    durationMs: { type: ['integer', 'null'] },
+    ...timestamps,
+  },
+};
+
+const scheduledTask = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: ['string', 'null'] },
+    schedule: { type: 'string', description: 'Expresión cron' },
+    timezone: { type: 'string' },
+    paused: { type: 'boolean' },
+    pausedAt: { type: ['string', 'null'], format: 'date-time' },
+    pausedById: { type: ['integer', 'null'] },
+    nextRunAt: { type: ['string', 'null'], format: 'date-time' },
+    lastRun: { oneOf: [scheduledTaskRun, { type: 'null' }] },
+  },
+};
+
+const rowError = {
+  type: 'object',
+  properties: {
+    row: { type: 'integer', description: 'Número de fila en el archivo (el encabezado es la 1)' },
+    invalidParams: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: ['string', 'null'] },
+          message: { type: 'string' },
+          location: { type: 'string' },
+          value: {},
+        },
+      },
+    },
+  },
+};
+
+const dataImport = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    companyId: { type: 'integer' },
+    entity: { type: 'string', enum: ['customers', 'products'] },
+    filename: { type: ['string', 'null'] },
+    format: { type: 'string', enum: ['csv', 'xlsx'] },
+    status: { type: 'string', enum: ['pending', 'running', 'succeeded', 'failed'] },
+    totalRows: { type: 'integer' },
+    validRows: { type: 'integer' },
+    invalidRows: { type: 'integer' },
+    processedRows: { type: 'integer', description: 'Filas válidas ya enviadas a Siigo' },
+    createdRows: { type: 'integer' },
+    skippedRows: { type: 'integer', description: 'Ya existían en Siigo' },
+    failedRows: { type: 'integer', description: 'Siigo las rechazó' },
+    rowErrors: { type: 'array', items: rowError },
+    error: { type: ['string', 'null'] },
+    requestedById: { type: ['integer', 'null'] },
+    startedAt: { type: ['string', 'null'], format: 'date-time' },
+    finishedAt: { type: ['string', 'null'], format: 'date-time' },
+    ...timestamps,
+  },
+};
+
+const importPreview = {
+  type: 'object',
+  properties: {
+    entity: { type: 'string', enum: ['customers', 'products'] },
+    format: { type: 'string', enum: ['csv', 'xlsx'] },
+    filename: { type: 'string' },
+    totalRows: { type: 'integer' },
+    validRows: { type: 'integer' },
+    invalidRows: { type: 'integer' },
+    ignoredColumns: { type: 'array', items: { type: 'string' } },
+    rows: {
+      type: 'array',
+      description: 'Primeras filas válidas, normalizadas',
+      items: {
+        type: 'object',
+        properties: { row: { type: 'integer' }, values: { type: 'object' } },
+      },
+    },
+    rowErrors: { type: 'array', items: rowError },
+  },
+};
+
+const errorCatalogEntry = {
+  type: 'object',
+  properties: {
+    code: { type: 'string' },
+    type: { type: 'string', format: 'uri' },
+    status: { type: 'integer' },
+    title: { type: 'string' },
+    description: { type: 'string' },
+  },
+};
+
+export const ROUTE_DOCS = {
+  // Health
+  'GET /health': { summary: 'Health check básico', tags: ['Health'] },
+  'GET /health/ready': {
+    summary: 'Readiness probe por componente',
+    description: 'ok/degraded responden 200; down (componente crítico caído o apagado) 503.',
+    tags: ['Health'],
+  },
+  'GET /health/live': { summary: 'Liveness probe', tags: ['Health'] },
+  // Endpoints de prueba de errores, solo en desarrollo
+  'GET /health/not-found': { hidden: true },
+  'GET /health/forbidden': { hidden: true },
+  'GET /health/integration': { hidden: true },
+  'GET /health/boom': { hidden: true },
+
+  // Errores
+  'GET /errors': {
+    summary: 'Catálogo de tipos de error',
+    tags: ['Errors'],
+    data: { type: 'array', items: errorCatalogEntry },
+  },
+  'GET /errors/:code': {
+    summary: 'Un tipo de error del catálogo',
+    tags: ['Errors'],
+    data: errorCatalogEntry,
+  },
+
+  // Cuenta
+  'GET /me': {
+    summary: 'Usuario (o API key) autenticado, su compañía y sus permisos efectivos',
+    tags: ['Account'],
+    data: {
+      type: 'object',
+      properties: {
+        user: { type: ['object', 'null'] },
+        apiKey: { oneOf: [apiKey, { type: 'null' }] },
+        company: { type: 'object' },
+        permissions: { type: 'array', items: { type: 'string' } },
+      },
+    },
+  },
+  'GET /company': { summary: 'Compañía del usuario', tags: ['Company'] },
+  'GET /company/role-permissions': {
+    summary: 'Overrides de permisos por rol y permisos efectivos',
+    tags: ['Company'],
+  },
+  'PUT /company/role-permissions': {
+    summary: 'Reemplaza los overrides de permisos por rol',
+    description: 'Body: { "<rol>": { "grant": [...], "revoke": [...] } }.',
+    tags: ['Company'],
+  },
+  'GET /company/siigo-settings': {
+    summary: 'Configuración de facturación en Siigo',
+    tags: ['Company'],
+  },
+  'PUT /company/siigo-settings': {
+    summary: 'Actualiza la configuración de facturación en Siigo',
+    tags: ['Company'],
+  },
+
+  // API keys
+  'GET /api-keys': {
+    summary: 'API keys de la compañía, paginadas',
+    tags: ['API keys'],
+    data: { type: 'array', items: apiKey },
+  },
+  'POST /api-keys': {
+    summary: 'Emite una API key',
+    description:
+      'Los scopes deben estar entre los permisos de quien la emite y no pueden incluir ' +
+      'roles:write ni api-keys:*. El token solo se devuelve en esta respuesta.',
+    tags: ['API keys'],
+    status: 201,
+    data: issuedApiKey,
+  },
+  'GET /api-keys/:id': {
+    summary: 'Una API key',
+    tags: ['API keys'],
+    data: apiKey,
+  },
+  'POST /api-keys/:id/rotate': {
+    summary: 'Emite una llave nueva con los mismos scopes y retira la anterior',
+    description:
+      'Con gracePeriodHours la llave anterior sigue funcionando durante ese plazo; sin él se ' +
+      'revoca de inmediato.',
+    tags: ['API keys'],
+    status: 201,
+    data: {
+      type: 'object',
+      properties: { ...issuedApiKey.properties, previous: apiKey },
+    },
+    errors: [409],
+  },
+  'DELETE /api-keys/:id': {
+    summary: 'Revoca una API key',
+    tags: ['API keys'],
+    data: apiKey,
+  },
+
+  // Auditoría
+  'GET /audit-logs': {
+    summary: 'Registro de auditoría de la compañía, paginado',
+    description: 'Los secretos aparecen como [REDACTED].',
+    tags: ['Audit'],
+    data: { type: 'array', items: auditLog },
+  },
+
+  // Integraciones
+  'GET /integrations': {
+    summary: 'Integraciones conectadas',
+    tags: ['Integrations'],
+    data: { type: 'array', items: integration },
+  },
+  'PUT /integrations/:provider': {
+    summary: 'Conecta o reemplaza una integración',
+    description: 'Las credenciales se prueban contra el proveedor y se guardan cifradas.',
+    tags: ['Integrations'],
+    data: integration,
+    errors: [409, 422],
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            oneOf: [
+              {
+                title: 'siigo',
+                type: 'object',
+                required: ['username', 'accessKey'],
+                properties: { username: { type: 'string' }, accessKey: { type: 'string' } },
+              },
+              {
+                title: 'shopify',
+                type: 'object',
+                required: ['shopDomain', 'accessToken'],
+                properties: {
+                  shopDomain: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*\\.myshopify\\.com$' },
+                  accessToken: { type: 'string' },
+                },
+              },
+            ],
+          },
+        },
+      },
+    },
+  },
+  'POST /integrations/:provider/test': {
+    summary: 'Prueba las credenciales guardadas',
+    tags: ['Integrations'],
+    data: integration,
+  },
+  'DELETE /integrations/:provider': {
+    summary: 'Desconecta una integración',
+    tags: ['Integrations'],
+  },
+
+  // Facturas
+  'GET /invoice-syncs': {
+    summary: 'Sincronizaciones de facturas, paginadas',
+    description: '?status equivale a filter[status].',
+    tags: ['Invoices'],
+    data: { type: 'array', items: invoiceSync },
+  },
+  'GET /invoice-syncs/:id': {
+    summary: 'Sincronización con su historial de intentos',
+    tags: ['Invoices'],
+    data: invoiceSync,
+  },
+  'POST /invoice-syncs/:id/retry': {
+    summary: 'Encola un reintento de la sincronización',
+    tags: ['Invoices'],
+    status: 202,
+    data: invoiceSync,
+    errors: [409],
+  },
+
+  // Catálogo
+  'GET /catalog/settings': {
+    summary: 'Reglas de conciliación de catálogos',
+    tags: ['Catalog'],
+    data: catalogSettings,
+  },
+  'PUT /catalog/settings': {
+    summary: 'Actualiza las reglas de conciliación',
+    tags: ['Catalog'],
+    data: catalogSettings,
+  },
+  'GET /catalog/reconciliations': {
+    summary: 'Ejecuciones de la conciliación, paginadas',
+    tags: ['Catalog'],
+    data: { type: 'array', items: catalogReconciliation },
+  },
+  'POST /catalog/reconciliations': {
+    summary: 'Encola una conciliación de catálogos',
+    description:
+      'Descarga los productos de Shopify y de Siigo y actualiza los mapeos por SKU. ' +
+      'Responde 409 si ya hay una en curso.',
+    tags: ['Catalog'],
+    status: 202,
+    data: catalogReconciliation,
+    errors: [409, 422],
+  },
+  'GET /catalog/reconciliations/:id': {
+    summary: 'Una ejecución con su resumen',
+    tags: ['Catalog'],
+    data: catalogReconciliation,
+  },
+  'GET /catalog/mappings': {
+    summary: 'Mapeos SKU → Siigo, paginados',
+    description:
+      'filter[status]=unmatched|ambiguous lista los SKU sin producto; ' +
+      'filter[hasConflicts]=true los que difieren en precio o IVA.',
+    tags: ['Catalog'],
+    data: { type: 'array', items: productMapping },
+  },
+  'GET /catalog/mappings/:id': {
+    summary: 'Un mapeo',
+    tags: ['Catalog'],
+    data: productMapping,
+  },
+  'PUT /catalog/mappings/:id': {
+    summary: 'Asigna a mano el producto de Siigo de un SKU',
+    description: 'El mapeo queda confirmado: la conciliación ya no cambia su producto.',
+    tags: ['Catalog'],
+    data: productMapping,
+    errors: [422],
+  },
+  'POST /catalog/mappings/:id/confirm': {
+    summary: 'Confirma el producto que encontró la conciliación',
+    tags: ['Catalog'],
+    data: productMapping,
+    errors: [409],
+  },
+
+  // Importaciones
+  'GET /imports': {
+    summary: 'Importaciones de la compañía, paginadas',
+    tags: ['Imports'],
+    data: { type: 'array', items: dataImport },
+  },
+  'GET /imports/:id': {
+    summary: 'Progreso de una importación y sus errores por fila',
+    tags: ['Imports'],
+    data: dataImport,
+  },
+  'POST /imports/:entity': {
+    summary: 'Importa clientes o productos a Siigo desde un CSV o XLSX',
+    description:
+      'Valida cada fila y encola la creación de las válidas (202). Con dryRun=true solo ' +
+      'valida y responde 200 con la vista previa.',
+    tags: ['Imports'],
+    status: 202,
+    data: { oneOf: [dataImport, importPreview] },
+    errors: [413, 415, 422],
+    requestBody: {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            required: ['file'],
+            properties: { file: { type: 'string', format: 'binary' } },
+          },
+        },
+      },
+    },
+  },
+
+  // Tareas programadas
+  'GET /scheduled-tasks': {
+    summary: 'Tareas programadas con su próxima y última ejecución',
+    description: 'Las tareas son globales: corren para todas las compañías.',
+    tags: ['Scheduler'],
+    data: { type: 'array', items: scheduledTask },
+  },
+  'GET /scheduled-tasks/:name': {
+    summary: 'Una tarea programada',
+    tags: ['Scheduler'],
+    data: scheduledTask,
+  },
+  'GET /scheduled-tasks/:name/runs': {
+    summary: 'Historial de ejecuciones de la tarea, paginado',
+    tags: ['Scheduler'],
+    data: { type: 'array', items: scheduledTaskRun },
+  },
+  'POST /scheduled-tasks/:name/run': {
+    summary: 'Ejecuta la tarea ya',
+    description:
+      'Corre en segundo plano aunque la tarea esté pausada. Responde 409 si ya está ' +
+      'corriendo en alguna instancia.',
+    tags: ['Scheduler'],
+    status: 202,
+    data: scheduledTaskRun,
+    errors: [409],
+  },
+  'POST /scheduled-tasks/:name/pause': {
+    summary: 'Pausa las ejecuciones programadas de la tarea',
+    tags: ['Scheduler'],
+    data: scheduledTask,
+  },
+  'POST /scheduled-tasks/:name/resume': {
+    summary: 'Reanuda las ejecuciones programadas de la tarea',
+    tags: ['Scheduler'],
+    data: scheduledTask,
+  },
+
+  // Webhooks
+  'POST /webhooks/shopify': {
+    summary: 'Recibe webhooks de Shopify',
+    description: 'Se autentica con la firma HMAC del body; el evento se procesa en segundo plano.',
+    tags: ['Webhooks'],
+    parameters: [
+      { name: 'X-Shopify-Hmac-Sha256', in: 'header', required: true, schema: { type: 'string' } },
+      { name: 'X-Shopify-Topic', in: 'header', required: true, schema: { type: 'string' } },
+      { name: 'X-Shopify-Shop-Domain', in: 'header', required: true, schema: { type: 'string' } },
+      { name: 'X-Shopify-Webhook-Id', in: 'header', required: true, schema: { type: 'string' } },
+    ],
+    requestBody: {
+      required: true,
+      content: { 'application/json': { schema: { type: 'object' } } },
+    },
+    data: {
+      type: 'object',
+      properties: {
+        eventId: { type: ['integer', 'null'] },
+        duplicate: { type: 'boolean' },
+        ignored: { type: 'boolean' },
+      },
+    },
+  },
+
+  // Webhooks salientes
+  'GET /webhook-subscriptions': {
+    summary: 'Suscripciones a webhooks salientes, paginadas',
+    tags: ['Webhook subscriptions'],
+    data: { type: 'array', items: webhookSubscription },
+  },
+  'POST /webhook-subscriptions': {
+    summary: 'Crea una suscripción',
+    description:
+      'Devuelve el secreto de firma una sola vez. Cada entrega lleva X-Mordecai-Timestamp y ' +
+      'X-Mordecai-Signature: v1=<HMAC-SHA256 hex de "<timestamp>.<body>">.',
+    tags: ['Webhook subscriptions'],
+    status: 201,
+    data: {
+      type: 'object',
+      properties: { subscription: webhookSubscription, secret: { type: 'string' } },
+    },
+  },
+  'GET /webhook-subscriptions/:id': {
+    summary: 'Una suscripción',
+    tags: ['Webhook subscriptions'],
+    data: webhookSubscription,
+  },
+  'PATCH /webhook-subscriptions/:id': {
+    summary: 'Actualiza una suscripción',
+    description: 'status: active reactiva una suscripción desactivada y reinicia sus fallos.',
+    tags: ['Webhook subscriptions'],
+    data: webhookSubscription,
+  },
+  'DELETE /webhook-subscriptions/:id': {
+    summary: 'Elimina una suscripción y su registro de entregas',
+    tags: ['Webhook subscriptions'],
+  },
+  'GET /webhook-subscriptions/:id/deliveries': {
+    summary: 'Registro de entregas de una suscripción, paginado',
+    tags: ['Webhook subscriptions'],
+    data: { type: 'array', items: webhookDelivery },
+  },
+  'POST /webhook-subscriptions/:id/deliveries/:deliveryId/redeliver': {
+    summary: 'Reenvía una entrega como una entrega nueva del mismo evento',
+    tags: ['Webhook subscriptions'],
+    status: 202,
+    data: webhookDelivery,
+    errors: [409],
+  },
+
+  // Documentación
+  'GET /openapi.json': {
+    summary: 'Esta especificación OpenAPI',
+    tags: ['Docs'],
+    response: { description: 'OpenAPI 3.1', content: { 'application/json': {} } },
+  },
+  'GET /docs/swagger-initializer.js': { hidden: true },
+};
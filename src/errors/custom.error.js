@@ -1,18 +1,38 @@
+import { getRequestId } from "../utils/request-context.js";
+import { ERROR_CATALOG } from "./error-catalog.js";
+
 export class CustomError extends Error {
-    constructor(message, statusCode = 500, details = null, type = "about:blank") {
+    /**
+     * @param {string} message - Detalle de esta ocurrencia (detail)
+     * @param {number} [statusCode=500]
+     * @param {Object} [details] - Información adicional para el cliente
+     * @param {Object} [error] - Entrada de ERROR_CATALOG (type, code, title)
+     */
+    constructor(message, statusCode = 500, details = null, error = ERROR_CATALOG.INTERNAL) {
         super(message);
         this.name = this.constructor.name;
         this.statusCode = statusCode;
         this.details = details;
-        this.type = type;
+        this.type = error.type;
+        this.code = error.code;
+        this.title = error.title;
     }
 
-    serialize() {
+    /**
+     * Cuerpo application/problem+json (RFC 9457)
+     * @param {Object} [options]
+     * @param {string} [options.instance] - Ruta de la petición que originó el error
+     */
+    serialize({ instance } = {}) {
         return {
             type: this.type,
-            title: this.message,
+            title: this.title,
             status: this.statusCode,
+            detail: this.message,
+            instance,
+            code: this.code,
             details: this.details || undefined,
+            requestId: getRequestId() || undefined,
         };
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,142 @@
+const BASE_URL = "https://mordcai.com/errors";
+
+/**
+ * Catálogo de errores de la API. Cada respuesta de error (application/problem+json)
+ * lleva el type y el code de una de estas entradas; el code es estable y es lo que
+ * deben usar los clientes para decidir qué hacer.
+ */
+export const ERROR_CATALOG = Object.freeze({
+    BAD_REQUEST: {
+        code: "bad_request",
+        type: `${BASE_URL}/bad-request`,
+        status: 400,
+        title: "Bad request",
+        description: "The request is not valid for this endpoint.",
+    },
+    MALFORMED_BODY: {
+        code: "malformed_body",
+        type: `${BASE_URL}/malformed-body`,
+        status: 400,
+        title: "Malformed request body",
+        description: "The body could not be parsed (invalid JSON or form encoding).",
+    },
+    VALIDATION: {
+        code: "validation_error",
+        type: `${BASE_URL}/validation`,
+        status: 400,
+        title: "The data sent is not valid",
+        description: "One or more parameters failed validation. See invalidParams for each field.",
+    },
+    UNAUTHORIZED: {
+        code: "unauthorized",
+        type: `${BASE_URL}/unauthorized`,
+        status: 401,
+        title: "Authentication required",
+        description: "Missing, expired or invalid credentials.",
+    },
+    FORBIDDEN: {
+        code: "forbidden",
+        type: `${BASE_URL}/forbidden`,
+        status: 403,
+        title: "Forbidden",
+        description: "The authenticated user is not allowed to perform this action.",
+    },
+    NOT_FOUND: {
+        code: "not_found",
+        type: `${BASE_URL}/not-found`,
+        status: 404,
+        title: "Not found",
+        description: "The resource or route does not exist (or belongs to another company).",
+    },
+    CONFLICT: {
+        code: "conflict",
+        type: `${BASE_URL}/conflict`,
+        status: 409,
+        title: "Conflict",
+        description: "The request conflicts with the current state of the resource.",
+    },
+    IDEMPOTENCY_KEY_REUSED: {
+        code: "idempotency_key_reused",
+        type: `${BASE_URL}/idempotency-key-reused`,
+        status: 409,
+        title: "Idempotency key reused",
+        description: "The Idempotency-Key was already used with a different request (method, path or body).",
+    },
+    IDEMPOTENCY_KEY_IN_PROGRESS: {
+        code: "idempotency_key_in_progress",
+        type: `${BASE_URL}/idempotency-key-in-progress`,
+        status: 409,
+        title: "Request in progress",
+        description: "A request with the same Idempotency-Key is still running. Retry after Retry-After.",
+    },
+    IDEMPOTENT_RESPONSE_NOT_STORED: {
+        code: "idempotent_response_not_stored",
+        type: `${BASE_URL}/idempotent-response-not-stored`,
+        status: 409,
+        title: "Response not replayable",
+        description: "The request with this Idempotency-Key already completed, but its response holds secrets and is not stored.",
+    },
+    PAYLOAD_TOO_LARGE: {
+        code: "payload_too_large",
+        type: `${BASE_URL}/payload-too-large`,
+        status: 413,
+        title: "Payload too large",
+        description: "The request body exceeds the allowed size.",
+    },
+    UNSUPPORTED_MEDIA_TYPE: {
+        code: "unsupported_media_type",
+        type: `${BASE_URL}/unsupported-media-type`,
+        status: 415,
+        title: "Unsupported media type",
+        description: "The body encoding or charset is not supported.",
+    },
+    UNPROCESSABLE_ENTITY: {
+        code: "unprocessable_entity",
+        type: `${BASE_URL}/unprocessable-entity`,
+        status: 422,
+        title: "Unprocessable entity",
+        description: "The request is well formed but cannot be processed in the current state.",
+    },
+    RATE_LIMITED: {
+        code: "rate_limited",
+        type: `${BASE_URL}/rate-limited`,
+        status: 429,
+        title: "Too many requests",
+        description: "Request quota exceeded. Retry after the time indicated in Retry-After.",
+    },
+    INTERNAL: {
+        code: "internal_error",
+        type: `${BASE_URL}/internal`,
+        status: 500,
+        title: "Internal server error",
+        description: "Unexpected error. Report the requestId to support.",
+    },
+    DATABASE: {
+        code: "database_error",
+        type: `${BASE_URL}/database`,
+        status: 500,
+        title: "Database error",
+        description: "The database could not complete the operation.",
+    },
+    SERVICE: {
+        code: "service_error",
+        type: `${BASE_URL}/service`,
+        status: 500,
+        title: "Service error",
+        description: "An internal service failed; status reflects the failing service.",
+    },
+    SERVICE_UNAVAILABLE: {
+        code: "service_unavailable",
+        type: `${BASE_URL}/service-unavailable`,
+        status: 503,
+        title: "Service unavailable",
+        description: "A dependency (the database) is temporarily unreachable. See Retry-After.",
+    },
+    INTEGRATION: {
+        code: "integration_error",
+        type: `${BASE_URL}/integration`,
+        status: 502,
+        title: "Integration error",
+        description: "An external provider (Siigo, Shopify) failed. The provider member names it.",
+    },
+});
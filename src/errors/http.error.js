@@ -1,31 +1,126 @@
 import { CustomError } from "./custom.error.js";
+import { ERROR_CATALOG } from "./error-catalog.js";
+
+export class BadRequestError extends CustomError {
+    constructor(message = "Bad request.", details = null) {
+        super(message, 400, details, ERROR_CATALOG.BAD_REQUEST);
+    }
+}
+
+export class MalformedBodyError extends CustomError {
+    constructor(message = "The request body could not be parsed.") {
+        super(message, 400, null, ERROR_CATALOG.MALFORMED_BODY);
+    }
+}
 
 export class NotFoundError extends CustomError {
     constructor(resource = "Recurso") {
-        super(`${resource} not found.`, 404, null, "https://mordcai.com/errors/not-found");
+        super(`${resource} not found.`, 404, null, ERROR_CATALOG.NOT_FOUND);
     }
 }
 
 export class UnauthorizedError extends CustomError {
     constructor(message = "Authentication required.") {
-        super(message, 401, null, "https://mordcai.com/errors/unauthorized");
+        super(message, 401, null, ERROR_CATALOG.UNAUTHORIZED);
     }
 }
 
 export class ForbiddenError extends CustomError {
-    constructor(message = "You are not authorized to access this resource.") {
-        super(message, 403, null, "https://mordcai.com/errors/forbidden");
+    constructor(message = "You are not authorized to access this resource.", details = null) {
+        super(message, 403, details, ERROR_CATALOG.FORBIDDEN);
     }
 }
 
 export class ConflictError extends CustomError {
-    constructor(message = "Conflict in the current state of the resource.") {
-        super(message, 409, null, "https://mordcai.com/errors/conflict");
+    constructor(message = "Conflict in the current state of the resource.", details = null) {
+        super(message, 409, details, ERROR_CATALOG.CONFLICT);
+    }
+}
+
+export class IdempotencyKeyReusedError extends CustomError {
+    constructor() {
+        super(
+            "This Idempotency-Key was already used with a different request.",
+            409,
+            null,
+            ERROR_CATALOG.IDEMPOTENCY_KEY_REUSED
+        );
+    }
+}
+
+export class IdempotencyKeyInProgressError extends CustomError {
+    constructor(retryAfterSeconds = 1) {
+        super(
+            "A request with this Idempotency-Key is still in progress.",
+            409,
+            { retryAfterSeconds },
+            ERROR_CATALOG.IDEMPOTENCY_KEY_IN_PROGRESS
+        );
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+export class IdempotentResponseNotStoredError extends CustomError {
+    constructor() {
+        super(
+            "A request with this Idempotency-Key already completed and its response cannot be replayed.",
+            409,
+            null,
+            ERROR_CATALOG.IDEMPOTENT_RESPONSE_NOT_STORED
+        );
+    }
+}
+
+export class PayloadTooLargeError extends CustomError {
+    constructor(limit) {
+        super(
+            "The request body is too large.",
+            413,
+            limit ? { limit } : null,
+            ERROR_CATALOG.PAYLOAD_TOO_LARGE
+        );
+    }
+}
+
+export class UnsupportedMediaTypeError extends CustomError {
+    constructor(message = "Unsupported request body encoding.") {
+        super(message, 415, null, ERROR_CATALOG.UNSUPPORTED_MEDIA_TYPE);
     }
 }
 
 export class DatabaseError extends CustomError {
     constructor(details) {
-        super("Database error.", 500, details, "https://mordcai.com/errors/database");
+        super("Database error.", 500, details, ERROR_CATALOG.DATABASE);
+    }
+}
+
+export class UnprocessableEntityError extends CustomError {
+    constructor(message = "The request could not be processed.", details = null) {
+        super(message, 422, details, ERROR_CATALOG.UNPROCESSABLE_ENTITY);
     }
-}
\ No newline at end of file
+}
+
+export class TooManyRequestsError extends CustomError {
+    constructor(message = "Too many requests, try again later.", retryAfterSeconds = null) {
+        super(
+            message,
+            429,
+            retryAfterSeconds ? { retryAfterSeconds } : null,
+            ERROR_CATALOG.RATE_LIMITED
+        );
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+
+export class ServiceUnavailableError extends CustomError {
+    constructor(message = "The service is temporarily unavailable.", retryAfterSeconds = null) {
+        super(
+            message,
+            503,
+            retryAfterSeconds ? { retryAfterSeconds } : null,
+            ERROR_CATALOG.SERVICE_UNAVAILABLE
+        );
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
@@ -1,5 +1,7 @@
 export { CustomError } from './custom.error.js';
+export { ERROR_CATALOG } from './error-catalog.js';
 export { RequestValidationError } from './request-validation.error.js';
 export { handleServiceError } from './service-handler.error.js';
+export { normalizeError } from './normalize.error.js';
 export *  from "./http.error.js";
 export *  from "./integration.error.js";
\ No newline at end of file
@@ -1,12 +1,27 @@
 import { CustomError } from "./custom.error.js";
+import { ERROR_CATALOG } from "./error-catalog.js";
 
 export class IntegrationError extends CustomError {
     constructor(provider, details = null) {
-        super(
-            `Error integrating with ${provider}.`,
-            502,
-            details,
-            `https://mordcai.com/errors/integration/${provider.toLowerCase()}`
-        );
+        super(`Error integrating with ${provider}.`, 502, details, ERROR_CATALOG.INTEGRATION);
+        this.provider = provider;
     }
-}
\ No newline at end of file
+
+    serialize(options) {
+        return { ...super.serialize(options), provider: this.provider.toLowerCase() };
+    }
+}
+
+/**
+ * Caídas de red, 429 y 5xx del proveedor o errores propios (DB) pueden resolverse solos y se
+ * reintentan desde la cola; los rechazos de validación esperan una corrección manual
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isTransientError = (error) => {
+    if (error instanceof IntegrationError) {
+        const status = error.details?.status;
+        return !status || status === 429 || status >= 500;
+    }
+    return !(error instanceof CustomError);
+};
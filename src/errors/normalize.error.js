@@ -0,0 +1,39 @@
+import { CustomError } from "./custom.error.js";
+import { ERROR_CATALOG } from "./error-catalog.js";
+import {
+    MalformedBodyError,
+    PayloadTooLargeError,
+    UnsupportedMediaTypeError,
+} from "./http.error.js";
+import { translateSequelizeError } from "./sequelize.error.js";
+
+/**
+ * Traduce errores de librerías (Sequelize, body-parser) a errores del catálogo. Los que no
+ * se reconocen se devuelven tal cual y el errorHandler los responde como error interno.
+ * @param {Error} error
+ * @returns {Error}
+ */
+export const normalizeError = (error) => {
+    if (error instanceof CustomError) return error;
+
+    const databaseError = translateSequelizeError(error);
+    if (databaseError) return databaseError;
+
+    // body-parser (express.json / express.urlencoded)
+    switch (error.type) {
+        case "entity.parse.failed":
+            return new MalformedBodyError();
+        case "entity.too.large":
+            return new PayloadTooLargeError(error.limit);
+        case "encoding.unsupported":
+        case "charset.unsupported":
+            return new UnsupportedMediaTypeError(error.message);
+    }
+
+    // Otros http-errors 4xx cuyo mensaje es apto para el cliente
+    if (error.expose && error.status >= 400 && error.status < 500) {
+        return new CustomError(error.message, error.status, null, ERROR_CATALOG.BAD_REQUEST);
+    }
+
+    return error;
+};
@@ -1,22 +1,19 @@
 import { CustomError } from "./custom.error.js";
+import { ERROR_CATALOG } from "./error-catalog.js";
 
 export class RequestValidationError extends CustomError {
     constructor(errors) {
-        super(
-            "Validation error",
-            400,
-            errors,
-            "https://mordcai.com/docs/errors/validation-error"
-        );
+        super("Validation error", 400, errors, ERROR_CATALOG.VALIDATION);
 
         this.errors = errors;
     }
 
-    serialize() {
+    serialize(options) {
         return {
-            type: this.type,
-            title: "The data sent is not valid",
-            status: this.statusCode,
+            ...super.serialize(options),
+            detail: `${this.errors.length} parameter(s) failed validation.`,
+            // Los errores van en invalidParams, no se repiten en details
+            details: undefined,
             invalidParams: this.errors.map((x) => ({
                 field: x.param,
                 message: x.msg,
@@ -25,4 +22,4 @@ export class RequestValidationError extends CustomError {
             })),
         };
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,87 @@
+import {
+    BaseError,
+    ConnectionError,
+    ForeignKeyConstraintError,
+    TimeoutError,
+    UniqueConstraintError,
+    ValidationError,
+} from "sequelize";
+import {
+    ConflictError,
+    DatabaseError,
+    ServiceUnavailableError,
+    UnprocessableEntityError,
+} from "./http.error.js";
+import { RequestValidationError } from "./request-validation.error.js";
+import { REDACTED, isSensitiveField } from "../utils/redact.js";
+
+// Segundos sugeridos al cliente cuando la base de datos no está disponible
+const DB_RETRY_AFTER_SECONDS = 5;
+
+// SQLSTATE de Postgres que indican que la base no está disponible (conexión, apagado, sin cupo)
+const UNAVAILABLE_SQL_STATES = /^(08|57P0[1-3]|53300)/;
+
+const getSqlState = (error) => error.parent?.code || error.original?.code;
+
+// Detalle de Postgres: Key (companyId)=(9) is not present in table "companies".
+//                      Key (id)=(9) is still referenced from table "orders".
+const parseForeignKeyDetail = (detail = "") => {
+    const fields = detail
+        .match(/Key \((.+?)\)=/)?.[1]
+        ?.split(", ")
+        .map((field) => field.replace(/"/g, ""));
+    const relation = detail.match(/table "(.+?)"/)?.[1];
+    return { fields, relation, referenced: detail.includes("still referenced") };
+};
+
+/**
+ * Traduce un error de Sequelize a un error de la API, o null si no es de Sequelize.
+ * Los detalles nunca incluyen SQL ni valores de la consulta.
+ * @param {Error} error
+ * @returns {import('./custom.error.js').CustomError|null}
+ */
+export const translateSequelizeError = (error) => {
+    if (!(error instanceof BaseError)) return null;
+
+    // UniqueConstraintError extiende ValidationError: va primero
+    if (error instanceof UniqueConstraintError) {
+        return new ConflictError("A record with the same values already exists.", {
+            fields: Object.keys(error.fields || {}),
+            constraint: error.parent?.constraint,
+        });
+    }
+
+    if (error instanceof ValidationError) {
+        return new RequestValidationError(
+            error.errors.map((item) => ({
+                msg: item.message,
+                param: item.path,
+                location: "body",
+                value: isSensitiveField(item.path) ? REDACTED : item.value,
+            }))
+        );
+    }
+
+    if (error instanceof ForeignKeyConstraintError) {
+        const { fields, relation, referenced } = parseForeignKeyDetail(error.parent?.detail);
+        const details = { fields, relation, constraint: error.index };
+
+        // Borrar/actualizar un registro del que dependen otros vs. referenciar uno que no existe
+        return referenced
+            ? new ConflictError("The record is still referenced by other records.", details)
+            : new UnprocessableEntityError("A referenced record does not exist.", details);
+    }
+
+    if (
+        error instanceof ConnectionError ||
+        error instanceof TimeoutError ||
+        UNAVAILABLE_SQL_STATES.test(getSqlState(error) || "")
+    ) {
+        return new ServiceUnavailableError(
+            "The database is temporarily unavailable.",
+            DB_RETRY_AFTER_SECONDS
+        );
+    }
+
+    return new DatabaseError({ reason: error.name, sqlState: getSqlState(error) });
+};
@@ -1,4 +1,5 @@
 import { CustomError } from './custom.error.js';
+import { ERROR_CATALOG } from './error-catalog.js';
 import { logger } from '../utils/logger.js';
 
 export const handleServiceError = (error) => {
@@ -11,10 +12,5 @@ export const handleServiceError = (error) => {
 
   const details = error.response?.data || error.data || null;
 
-  throw new CustomError(
-    message,
-    status,
-    details,
-    'https://mordcai.com/docs/errors/service-error'
-  );
+  throw new CustomError(message, status, details, ERROR_CATALOG.SERVICE);
 };
\ No newline at end of file
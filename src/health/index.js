@@ -0,0 +1,58 @@
+import { config } from '../config/index.js';
+import { sequelize } from '../config/database.js';
+import { createHttpClient } from '../integrations/http-client.js';
+import { getQueueStats } from '../jobs/index.js';
+import { HEALTH_STATUS, registerHealthCheck } from './registry.js';
+
+/**
+ * Verifica que el proveedor responda: cualquier respuesta HTTP cuenta, las credenciales
+ * son por compañía y se prueban desde /integrations
+ */
+const pingProvider = (provider, url) => async () => {
+  const http = createHttpClient({
+    provider,
+    baseURL: url,
+    timeout: config.health.timeoutMs,
+    maxRetries: 0,
+  });
+  const response = await http.get('', { validateStatus: () => true });
+
+  if (response.status >= 500) {
+    return { status: HEALTH_STATUS.DEGRADED, httpStatus: response.status };
+  }
+  return { httpStatus: response.status };
+};
+
+/**
+ * Registra los checks de los componentes de los que depende la API. Se llama después de
+ * cargar la base de datos y la cola.
+ */
+export const registerHealthChecks = () => {
+  // Sin base de datos no hay nada que verificar ni cola de trabajos
+  if (config.db.enabled && sequelize) {
+    registerHealthCheck('database', () => sequelize.authenticate());
+
+    registerHealthCheck(
+      'jobs',
+      async () => {
+        const { oldestReadyAt, ...stats } = await getQueueStats();
+        const lagMs = oldestReadyAt ? Date.now() - oldestReadyAt.getTime() : 0;
+
+        return {
+          ...(lagMs > config.health.jobsMaxLagMs && { status: HEALTH_STATUS.DEGRADED }),
+          ...stats,
+          lagSeconds: Math.round(lagMs / 1000),
+        };
+      },
+      { critical: false }
+    );
+  }
+
+  if (config.health.integrations.enabled) {
+    const options = { critical: false, cacheTtlMs: config.health.integrations.cacheTtlMs };
+    registerHealthCheck('siigo', pingProvider('Siigo', config.siigo.baseUrl), options);
+    registerHealthCheck('shopify', pingProvider('Shopify', config.shopify.healthCheckUrl), options);
+  }
+};
+
+export { HEALTH_STATUS, isShuttingDown, markShuttingDown, runHealthChecks } from './registry.js';
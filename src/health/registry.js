@@ -0,0 +1,120 @@
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+
+export const HEALTH_STATUS = Object.freeze({
+  OK: 'ok',
+  DEGRADED: 'degraded',
+  DOWN: 'down',
+});
+
+const checks = new Map();
+let shuttingDown = false;
+
+/**
+ * Registra (o reemplaza) la verificación de un componente. El check lanza un error si el
+ * componente no funciona; puede devolver detalles y, para indicar que funciona con
+ * problemas, { status: 'degraded', ...detalles }.
+ * @param {string} name
+ * @param {() => Promise<Object|void>} check
+ * @param {Object} [options]
+ * @param {boolean} [options.critical=true] - Si falla, la instancia no está lista
+ * @param {number} [options.timeoutMs] - Pasado este tiempo el componente se reporta down
+ * @param {number} [options.cacheTtlMs] - Tiempo que se reutiliza el último resultado
+ */
+export const registerHealthCheck = (name, check, options = {}) => {
+  checks.set(name, {
+    check,
+    critical: options.critical ?? true,
+    timeoutMs: options.timeoutMs || config.health.timeoutMs,
+    cacheTtlMs: options.cacheTtlMs ?? config.health.cacheTtlMs,
+    cached: null,
+    pending: null,
+  });
+};
+
+/**
+ * Marca el inicio del apagado: desde aquí la instancia se reporta not ready
+ */
+export const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+export const isShuttingDown = () => shuttingDown;
+
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
+
+const runCheck = async (name, entry) => {
+  const startedAt = Date.now();
+
+  try {
+    const { status, ...details } = (await withTimeout(entry.check(), entry.timeoutMs)) || {};
+    return {
+      status: status === HEALTH_STATUS.DEGRADED ? HEALTH_STATUS.DEGRADED : HEALTH_STATUS.OK,
+      critical: entry.critical,
+      durationMs: Date.now() - startedAt,
+      checkedAt: new Date().toISOString(),
+      ...(Object.keys(details).length > 0 && { details }),
+    };
+  } catch (error) {
+    logger.warn({ error, component: name }, 'Health check failed');
+    return {
+      status: HEALTH_STATUS.DOWN,
+      critical: entry.critical,
+      durationMs: Date.now() - startedAt,
+      checkedAt: new Date().toISOString(),
+      error: error.message,
+    };
+  }
+};
+
+// Peticiones simultáneas comparten la misma ejecución y el resultado se cachea
+const getResult = (name, entry) => {
+  if (entry.cached && entry.cached.expiresAt > Date.now()) return entry.cached.result;
+
+  if (!entry.pending) {
+    entry.pending = runCheck(name, entry).then((result) => {
+      entry.cached = { result, expiresAt: Date.now() + entry.cacheTtlMs };
+      entry.pending = null;
+      return result;
+    });
+  }
+  return entry.pending;
+};
+
+const getOverallStatus = (components) => {
+  const results = Object.values(components);
+
+  if (results.some((result) => result.critical && result.status === HEALTH_STATUS.DOWN)) {
+    return HEALTH_STATUS.DOWN;
+  }
+  if (results.some((result) => result.status !== HEALTH_STATUS.OK)) {
+    return HEALTH_STATUS.DEGRADED;
+  }
+  return HEALTH_STATUS.OK;
+};
+
+/**
+ * Ejecuta (o toma de caché) todos los checks registrados.
+ * down si falla un componente crítico o la instancia se está apagando; degraded si falla
+ * uno no crítico o alguno reporta problemas.
+ * @returns {Promise<{ status: string, shuttingDown: boolean, components: Object }>}
+ */
+export const runHealthChecks = async () => {
+  if (shuttingDown) {
+    return { status: HEALTH_STATUS.DOWN, shuttingDown: true, components: {} };
+  }
+
+  const entries = [...checks.entries()];
+  const results = await Promise.all(entries.map(([name, entry]) => getResult(name, entry)));
+  const components = Object.fromEntries(entries.map(([name], index) => [name, results[index]]));
+
+  return { status: getOverallStatus(components), shuttingDown: false, components };
+};
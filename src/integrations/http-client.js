@@ -0,0 +1,155 @@
+import axios from 'axios';
+import { IntegrationError } from '../errors/index.js';
+import { logger } from '../utils/logger.js';
+import { redactSecrets, redactUrl } from '../utils/redact.js';
+import { getRequestId } from '../utils/request-context.js';
+import { recordUpstreamRequest } from '../utils/metrics.js';
+
+const RETRYABLE_NETWORK_ERRORS = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ECONNABORTED',
+  'EAI_AGAIN',
+];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const MAX_DELAY_MS = 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Retry-After puede venir en segundos o como fecha HTTP
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  const method = error.config?.method?.toLowerCase();
+
+  // 429: la petición fue rechazada sin procesarse, siempre es seguro repetirla
+  if (status === 429) return true;
+  if (!IDEMPOTENT_METHODS.includes(method) && !error.config?.retryNonIdempotent) return false;
+
+  return status >= 500 || (!error.response && RETRYABLE_NETWORK_ERRORS.includes(error.code));
+};
+
+const getDelay = (error, attempt, baseDelayMs) => {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) return Math.min(retryAfter, MAX_DELAY_MS);
+
+  const exponential = baseDelayMs * 2 ** attempt;
+  return Math.min(exponential + Math.random() * baseDelayMs, MAX_DELAY_MS);
+};
+
+/**
+ * Convierte un error de axios en IntegrationError sin exponer headers ni credenciales
+ * (los campos sensibles de la respuesta se enmascaran)
+ * @param {string} provider
+ * @param {Error} error
+ * @returns {IntegrationError}
+ */
+export const toIntegrationError = (provider, error) => {
+  if (error instanceof IntegrationError) return error;
+
+  return new IntegrationError(provider, {
+    status: error.response?.status || null,
+    code: error.code || null,
+    method: error.config?.method?.toUpperCase(),
+    url: redactUrl(error.config?.url),
+    message: error.message,
+    response: redactSecrets(error.response?.data ?? null),
+  });
+};
+
+/**
+ * Cliente axios para proveedores externos: reintenta 429, 5xx y errores de red con backoff
+ * exponencial (respetando Retry-After) y convierte los fallos finales en IntegrationError.
+ * Los métodos no idempotentes solo se reintentan en 429, salvo que la petición
+ * indique { retryNonIdempotent: true }.
+ * @param {Object} options
+ * @param {string} options.provider - Nombre del proveedor (Siigo, Shopify, ...)
+ * @param {string} options.baseURL
+ * @param {number} [options.timeout=30000]
+ * @param {number} [options.maxRetries=3]
+ * @param {number} [options.retryBaseDelayMs=500]
+ * @param {Object} [options.headers]
+ * @returns {import('axios').AxiosInstance}
+ */
+export const createHttpClient = ({
+  provider,
+  baseURL,
+  timeout = 30000,
+  maxRetries = 3,
+  retryBaseDelayMs = 500,
+  headers = {},
+}) => {
+  const client = axios.create({ baseURL, timeout, headers });
+
+  // Propaga el request ID para correlacionar la llamada con la petición que la originó
+  client.interceptors.request.use((requestConfig) => {
+    const requestId = getRequestId();
+    if (requestId) requestConfig.headers.set('X-Request-Id', requestId, false);
+
+    requestConfig.startedAt = process.hrtime.bigint();
+    return requestConfig;
+  });
+
+  // Latencia y resultado de cada intento, incluidos los reintentos
+  const observe = (requestConfig, status, outcome) => {
+    if (!requestConfig?.startedAt) return;
+
+    recordUpstreamRequest(
+      { provider, method: requestConfig.method?.toUpperCase(), status, outcome },
+      Number(process.hrtime.bigint() - requestConfig.startedAt) / 1e9
+    );
+  };
+
+  client.interceptors.response.use(
+    (response) => {
+      observe(response.config, response.status, 'success');
+      return response;
+    },
+    async (error) => {
+      observe(error.config, error.response?.status || error.code || 'error', 'failure');
+      return handleRetry(error);
+    }
+  );
+
+  const handleRetry = async (error) => {
+    const requestConfig = error.config;
+    if (!requestConfig || requestConfig.skipRetry) throw error;
+
+    requestConfig.retryCount = requestConfig.retryCount || 0;
+
+    if (requestConfig.retryCount >= maxRetries || !isRetryable(error)) throw error;
+
+    const delay = getDelay(error, requestConfig.retryCount, retryBaseDelayMs);
+    requestConfig.retryCount += 1;
+
+    logger.warn(
+      {
+        provider,
+        method: requestConfig.method?.toUpperCase(),
+        url: redactUrl(requestConfig.url),
+        status: error.response?.status,
+        code: error.code,
+        attempt: requestConfig.retryCount,
+        delayMs: Math.round(delay),
+      },
+      'Retrying upstream request'
+    );
+
+    await sleep(delay);
+    return client.request(requestConfig);
+  };
+
+  return client;
+};
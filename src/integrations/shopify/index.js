@@ -0,0 +1,3 @@
+export { SHOPIFY_TOPICS, verifyShopifyHmac, readShopifyHeaders } from './shopify.webhooks.js';
+export { mapShopifyOrder, mapShopifyRefund } from './shopify.mapper.js';
+export { createShopifyClient } from './shopify.client.js';
@@ -0,0 +1,79 @@
+import { config } from '../../config/index.js';
+import { createHttpClient, toIntegrationError } from '../http-client.js';
+
+const PROVIDER = 'Shopify';
+const MAX_PAGE_SIZE = 250;
+
+/**
+ * Cursor de la página siguiente en el header Link (paginación por page_info)
+ * @param {string} [link]
+ * @returns {string|null}
+ */
+const getNextPageInfo = (link) => {
+  const next = link?.split(',').find((part) => /rel="?next"?/.test(part));
+  const url = next && /<([^>]+)>/.exec(next)?.[1];
+  return url ? new URL(url).searchParams.get('page_info') : null;
+};
+
+/**
+ * Cliente del Admin API de Shopify para una tienda.
+ * Todos los errores del proveedor se lanzan como IntegrationError('Shopify', ...).
+ * @param {Object} options
+ * @param {string} options.shopDomain - Dominio *.myshopify.com
+ * @param {string} options.accessToken - Token de acceso de la app (shpat_...)
+ * @param {string} [options.baseUrl] - Permite apuntar a un stub local en tests
+ */
+export const createShopifyClient = ({
+  shopDomain,
+  accessToken,
+  baseUrl = `https://${shopDomain}/admin/api/${config.shopify.apiVersion}`,
+}) => {
+  const http = createHttpClient({
+    provider: PROVIDER,
+    baseURL: baseUrl,
+    headers: { 'X-Shopify-Access-Token': accessToken },
+  });
+
+  const send = async (requestConfig) => {
+    try {
+      return await http.request(requestConfig);
+    } catch (error) {
+      throw toIntegrationError(PROVIDER, error);
+    }
+  };
+
+  const request = async (requestConfig) => (await send(requestConfig)).data;
+
+  /**
+   * Recorre todos los productos (con sus variantes) siguiendo el header Link
+   * @param {Object} [params] - Filtros de /products.json (status, fields, ...)
+   */
+  async function* iterateProducts(params = {}) {
+    let query = { ...params, limit: MAX_PAGE_SIZE };
+
+    while (query) {
+      const { data, headers } = await send({ method: 'GET', url: '/products.json', params: query });
+      yield* data.products || [];
+
+      // Con page_info Shopify solo acepta limit y fields: el resto de filtros va en el cursor
+      const pageInfo = getNextPageInfo(headers.link);
+      query = pageInfo && { limit: MAX_PAGE_SIZE, fields: params.fields, page_info: pageInfo };
+    }
+  }
+
+  return {
+    request,
+
+    /** Datos de la tienda; sirve para validar el token */
+    getShop: async () => (await request({ method: 'GET', url: '/shop.json' })).shop,
+
+    products: {
+      iterate: iterateProducts,
+      listAll: async (params) => {
+        const products = [];
+        for await (const product of iterateProducts(params)) products.push(product);
+        return products;
+      },
+    },
+  };
+};
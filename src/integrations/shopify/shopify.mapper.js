@@ -0,0 +1,92 @@
+const toAmount = (value) => (value === undefined || value === null ? null : Number(value));
+
+const mapAddress = (address) =>
+  address
+    ? {
+        name: address.name,
+        company: address.company,
+        address1: address.address1,
+        address2: address.address2,
+        city: address.city,
+        province: address.province,
+        provinceCode: address.province_code,
+        country: address.country,
+        countryCode: address.country_code,
+        zip: address.zip,
+        phone: address.phone,
+      }
+    : null;
+
+const mapTaxLines = (taxLines = []) =>
+  taxLines.map((tax) => ({
+    title: tax.title,
+    rate: Number(tax.rate),
+    amount: toAmount(tax.price),
+  }));
+
+/**
+ * Convierte el payload de orders/create u orders/updated en atributos de Order
+ * @param {Object} payload
+ * @returns {Object}
+ */
+export const mapShopifyOrder = (payload) => ({
+  source: 'shopify',
+  externalId: String(payload.id),
+  orderNumber: payload.name || String(payload.order_number || ''),
+  email: payload.email || payload.contact_email || payload.customer?.email || null,
+  currency: payload.currency,
+  subtotal: toAmount(payload.subtotal_price),
+  totalTax: toAmount(payload.total_tax),
+  totalDiscounts: toAmount(payload.total_discounts),
+  total: toAmount(payload.total_price),
+  financialStatus: payload.financial_status || null,
+  fulfillmentStatus: payload.fulfillment_status || null,
+  customer: payload.customer
+    ? {
+        externalId: String(payload.customer.id),
+        email: payload.customer.email,
+        firstName: payload.customer.first_name,
+        lastName: payload.customer.last_name,
+        phone: payload.customer.phone,
+      }
+    : null,
+  billingAddress: mapAddress(payload.billing_address || payload.customer?.default_address),
+  lineItems: (payload.line_items || []).map((item) => ({
+    externalId: String(item.id),
+    productId: item.product_id ? String(item.product_id) : null,
+    variantId: item.variant_id ? String(item.variant_id) : null,
+    sku: item.sku || null,
+    barcode: item.barcode || null,
+    title: item.title,
+    quantity: item.quantity,
+    price: toAmount(item.price),
+    totalDiscount: toAmount(item.total_discount),
+    taxable: item.taxable !== false,
+    taxLines: mapTaxLines(item.tax_lines),
+  })),
+  paymentGateways: payload.payment_gateway_names || [],
+  placedAt: payload.created_at || null,
+  cancelledAt: payload.cancelled_at || null,
+  sourceUpdatedAt: payload.updated_at || null,
+  raw: payload,
+});
+
+/**
+ * Convierte el payload de refunds/create en la entrada guardada en Order.refunds
+ * @param {Object} payload
+ * @returns {Object}
+ */
+export const mapShopifyRefund = (payload) => ({
+  externalId: String(payload.id),
+  createdAt: payload.created_at,
+  note: payload.note || null,
+  amount: (payload.transactions || [])
+    .filter((transaction) => transaction.kind === 'refund' && transaction.status === 'success')
+    .reduce((sum, transaction) => sum + Number(transaction.amount), 0),
+  lineItems: (payload.refund_line_items || []).map((item) => ({
+    lineItemId: String(item.line_item_id),
+    quantity: item.quantity,
+    subtotal: toAmount(item.subtotal),
+    totalTax: toAmount(item.total_tax),
+  })),
+});
@@ -0,0 +1,32 @@
+import crypto from 'crypto';
+
+export const SHOPIFY_TOPICS = ['orders/create', 'orders/updated', 'refunds/create'];
+
+/**
+ * Verifica el header X-Shopify-Hmac-Sha256 (HMAC-SHA256 en base64 del body crudo)
+ * @param {Buffer} rawBody
+ * @param {string} hmacHeader
+ * @param {string} secret
+ * @returns {boolean}
+ */
+export const verifyShopifyHmac = (rawBody, hmacHeader, secret) => {
+  if (!rawBody || !hmacHeader || !secret) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+  // Buffer.from ignora caracteres inválidos y lo que siga al relleno: solo vale el base64 exacto
+  if (received.toString('base64') !== hmacHeader) return false;
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Extrae los headers relevantes de un webhook de Shopify
+ * @param {Object} headers - req.headers
+ */
+export const readShopifyHeaders = (headers) => ({
+  hmac: headers['x-shopify-hmac-sha256'],
+  topic: headers['x-shopify-topic'],
+  shopDomain: headers['x-shopify-shop-domain']?.toLowerCase(),
+  webhookId: headers['x-shopify-webhook-id'] || headers['x-shopify-event-id'],
+});
@@ -0,0 +1,9 @@
+export { createSiigoClient, clearSiigoTokens } from './siigo.client.js';
+export {
+  buildSiigoCustomer,
+  buildSiigoInvoice,
+  getCustomerIdentification,
+  getOrderMarker,
+  toSiigoDate,
+} from './siigo.invoice-mapper.js';
+export { buildSiigoCustomerFromRow, buildSiigoProductFromRow } from './siigo.import-mapper.js';
@@ -0,0 +1,177 @@
+import { config } from '../../config/index.js';
+import { logger } from '../../utils/logger.js';
+import { createHttpClient, toIntegrationError } from '../http-client.js';
+
+const PROVIDER = 'Siigo';
+const MAX_PAGE_SIZE = 100;
+
+// Tokens por compañía/usuario: { accessToken, expiresAt, pending }
+const tokenCache = new Map();
+
+/**
+ * Limpia los tokens cacheados (todos o los de una compañía)
+ * @param {number} [companyId]
+ */
+export const clearSiigoTokens = (companyId) => {
+  if (companyId === undefined) return tokenCache.clear();
+
+  for (const key of tokenCache.keys()) {
+    if (key.startsWith(`${companyId}:`)) tokenCache.delete(key);
+  }
+};
+
+/**
+ * Cliente del API de Siigo para una compañía. El access token se obtiene con las
+ * credenciales de la compañía, se cachea y se renueva antes de expirar (o ante un 401).
+ * Todos los errores del proveedor se lanzan como IntegrationError('Siigo', ...).
+ * @param {Object} options
+ * @param {number} options.companyId
+ * @param {string} options.username - Usuario API de Siigo
+ * @param {string} options.accessKey - Access key de Siigo
+ * @param {string} [options.baseUrl] - Permite apuntar a un stub local en tests
+ */
+export const createSiigoClient = ({
+  companyId,
+  username,
+  accessKey,
+  baseUrl = config.siigo.baseUrl,
+}) => {
+  const http = createHttpClient({
+    provider: PROVIDER,
+    baseURL: baseUrl,
+    timeout: config.siigo.timeoutMs,
+    maxRetries: config.siigo.maxRetries,
+    retryBaseDelayMs: config.siigo.retryBaseDelayMs,
+    headers: { 'Partner-Id': config.siigo.partnerId },
+  });
+  const cacheKey = `${companyId}:${username}`;
+
+  const requestToken = async () => {
+    const { data } = await http.post(
+      '/auth',
+      { username, access_key: accessKey },
+      { retryNonIdempotent: true }
+    );
+
+    logger.debug({ companyId, expiresIn: data.expires_in }, 'Siigo access token obtained');
+    return { accessToken: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 };
+  };
+
+  const getAccessToken = async ({ forceRefresh = false } = {}) => {
+    const cached = tokenCache.get(cacheKey);
+    const margin = config.siigo.tokenRefreshMarginSeconds * 1000;
+
+    if (!forceRefresh && cached?.accessToken && cached.expiresAt - margin > Date.now()) {
+      return cached.accessToken;
+    }
+    if (cached?.pending) return cached.pending;
+
+    // Peticiones concurrentes comparten la misma renovación
+    const pending = requestToken()
+      .then((token) => {
+        tokenCache.set(cacheKey, token);
+        return token.accessToken;
+      })
+      .catch((error) => {
+        tokenCache.delete(cacheKey);
+        throw error;
+      });
+    tokenCache.set(cacheKey, { ...cached, pending });
+
+    return pending;
+  };
+
+  const request = async (method, url, { params, data } = {}) => {
+    const send = async (token) => {
+      const response = await http.request({
+        method,
+        url,
+        params,
+        data,
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      return response.data;
+    };
+
+    try {
+      try {
+        return await send(await getAccessToken());
+      } catch (error) {
+        // Token revocado o expirado antes de tiempo: se renueva una sola vez
+        if (error.response?.status !== 401) throw error;
+        return await send(await getAccessToken({ forceRefresh: true }));
+      }
+    } catch (error) {
+      throw toIntegrationError(PROVIDER, error);
+    }
+  };
+
+  /**
+   * Recorre todas las páginas de un listado de Siigo
+   * @param {string} path
+   * @param {Object} [params] - Filtros del endpoint (page_size opcional)
+   */
+  async function* paginate(path, params = {}) {
+    const pageSize = Math.min(params.page_size || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+    let page = params.page || 1;
+
+    while (true) {
+      const body = await request('get', path, { params: { ...params, page, page_size: pageSize } });
+      const results = body.results || [];
+
+      yield* results;
+
+      const total = body.pagination?.total_results ?? 0;
+      if (results.length === 0 || page * pageSize >= total) return;
+      page += 1;
+    }
+  }
+
+  const listAll = async (path, params) => {
+    const items = [];
+    for await (const item of paginate(path, params)) items.push(item);
+    return items;
+  };
+
+  const resource = (path) => ({
+    list: (params) => request('get', path, { params }),
+    iterate: (params) => paginate(path, params),
+    listAll: (params) => listAll(path, params),
+    get: (id) => request('get', `${path}/${id}`),
+    create: (data) => request('post', path, { data }),
+    update: (id, data) => request('put', `${path}/${id}`, { data }),
+  });
+
+  return {
+    companyId,
+    getAccessToken,
+    request,
+    customers: {
+      ...resource('/v1/customers'),
+      findByIdentification: async (identification) =>
+        (await request('get', '/v1/customers', { params: { identification } })).results?.[0] ||
+        null,
+    },
+    products: {
+      ...resource('/v1/products'),
+      findByCode: async (code) =>
+        (await request('get', '/v1/products', { params: { code } })).results?.[0] || null,
+    },
+    invoices: resource('/v1/invoices'),
+    taxes: () => request('get', '/v1/taxes'),
+    paymentTypes: (documentType = 'FV') =>
+      request('get', '/v1/payment-types', { params: { document_type: documentType } }),
+    documentTypes: (type = 'FV') => request('get', '/v1/document-types', { params: { type } }),
+    /**
+     * Verifica las credenciales pidiendo un token nuevo
+     */
+    testConnection: async () => {
+      try {
+        await getAccessToken({ forceRefresh: true });
+        return true;
+      } catch (error) {
+        throw toIntegrationError(PROVIDER, error);
+      }
+    },
+  };
+};
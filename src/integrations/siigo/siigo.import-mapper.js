@@ -0,0 +1,54 @@
+/**
+ * Cuerpo de POST /v1/customers para una fila importada (ver customerImportRowValidator)
+ * @param {Object} row
+ * @param {Object} settings - Company.siigoSettings (defaultCity cuando la fila no trae ciudad)
+ */
+export const buildSiigoCustomerFromRow = (row, settings) => {
+  const isCompany = row.personType === 'Company';
+  const name = isCompany ? [row.companyName] : [row.firstName, row.lastName];
+  const city = row.cityCode
+    ? { country_code: row.countryCode, state_code: row.stateCode, city_code: row.cityCode }
+    : settings.defaultCity;
+
+  return {
+    type: 'Customer',
+    person_type: isCompany ? 'Company' : 'Person',
+    id_type: row.idType,
+    identification: row.identification,
+    ...(row.checkDigit !== undefined && { check_digit: row.checkDigit }),
+    name,
+    address: { address: row.address || 'N/A', city },
+    phones: row.phone ? [{ number: row.phone }] : [],
+    contacts: row.email
+      ? [
+          {
+            first_name: isCompany ? row.companyName : row.firstName,
+            last_name: isCompany ? '' : row.lastName,
+            email: row.email,
+          },
+        ]
+      : [],
+  };
+};
+
+/**
+ * Cuerpo de POST /v1/products para una fila importada (ver productImportRowValidator)
+ * @param {Object} row
+ */
+export const buildSiigoProductFromRow = (row) => ({
+  code: row.code,
+  name: row.name,
+  account_group: row.accountGroupId,
+  type: row.type,
+  stock_control: row.stockControl,
+  tax_classification: row.taxId ? 'Taxed' : 'Excluded',
+  tax_included: row.taxIncluded,
+  taxes: row.taxId ? [{ id: row.taxId }] : [],
+  prices:
+    row.price !== undefined
+      ? [{ currency_code: 'COP', price_list: [{ position: 1, value: row.price }] }]
+      : [],
+  ...(row.reference && { reference: row.reference }),
+  ...(row.description && { description: row.description }),
+  ...(row.barcode && { additional_fields: { barcode: row.barcode } }),
+});
@@ -0,0 +1,170 @@
+import { UnprocessableEntityError } from '../../errors/index.js';
+
+// Identificación que la DIAN asigna al consumidor final
+const FINAL_CONSUMER_IDENTIFICATION = '222222222222';
+
+// Atributos de nota de la orden donde la tienda suele capturar el NIT o cédula
+const IDENTIFICATION_ATTRIBUTES = ['identification', 'document', 'nit', 'cedula', 'cédula'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Marca incluida en las observaciones de la factura para reconocerla si un reintento
+ * no sabe si el intento anterior llegó a crearla en Siigo
+ * @param {Order} order
+ */
+export const getOrderMarker = (order) => `[mordecai:order:${order.id}]`;
+
+/**
+ * Fecha de la factura (YYYY-MM-DD) en la zona horaria de Colombia
+ * @param {Date|string} date
+ */
+export const toSiigoDate = (date) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Bogota' }).format(new Date(date));
+
+/**
+ * @param {Order} order
+ * @param {Object} settings - Company.siigoSettings
+ * @returns {string}
+ */
+export const getCustomerIdentification = (order, settings) => {
+  const attribute = (order.raw?.note_attributes || []).find((note) =>
+    IDENTIFICATION_ATTRIBUTES.includes(String(note.name).trim().toLowerCase())
+  );
+  const identification = String(attribute?.value || '').replace(/[^0-9]/g, '');
+
+  return identification || settings.defaultCustomerIdentification || FINAL_CONSUMER_IDENTIFICATION;
+};
+
+/**
+ * Cuerpo de POST /v1/customers para el comprador de la orden
+ * @param {Order} order
+ * @param {string} identification
+ * @param {Object} settings - Company.siigoSettings
+ */
+export const buildSiigoCustomer = (order, identification, settings) => {
+  const isFinalConsumer = identification === FINAL_CONSUMER_IDENTIFICATION;
+  const firstName = isFinalConsumer ? 'Consumidor' : order.customer?.firstName || 'Cliente';
+  const lastName = isFinalConsumer ? 'Final' : order.customer?.lastName || order.orderNumber;
+  const address = order.billingAddress || {};
+
+  return {
+    type: 'Customer',
+    person_type: 'Person',
+    id_type: '13',
+    identification,
+    name: [firstName, lastName],
+    address: {
+      address: [address.address1, address.address2].filter(Boolean).join(' ') || 'N/A',
+      city: settings.defaultCity,
+    },
+    phones: address.phone ? [{ number: address.phone.replace(/[^0-9]/g, '').slice(-10) }] : [],
+    contacts: [
+      {
+        first_name: firstName,
+        last_name: lastName,
+        email: order.email || undefined,
+      },
+    ],
+  };
+};
+
+const resolveTaxId = (settings, rate) => {
+  const taxId = settings.taxes?.[String(rate)];
+  if (!taxId) {
+    throw new UnprocessableEntityError(`No Siigo tax configured for rate ${rate}.`, { rate });
+  }
+  return taxId;
+};
+
+/**
+ * Cuerpo de POST /v1/invoices para una orden
+ * @param {Object} options
+ * @param {Order} options.order
+ * @param {Object} options.settings - Company.siigoSettings
+ * @param {string} options.customerIdentification
+ * @param {Object<string, string>} options.productCodes - SKU → código de producto en Siigo
+ * @returns {Object}
+ */
+export const buildSiigoInvoice = ({ order, settings, customerIdentification, productCodes }) => {
+  if (!settings.documentId || !settings.sellerId) {
+    throw new UnprocessableEntityError('Siigo invoicing is not configured for this company.', {
+      missing: ['documentId', 'sellerId'].filter((key) => !settings[key]),
+    });
+  }
+
+  // Con taxes_included los precios de Shopify traen el impuesto y Siigo espera el valor neto
+  const taxesIncluded = order.raw?.taxes_included === true;
+
+  const toItem = ({ code, description, quantity, price, discount = 0, taxLines }) => {
+    const taxes = taxLines.filter((tax) => tax.rate > 0);
+    const rate = taxes.reduce((sum, tax) => sum + tax.rate, 0);
+    const divisor = taxesIncluded ? 1 + rate : 1;
+
+    return {
+      code,
+      description,
+      quantity,
+      price: round2(price / divisor),
+      discount: round2(discount / divisor),
+      taxes: taxes.map((tax) => ({ id: resolveTaxId(settings, tax.rate) })),
+    };
+  };
+
+  const items = order.lineItems.map((item) =>
+    toItem({
+      code: productCodes[item.sku],
+      description: item.title,
+      quantity: item.quantity,
+      price: item.price,
+      discount: item.totalDiscount || 0,
+      taxLines: item.taxable ? item.taxLines : [],
+    })
+  );
+
+  // El pago es el total de la orden, que incluye el envío: sin un ítem de envío los totales
+  // no cuadran y Siigo rechaza la factura
+  const shippingLines = (order.raw?.shipping_lines || []).filter(
+    (line) => Number(line.discounted_price ?? line.price ?? 0) > 0
+  );
+  if (shippingLines.length > 0 && !settings.shippingProductCode) {
+    throw new UnprocessableEntityError(
+      'The order has shipping but no Siigo shipping product is configured.',
+      { missing: ['shippingProductCode'] }
+    );
+  }
+  for (const line of shippingLines) {
+    items.push(
+      toItem({
+        code: settings.shippingProductCode,
+        description: line.title ? `Envío - ${line.title}` : 'Envío',
+        quantity: 1,
+        price: Number(line.discounted_price ?? line.price),
+        taxLines: (line.tax_lines || []).map((tax) => ({ rate: Number(tax.rate) })),
+      })
+    );
+  }
+
+  const gateway = order.paymentGateways[0];
+  const paymentTypeId = settings.paymentTypes?.[gateway] || settings.defaultPaymentTypeId;
+  if (!paymentTypeId) {
+    throw new UnprocessableEntityError(`No Siigo payment type configured for "${gateway}".`, {
+      gateway,
+    });
+  }
+
+  const date = toSiigoDate(order.placedAt || order.createdAt);
+
+  return {
+    document: { id: settings.documentId },
+    date,
+    customer: { identification: customerIdentification, branch_office: 0 },
+    ...(settings.costCenterId && { cost_center: settings.costCenterId }),
+    seller: settings.sellerId,
+    observations: `Orden ${order.orderNumber} ${getOrderMarker(order)}`,
+    items,
+    payments: [{ id: paymentTypeId, value: Number(order.total), due_date: date }],
+    stamp: { send: settings.sendStamp !== false },
+    mail: { send: settings.sendMail === true },
+  };
+};
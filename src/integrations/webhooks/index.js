@@ -0,0 +1,6 @@
+export {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  sendWebhook,
+  signWebhookPayload,
+} from './webhook.sender.js';
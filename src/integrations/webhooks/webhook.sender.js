@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import { config } from '../../config/index.js';
+import { IntegrationError } from '../../errors/index.js';
+import { isPublicAddress, isPublicHostname } from '../../utils/network.js';
+import { createHttpClient, toIntegrationError } from '../http-client.js';
+
+const PROVIDER = 'Webhook';
+
+// Código de error cuando el destino no es una IP pública
+const BLOCKED_ADDRESS_CODE = 'ERR_WEBHOOK_ADDRESS_BLOCKED';
+
+/**
+ * Resolución de DNS que rechaza las IPs no públicas. Se revisa la IP a la que de verdad se
+ * conecta: validar la URL al crear la suscripción no basta si el DNS cambia después
+ * (DNS rebinding).
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.some(({ address }) => !isPublicAddress(address))) {
+      const blocked = new Error(`${hostname} resolves to a non-public address`);
+      blocked.code = BLOCKED_ADDRESS_CODE;
+      return callback(blocked);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const agents = {
+  httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup }),
+};
+
+export const SIGNATURE_HEADER = 'X-Mordecai-Signature';
+export const TIMESTAMP_HEADER = 'X-Mordecai-Timestamp';
+
+/**
+ * Firma de una entrega: HMAC-SHA256 en hex de "<timestamp>.<body>". Al incluir el
+ * timestamp, el receptor puede rechazar entregas viejas (replay) además de verificar el body.
+ * @param {string} secret
+ * @param {number} timestamp - Segundos Unix, el mismo del header X-Mordecai-Timestamp
+ * @param {string} body - Body crudo tal como se envía
+ * @returns {string}
+ */
+export const signWebhookPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Envía una entrega firmada con un solo intento: los reintentos los hace la cola.
+ * Cualquier respuesta fuera de 2xx (incluidas las redirecciones) es un fallo, igual que un
+ * destino que no es una IP pública (salvo config.outboundWebhooks.allowPrivateNetworks).
+ * @param {Object} params
+ * @param {string} params.url
+ * @param {string} params.secret
+ * @param {string} params.event
+ * @param {string} params.eventId
+ * @param {number} params.deliveryId
+ * @param {string} params.body - JSON serializado
+ * @returns {Promise<{ status: number, body: string }>}
+ * @throws {IntegrationError} Error de red, timeout o respuesta no 2xx
+ */
+export const sendWebhook = async ({ url, secret, event, eventId, deliveryId, body }) => {
+  const http = createHttpClient({
+    provider: PROVIDER,
+    timeout: config.outboundWebhooks.timeoutMs,
+    maxRetries: 0,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const { allowPrivateNetworks } = config.outboundWebhooks;
+
+  // Las IP literales no pasan por el DNS: se revisan aquí
+  if (!allowPrivateNetworks && !isPublicHostname(new URL(url).hostname)) {
+    throw new IntegrationError(PROVIDER, {
+      status: null,
+      code: BLOCKED_ADDRESS_CODE,
+      message: 'The webhook URL does not point to a public host.',
+    });
+  }
+
+  try {
+    const response = await http.post(url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Mordecai-Webhooks/1.0',
+        'X-Mordecai-Event': event,
+        'X-Mordecai-Event-Id': eventId,
+        'X-Mordecai-Delivery': String(deliveryId),
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: `v1=${signWebhookPayload(secret, timestamp, body)}`,
+      },
+      maxRedirects: 0,
+      responseType: 'text',
+      ...(!allowPrivateNetworks && agents),
+    });
+
+    return { status: response.status, body: response.data };
+  } catch (error) {
+    throw toIntegrationError(PROVIDER, error);
+  }
+};
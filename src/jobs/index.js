@@ -0,0 +1,51 @@
+import { config } from '../config/index.js';
+import { JOB_TYPES } from './job-types.js';
+import { defineJob } from './queue.js';
+import { processWebhookEvent } from '../services/shopify-webhook.service.js';
+import { runInvoiceSync } from '../services/invoice-sync.service.js';
+import { deliverWebhook } from '../services/outbound-webhook.service.js';
+import { runCatalogReconciliation } from '../services/catalog-reconciliation.service.js';
+import { runDataImport } from '../services/data-import.service.js';
+
+/**
+ * Registra los handlers de todos los tipos de trabajo
+ */
+export const registerJobs = () => {
+  defineJob(JOB_TYPES.SHOPIFY_WEBHOOK, ({ eventId }) => processWebhookEvent(eventId), {
+    concurrency: 4,
+  });
+
+  // Siigo limita las peticiones por usuario: pocas facturas en paralelo
+  defineJob(JOB_TYPES.INVOICE_SYNC, ({ syncId }) => runInvoiceSync(syncId), {
+    concurrency: 2,
+    maxAttempts: 6,
+    retryBaseDelayMs: 30 * 1000,
+  });
+
+  defineJob(JOB_TYPES.WEBHOOK_DELIVERY, ({ deliveryId }, job) => deliverWebhook(deliveryId, job), {
+    concurrency: 4,
+    maxAttempts: config.outboundWebhooks.maxAttempts,
+    retryBaseDelayMs: config.outboundWebhooks.retryBaseDelayMs,
+  });
+
+  // Descarga catálogos completos de ambos proveedores: una a la vez por proceso
+  defineJob(
+    JOB_TYPES.CATALOG_RECONCILIATION,
+    ({ reconciliationId }, job) => runCatalogReconciliation(reconciliationId, job),
+    {
+      concurrency: 1,
+      maxAttempts: config.catalogReconciliation.maxAttempts,
+      retryBaseDelayMs: 60 * 1000,
+    }
+  );
+
+  // Las filas van a Siigo una por una: una importación a la vez por proceso
+  defineJob(JOB_TYPES.DATA_IMPORT, ({ importId }, job) => runDataImport(importId, job), {
+    concurrency: 1,
+    maxAttempts: config.imports.maxAttempts,
+    retryBaseDelayMs: 30 * 1000,
+  });
+};
+
+export { JOB_TYPES };
+export { enqueueJob, getQueueStats, startJobWorker, stopJobWorker } from './queue.js';
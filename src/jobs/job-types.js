@@ -0,0 +1,10 @@
+/**
+ * Tipos de trabajo de la cola. Los handlers se registran en src/jobs/index.js.
+ */
+export const JOB_TYPES = Object.freeze({
+  SHOPIFY_WEBHOOK: 'shopify.webhook',
+  INVOICE_SYNC: 'invoice.sync',
+  WEBHOOK_DELIVERY: 'webhook.deliver',
+  CATALOG_RECONCILIATION: 'catalog.reconcile',
+  DATA_IMPORT: 'data.import',
+});
@@ -0,0 +1,290 @@
+import crypto from 'crypto';
+import os from 'os';
+import { config } from '../config/index.js';
+import { Job } from '../models/index.js';
+import { logger } from '../utils/logger.js';
+import { getRequestId, runWithRequestContext } from '../utils/request-context.js';
+import { getCurrentCompanyId, runAsSystem, runWithTenant } from '../utils/tenant-context.js';
+
+// Tope del backoff entre reintentos
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+const definitions = new Map();
+const running = new Map();
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+let pollTimer = null;
+let polling = null;
+let stopping = false;
+
+/**
+ * Registra el handler de un tipo de trabajo
+ * @param {string} type
+ * @param {(payload: Object, job: Job) => Promise<any>} handler
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Trabajos de este tipo en paralelo por proceso
+ * @param {number} [options.maxAttempts] - Intentos antes de pasar a dead
+ * @param {number} [options.retryBaseDelayMs] - Base del backoff exponencial
+ */
+export const defineJob = (type, handler, options = {}) => {
+  definitions.set(type, {
+    handler,
+    concurrency: options.concurrency || config.jobs.defaultConcurrency,
+    maxAttempts: options.maxAttempts || config.jobs.defaultMaxAttempts,
+    retryBaseDelayMs: options.retryBaseDelayMs || config.jobs.retryBaseDelayMs,
+  });
+  running.set(type, new Set());
+};
+
+/**
+ * Encola un trabajo. Por defecto hereda la compañía del contexto actual, en cuyo
+ * contexto se ejecutará el handler.
+ * @param {string} type
+ * @param {Object} [payload]
+ * @param {Object} [options]
+ * @param {number} [options.delayMs] - Retraso antes de poder ejecutarse
+ * @param {Date} [options.runAt] - Fecha programada de ejecución
+ * @param {number} [options.priority=0] - Mayor prioridad se toma primero
+ * @param {number} [options.maxAttempts]
+ * @param {number|null} [options.companyId]
+ * @param {import('sequelize').Transaction} [options.transaction] - Encolar solo si la transacción confirma
+ * @returns {Promise<Job>}
+ */
+export const enqueueJob = async (type, payload = {}, options = {}) => {
+  const definition = definitions.get(type);
+  if (!definition) throw new Error(`Unknown job type: ${type}`);
+
+  const runAt = options.runAt || new Date(Date.now() + (options.delayMs || 0));
+  const job = await Job.create(
+    {
+      type,
+      payload,
+      runAt,
+      priority: options.priority || 0,
+      maxAttempts: options.maxAttempts || definition.maxAttempts,
+      companyId: options.companyId !== undefined ? options.companyId : getCurrentCompanyId(),
+      requestId: getRequestId(),
+    },
+    { transaction: options.transaction }
+  );
+
+  logger.debug({ jobId: job.id, type, runAt }, 'Job enqueued');
+  return job;
+};
+
+const getRetryDelay = (definition, attempts) =>
+  Math.min(definition.retryBaseDelayMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * Toma trabajos disponibles de un tipo. SKIP LOCKED evita que dos workers tomen la
+ * misma fila; los trabajos en running con el lock vencido se recuperan (proceso caído).
+ * El lock de un trabajo en curso se renueva cada tercio de lockTimeoutMs.
+ */
+const claimJobs = async (type, limit) => {
+  const rows = await Job.sequelize.query(
+    `UPDATE "jobs"
+        SET "status" = 'running', "attempts" = "attempts" + 1,
+            "lockedAt" = NOW(), "lockedBy" = :workerId, "updatedAt" = NOW()
+      WHERE "id" IN (
+        SELECT "id" FROM "jobs"
+         WHERE "type" = :type
+           AND (("status" = 'pending' AND "runAt" <= NOW())
+             OR ("status" = 'running' AND "lockedAt" < NOW() - (:lockTimeoutMs * INTERVAL '1 millisecond')))
+         ORDER BY "priority" DESC, "runAt" ASC
+         LIMIT :limit
+         FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *`,
+    {
+      replacements: {
+        type,
+        limit,
+        workerId,
+        lockTimeoutMs: config.jobs.lockTimeoutMs,
+      },
+      model: Job,
+      mapToModel: true,
+    }
+  );
+
+  return rows;
+};
+
+// Solo actualiza si el trabajo sigue siendo de este worker (no fue recuperado por otro)
+const finishJob = (job, values) =>
+  Job.update(
+    { ...values, lockedAt: null, lockedBy: null },
+    { where: { id: job.id, lockedBy: workerId, status: 'running' } }
+  );
+
+// Renueva el lock mientras el handler corre, con el reloj de la base de datos como claimJobs;
+// así un trabajo largo no se considera abandonado y otro worker no lo ejecuta en paralelo
+const startHeartbeat = (job) => {
+  const timer = setInterval(() => {
+    Job.update(
+      { lockedAt: Job.sequelize.fn('NOW') },
+      { where: { id: job.id, lockedBy: workerId, status: 'running' } }
+    )
+      .then(([renewed]) => {
+        if (renewed === 0) logger.warn({ jobId: job.id, type: job.type }, 'Job lock lost');
+      })
+      .catch((error) =>
+        logger.error({ error, jobId: job.id, type: job.type }, 'Error renewing job lock')
+      );
+  }, config.jobs.lockTimeoutMs / 3);
+
+  return () => clearInterval(timer);
+};
+
+const runHandler = async (job, definition) => {
+  const context = job.companyId ? (fn) => runWithTenant(job.companyId, fn) : runAsSystem;
+  const startedAt = Date.now();
+
+  try {
+    await context(() => definition.handler(job.payload, job));
+  } catch (error) {
+    const dead = job.attempts >= job.maxAttempts;
+    const runAt = new Date(Date.now() + getRetryDelay(definition, job.attempts));
+
+    if (dead) {
+      logger.error(
+        { error, jobId: job.id, type: job.type, attempts: job.attempts },
+        'Job moved to dead letter'
+      );
+    } else {
+      logger.warn(
+        { error, jobId: job.id, type: job.type, attempts: job.attempts, runAt },
+        'Job failed, retry scheduled'
+      );
+    }
+
+    return {
+      status: dead ? 'dead' : 'pending',
+      runAt: dead ? job.runAt : runAt,
+      lastError: error.message,
+    };
+  }
+
+  logger.info(
+    { jobId: job.id, type: job.type, durationMs: Date.now() - startedAt },
+    'Job completed'
+  );
+  return { status: 'completed', completedAt: new Date(), lastError: null };
+};
+
+const executeJob = async (job, definition) => {
+  const stopHeartbeat = startHeartbeat(job);
+
+  // Los logs y las llamadas a proveedores del trabajo llevan el request ID que lo originó
+  const result = await (
+    job.requestId
+      ? runWithRequestContext(
+          { requestId: job.requestId, log: logger.child({ requestId: job.requestId }) },
+          () => runHandler(job, definition)
+        )
+      : runHandler(job, definition)
+  ).finally(stopHeartbeat);
+
+  // Si no se puede registrar el resultado el trabajo queda en running y se recupera
+  // cuando venza su lock (entrega al menos una vez)
+  try {
+    await finishJob(job, result);
+  } catch (error) {
+    logger.error({ error, jobId: job.id, type: job.type }, 'Error saving job result');
+  }
+};
+
+const poll = async () => {
+  for (const [type, definition] of definitions) {
+    if (stopping) return;
+
+    const active = running.get(type);
+    const available = definition.concurrency - active.size;
+    if (available <= 0) continue;
+
+    const jobs = await claimJobs(type, available);
+    for (const job of jobs) {
+      const execution = executeJob(job, definition).finally(() => active.delete(execution));
+      active.add(execution);
+    }
+  }
+};
+
+const schedulePoll = () => {
+  if (stopping) return;
+
+  pollTimer = setTimeout(() => {
+    polling = poll()
+      .catch((error) => logger.error({ error }, 'Error polling jobs'))
+      .finally(() => {
+        polling = null;
+        schedulePoll();
+      });
+  }, config.jobs.pollIntervalMs);
+};
+
+/**
+ * Estado de la cola para el health check: trabajos listos para ejecutarse, el más
+ * antiguo de ellos y trabajos muertos
+ * @returns {Promise<{ ready: number, oldestReadyAt: Date|null, dead: number, workerRunning: boolean }>}
+ */
+export const getQueueStats = async () => {
+  const [stats] = await Job.sequelize.query(
+    `SELECT COUNT(*) FILTER (WHERE "status" = 'pending' AND "runAt" <= NOW())::int AS "ready",
+            MIN("runAt") FILTER (WHERE "status" = 'pending' AND "runAt" <= NOW()) AS "oldestReadyAt",
+            COUNT(*) FILTER (WHERE "status" = 'dead')::int AS "dead"
+       FROM "jobs"`,
+    { type: Job.sequelize.QueryTypes.SELECT }
+  );
+
+  return {
+    ready: stats.ready,
+    oldestReadyAt: stats.oldestReadyAt ? new Date(stats.oldestReadyAt) : null,
+    dead: stats.dead,
+    workerRunning: Boolean(pollTimer || polling) && !stopping,
+  };
+};
+
+/**
+ * Inicia el worker de este proceso: consulta la cola periódicamente y ejecuta los
+ * trabajos respetando la concurrencia de cada tipo
+ */
+export const startJobWorker = () => {
+  if (pollTimer || polling) return;
+
+  stopping = false;
+  logger.info({ workerId, types: [...definitions.keys()] }, 'Job worker started');
+  schedulePoll();
+};
+
+/**
+ * Deja de tomar trabajos y espera a que terminen los que están en curso.
+ * Los que no terminen a tiempo quedan en running y otro worker los recupera
+ * cuando venza su lock.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<boolean>} true si todos los trabajos terminaron
+ */
+export const stopJobWorker = async ({ timeoutMs = config.jobs.shutdownTimeoutMs } = {}) => {
+  stopping = true;
+  clearTimeout(pollTimer);
+  pollTimer = null;
+
+  if (polling) await polling;
+
+  const pending = [...running.values()].flatMap((executions) => [...executions]);
+  if (pending.length === 0) return true;
+
+  logger.info({ jobs: pending.length }, 'Waiting for running jobs to finish');
+  let timer;
+  const drained = await Promise.race([
+    Promise.allSettled(pending).then(() => true),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    }),
+  ]);
+  clearTimeout(timer);
+
+  if (!drained) logger.warn('Shutdown timeout reached with jobs still running');
+  return drained;
+};
@@ -1,14 +1,29 @@
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import rateLimit from 'express-rate-limit';
 import { config } from '../config/index.js';
-import { logger } from '../utils/logger.js';
 import { routes } from '../routes/index.js';
 import { responseHandler } from '../middlewares/index.js';
-import { errorHandlerMiddleware } from '../middlewares/index.js';
+import {
+  errorHandlerMiddleware,
+  metricsMiddleware,
+  rateLimitMiddleware,
+  requestContextMiddleware,
+} from '../middlewares/index.js';
 
 export const loadExpress = (app) => {
+  // IP real del cliente detrás de proxies/balanceadores (X-Forwarded-For)
+  app.set('trust proxy', config.app.trustProxy);
+
+  // Request ID, req.log y log de cada petición completada (antes que todo para cubrir cualquier error)
+  app.use(requestContextMiddleware.requestContext);
+
+  // Conteo y latencia por ruta y status para /metrics
+  if (config.metrics.enabled) app.use(metricsMiddleware.httpMetrics);
+
+  // Helpers de respuesta (res.ok, res.problem, ...), antes del rate limiter que los usa
+  app.use(responseHandler);
+
   // Security headers
   app.use(helmet());
 
@@ -18,49 +33,48 @@ export const loadExpress = (app) => {
       origin: config.cors.origin === '*' ? true : config.cors.origin.split(','),
       credentials: config.cors.credentials,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'x-app-token'],
+      allowedHeaders: [
+        'Content-Type',
+        'Authorization',
+        'x-app-token',
+        'X-Request-Id',
+        'Idempotency-Key',
+      ],
+      exposedHeaders: ['X-Request-Id', 'Idempotent-Replayed', 'Retry-After'],
     })
   );
 
-  // Body parsers
-  app.use(express.json({ limit: '20mb' }));
-  app.use(express.urlencoded({ extended: true, limit: '20mb' }));
-
-  // Rate limiting
-  const limiter = rateLimit({
-    windowMs: config.rateLimit.windowMs,
-    max: config.rateLimit.max,
-    message: {
-      success: false,
-      message: 'Too many requests from this IP, try again later.',
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-  });
-  app.use('/api/', limiter);
-
-  // Request logging
-  app.use((req, res, next) => {
-    logger.info(
-      {
-        method: req.method,
-        url: req.url,
-        ip: req.ip,
+  // Body parsers (los webhooks conservan el body crudo para verificar su firma HMAC)
+  app.use(
+    express.json({
+      limit: '20mb',
+      verify: (req, _res, buf) => {
+        if (req.originalUrl.startsWith(`/api/${config.app.apiVersion}/webhooks/`)) {
+          req.rawBody = buf;
+        }
       },
-      'Incoming request'
-    );
-    next();
-  });
+    })
+  );
+  app.use(express.urlencoded({ extended: true, limit: '20mb' }));
 
-  // Response handler middleware
-  app.use(responseHandler);
+  // Rate limiting por IP para todo /api (las rutas autenticadas suman su política por usuario).
+  // Los webhooks entrantes tienen su propia política (routes/webhook.route.js) y los health
+  // checks no se limitan: los probes del orquestador o del balanceador llegan cada pocos
+  // segundos desde la misma IP y un 429 sacaría la instancia de rotación
+  const apiLimiter = rateLimitMiddleware.rateLimit('api');
+  const unlimitedPaths = new RegExp(
+    `^/api/${config.app.apiVersion}/(webhooks/|health(/|\\?|$))`
+  );
+  app.use('/api/', (req, res, next) =>
+    unlimitedPaths.test(req.originalUrl) ? next() : apiLimiter(req, res, next)
+  );
 
   // Routes
   routes(app);
 
   // 404 handler
   app.use((req, res) => {
-    res.notFound('Route not found');
+    res.notFound('Route');
   });
 
   // Error handler (debe ir al final)
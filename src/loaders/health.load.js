@@ -0,0 +1,6 @@
+import { registerHealthChecks } from '../health/index.js';
+
+export const loadHealthChecks = () => {
+  // Base de datos, cola de trabajos e integraciones verificadas por /health/ready
+  registerHealthChecks();
+};
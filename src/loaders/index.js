@@ -1,4 +1,7 @@
 import * as loadExpress from './express.load.js';
 import * as loadDatabase from './sequelize.load.js';
+import * as loadJobs from './jobs.load.js';
+import * as loadScheduler from './scheduler.load.js';
+import * as loadHealthChecks from './health.load.js';
 
-export { loadExpress, loadDatabase };
\ No newline at end of file
+export { loadExpress, loadDatabase, loadJobs, loadScheduler, loadHealthChecks };
\ No newline at end of file
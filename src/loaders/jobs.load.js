@@ -0,0 +1,35 @@
+import { config } from '../config/index.js';
+import { sequelize } from '../config/database.js';
+import { registerJobs, startJobWorker, stopJobWorker } from '../jobs/index.js';
+import { logger } from '../utils/logger.js';
+
+let workerStarted = false;
+
+export const loadJobs = () => {
+  // La cola vive en Postgres: sin base de datos no hay trabajos
+  if (!config.db.enabled || !sequelize) {
+    logger.info('Database is disabled. Skipping job worker.');
+    return;
+  }
+
+  // Los tipos se registran siempre para poder encolar aunque este proceso no consuma la cola
+  registerJobs();
+
+  if (!config.jobs.workerEnabled) {
+    logger.info('Job worker is disabled in this process');
+    return;
+  }
+
+  startJobWorker();
+  workerStarted = true;
+};
+
+/**
+ * Drena el worker durante el apagado: deja de tomar trabajos y espera los que están en curso
+ */
+export const unloadJobs = async () => {
+  if (!workerStarted) return;
+
+  const drained = await stopJobWorker();
+  logger.info({ drained }, 'Job worker stopped');
+};
@@ -0,0 +1,36 @@
+import { config } from '../config/index.js';
+import { sequelize } from '../config/database.js';
+import { registerTasks, startScheduler, stopScheduler } from '../scheduler/index.js';
+import { logger } from '../utils/logger.js';
+
+let tasksRegistered = false;
+
+export const loadScheduler = () => {
+  // Los locks y el historial viven en Postgres
+  if (!config.db.enabled || !sequelize) {
+    logger.info('Database is disabled. Skipping scheduler.');
+    return;
+  }
+
+  // Las tareas se registran siempre para poder ejecutarlas desde el API (run-now)
+  registerTasks();
+  tasksRegistered = true;
+
+  if (!config.scheduler.enabled) {
+    logger.info('Scheduler is disabled in this process');
+    return;
+  }
+
+  startScheduler();
+};
+
+/**
+ * Detiene el scheduler durante el apagado y espera las tareas en curso (también las
+ * lanzadas con run-now)
+ */
+export const unloadScheduler = async () => {
+  if (!tasksRegistered) return;
+
+  const drained = await stopScheduler();
+  logger.info({ drained }, 'Scheduler stopped');
+};
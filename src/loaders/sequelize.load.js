@@ -2,6 +2,7 @@ import { sequelize } from '../config/database.js';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/index.js';
 import { initModels } from '../models/index.js';
+import { assertMigrationsUpToDate, migrateUp } from '../database/migrator.js';
 
 export const loadDatabase = async () => {
   // Si la base de datos no está habilitada, salir sin hacer nada
@@ -25,27 +26,12 @@ export const loadDatabase = async () => {
     initModels(sequelize);
     logger.info('Models initialized');
 
-    // Sincronizar modelos con la base de datos
-    if (config.db.sync.mode) {
-      logger.info('Synchronizing models...');
-      
-      const syncOptions = {};
-      
-      if (config.db.sync.mode === 'alter') {
-        syncOptions.alter = true;
-        logger.warn(' this option will modify existing tables');
-      } else if (config.db.sync.mode === 'force') {
-        syncOptions.force = true;
-        logger.error('Using sync with force=true (will delete all tables)');
-        if (config.app.nodeEnv === 'production') {
-          throw new Error('Don\'t allow sync with force=true in production');
-        }
-      }
-      
-      await sequelize.sync(syncOptions);
-      logger.info('Models synchronized with the database');
+    // Esquema gestionado con migraciones (src/database/migrations)
+    if (config.db.migrations.runOnStart) {
+      const applied = await migrateUp();
+      logger.info({ applied: applied.map((migration) => migration.name) }, 'Migrations executed');
     } else {
-      logger.info('Sync disabled (use migrations for changes in the database)');
+      await assertMigrationsUpToDate({ strict: config.app.nodeEnv === 'production' });
     }
   } catch (error) {
     logger.error({ error }, 'Error loading the database');
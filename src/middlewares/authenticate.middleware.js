@@ -0,0 +1,51 @@
+import { UnauthorizedError } from '../errors/index.js';
+import { verifyAppToken } from '../services/api-key.service.js';
+import { resolveUser, verifyIdToken } from '../services/auth.service.js';
+import { setRequestPrincipal } from '../utils/request-context.js';
+
+const extractBearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme?.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+/**
+ * Autentica con un ID token de Firebase (Authorization: Bearer) o con una API key
+ * (x-app-token). En ambos casos deja req.principal con la misma forma:
+ *   { type: 'user'|'api-key', id, key, companyId, role, scopes }
+ * key (user:<id>, api-key:<id>) identifica al cliente en rate limits e idempotencia.
+ * req.user solo existe para usuarios de Firebase.
+ */
+export const authenticate = async (req, _res, next) => {
+  const token = extractBearerToken(req);
+  const appToken = req.get('x-app-token');
+
+  if (token) {
+    const claims = await verifyIdToken(token);
+    req.user = await resolveUser(claims);
+    req.auth = { type: 'firebase', claims };
+    req.principal = {
+      type: 'user',
+      id: req.user.id,
+      key: `user:${req.user.id}`,
+      companyId: req.user.companyId,
+      role: req.user.role,
+      scopes: null,
+    };
+  } else if (appToken) {
+    const apiKey = await verifyAppToken(appToken, req.ip);
+    req.auth = { type: 'api-key', apiKey };
+    req.principal = {
+      type: 'api-key',
+      id: apiKey.id,
+      key: `api-key:${apiKey.id}`,
+      companyId: apiKey.companyId,
+      role: null,
+      scopes: apiKey.scopes,
+    };
+  } else {
+    throw new UnauthorizedError();
+  }
+
+  setRequestPrincipal(req.principal);
+  next();
+};
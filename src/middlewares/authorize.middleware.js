@@ -0,0 +1,51 @@
+import { config } from '../config/index.js';
+import { ForbiddenError, UnauthorizedError } from '../errors/index.js';
+import { getMissingPermissions } from '../services/authorization.service.js';
+
+/**
+ * Exige que el usuario (o los scopes de la API key) tenga todos los permisos indicados
+ * dentro de su compañía.
+ * Debe ir después de authenticate y tenantContext:
+ *   router.post('/', authorize('invoices:write'), validators, validateRequest, handler)
+ * @param {...string} permissions - Permisos `recurso:acción`
+ */
+export const authorize = (...permissions) => {
+  const middleware = (req, _res, next) => {
+    if (!req.principal) throw new UnauthorizedError();
+
+    const missing = getMissingPermissions(req.principal, req.company, permissions);
+
+    if (missing.length > 0) {
+      throw new ForbiddenError(`Missing permission: ${missing.join(', ')}.`, {
+        ...(req.principal.type === 'api-key'
+          ? { apiKeyId: req.principal.id }
+          : { role: req.principal.role }),
+        missingPermissions: missing,
+      });
+    }
+
+    next();
+  };
+
+  // Permisos requeridos, para documentar la ruta (src/docs)
+  middleware.permissions = permissions;
+  return middleware;
+};
+
+/**
+ * Exige un operador de la plataforma (config.platform.operatorUids) en las rutas que actúan
+ * sobre todas las compañías. Queda fuera de la matriz de permisos: ningún rol ni API key de
+ * una compañía lo concede. Debe ir después de authenticate.
+ */
+export const authorizePlatformOperator = (req, _res, next) => {
+  if (!req.principal) throw new UnauthorizedError();
+
+  const operator =
+    req.principal.type === 'user' && config.platform.operatorUids.includes(req.user.firebaseUid);
+  if (!operator) throw new ForbiddenError('Only platform operators can access this resource.');
+
+  next();
+};
+
+// Para documentar la ruta (src/docs)
+authorizePlatformOperator.platformOperator = true;
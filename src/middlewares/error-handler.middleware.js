@@ -1,42 +1,47 @@
-import { CustomError } from '../errors/index.js';
+import { CustomError, normalizeError } from '../errors/index.js';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/index.js';
+import { redactBody, redactHeaders, redactUrl } from '../utils/redact.js';
+import { recordError } from '../utils/metrics.js';
+import { sendProblem } from './response-handler.middleware.js';
 
-export const errorHandler = (err, req, res, _next) => {
-  // Log del error
-  logger.error(
+export const errorHandler = (originalError, req, res, _next) => {
+  // Errores de librerías (body-parser, ...) pasan a su equivalente del catálogo
+  const err = normalizeError(originalError);
+  recordError(err);
+
+  // Log del error (req.log lleva el request ID)
+  (req.log || logger).error(
     {
       error: {
-        name: err.name,
-        message: err.message,
-        stack: err.stack,
+        name: originalError.name,
+        message: originalError.message,
+        stack: originalError.stack,
+        code: err.code,
       },
       request: {
         method: req.method,
-        url: req.url,
+        url: redactUrl(req.originalUrl),
         ip: req.ip,
-        body: req.body,
+        headers: redactHeaders(req.headers),
+        body: redactBody(req.body),
       },
     },
     'Error capturado'
   );
 
   if (err instanceof CustomError) {
-    const serialized = err.serialize();
-    return res.status(err.statusCode).json(serialized);
+    return sendProblem(req, res, err);
   }
 
   // Error no manejado
-  return res.status(500).json({
-    type: 'about:blank',
-    title: 'Internal server error',
-    status: 500,
-    details: {
-      message:
-        config.app.nodeEnv === 'development'
-          ? err.message
-          : 'An internal server error occurred',
-      ...(config.app.nodeEnv === 'development' && { stack: err.stack }),
-    },
-  });
+  return sendProblem(
+    req,
+    res,
+    new CustomError(
+      config.app.nodeEnv === 'development' ? err.message : 'An internal server error occurred',
+      500,
+      config.app.nodeEnv === 'development' ? { stack: err.stack } : null
+    )
+  );
 };
\ No newline at end of file
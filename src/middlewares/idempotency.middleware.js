@@ -0,0 +1,94 @@
+import {
+  BadRequestError,
+  IdempotentResponseNotStoredError,
+  UnauthorizedError,
+} from '../errors/index.js';
+import {
+  acquireIdempotencyKey,
+  completeIdempotencyKey,
+  fingerprintRequest,
+  releaseIdempotencyKey,
+} from '../services/idempotency.service.js';
+import { logger } from '../utils/logger.js';
+
+export const IDEMPOTENT_METHODS = ['POST', 'PATCH'];
+
+// Caracteres ASCII visibles, como los UUID o cualquier token que genere el cliente
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const toText = (body) => (Buffer.isBuffer(body) ? body.toString('utf8') : body);
+
+/**
+ * Honra el header Idempotency-Key en POST y PATCH: la primera petición se ejecuta y su
+ * respuesta se guarda; los reintentos con la misma llave y la misma petición reciben esa
+ * respuesta (con Idempotent-Replayed: true) sin ejecutar el handler de nuevo. Debe ir
+ * después de authenticate (las llaves son por usuario o API key):
+ *   router.use(authenticate, tenantContext, idempotency())
+ * Las respuestas 5xx y las peticiones que el cliente abortó no se guardan para que el
+ * reintento vuelva a ejecutarse.
+ * @param {Object} [options]
+ * @param {boolean} [options.storeBody=true] - false en las rutas que devuelven secretos: la
+ *   respuesta no se guarda y un reintento recibe 409 en lugar de repetir la operación
+ */
+export const idempotency = ({ storeBody = true } = {}) => {
+  const middleware = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!IDEMPOTENT_METHODS.includes(req.method) || key === undefined) return next();
+
+    if (!KEY_PATTERN.test(key)) {
+      throw new BadRequestError('Idempotency-Key must be 1 to 255 visible ASCII characters.');
+    }
+    if (!req.principal) throw new UnauthorizedError();
+
+    const { record, replay } = await acquireIdempotencyKey({
+      scope: req.principal.key,
+      key,
+      companyId: req.principal.companyId,
+      fingerprint: fingerprintRequest({
+        method: req.method,
+        path: req.originalUrl,
+        body: req.body,
+      }),
+    });
+
+    if (replay) {
+      if (!storeBody) throw new IdempotentResponseNotStoredError();
+      logger.info({ idempotencyKey: key }, 'Replaying stored idempotent response');
+
+      res.set('Idempotent-Replayed', 'true');
+      if (record.responseContentType) res.set('Content-Type', record.responseContentType);
+      return res.status(record.responseStatus).send(record.responseBody ?? undefined);
+    }
+
+    // res.ok/res.created/res.problem terminan en res.send: el último body es el que se envía
+    let body;
+    const send = res.send;
+    res.send = function (chunk) {
+      body = chunk;
+      return send.call(this, chunk);
+    };
+
+    // 'close' llega también cuando el cliente corta la conexión antes de la respuesta ('finish'
+    // no se emite): la llave se libera para que el reintento no reciba 409 hasta lockTimeoutMs
+    res.once('close', () => {
+      const stored =
+        !res.writableFinished || res.statusCode >= 500
+          ? releaseIdempotencyKey(record)
+          : completeIdempotencyKey(record, {
+              status: res.statusCode,
+              contentType: res.get('Content-Type'),
+              body: storeBody ? toText(body) : null,
+            });
+
+      stored.catch((error) =>
+        logger.error({ error, idempotencyKey: key }, 'Error storing idempotent response')
+      );
+    });
+
+    next();
+  };
+
+  // Para documentar el header Idempotency-Key (src/docs)
+  middleware.idempotency = { storeBody };
+  return middleware;
+};
@@ -1,9 +1,27 @@
+import * as authenticateMiddleware from './authenticate.middleware.js';
+import * as authorizeMiddleware from './authorize.middleware.js';
 import * as errorHandlerMiddleware from './error-handler.middleware.js';
+import * as idempotencyMiddleware from './idempotency.middleware.js';
+import * as listQueryMiddleware from './list-query.middleware.js';
+import * as metricsMiddleware from './metrics.middleware.js';
+import * as rateLimitMiddleware from './rate-limit.middleware.js';
 import * as validateRequestMiddleware from './validate-request.middleware.js';
+import * as requestContextMiddleware from './request-context.middleware.js';
+import * as tenantContextMiddleware from './tenant-context.middleware.js';
+import * as uploadMiddleware from './upload.middleware.js';
 import { responseHandler } from './response-handler.middleware.js';
 
 export {
+    authenticateMiddleware,
+    authorizeMiddleware,
     errorHandlerMiddleware,
+    idempotencyMiddleware,
+    listQueryMiddleware,
+    metricsMiddleware,
+    rateLimitMiddleware,
+    requestContextMiddleware,
+    tenantContextMiddleware,
+    uploadMiddleware,
     validateRequestMiddleware,
     responseHandler
 }
\ No newline at end of file
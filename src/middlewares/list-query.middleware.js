@@ -0,0 +1,18 @@
+import { parseListQuery } from '../utils/list-query.js';
+
+/**
+ * Parsea los parámetros de listado contra las allowlists del recurso y los deja en
+ * req.listQuery para paginate() (src/utils/list-query.js):
+ *   router.get('/', authorize('invoices:read'), listQuery(definition), handler)
+ * @param {Parameters<typeof parseListQuery>[1]} definition
+ */
+export const listQuery = (definition) => {
+  const middleware = (req, _res, next) => {
+    req.listQuery = parseListQuery(req.query, definition);
+    next();
+  };
+
+  // Definición del listado, para documentar la ruta (src/docs)
+  middleware.listQuery = definition;
+  return middleware;
+};
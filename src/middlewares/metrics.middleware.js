@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { UnauthorizedError } from '../errors/index.js';
+import { recordHttpRequest } from '../utils/metrics.js';
+
+const joinRoutePath = (baseUrl, path) => (baseUrl && path === '/' ? baseUrl : `${baseUrl}${path}`);
+
+// Ruta completa de cada Route de la API. Express restaura req.baseUrl al propagar un error
+// fuera de un router, así que en 'finish' baseUrl + route.path no siempre alcanza
+let apiRouteTemplates;
+
+const getApiRouteTemplates = (apiRoutes) => {
+  if (apiRouteTemplates || !apiRoutes) return apiRouteTemplates;
+
+  apiRouteTemplates = new WeakMap();
+  for (const [mountPath, router] of apiRoutes) {
+    for (const { route } of router.stack) {
+      if (route) {
+        apiRouteTemplates.set(
+          route,
+          joinRoutePath(`/api/${config.app.apiVersion}${mountPath}`, route.path)
+        );
+      }
+    }
+  }
+
+  return apiRouteTemplates;
+};
+
+const getRouteLabel = (req) => {
+  if (!req.route?.path) return 'unmatched';
+
+  return (
+    getApiRouteTemplates(req.app.locals.apiRoutes)?.get(req.route) ??
+    joinRoutePath(req.baseUrl, req.route.path)
+  );
+};
+
+/**
+ * Registra conteo y latencia de cada petición cuando termina
+ */
+export const httpMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    recordHttpRequest(
+      req,
+      res,
+      getRouteLabel(req),
+      Number(process.hrtime.bigint() - startedAt) / 1e9
+    );
+  });
+
+  next();
+};
+
+/**
+ * Protege /metrics con METRICS_TOKEN cuando está configurado
+ */
+export const metricsAuth = (req, _res, next) => {
+  if (!config.metrics.token) return next();
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const expected = Buffer.from(config.metrics.token);
+  const received = Buffer.from(token || '');
+
+  if (
+    scheme !== 'Bearer' ||
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    throw new UnauthorizedError('Invalid metrics token.');
+  }
+
+  next();
+};
@@ -0,0 +1,54 @@
+import expressRateLimit from 'express-rate-limit';
+import { config } from '../config/index.js';
+import { sequelize } from '../config/database.js';
+import { TooManyRequestsError } from '../errors/index.js';
+import { PostgresRateLimitStore } from '../services/rate-limit.service.js';
+
+// Identidad del cliente según la política; sin sesión se cae a la IP
+const CLIENT_KEYS = {
+  ip: (req) => `ip:${req.ip}`,
+  // Usuario o API key autenticada
+  user: (req) => req.principal?.key || `ip:${req.ip}`,
+  company: (req) =>
+    req.principal?.companyId ? `company:${req.principal.companyId}` : `ip:${req.ip}`,
+};
+
+const limiters = new Map();
+
+/**
+ * Limitador de una política de config.rateLimit.policies. Los contadores viven en Postgres
+ * (compartidos entre instancias); sin base de datos, en memoria. Las políticas por usuario o
+ * compañía deben ir después de authenticate:
+ *   router.use(authenticate, tenantContext, rateLimit('authenticated'))
+ * @param {string} policyName
+ */
+export const rateLimit = (policyName) => {
+  if (limiters.has(policyName)) return limiters.get(policyName);
+
+  const policy = config.rateLimit.policies[policyName];
+  if (!policy) throw new Error(`Unknown rate limit policy: ${policyName}`);
+  if (!CLIENT_KEYS[policy.by]) {
+    throw new Error(`Invalid "by" for rate limit policy ${policyName}: ${policy.by}`);
+  }
+
+  const limiter = expressRateLimit({
+    windowMs: policy.windowMs,
+    limit: policy.max,
+    keyGenerator: CLIENT_KEYS[policy.by],
+    store: sequelize ? new PostgresRateLimitStore({ prefix: `${policyName}:` }) : undefined,
+    // express-rate-limit ya fijó Retry-After
+    handler: (req, res) => {
+      res.problem(
+        new TooManyRequestsError(
+          'Too many requests, try again later.',
+          Number(res.get('Retry-After')) || null
+        )
+      );
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  limiters.set(policyName, limiter);
+  return limiter;
+};
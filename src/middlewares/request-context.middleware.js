@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { redactUrl } from '../utils/redact.js';
+import { runWithRequestContext } from '../utils/request-context.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Se acepta el ID del cliente o del proxy solo si es corto y sin caracteres raros
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const getLevel = (statusCode) => {
+  if (statusCode >= 500) return 'error';
+  if (statusCode >= 400) return 'warn';
+  return 'info';
+};
+
+/**
+ * Asigna un request ID (el de X-Request-Id o uno nuevo), lo devuelve en la respuesta,
+ * crea req.log y ejecuta el resto de la cadena dentro del contexto de la petición.
+ * Al terminar registra una línea con el status y la duración.
+ */
+export const requestContext = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = VALID_REQUEST_ID.test(incoming || '') ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  req.log = logger.child({ requestId });
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+
+  const logCompletion = (message) => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+    req.log[getLevel(res.statusCode)](
+      {
+        method: req.method,
+        url: redactUrl(req.originalUrl),
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 100) / 100,
+        ip: req.ip,
+        userId: req.user?.id,
+        apiKeyId: req.auth?.apiKey?.id,
+        companyId: req.company?.id,
+      },
+      message
+    );
+  };
+
+  res.on('finish', () => logCompletion('Request completed'));
+  res.on('close', () => {
+    if (!res.writableFinished) logCompletion('Request aborted by client');
+  });
+
+  runWithRequestContext({ requestId, log: req.log, ip: req.ip }, next);
+};
@@ -1,3 +1,26 @@
+import {
+    BadRequestError,
+    CustomError,
+    ForbiddenError,
+    NotFoundError,
+    UnauthorizedError,
+} from '../errors/index.js';
+import { buildPaginationLinks } from '../utils/list-query.js';
+
+/**
+ * Responde un error como application/problem+json (RFC 9457)
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {CustomError} error
+ */
+export const sendProblem = (req, res, error) => {
+    if (error.retryAfterSeconds) res.set('Retry-After', String(error.retryAfterSeconds));
+
+    res.status(error.statusCode)
+        .type('application/problem+json')
+        .json(error.serialize({ instance: req.originalUrl.split('?')[0] }));
+};
+
 export const responseHandler = (req, res, next) => {
     res.ok = (data = null, message = 'Success operation') => {
         res.status(200).json({
@@ -15,42 +38,52 @@ export const responseHandler = (req, res, next) => {
         });
     };
 
-    res.badRequest = (message = 'Bad request', data = null) => {
-        res.status(400).json({
-            success: false,
+    res.accepted = (data = null, message = 'Request accepted') => {
+        res.status(202).json({
+            success: true,
             message,
             data,
         });
     };
 
-    res.unauthorized = (message = 'Unauthorized') => {
-        res.status(401).json({
-            success: false,
+    /**
+     * Listado paginado: data son los items; pagination y links salen del resultado de paginate()
+     * @param {Awaited<ReturnType<typeof import('../utils/list-query.js').paginate>>} result
+     */
+    res.paginated = (result, message = 'Success operation') => {
+        const { items, ...pagination } = result;
+
+        res.status(200).json({
+            success: true,
             message,
+            data: items,
+            pagination,
+            links: buildPaginationLinks(req.originalUrl, result),
         });
     };
 
+    // Los errores usan el mismo formato que el errorHandler
+    res.problem = (error) => sendProblem(req, res, error);
+
+    res.badRequest = (message = 'Bad request', data = null) => {
+        res.problem(new BadRequestError(message, data));
+    };
+
+    res.unauthorized = (message = 'Unauthorized') => {
+        res.problem(new UnauthorizedError(message));
+    };
+
     res.forbidden = (message = 'Access denied') => {
-        res.status(403).json({
-            success: false,
-            message,
-        });
+        res.problem(new ForbiddenError(message));
     };
 
-    res.notFound = (message = 'Not found') => {
-        res.status(404).json({
-            success: false,
-            message,
-        });
+    res.notFound = (resource = 'Resource') => {
+        res.problem(new NotFoundError(resource));
     };
 
     res.serverError = (message = 'Internal server error', data = null) => {
-        res.status(500).json({
-            success: false,
-            message,
-            data,
-        });
+        res.problem(new CustomError(message, 500, data));
     };
 
     next();
-};
\ No newline at end of file
+};
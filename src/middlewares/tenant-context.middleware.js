@@ -0,0 +1,24 @@
+import { ForbiddenError, UnauthorizedError } from '../errors/index.js';
+import { Company } from '../models/index.js';
+import { runAsSystem, runWithTenant } from '../utils/tenant-context.js';
+
+/**
+ * Resuelve la compañía del usuario o la API key autenticada y ejecuta el resto de la cadena
+ * dentro de su contexto. Debe ir después de authenticate.
+ */
+export const tenantContext = async (req, _res, next) => {
+  if (!req.principal) throw new UnauthorizedError();
+
+  if (!req.principal.companyId) {
+    throw new ForbiddenError('User is not assigned to a company.');
+  }
+
+  const company = await runAsSystem(() => Company.findByPk(req.principal.companyId));
+
+  if (!company || company.status !== 'active') {
+    throw new ForbiddenError('Company is not active.');
+  }
+
+  req.company = company;
+  runWithTenant(company.id, next);
+};
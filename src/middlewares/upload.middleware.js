@@ -0,0 +1,59 @@
+import { AsyncResource } from 'async_hooks';
+import busboy from 'busboy';
+import { config } from '../config/index.js';
+import {
+  BadRequestError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+} from '../errors/index.js';
+
+/**
+ * Recibe un archivo multipart/form-data sin guardarlo en memoria ni en disco: deja en
+ * req.file el stream del archivo para que el handler lo consuma. Los campos que lleguen
+ * después del archivo se ignoran (las opciones van en la query).
+ *   router.post('/', upload('file'), controller.handler)
+ * Si el archivo supera config.imports.maxFileSizeBytes el stream falla con
+ * PayloadTooLargeError.
+ * @param {string} field - Nombre del campo del archivo
+ * @param {Object} [options]
+ * @param {number} [options.maxFileSizeBytes]
+ */
+export const upload =
+  (field, { maxFileSizeBytes = config.imports.maxFileSizeBytes } = {}) =>
+  (req, _res, next) => {
+    if (!req.is('multipart/form-data')) {
+      return next(new UnsupportedMediaTypeError('The file must be sent as multipart/form-data.'));
+    }
+
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: maxFileSizeBytes } });
+    } catch (error) {
+      return next(new BadRequestError(error.message));
+    }
+
+    // Los eventos de busboy llegan desde las lecturas del socket, fuera del contexto de la
+    // petición (AsyncLocalStorage): next() se ata al contexto del middleware para que el
+    // handler conserve el request ID y la compañía
+    let done = false;
+    const finish = AsyncResource.bind((error) => {
+      if (done) return;
+      done = true;
+      next(error);
+    });
+
+    parser.on('file', (name, stream, { filename, mimeType }) => {
+      if (name !== field || done) {
+        stream.resume();
+        return;
+      }
+
+      stream.on('limit', () => stream.destroy(new PayloadTooLargeError(maxFileSizeBytes)));
+      req.file = { filename, mimeType, stream };
+      finish();
+    });
+    parser.on('error', (error) => finish(new BadRequestError(error.message)));
+    parser.on('close', () => finish(new BadRequestError(`The "${field}" file is required.`)));
+
+    req.pipe(parser);
+  };
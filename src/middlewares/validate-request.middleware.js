@@ -1,31 +1,39 @@
 import { validationResult } from 'express-validator';
 import { RequestValidationError } from '../errors/index.js';
 import { logger } from '../utils/logger.js';
+import { REDACTED, isSensitiveField } from '../utils/redact.js';
+
+/**
+ * Errores de express-validator en el formato que espera RequestValidationError
+ * @param {import('express-validator').Result} errors - validationResult(req)
+ */
+export const formatValidationErrors = (errors) =>
+  errors
+    .array()
+    .map((e) => {
+      if (e.nestedErrors) {
+        return e.nestedErrors.map((nestedError) => ({
+          msg: nestedError.msg,
+          param: nestedError.path,
+          location: nestedError.location,
+          value: isSensitiveField(nestedError.path) ? REDACTED : nestedError.value,
+        }));
+      } else {
+        return {
+          msg: e.msg,
+          param: e.path,
+          location: e.location,
+          value: isSensitiveField(e.path) ? REDACTED : e.value,
+        };
+      }
+    })
+    .flat();
 
 export const validateRequest = (req, _, next) => {
   const errors = validationResult(req);
 
   if (!errors.isEmpty()) {
-    const formattedErrors = errors
-      .array()
-      .map((e) => {
-        if (e.nestedErrors) {
-          return e.nestedErrors.map((nestedError) => ({
-            msg: nestedError.msg,
-            param: nestedError.param,
-            location: nestedError.location,
-            value: nestedError.value,
-          }));
-        } else {
-          return {
-            msg: e.msg,
-            param: e.param,
-            location: e.location,
-            value: e.value,
-          };
-        }
-      })
-      .flat();
+    const formattedErrors = formatValidationErrors(errors);
 
     logger.warn(
       {
@@ -0,0 +1,87 @@
+import { Model, DataTypes } from 'sequelize';
+
+/**
+ * Credencial de máquina de una compañía para integraciones servidor a servidor (header
+ * x-app-token). Solo se guarda el hash del secreto; el token completo se muestra una vez
+ * al emitir o rotar la llave (ver services/api-key.service.js).
+ */
+export class ApiKey extends Model {
+  static initModel(sequelize) {
+    ApiKey.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        companyId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        name: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        // Parte pública del token (mk_<prefix>_<secreto>) para identificar la llave
+        prefix: {
+          type: DataTypes.STRING,
+          allowNull: false,
+          unique: true,
+        },
+        secretHash: {
+          type: DataTypes.STRING(64),
+          allowNull: false,
+        },
+        // Permisos `recurso:acción` delegados a la llave
+        scopes: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: [],
+        },
+        expiresAt: {
+          type: DataTypes.DATE,
+          allowNull: false,
+        },
+        lastUsedAt: {
+          type: DataTypes.DATE,
+        },
+        lastUsedIp: {
+          type: DataTypes.STRING,
+        },
+        revokedAt: {
+          type: DataTypes.DATE,
+        },
+        createdById: {
+          type: DataTypes.INTEGER,
+        },
+        // Llave que esta reemplazó al rotar
+        rotatedFromId: {
+          type: DataTypes.INTEGER,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'ApiKey',
+        tableName: 'api_keys',
+        timestamps: true,
+        indexes: [{ fields: ['companyId'] }],
+      }
+    );
+
+    return ApiKey;
+  }
+
+  /**
+   * @returns {'active'|'expired'|'revoked'}
+   */
+  get status() {
+    if (this.revokedAt) return 'revoked';
+    return this.expiresAt <= new Date() ? 'expired' : 'active';
+  }
+
+  toJSON() {
+    const values = { ...this.get(), status: this.status };
+    delete values.secretHash;
+    return values;
+  }
+}
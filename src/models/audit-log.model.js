@@ -0,0 +1,74 @@
+import { Model, DataTypes } from 'sequelize';
+
+const rejectChange = () => {
+  throw new Error('Audit logs are append-only.');
+};
+
+/**
+ * Quién cambió qué en una compañía (ver models/audit-trail.js). Append-only: el modelo
+ * rechaza updates y deletes, y la tabla tiene un trigger que hace lo mismo.
+ */
+export class AuditLog extends Model {
+  static initModel(sequelize) {
+    AuditLog.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        companyId: {
+          type: DataTypes.INTEGER,
+        },
+        // system: jobs, webhooks y procesos internos
+        actorType: {
+          type: DataTypes.ENUM('user', 'api-key', 'system'),
+          allowNull: false,
+        },
+        actorId: {
+          type: DataTypes.INTEGER,
+        },
+        // create, update, delete o una acción explícita (connect, ...)
+        action: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        targetType: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        targetId: {
+          type: DataTypes.STRING,
+        },
+        // Solo los campos que cambiaron, con los secretos enmascarados
+        before: {
+          type: DataTypes.JSONB,
+        },
+        after: {
+          type: DataTypes.JSONB,
+        },
+        requestId: {
+          type: DataTypes.STRING,
+        },
+        ip: {
+          type: DataTypes.STRING,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'AuditLog',
+        tableName: 'audit_logs',
+        timestamps: true,
+        updatedAt: false,
+        hooks: {
+          beforeUpdate: rejectChange,
+          beforeBulkUpdate: rejectChange,
+          beforeDestroy: rejectChange,
+          beforeBulkDestroy: rejectChange,
+        },
+      }
+    );
+
+    return AuditLog;
+  }
+}
@@ -0,0 +1,117 @@
+import { AuditLog } from './audit-log.model.js';
+import { REDACTED, isSensitiveField, redactSecrets } from '../utils/redact.js';
+import { getRequestContext } from '../utils/request-context.js';
+
+// Cambian en cada escritura: no cuentan como cambio
+const ALWAYS_IGNORED = ['createdAt', 'updatedAt'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const maskValue = (model, field, value) => {
+  if (value === null || value === undefined || value instanceof Date) return value;
+
+  const secret = model.auditOptions?.secret || [];
+  return secret.includes(field) || isSensitiveField(field) ? REDACTED : redactSecrets(value);
+};
+
+/**
+ * Valores auditables de una instancia (sin timestamps ni campos ignorados del modelo)
+ * @param {import('sequelize').Model} instance
+ * @param {Object} [options]
+ * @param {boolean} [options.previous=false] - Valores antes del save en curso
+ * @returns {Object}
+ */
+export const auditSnapshot = (instance, { previous = false } = {}) => {
+  const model = instance.constructor;
+  const ignore = model.auditOptions?.ignore || [];
+
+  return Object.fromEntries(
+    Object.keys(model.rawAttributes)
+      .filter((field) => !ALWAYS_IGNORED.includes(field) && !ignore.includes(field))
+      .map((field) => [field, previous ? instance.previous(field) : instance.get(field)])
+  );
+};
+
+/**
+ * Registra una entrada de auditoría sobre una instancia. El actor, el request ID y la IP
+ * salen del contexto de la petición (sin petición, el actor es system). Solo se guardan
+ * los campos que cambiaron entre before y after; si no cambió ninguno no se registra nada.
+ * Las acciones que los hooks no ven (upsert, updates masivos) se registran llamándola
+ * desde el servicio.
+ * @param {string} action - create, update, delete, connect, ...
+ * @param {import('sequelize').Model} instance
+ * @param {Object} [params]
+ * @param {Object|null} [params.before] - auditSnapshot() antes del cambio
+ * @param {Object|null} [params.after] - auditSnapshot() después del cambio
+ * @param {import('sequelize').Transaction} [params.transaction]
+ * @returns {Promise<AuditLog|null>}
+ */
+export const recordAudit = async (
+  action,
+  instance,
+  { before = null, after = null, transaction } = {}
+) => {
+  const model = instance.constructor;
+  const fields = Object.keys({ ...before, ...after }).filter(
+    (field) => !before || !after || !sameValue(before[field], after[field])
+  );
+  if (fields.length === 0) return null;
+
+  const pick = (values) =>
+    values &&
+    Object.fromEntries(fields.map((field) => [field, maskValue(model, field, values[field])]));
+  const context = getRequestContext();
+  const principal = context?.principal;
+
+  return AuditLog.create(
+    {
+      companyId: model.tenantKey ? instance.get(model.tenantKey) : null,
+      actorType: principal?.type ?? 'system',
+      actorId: principal?.id ?? null,
+      action,
+      targetType: model.name,
+      targetId: instance.id == null ? null : String(instance.id),
+      before: pick(before),
+      after: pick(after),
+      requestId: context?.requestId ?? null,
+      ip: context?.ip ?? null,
+    },
+    { transaction }
+  );
+};
+
+/**
+ * Audita las altas, cambios y bajas de un modelo con hooks de instancia. La entrada se
+ * escribe en la misma transacción que el cambio. Las operaciones masivas (Model.update,
+ * Model.destroy) y los upsert no disparan estos hooks.
+ * @param {typeof import('sequelize').Model} model
+ * @param {Object} [options]
+ * @param {string[]} [options.ignore] - Campos que no se auditan (lastLoginAt, ...)
+ * @param {string[]} [options.secret] - Campos que se registran como [REDACTED]; los que
+ *   parecen secretos por su nombre (utils/redact.js) se enmascaran siempre
+ */
+export const applyAuditTrail = (model, { ignore = [], secret = [] } = {}) => {
+  model.auditOptions = { ignore, secret };
+
+  model.addHook('afterCreate', (instance, options) =>
+    recordAudit('create', instance, {
+      after: auditSnapshot(instance),
+      transaction: options.transaction,
+    })
+  );
+  model.addHook('afterUpdate', (instance, options) =>
+    recordAudit('update', instance, {
+      before: auditSnapshot(instance, { previous: true }),
+      after: auditSnapshot(instance),
+      transaction: options.transaction,
+    })
+  );
+  model.addHook('afterDestroy', (instance, options) =>
+    recordAudit('delete', instance, {
+      before: auditSnapshot(instance),
+      transaction: options.transaction,
+    })
+  );
+
+  return model;
+};
@@ -0,0 +1,71 @@
+import { Model, DataTypes } from 'sequelize';
+
+/**
+ * Ejecución de la conciliación de catálogos de una compañía (a pedido o programada). El
+ * resultado por SKU queda en ProductMapping; aquí quedan los totales y lo que no se puede
+ * guardar por SKU (variantes sin SKU y productos de Siigo sin variante en Shopify).
+ */
+export class CatalogReconciliation extends Model {
+  static initModel(sequelize) {
+    CatalogReconciliation.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        companyId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        trigger: {
+          type: DataTypes.ENUM('manual', 'schedule'),
+          allowNull: false,
+        },
+        // Solo puede haber una pending o running por compañía (índice único parcial)
+        status: {
+          type: DataTypes.ENUM('pending', 'running', 'succeeded', 'failed'),
+          allowNull: false,
+          defaultValue: 'pending',
+        },
+        /**
+         * { shopifyVariants, siigoProducts, matched, confirmed, ambiguous, unmatched,
+         *   conflicts, withoutSkuCount, withoutSku: [{ productId, variantId, title }],
+         *   siigoOnlyCount, siigoOnly: [{ code, name }] } (las listas se recortan a 500)
+         */
+        summary: {
+          type: DataTypes.JSONB,
+        },
+        error: {
+          type: DataTypes.TEXT,
+        },
+        requestedById: {
+          type: DataTypes.INTEGER,
+        },
+        startedAt: {
+          type: DataTypes.DATE,
+        },
+        finishedAt: {
+          type: DataTypes.DATE,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'CatalogReconciliation',
+        tableName: 'catalog_reconciliations',
+        timestamps: true,
+        indexes: [
+          { fields: ['companyId', 'createdAt'] },
+          {
+            name: 'catalog_reconciliations_active_company',
+            unique: true,
+            fields: ['companyId'],
+            where: { status: ['pending', 'running'] },
+          },
+        ],
+      }
+    );
+
+    return CatalogReconciliation;
+  }
+}
@@ -0,0 +1,69 @@
+import { Model, DataTypes } from 'sequelize';
+
+export class Company extends Model {
+  static initModel(sequelize) {
+    Company.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        name: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        // NIT u otro identificador tributario
+        taxId: {
+          type: DataTypes.STRING,
+          unique: true,
+        },
+        // Dominio myshopify.com de la tienda conectada; resuelve la compañía de cada webhook
+        shopifyDomain: {
+          type: DataTypes.STRING,
+          unique: true,
+        },
+        status: {
+          type: DataTypes.ENUM('active', 'suspended'),
+          allowNull: false,
+          defaultValue: 'active',
+        },
+        // Overrides de permisos por rol: { admin: { grant: [], revoke: [] }, member: {...} }
+        rolePermissions: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: {},
+        },
+        /**
+         * Configuración de facturación en Siigo (IDs del catálogo de la compañía en Siigo):
+         * { documentId, sellerId, costCenterId, defaultPaymentTypeId, paymentTypes: { gateway: id },
+         *   taxes: { '0.19': id }, shippingProductCode, defaultCustomerIdentification,
+         *   defaultCity: { country_code, state_code, city_code }, sendStamp, sendMail }
+         */
+        siigoSettings: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: {},
+        },
+        /**
+         * Reglas de la conciliación de catálogos entre Shopify y Siigo:
+         * { matchBy: ['sku', 'barcode', 'name'], priceTolerance, comparePrices, compareTaxes,
+         *   scheduleEnabled }
+         */
+        catalogSettings: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: {},
+        },
+      },
+      {
+        sequelize,
+        modelName: 'Company',
+        tableName: 'companies',
+        timestamps: true,
+      }
+    );
+
+    return Company;
+  }
+}
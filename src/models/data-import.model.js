@@ -0,0 +1,121 @@
+import { Model, DataTypes } from 'sequelize';
+
+// Filas por confirmar: pueden ser miles, no se devuelven en el API
+const INTERNAL_ATTRIBUTES = ['rows'];
+
+/**
+ * Importación de clientes o productos desde un CSV/XLSX. Las filas válidas se guardan al
+ * subir el archivo y un trabajo de la cola las crea en Siigo por lotes, actualizando los
+ * contadores de progreso después de cada lote.
+ */
+export class DataImport extends Model {
+  static initModel(sequelize) {
+    DataImport.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        companyId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        entity: {
+          type: DataTypes.ENUM('customers', 'products'),
+          allowNull: false,
+        },
+        filename: {
+          type: DataTypes.STRING,
+        },
+        format: {
+          type: DataTypes.ENUM('csv', 'xlsx'),
+          allowNull: false,
+        },
+        status: {
+          type: DataTypes.ENUM('pending', 'running', 'succeeded', 'failed'),
+          allowNull: false,
+          defaultValue: 'pending',
+        },
+        // Filas con datos del archivo (sin el encabezado)
+        totalRows: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        validRows: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        invalidRows: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        // Progreso: filas válidas ya enviadas a Siigo (processedRows de validRows)
+        processedRows: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        createdRows: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        // Ya existían en Siigo (misma identificación o código)
+        skippedRows: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        // Siigo las rechazó
+        failedRows: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        // Filas válidas normalizadas: [{ row, values }]
+        rows: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: [],
+        },
+        // [{ row, invalidParams }] de la validación y de los rechazos de Siigo
+        rowErrors: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: [],
+        },
+        error: {
+          type: DataTypes.TEXT,
+        },
+        requestedById: {
+          type: DataTypes.INTEGER,
+        },
+        startedAt: {
+          type: DataTypes.DATE,
+        },
+        finishedAt: {
+          type: DataTypes.DATE,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'DataImport',
+        tableName: 'data_imports',
+        timestamps: true,
+        indexes: [{ fields: ['companyId', 'createdAt'] }],
+      }
+    );
+
+    return DataImport;
+  }
+
+  toJSON() {
+    const values = { ...this.get() };
+    for (const attribute of INTERNAL_ATTRIBUTES) delete values[attribute];
+    return values;
+  }
+}
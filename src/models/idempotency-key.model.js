@@ -0,0 +1,68 @@
+import { Model, DataTypes } from 'sequelize';
+
+/**
+ * Idempotency-Key de una petición POST/PATCH con la respuesta que se devolvió
+ * (ver src/middlewares/idempotency.middleware.js). No es tenant-scoped: la llave se
+ * busca por scope (quién hizo la petición) antes de cualquier lógica de negocio.
+ */
+export class IdempotencyKey extends Model {
+  static initModel(sequelize) {
+    IdempotencyKey.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        // Dueño de la llave (user:<id>, api-key:<id>): dos clientes pueden usar la misma llave
+        scope: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        key: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        companyId: {
+          type: DataTypes.INTEGER,
+        },
+        // sha256 de método, ruta y body: la misma llave con otra petición es un error
+        fingerprint: {
+          type: DataTypes.STRING(64),
+          allowNull: false,
+        },
+        // processing: la primera petición sigue en curso
+        status: {
+          type: DataTypes.ENUM('processing', 'completed'),
+          allowNull: false,
+          defaultValue: 'processing',
+        },
+        responseStatus: {
+          type: DataTypes.INTEGER,
+        },
+        responseContentType: {
+          type: DataTypes.STRING,
+        },
+        responseBody: {
+          type: DataTypes.TEXT,
+        },
+        lockedAt: {
+          type: DataTypes.DATE,
+        },
+        expiresAt: {
+          type: DataTypes.DATE,
+          allowNull: false,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'IdempotencyKey',
+        tableName: 'idempotency_keys',
+        timestamps: true,
+        indexes: [{ unique: true, fields: ['scope', 'key'] }, { fields: ['expiresAt'] }],
+      }
+    );
+
+    return IdempotencyKey;
+  }
+}
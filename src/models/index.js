@@ -1,24 +1,142 @@
+import { ApiKey } from './api-key.model.js';
+import { AuditLog } from './audit-log.model.js';
+import { CatalogReconciliation } from './catalog-reconciliation.model.js';
+import { Company } from './company.model.js';
+import { DataImport } from './data-import.model.js';
+import { IdempotencyKey } from './idempotency-key.model.js';
+import { IntegrationCredential } from './integration-credential.model.js';
+import { InvoiceSync } from './invoice-sync.model.js';
+import { InvoiceSyncAttempt } from './invoice-sync-attempt.model.js';
+import { Job } from './job.model.js';
+import { Order } from './order.model.js';
+import { ProductMapping } from './product-mapping.model.js';
+import { RateLimitCounter } from './rate-limit-counter.model.js';
+import { ScheduledTask } from './scheduled-task.model.js';
+import { ScheduledTaskRun } from './scheduled-task-run.model.js';
+import { User } from './user.model.js';
+import { WebhookDelivery } from './webhook-delivery.model.js';
+import { WebhookEvent } from './webhook-event.model.js';
+import { WebhookSubscription } from './webhook-subscription.model.js';
+import { applyTenantScope } from './tenant-scope.js';
+import { applyAuditTrail } from './audit-trail.js';
+
 /**
  * Inicializa todos los modelos de Sequelize y sus relaciones
  * @param {Sequelize} sequelize - Instancia de Sequelize
  */
 export const initModels = (sequelize) => {
-  // 1. Importar modelos (descomenta cuando los crees)
-  // import { Partner } from './Partner.model.js';
-  // import { Company } from './Company.model.js';
-  // import { User } from './User.model.js';
+  // 1. Inicializar modelos
+  Company.initModel(sequelize);
+  User.initModel(sequelize);
+  WebhookEvent.initModel(sequelize);
+  Order.initModel(sequelize);
+  ProductMapping.initModel(sequelize);
+  InvoiceSync.initModel(sequelize);
+  InvoiceSyncAttempt.initModel(sequelize);
+  Job.initModel(sequelize);
+  IntegrationCredential.initModel(sequelize);
+  IdempotencyKey.initModel(sequelize);
+  RateLimitCounter.initModel(sequelize);
+  ApiKey.initModel(sequelize);
+  AuditLog.initModel(sequelize);
+  WebhookSubscription.initModel(sequelize);
+  WebhookDelivery.initModel(sequelize);
+  CatalogReconciliation.initModel(sequelize);
+  ScheduledTask.initModel(sequelize);
+  ScheduledTaskRun.initModel(sequelize);
+  DataImport.initModel(sequelize);
+
+  // 2. Aislamiento por compañía (ver tenant-scope.js)
+  applyTenantScope(Company, { key: 'id' });
+  applyTenantScope(User);
+  applyTenantScope(Order);
+  applyTenantScope(ProductMapping);
+  applyTenantScope(InvoiceSync);
+  applyTenantScope(InvoiceSyncAttempt);
+  applyTenantScope(IntegrationCredential);
+  applyTenantScope(ApiKey);
+  applyTenantScope(AuditLog);
+  applyTenantScope(WebhookSubscription);
+  applyTenantScope(WebhookDelivery);
+  applyTenantScope(CatalogReconciliation);
+  applyTenantScope(DataImport);
 
+  // 3. Auditoría de cambios hechos por usuarios y API keys (ver audit-trail.js)
+  applyAuditTrail(Company);
+  applyAuditTrail(User, { ignore: ['lastLoginAt'] });
+  applyAuditTrail(IntegrationCredential, {
+    ignore: ['lastTestedAt'],
+    secret: ['ciphertext', 'encryptedDataKey'],
+  });
+  applyAuditTrail(ApiKey, { ignore: ['lastUsedAt', 'lastUsedIp'] });
+  applyAuditTrail(WebhookSubscription, {
+    ignore: ['consecutiveFailures'],
+    secret: ['ciphertext', 'encryptedDataKey'],
+  });
 
-  // 2. Inicializar modelos (descomenta cuando los crees)
+  // 4. Definir relaciones
 
-  // User.initModel(sequelize);
+  // User → Company
+  Company.hasMany(User, { foreignKey: 'companyId', as: 'users' });
+  User.belongsTo(Company, { foreignKey: 'companyId', as: 'company' });
 
+  // Order → Company
+  Company.hasMany(Order, { foreignKey: 'companyId', as: 'orders' });
+  Order.belongsTo(Company, { foreignKey: 'companyId', as: 'company' });
 
-  // 3. Definir relaciones (descomenta cuando tengas los modelos)
+  // Order → InvoiceSync → InvoiceSyncAttempt
+  Order.hasOne(InvoiceSync, { foreignKey: 'orderId', as: 'invoiceSync' });
+  InvoiceSync.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+  InvoiceSync.hasMany(InvoiceSyncAttempt, { foreignKey: 'invoiceSyncId', as: 'history' });
+  InvoiceSyncAttempt.belongsTo(InvoiceSync, { foreignKey: 'invoiceSyncId', as: 'invoiceSync' });
 
-  // User → Company
-  // Company.hasMany(User, { foreignKey: 'companyId' });
-  // User.belongsTo(Company, { foreignKey: 'companyId' });
+  // IntegrationCredential → Company
+  Company.hasMany(IntegrationCredential, { foreignKey: 'companyId', as: 'integrations' });
+  IntegrationCredential.belongsTo(Company, { foreignKey: 'companyId', as: 'company' });
 
+  // ApiKey → Company
+  Company.hasMany(ApiKey, { foreignKey: 'companyId', as: 'apiKeys' });
+  ApiKey.belongsTo(Company, { foreignKey: 'companyId', as: 'company' });
+
+  // WebhookSubscription → WebhookDelivery
+  Company.hasMany(WebhookSubscription, { foreignKey: 'companyId', as: 'webhookSubscriptions' });
+  WebhookSubscription.belongsTo(Company, { foreignKey: 'companyId', as: 'company' });
+  WebhookSubscription.hasMany(WebhookDelivery, { foreignKey: 'subscriptionId', as: 'deliveries' });
+  WebhookDelivery.belongsTo(WebhookSubscription, {
+    foreignKey: 'subscriptionId',
+    as: 'subscription',
+  });
+
+  // CatalogReconciliation → Company
+  Company.hasMany(CatalogReconciliation, {
+    foreignKey: 'companyId',
+    as: 'catalogReconciliations',
+  });
+  CatalogReconciliation.belongsTo(Company, { foreignKey: 'companyId', as: 'company' });
+
+  // DataImport → Company
+  Company.hasMany(DataImport, { foreignKey: 'companyId', as: 'dataImports' });
+  DataImport.belongsTo(Company, { foreignKey: 'companyId', as: 'company' });
 };
 
+export {
+  ApiKey,
+  AuditLog,
+  CatalogReconciliation,
+  Company,
+  DataImport,
+  IdempotencyKey,
+  IntegrationCredential,
+  InvoiceSync,
+  InvoiceSyncAttempt,
+  Job,
+  Order,
+  ProductMapping,
+  RateLimitCounter,
+  ScheduledTask,
+  ScheduledTaskRun,
+  User,
+  WebhookDelivery,
+  WebhookEvent,
+  WebhookSubscription,
+};
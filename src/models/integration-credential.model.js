@@ -0,0 +1,78 @@
+import { Model, DataTypes } from 'sequelize';
+
+// Columnas con material cifrado que nunca salen en respuestas del API
+const ENCRYPTED_ATTRIBUTES = ['ciphertext', 'encryptedDataKey'];
+
+/**
+ * Credenciales de una integración (Siigo, Shopify) de la compañía, cifradas con
+ * envelope encryption (ver utils/envelope-encryption.js). `metadata` guarda solo
+ * datos no sensibles o enmascarados para mostrarlos en el API.
+ */
+export class IntegrationCredential extends Model {
+  static initModel(sequelize) {
+    IntegrationCredential.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        companyId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        provider: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        status: {
+          type: DataTypes.ENUM('connected', 'error'),
+          allowNull: false,
+          defaultValue: 'connected',
+        },
+        ciphertext: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+        },
+        encryptedDataKey: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+        },
+        // Versión de la llave maestra que cifra encryptedDataKey
+        keyVersion: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        metadata: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: {},
+        },
+        connectedById: {
+          type: DataTypes.INTEGER,
+        },
+        lastTestedAt: {
+          type: DataTypes.DATE,
+        },
+        lastError: {
+          type: DataTypes.TEXT,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'IntegrationCredential',
+        tableName: 'integration_credentials',
+        timestamps: true,
+        indexes: [{ unique: true, fields: ['companyId', 'provider'] }],
+      }
+    );
+
+    return IntegrationCredential;
+  }
+
+  toJSON() {
+    const values = { ...this.get() };
+    for (const attribute of ENCRYPTED_ATTRIBUTES) delete values[attribute];
+    return values;
+  }
+}
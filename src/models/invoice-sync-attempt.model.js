@@ -0,0 +1,55 @@
+import { Model, DataTypes } from 'sequelize';
+
+/**
+ * Cada intento de crear la factura en Siigo, con lo enviado y lo recibido
+ */
+export class InvoiceSyncAttempt extends Model {
+  static initModel(sequelize) {
+    InvoiceSyncAttempt.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        companyId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        invoiceSyncId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        attempt: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        status: {
+          type: DataTypes.ENUM('succeeded', 'failed'),
+          allowNull: false,
+        },
+        request: {
+          type: DataTypes.JSONB,
+        },
+        response: {
+          type: DataTypes.JSONB,
+        },
+        errorMessage: {
+          type: DataTypes.TEXT,
+        },
+        durationMs: {
+          type: DataTypes.INTEGER,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'InvoiceSyncAttempt',
+        tableName: 'invoice_sync_attempts',
+        timestamps: true,
+        updatedAt: false,
+      }
+    );
+
+    return InvoiceSyncAttempt;
+  }
+}
@@ -0,0 +1,62 @@
+import { Model, DataTypes } from 'sequelize';
+
+/**
+ * Estado de la factura en Siigo de una orden. Hay una sola fila por orden,
+ * lo que impide generar dos facturas para la misma orden.
+ */
+export class InvoiceSync extends Model {
+  static initModel(sequelize) {
+    InvoiceSync.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        companyId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        orderId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          unique: true,
+        },
+        status: {
+          type: DataTypes.ENUM('pending', 'processing', 'succeeded', 'failed'),
+          allowNull: false,
+          defaultValue: 'pending',
+        },
+        attempts: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        siigoInvoiceId: {
+          type: DataTypes.STRING,
+        },
+        // Número legible de la factura (p. ej. FV-1-1234)
+        siigoInvoiceName: {
+          type: DataTypes.STRING,
+        },
+        lastError: {
+          type: DataTypes.TEXT,
+        },
+        lastAttemptAt: {
+          type: DataTypes.DATE,
+        },
+        succeededAt: {
+          type: DataTypes.DATE,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'InvoiceSync',
+        tableName: 'invoice_syncs',
+        timestamps: true,
+      }
+    );
+
+    return InvoiceSync;
+  }
+}
@@ -0,0 +1,83 @@
+import { Model, DataTypes } from 'sequelize';
+
+/**
+ * Trabajo en segundo plano de la cola de Postgres (ver src/jobs/queue.js).
+ * No es tenant-scoped: el worker toma trabajos de todas las compañías y ejecuta
+ * cada uno dentro del contexto de su companyId.
+ */
+export class Job extends Model {
+  static initModel(sequelize) {
+    Job.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        type: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        payload: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: {},
+        },
+        // dead: agotó sus reintentos y queda para revisión manual
+        status: {
+          type: DataTypes.ENUM('pending', 'running', 'completed', 'dead'),
+          allowNull: false,
+          defaultValue: 'pending',
+        },
+        priority: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        // El trabajo no se toma antes de esta fecha (trabajos diferidos y backoff)
+        runAt: {
+          type: DataTypes.DATE,
+          allowNull: false,
+          defaultValue: DataTypes.NOW,
+        },
+        attempts: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        maxAttempts: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        companyId: {
+          type: DataTypes.INTEGER,
+        },
+        // Request ID de la petición que encoló el trabajo, para correlacionar sus logs
+        requestId: {
+          type: DataTypes.STRING,
+        },
+        lastError: {
+          type: DataTypes.TEXT,
+        },
+        lockedAt: {
+          type: DataTypes.DATE,
+        },
+        lockedBy: {
+          type: DataTypes.STRING,
+        },
+        completedAt: {
+          type: DataTypes.DATE,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'Job',
+        tableName: 'jobs',
+        timestamps: true,
+        indexes: [{ fields: ['type', 'status', 'runAt'] }],
+      }
+    );
+
+    return Job;
+  }
+}
@@ -0,0 +1,103 @@
+import { Model, DataTypes } from 'sequelize';
+
+export class Order extends Model {
+  static initModel(sequelize) {
+    Order.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        companyId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        source: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        // ID de la orden en la tienda de origen
+        externalId: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        orderNumber: {
+          type: DataTypes.STRING,
+        },
+        email: {
+          type: DataTypes.STRING,
+        },
+        currency: {
+          type: DataTypes.STRING(3),
+        },
+        subtotal: {
+          type: DataTypes.DECIMAL(14, 2),
+        },
+        totalTax: {
+          type: DataTypes.DECIMAL(14, 2),
+        },
+        totalDiscounts: {
+          type: DataTypes.DECIMAL(14, 2),
+        },
+        total: {
+          type: DataTypes.DECIMAL(14, 2),
+        },
+        totalRefunded: {
+          type: DataTypes.DECIMAL(14, 2),
+          allowNull: false,
+          defaultValue: 0,
+        },
+        financialStatus: {
+          type: DataTypes.STRING,
+        },
+        fulfillmentStatus: {
+          type: DataTypes.STRING,
+        },
+        customer: {
+          type: DataTypes.JSONB,
+        },
+        billingAddress: {
+          type: DataTypes.JSONB,
+        },
+        lineItems: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: [],
+        },
+        paymentGateways: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: [],
+        },
+        refunds: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: [],
+        },
+        placedAt: {
+          type: DataTypes.DATE,
+        },
+        cancelledAt: {
+          type: DataTypes.DATE,
+        },
+        // updated_at de la tienda; evita aplicar webhooks que llegan desordenados
+        sourceUpdatedAt: {
+          type: DataTypes.DATE,
+        },
+        raw: {
+          type: DataTypes.JSONB,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'Order',
+        tableName: 'orders',
+        timestamps: true,
+        indexes: [{ unique: true, fields: ['companyId', 'source', 'externalId'] }],
+      }
+    );
+
+    return Order;
+  }
+}
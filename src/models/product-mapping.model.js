@@ -0,0 +1,94 @@
+import { Model, DataTypes } from 'sequelize';
+
+/**
+ * Relación entre el SKU de la tienda y el código de producto en Siigo. La conciliación de
+ * catálogos (services/catalog-reconciliation.service.js) crea una fila por SKU de Shopify,
+ * con o sin producto de Siigo, y guarda lo que cada catálogo dice del producto.
+ */
+export class ProductMapping extends Model {
+  static initModel(sequelize) {
+    ProductMapping.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        companyId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        sku: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        // null mientras el SKU no tenga producto de Siigo (unmatched o ambiguous)
+        siigoCode: {
+          type: DataTypes.STRING,
+        },
+        // manual: definida por un usuario; auto: encontrada por la facturación o la conciliación
+        origin: {
+          type: DataTypes.ENUM('manual', 'auto'),
+          allowNull: false,
+          defaultValue: 'manual',
+        },
+        // confirmed: un usuario la confirmó o la definió; la conciliación no cambia su siigoCode
+        status: {
+          type: DataTypes.ENUM('matched', 'ambiguous', 'unmatched', 'confirmed'),
+          allowNull: false,
+          defaultValue: 'matched',
+        },
+        // Regla de conciliación que encontró el producto
+        matchedBy: {
+          type: DataTypes.ENUM('sku', 'barcode', 'name'),
+        },
+        // Códigos de Siigo que coinciden por igual cuando el mapeo es ambiguous
+        candidates: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: [],
+        },
+        // Diferencias entre catálogos: [{ field: 'price' | 'tax' | 'product', shopify, siigo }]
+        conflicts: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: [],
+        },
+        hasConflicts: {
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        // Variante de Shopify: { productId, variantId, title, barcode, price, taxable }
+        shopify: {
+          type: DataTypes.JSONB,
+        },
+        // Producto de Siigo: { code, name, barcode, price, taxIncluded, taxRate }
+        siigo: {
+          type: DataTypes.JSONB,
+        },
+        reconciledAt: {
+          type: DataTypes.DATE,
+        },
+        confirmedAt: {
+          type: DataTypes.DATE,
+        },
+        confirmedById: {
+          type: DataTypes.INTEGER,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'ProductMapping',
+        tableName: 'product_mappings',
+        timestamps: true,
+        indexes: [
+          { unique: true, fields: ['companyId', 'sku'] },
+          { fields: ['companyId', 'status'] },
+        ],
+      }
+    );
+
+    return ProductMapping;
+  }
+}
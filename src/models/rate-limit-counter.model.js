@@ -0,0 +1,38 @@
+import { Model, DataTypes } from 'sequelize';
+
+/**
+ * Contador de una ventana de rate limit, compartido por todas las instancias de la API
+ * (ver src/services/rate-limit.service.js). No es tenant-scoped: la llave ya identifica
+ * la política y al cliente.
+ */
+export class RateLimitCounter extends Model {
+  static initModel(sequelize) {
+    RateLimitCounter.init(
+      {
+        // <política>:<cliente>, p. ej. api:ip:10.0.0.1 o integrations:company:3
+        key: {
+          type: DataTypes.STRING,
+          primaryKey: true,
+        },
+        hits: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        resetAt: {
+          type: DataTypes.DATE,
+          allowNull: false,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'RateLimitCounter',
+        tableName: 'rate_limit_counters',
+        timestamps: false,
+        indexes: [{ fields: ['resetAt'] }],
+      }
+    );
+
+    return RateLimitCounter;
+  }
+}
@@ -0,0 +1,73 @@
+import { Model, DataTypes } from 'sequelize';
+
+/**
+ * Ejecución de una tarea programada con su duración y resultado. No es tenant-scoped.
+ */
+export class ScheduledTaskRun extends Model {
+  static initModel(sequelize) {
+    ScheduledTaskRun.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        task: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        // manual: run-now desde el API
+        trigger: {
+          type: DataTypes.ENUM('schedule', 'manual'),
+          allowNull: false,
+        },
+        // Fecha que calculó la expresión cron; única por tarea entre las ejecuciones programadas
+        scheduledFor: {
+          type: DataTypes.DATE,
+        },
+        status: {
+          type: DataTypes.ENUM('running', 'succeeded', 'failed'),
+          allowNull: false,
+          defaultValue: 'running',
+        },
+        // Lo que devolvió la tarea (conteos, etc.)
+        result: {
+          type: DataTypes.JSONB,
+        },
+        error: {
+          type: DataTypes.TEXT,
+        },
+        // Proceso que la ejecutó (host:pid)
+        instance: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        requestedById: {
+          type: DataTypes.INTEGER,
+        },
+        startedAt: {
+          type: DataTypes.DATE,
+          allowNull: false,
+        },
+        finishedAt: {
+          type: DataTypes.DATE,
+        },
+        durationMs: {
+          type: DataTypes.INTEGER,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'ScheduledTaskRun',
+        tableName: 'scheduled_task_runs',
+        timestamps: true,
+        indexes: [
+          { fields: ['task', 'startedAt'] },
+          { unique: true, fields: ['task', 'scheduledFor'], where: { trigger: 'schedule' } },
+        ],
+      }
+    );
+
+    return ScheduledTaskRun;
+  }
+}
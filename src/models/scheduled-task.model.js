@@ -0,0 +1,39 @@
+import { Model, DataTypes } from 'sequelize';
+
+/**
+ * Estado compartido de una tarea programada (ver src/scheduler). La expresión cron vive en
+ * el código; aquí solo queda lo que cambia en runtime y deben ver todas las réplicas.
+ * No es tenant-scoped: las tareas corren para todas las compañías.
+ */
+export class ScheduledTask extends Model {
+  static initModel(sequelize) {
+    ScheduledTask.init(
+      {
+        name: {
+          type: DataTypes.STRING,
+          primaryKey: true,
+        },
+        // Pausada: las ejecuciones programadas se omiten (run-now sigue disponible)
+        paused: {
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        pausedAt: {
+          type: DataTypes.DATE,
+        },
+        pausedById: {
+          type: DataTypes.INTEGER,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'ScheduledTask',
+        tableName: 'scheduled_tasks',
+        timestamps: true,
+      }
+    );
+
+    return ScheduledTask;
+  }
+}
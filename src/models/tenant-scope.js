@@ -0,0 +1,135 @@
+import { Op } from 'sequelize';
+import { ForbiddenError } from '../errors/index.js';
+import { getTenantContext } from '../utils/tenant-context.js';
+
+const sameTenant = (value, companyId) => String(value) === String(companyId);
+
+/**
+ * Devuelve el companyId del contexto actual, o null si corre como sistema
+ */
+const resolveCompanyId = (model) => {
+  const context = getTenantContext();
+  if (context?.system) return null;
+
+  if (!context?.companyId) {
+    throw new ForbiddenError(`A company context is required to access ${model.name}.`);
+  }
+
+  return context.companyId;
+};
+
+const isPlainValue = (value) => ['string', 'number', 'bigint'].includes(typeof value);
+
+const scopeWhere = (where, key, companyId) => {
+  if (where && isPlainValue(where[key]) && !sameTenant(where[key], companyId)) {
+    throw new ForbiddenError('Access to resources of another company is not allowed.');
+  }
+
+  return where ? { [Op.and]: [where, { [key]: companyId }] } : { [key]: companyId };
+};
+
+const assertInstance = (instance, key, companyId) => {
+  if (instance.isNewRecord && instance.get(key) == null) {
+    instance.set(key, companyId);
+  }
+
+  const current = instance.get(key);
+  const previous = instance.isNewRecord ? current : instance.previous(key) ?? current;
+
+  if (!sameTenant(current, companyId) || !sameTenant(previous, companyId)) {
+    throw new ForbiddenError('Access to resources of another company is not allowed.');
+  }
+};
+
+const scopeIncludes = (includes = []) => {
+  for (const include of includes) {
+    const { tenantKey } = include.model || {};
+    if (tenantKey) {
+      const companyId = resolveCompanyId(include.model);
+      if (companyId) {
+        // Agregar where a un include lo vuelve INNER JOIN; se conserva el LEFT JOIN original
+        if (include.required === undefined) include.required = false;
+        include.where = scopeWhere(include.where, tenantKey, companyId);
+      }
+    }
+    scopeIncludes(include.include);
+  }
+};
+
+/**
+ * Registra los hooks que aíslan un modelo por compañía. Dentro de runWithTenant todas las
+ * consultas se filtran por companyId y cualquier lectura o escritura sobre otra compañía
+ * lanza ForbiddenError. Las operaciones con { hooks: false } o queries crudas no se filtran.
+ * @param {typeof import('sequelize').Model} model
+ * @param {Object} [options]
+ * @param {string} [options.key='companyId'] - Atributo que identifica a la compañía dueña
+ */
+export const applyTenantScope = (model, { key = 'companyId' } = {}) => {
+  model.tenantKey = key;
+
+  const scopeOptions = (options) => {
+    const companyId = resolveCompanyId(model);
+    if (companyId) options.where = scopeWhere(options.where, key, companyId);
+  };
+
+  model.addHook('beforeFind', scopeOptions);
+  model.addHook('beforeCount', scopeOptions);
+  model.addHook('beforeBulkDestroy', scopeOptions);
+  model.addHook('beforeBulkRestore', scopeOptions);
+
+  model.addHook('beforeBulkUpdate', (options) => {
+    const companyId = resolveCompanyId(model);
+    if (!companyId) return;
+
+    if (options.attributes?.[key] !== undefined && !sameTenant(options.attributes[key], companyId)) {
+      throw new ForbiddenError('Moving resources to another company is not allowed.');
+    }
+    options.where = scopeWhere(options.where, key, companyId);
+  });
+
+  model.addHook('beforeFindAfterExpandIncludeAll', (options) => scopeIncludes(options.include));
+
+  const checkInstance = (instance) => {
+    const companyId = resolveCompanyId(model);
+    if (companyId) assertInstance(instance, key, companyId);
+  };
+
+  // Antes de validar para que allowNull: false no rechace el companyId implícito
+  model.addHook('beforeValidate', (instance) => {
+    const companyId = resolveCompanyId(model);
+    if (companyId && instance.isNewRecord && instance.get(key) == null) {
+      instance.set(key, companyId);
+    }
+  });
+  model.addHook('beforeSave', checkInstance);
+  model.addHook('beforeDestroy', checkInstance);
+  model.addHook('beforeBulkCreate', (instances) => instances.forEach(checkInstance));
+
+  model.addHook('beforeUpsert', (values) => {
+    const companyId = resolveCompanyId(model);
+    if (!companyId) return;
+
+    if (values[key] == null) values[key] = companyId;
+    if (!sameTenant(values[key], companyId)) {
+      throw new ForbiddenError('Access to resources of another company is not allowed.');
+    }
+  });
+
+  // Red de seguridad: ningún resultado de otra compañía debe salir del modelo
+  model.addHook('afterFind', (result) => {
+    const companyId = resolveCompanyId(model);
+    if (!companyId || !result) return;
+
+    const rows = Array.isArray(result) ? result : [result];
+    const leaked = rows.some((row) => {
+      const value = row instanceof model ? row.get(key) : row[key];
+      return value !== undefined && !sameTenant(value, companyId);
+    });
+
+    if (leaked) {
+      throw new ForbiddenError('Access to resources of another company is not allowed.');
+    }
+  });
+
+  return model;
+};
@@ -1,11 +1,3 @@
-/**
- * EJEMPLO DE MODELO - Puedes eliminar este archivo cuando crees tus modelos reales
- * 
- * Este es un ejemplo de cómo crear un modelo de Sequelize usando el patrón
- * que ya tienes establecido. Cuando crees tus modelos, sigue este patrón
- * y luego impórtalos en models/index.js
- */
-
 import { Model, DataTypes } from 'sequelize';
 
 export class User extends Model {
@@ -27,13 +19,20 @@ export class User extends Model {
           allowNull: false,
           unique: true,
         },
+        displayName: {
+          type: DataTypes.STRING,
+        },
         role: {
           type: DataTypes.ENUM('owner', 'admin', 'member'),
           defaultValue: 'member',
         },
+        // Los usuarios auto-provisionados quedan sin compañía hasta ser asignados
         companyId: {
           type: DataTypes.INTEGER,
-          allowNull: false,
+          allowNull: true,
+        },
+        lastLoginAt: {
+          type: DataTypes.DATE,
         },
       },
       {
@@ -47,4 +46,3 @@ export class User extends Model {
     return User;
   }
 }
-
@@ -0,0 +1,82 @@
+import { Model, DataTypes } from 'sequelize';
+
+/**
+ * Entrega de un evento a una suscripción, con el resultado del último intento. Una
+ * reentrega manual crea otra fila con el mismo eventId (redeliveryOfId apunta a la original).
+ */
+export class WebhookDelivery extends Model {
+  static initModel(sequelize) {
+    WebhookDelivery.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        companyId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        subscriptionId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        // Igual en todas las entregas del mismo evento: el receptor lo usa para deduplicar
+        eventId: {
+          type: DataTypes.UUID,
+          allowNull: false,
+        },
+        event: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        payload: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+        },
+        // pending: en cola o esperando un reintento
+        status: {
+          type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+          allowNull: false,
+          defaultValue: 'pending',
+        },
+        attempts: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        responseStatus: {
+          type: DataTypes.INTEGER,
+        },
+        // Truncado (ver services/outbound-webhook.service.js)
+        responseBody: {
+          type: DataTypes.TEXT,
+        },
+        errorMessage: {
+          type: DataTypes.TEXT,
+        },
+        durationMs: {
+          type: DataTypes.INTEGER,
+        },
+        lastAttemptAt: {
+          type: DataTypes.DATE,
+        },
+        deliveredAt: {
+          type: DataTypes.DATE,
+        },
+        redeliveryOfId: {
+          type: DataTypes.INTEGER,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'WebhookDelivery',
+        tableName: 'webhook_deliveries',
+        timestamps: true,
+        indexes: [{ fields: ['subscriptionId', 'createdAt'] }, { fields: ['eventId'] }],
+      }
+    );
+
+    return WebhookDelivery;
+  }
+}
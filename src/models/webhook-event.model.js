@@ -0,0 +1,67 @@
+import { Model, DataTypes } from 'sequelize';
+
+/**
+ * Webhook entrante tal como llegó del proveedor. No es tenant-scoped: se registra
+ * antes de conocer la compañía y se procesa de forma asíncrona.
+ */
+export class WebhookEvent extends Model {
+  static initModel(sequelize) {
+    WebhookEvent.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        provider: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        // ID de entrega del proveedor (X-Shopify-Webhook-Id), usado para deduplicar
+        externalId: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        topic: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        shopDomain: {
+          type: DataTypes.STRING,
+        },
+        companyId: {
+          type: DataTypes.INTEGER,
+        },
+        rawPayload: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+        },
+        status: {
+          type: DataTypes.ENUM('received', 'processing', 'processed', 'failed'),
+          allowNull: false,
+          defaultValue: 'received',
+        },
+        attempts: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        lastError: {
+          type: DataTypes.TEXT,
+        },
+        processedAt: {
+          type: DataTypes.DATE,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'WebhookEvent',
+        tableName: 'webhook_events',
+        timestamps: true,
+        indexes: [{ unique: true, fields: ['provider', 'externalId'] }],
+      }
+    );
+
+    return WebhookEvent;
+  }
+}
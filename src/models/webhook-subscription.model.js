@@ -0,0 +1,86 @@
+import { Model, DataTypes } from 'sequelize';
+
+// Secreto de firma cifrado: nunca sale en respuestas del API
+const ENCRYPTED_ATTRIBUTES = ['ciphertext', 'encryptedDataKey'];
+
+/**
+ * Suscripción de una compañía a eventos salientes (invoice.created, ...). Cada entrega se
+ * firma con HMAC usando el secreto de la suscripción, guardado con envelope encryption
+ * (ver services/outbound-webhook.service.js).
+ */
+export class WebhookSubscription extends Model {
+  static initModel(sequelize) {
+    WebhookSubscription.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        companyId: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        url: {
+          type: DataTypes.STRING(2048),
+          allowNull: false,
+        },
+        events: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: [],
+        },
+        description: {
+          type: DataTypes.STRING,
+        },
+        // disabled: manualmente o tras demasiados fallos seguidos; no recibe entregas
+        status: {
+          type: DataTypes.ENUM('active', 'disabled'),
+          allowNull: false,
+          defaultValue: 'active',
+        },
+        ciphertext: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+        },
+        encryptedDataKey: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+        },
+        keyVersion: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        // Intentos fallidos desde la última entrega exitosa
+        consecutiveFailures: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        disabledAt: {
+          type: DataTypes.DATE,
+        },
+        disabledReason: {
+          type: DataTypes.STRING,
+        },
+        createdById: {
+          type: DataTypes.INTEGER,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'WebhookSubscription',
+        tableName: 'webhook_subscriptions',
+        timestamps: true,
+      }
+    );
+
+    return WebhookSubscription;
+  }
+
+  toJSON() {
+    const values = { ...this.get() };
+    for (const attribute of ENCRYPTED_ATTRIBUTES) delete values[attribute];
+    return values;
+  }
+}
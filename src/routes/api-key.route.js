@@ -0,0 +1,73 @@
+import express from 'express';
+import {
+  authenticateMiddleware,
+  authorizeMiddleware,
+  idempotencyMiddleware,
+  listQueryMiddleware,
+  rateLimitMiddleware,
+  tenantContextMiddleware,
+  validateRequestMiddleware,
+} from '../middlewares/index.js';
+import {
+  apiKeyIdValidator,
+  apiKeyListDefinition,
+  createApiKeyValidator,
+  rotateApiKeyValidator,
+} from '../validators/api-key.validator.js';
+import * as apiKeyController from '../controllers/api-key.controller.js';
+
+const { authorize } = authorizeMiddleware;
+const { idempotency } = idempotencyMiddleware;
+const { listQuery } = listQueryMiddleware;
+const { validateRequest } = validateRequestMiddleware;
+
+export const apiKeys = express.Router();
+
+apiKeys.use(
+  authenticateMiddleware.authenticate,
+  tenantContextMiddleware.tenantContext,
+  rateLimitMiddleware.rateLimit('authenticated')
+);
+
+apiKeys.get(
+  '/',
+  authorize('api-keys:read'),
+  listQuery(apiKeyListDefinition),
+  apiKeyController.list
+);
+
+// Las respuestas traen el token en claro: no se guardan para los reintentos
+apiKeys.post(
+  '/',
+  authorize('api-keys:write'),
+  idempotency({ storeBody: false }),
+  createApiKeyValidator,
+  validateRequest,
+  apiKeyController.create
+);
+
+apiKeys.get(
+  '/:id',
+  authorize('api-keys:read'),
+  apiKeyIdValidator,
+  validateRequest,
+  apiKeyController.get
+);
+
+apiKeys.post(
+  '/:id/rotate',
+  authorize('api-keys:write'),
+  idempotency({ storeBody: false }),
+  apiKeyIdValidator,
+  rotateApiKeyValidator,
+  validateRequest,
+  apiKeyController.rotate
+);
+
+apiKeys.delete(
+  '/:id',
+  authorize('api-keys:write'),
+  apiKeyIdValidator,
+  validateRequest,
+  apiKeyController.revoke
+);
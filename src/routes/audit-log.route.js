@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  authenticateMiddleware,
+  authorizeMiddleware,
+  listQueryMiddleware,
+  rateLimitMiddleware,
+  tenantContextMiddleware,
+} from '../middlewares/index.js';
+import { auditLogListDefinition } from '../validators/audit-log.validator.js';
+import * as auditLogController from '../controllers/audit-log.controller.js';
+
+const { authorize } = authorizeMiddleware;
+const { listQuery } = listQueryMiddleware;
+
+export const auditLogs = express.Router();
+
+auditLogs.use(
+  authenticateMiddleware.authenticate,
+  tenantContextMiddleware.tenantContext,
+  rateLimitMiddleware.rateLimit('authenticated')
+);
+
+auditLogs.get(
+  '/',
+  authorize('audit-logs:read'),
+  listQuery(auditLogListDefinition),
+  auditLogController.list
+);
@@ -0,0 +1,91 @@
+import express from 'express';
+import {
+  authenticateMiddleware,
+  authorizeMiddleware,
+  idempotencyMiddleware,
+  listQueryMiddleware,
+  rateLimitMiddleware,
+  tenantContextMiddleware,
+  validateRequestMiddleware,
+} from '../middlewares/index.js';
+import {
+  catalogIdValidator,
+  catalogReconciliationListDefinition,
+  overrideProductMappingValidator,
+  productMappingListDefinition,
+  updateCatalogSettingsValidator,
+} from '../validators/catalog.validator.js';
+import * as catalogController from '../controllers/catalog.controller.js';
+
+const { authorize } = authorizeMiddleware;
+const { listQuery } = listQueryMiddleware;
+const { validateRequest } = validateRequestMiddleware;
+
+// Conciliación de catálogos entre Shopify y Siigo
+export const catalog = express.Router();
+
+catalog.use(
+  authenticateMiddleware.authenticate,
+  tenantContextMiddleware.tenantContext,
+  rateLimitMiddleware.rateLimit('authenticated'),
+  idempotencyMiddleware.idempotency()
+);
+
+catalog.get('/settings', authorize('catalog:read'), catalogController.getSettings);
+
+catalog.put(
+  '/settings',
+  authorize('catalog:write'),
+  updateCatalogSettingsValidator,
+  validateRequest,
+  catalogController.putSettings
+);
+
+catalog.get(
+  '/reconciliations',
+  authorize('catalog:read'),
+  listQuery(catalogReconciliationListDefinition),
+  catalogController.listReconciliations
+);
+
+catalog.post('/reconciliations', authorize('catalog:write'), catalogController.reconcile);
+
+catalog.get(
+  '/reconciliations/:id',
+  authorize('catalog:read'),
+  catalogIdValidator,
+  validateRequest,
+  catalogController.getReconciliation
+);
+
+catalog.get(
+  '/mappings',
+  authorize('catalog:read'),
+  listQuery(productMappingListDefinition),
+  catalogController.listMappings
+);
+
+catalog.get(
+  '/mappings/:id',
+  authorize('catalog:read'),
+  catalogIdValidator,
+  validateRequest,
+  catalogController.getMapping
+);
+
+catalog.put(
+  '/mappings/:id',
+  authorize('catalog:write'),
+  catalogIdValidator,
+  overrideProductMappingValidator,
+  validateRequest,
+  catalogController.overrideMapping
+);
+
+catalog.post(
+  '/mappings/:id/confirm',
+  authorize('catalog:write'),
+  catalogIdValidator,
+  validateRequest,
+  catalogController.confirmMapping
+);
@@ -0,0 +1,45 @@
+import express from 'express';
+import {
+  authenticateMiddleware,
+  authorizeMiddleware,
+  rateLimitMiddleware,
+  tenantContextMiddleware,
+  validateRequestMiddleware,
+} from '../middlewares/index.js';
+import {
+  updateRolePermissionsValidator,
+  updateSiigoSettingsValidator,
+} from '../validators/company.validator.js';
+import * as companyController from '../controllers/company.controller.js';
+
+const { authorize } = authorizeMiddleware;
+
+export const company = express.Router();
+
+company.use(
+  authenticateMiddleware.authenticate,
+  tenantContextMiddleware.tenantContext,
+  rateLimitMiddleware.rateLimit('authenticated')
+);
+
+company.get('/', authorize('company:read'), companyController.getCurrentCompany);
+
+company.get('/role-permissions', authorize('company:read'), companyController.getRolePermissions);
+
+company.put(
+  '/role-permissions',
+  authorize('roles:write'),
+  updateRolePermissionsValidator,
+  validateRequestMiddleware.validateRequest,
+  companyController.putRolePermissions
+);
+
+company.get('/siigo-settings', authorize('integrations:read'), companyController.getSiigoSettings);
+
+company.put(
+  '/siigo-settings',
+  authorize('integrations:write'),
+  updateSiigoSettingsValidator,
+  validateRequestMiddleware.validateRequest,
+  companyController.putSiigoSettings
+);
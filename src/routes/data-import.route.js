@@ -0,0 +1,56 @@
+import express from 'express';
+import {
+  authenticateMiddleware,
+  authorizeMiddleware,
+  listQueryMiddleware,
+  rateLimitMiddleware,
+  tenantContextMiddleware,
+  uploadMiddleware,
+  validateRequestMiddleware,
+} from '../middlewares/index.js';
+import {
+  dataImportIdValidator,
+  dataImportListDefinition,
+  importFileValidator,
+} from '../validators/data-import.validator.js';
+import * as dataImportController from '../controllers/data-import.controller.js';
+
+const { authorize } = authorizeMiddleware;
+const { listQuery } = listQueryMiddleware;
+const { upload } = uploadMiddleware;
+const { validateRequest } = validateRequestMiddleware;
+
+// Importación de clientes y productos desde CSV/XLSX. Sin idempotency(): el archivo llega en
+// streaming, así que la huella no lo incluiría, y la vista previa trae datos de clientes. Subir
+// dos veces el mismo archivo no duplica registros (los que ya existen en Siigo se omiten).
+export const dataImports = express.Router();
+
+dataImports.use(
+  authenticateMiddleware.authenticate,
+  tenantContextMiddleware.tenantContext,
+  rateLimitMiddleware.rateLimit('authenticated')
+);
+
+dataImports.get(
+  '/',
+  authorize('imports:read'),
+  listQuery(dataImportListDefinition),
+  dataImportController.list
+);
+
+dataImports.get(
+  '/:id',
+  authorize('imports:read'),
+  dataImportIdValidator,
+  validateRequest,
+  dataImportController.get
+);
+
+dataImports.post(
+  '/:entity',
+  authorize('imports:write'),
+  importFileValidator,
+  validateRequest,
+  upload('file'),
+  dataImportController.upload
+);
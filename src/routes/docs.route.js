@@ -0,0 +1,31 @@
+import express from 'express';
+import swaggerUiDist from 'swagger-ui-dist';
+import { config } from '../config/index.js';
+import { getOpenApiSpec } from '../docs/openapi.js';
+
+export const docs = express.Router();
+
+// Contrato de la API generado de las rutas montadas (app.locals.apiRoutes)
+docs.get('/openapi.json', async (req, res) => {
+  res.json(getOpenApiSpec(req.app.locals.apiRoutes));
+});
+
+if (config.docs.uiEnabled) {
+  // Reemplaza el inicializador de ejemplo de swagger-ui-dist (sin scripts inline por la CSP)
+  docs.get('/docs/swagger-initializer.js', async (req, res) => {
+    res.type('application/javascript').send(
+      `window.onload = () => {
+  window.ui = SwaggerUIBundle({
+    url: '../openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: 'StandaloneLayout',
+  });
+};
+`
+    );
+  });
+
+  docs.use('/docs', express.static(swaggerUiDist.getAbsoluteFSPath()));
+}
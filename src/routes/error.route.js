@@ -0,0 +1,15 @@
+import express from 'express';
+import { ERROR_CATALOG, NotFoundError } from '../errors/index.js';
+
+export const errors = express.Router();
+
+// Catálogo público de los type/code que puede devolver la API (application/problem+json)
+errors.get('/', async (req, res) => {
+  res.ok(Object.values(ERROR_CATALOG));
+});
+
+errors.get('/:code', async (req, res) => {
+  const entry = Object.values(ERROR_CATALOG).find(({ code }) => code === req.params.code);
+  if (!entry) throw new NotFoundError('Error code');
+  res.ok(entry);
+});
@@ -1,7 +1,6 @@
 import express from 'express';
-import { sequelize } from '../config/database.js';
-import { logger } from '../utils/logger.js';
 import { config } from '../config/index.js';
+import { HEALTH_STATUS, runHealthChecks } from '../health/index.js';
 
 export const health = express.Router();
 
@@ -10,24 +9,16 @@ health.get('/', async (req, res) => {
   res.ok({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Readiness probe (verifica DB)
+// Readiness probe: down (503) si falla un componente crítico o la instancia se está apagando;
+// degraded sigue recibiendo tráfico
 health.get('/ready', async (req, res) => {
-  try {
-    await sequelize.authenticate();
-    res.ok({
-      status: 'ready',
-      database: 'connected',
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    logger.error({ error }, 'Health check failed');
-    res.status(503).json({
-      success: false,
-      status: 'not ready',
-      database: 'disconnected',
-      timestamp: new Date().toISOString(),
-    });
+  const report = await runHealthChecks();
+  const body = { ...report, timestamp: new Date().toISOString() };
+
+  if (report.status === HEALTH_STATUS.DOWN) {
+    return res.status(503).json({ success: false, message: 'Service not ready', data: body });
   }
+  res.ok(body);
 });
 
 // Liveness probe
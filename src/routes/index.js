@@ -1,6 +1,49 @@
 import { config } from '../config/index.js';
+import { apiKeys } from './api-key.route.js';
+import { auditLogs } from './audit-log.route.js';
+import { catalog } from './catalog.route.js';
+import { company } from './company.route.js';
+import { dataImports } from './data-import.route.js';
+import { docs } from './docs.route.js';
+import { errors } from './error.route.js';
 import { health } from './health.route.js';
+import { integrations } from './integration.route.js';
+import { invoiceSyncs } from './invoice-sync.route.js';
+import { me } from './me.route.js';
+import { metrics } from './metrics.route.js';
+import { scheduledTasks } from './scheduled-task.route.js';
+import { webhooks } from './webhook.route.js';
+import { webhookSubscriptions } from './webhook-subscription.route.js';
+
+/**
+ * Routers montados bajo /api/<versión>. La especificación OpenAPI se genera a partir de
+ * esta lista (src/docs).
+ */
+export const apiRoutes = [
+  ['/health', health],
+  ['/errors', errors],
+  ['/me', me],
+  ['/company', company],
+  ['/api-keys', apiKeys],
+  ['/audit-logs', auditLogs],
+  ['/integrations', integrations],
+  ['/invoice-syncs', invoiceSyncs],
+  ['/catalog', catalog],
+  ['/imports', dataImports],
+  ['/scheduled-tasks', scheduledTasks],
+  ['/webhooks', webhooks],
+  ['/webhook-subscriptions', webhookSubscriptions],
+  ['', docs],
+];
 
 export const routes = (server) => {
-  server.use(`/api/${config.app.apiVersion}/health`, health);
-};
\ No newline at end of file
+  // Fuera de /api/ para que el rate limiter no afecte a Prometheus
+  if (config.metrics.enabled) server.use('/metrics', metrics);
+
+  // Para generar la especificación OpenAPI (routes/docs.route.js)
+  server.locals.apiRoutes = apiRoutes;
+
+  for (const [path, router] of apiRoutes) {
+    server.use(`/api/${config.app.apiVersion}${path}`, router);
+  }
+};
@@ -0,0 +1,53 @@
+import express from 'express';
+import {
+  authenticateMiddleware,
+  authorizeMiddleware,
+  idempotencyMiddleware,
+  rateLimitMiddleware,
+  tenantContextMiddleware,
+  validateRequestMiddleware,
+} from '../middlewares/index.js';
+import {
+  connectIntegrationValidator,
+  integrationProviderValidator,
+} from '../validators/integration.validator.js';
+import * as integrationController from '../controllers/integration.controller.js';
+
+const { authorize } = authorizeMiddleware;
+const { validateRequest } = validateRequestMiddleware;
+
+export const integrations = express.Router();
+
+integrations.use(
+  authenticateMiddleware.authenticate,
+  tenantContextMiddleware.tenantContext,
+  rateLimitMiddleware.rateLimit('authenticated'),
+  rateLimitMiddleware.rateLimit('integrations'),
+  idempotencyMiddleware.idempotency()
+);
+
+integrations.get('/', authorize('integrations:read'), integrationController.list);
+
+integrations.put(
+  '/:provider',
+  authorize('integrations:write'),
+  connectIntegrationValidator,
+  validateRequest,
+  integrationController.connect
+);
+
+integrations.post(
+  '/:provider/test',
+  authorize('integrations:write'),
+  integrationProviderValidator,
+  validateRequest,
+  integrationController.test
+);
+
+integrations.delete(
+  '/:provider',
+  authorize('integrations:write'),
+  integrationProviderValidator,
+  validateRequest,
+  integrationController.disconnect
+);
@@ -0,0 +1,54 @@
+import express from 'express';
+import {
+  authenticateMiddleware,
+  authorizeMiddleware,
+  idempotencyMiddleware,
+  listQueryMiddleware,
+  rateLimitMiddleware,
+  tenantContextMiddleware,
+  validateRequestMiddleware,
+} from '../middlewares/index.js';
+import {
+  invoiceSyncIdValidator,
+  invoiceSyncListDefinition,
+  listInvoiceSyncsValidator,
+} from '../validators/invoice-sync.validator.js';
+import * as invoiceSyncController from '../controllers/invoice-sync.controller.js';
+
+const { authorize } = authorizeMiddleware;
+const { listQuery } = listQueryMiddleware;
+const { validateRequest } = validateRequestMiddleware;
+
+export const invoiceSyncs = express.Router();
+
+invoiceSyncs.use(
+  authenticateMiddleware.authenticate,
+  tenantContextMiddleware.tenantContext,
+  rateLimitMiddleware.rateLimit('authenticated'),
+  idempotencyMiddleware.idempotency()
+);
+
+invoiceSyncs.get(
+  '/',
+  authorize('invoices:read'),
+  listInvoiceSyncsValidator,
+  validateRequest,
+  listQuery(invoiceSyncListDefinition),
+  invoiceSyncController.list
+);
+
+invoiceSyncs.get(
+  '/:id',
+  authorize('invoices:read'),
+  invoiceSyncIdValidator,
+  validateRequest,
+  invoiceSyncController.get
+);
+
+invoiceSyncs.post(
+  '/:id/retry',
+  authorize('invoices:write'),
+  invoiceSyncIdValidator,
+  validateRequest,
+  invoiceSyncController.retry
+);
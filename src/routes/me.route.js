@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  authenticateMiddleware,
+  rateLimitMiddleware,
+  tenantContextMiddleware,
+} from '../middlewares/index.js';
+import { getPrincipalPermissions } from '../services/authorization.service.js';
+
+export const me = express.Router();
+
+me.use(
+  authenticateMiddleware.authenticate,
+  tenantContextMiddleware.tenantContext,
+  rateLimitMiddleware.rateLimit('authenticated')
+);
+
+// Usuario (o API key) autenticado y su compañía
+me.get('/', async (req, res) => {
+  res.ok({
+    user: req.user || null,
+    apiKey: req.auth.type === 'api-key' ? req.auth.apiKey : null,
+    company: req.company,
+    permissions: getPrincipalPermissions(req.principal, req.company),
+  });
+});
@@ -0,0 +1,11 @@
+import express from 'express';
+import { metricsMiddleware } from '../middlewares/index.js';
+import { register } from '../utils/metrics.js';
+
+export const metrics = express.Router();
+
+// Formato de texto de Prometheus
+metrics.get('/', metricsMiddleware.metricsAuth, async (req, res) => {
+  res.set('Content-Type', register.contentType);
+  res.send(await register.metrics());
+});
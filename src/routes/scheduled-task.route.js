@@ -0,0 +1,67 @@
+import express from 'express';
+import {
+  authenticateMiddleware,
+  authorizeMiddleware,
+  idempotencyMiddleware,
+  listQueryMiddleware,
+  rateLimitMiddleware,
+  validateRequestMiddleware,
+} from '../middlewares/index.js';
+import {
+  scheduledTaskNameValidator,
+  scheduledTaskRunListDefinition,
+} from '../validators/scheduled-task.validator.js';
+import * as scheduledTaskController from '../controllers/scheduled-task.controller.js';
+
+const { authorizePlatformOperator } = authorizeMiddleware;
+const { listQuery } = listQueryMiddleware;
+const { validateRequest } = validateRequestMiddleware;
+
+// Tareas programadas. Son globales (afectan a todas las compañías): solo las manejan los
+// operadores de la plataforma, no los roles de una compañía
+export const scheduledTasks = express.Router();
+
+scheduledTasks.use(
+  authenticateMiddleware.authenticate,
+  rateLimitMiddleware.rateLimit('authenticated'),
+  authorizePlatformOperator,
+  idempotencyMiddleware.idempotency()
+);
+
+scheduledTasks.get('/', scheduledTaskController.list);
+
+scheduledTasks.get(
+  '/:name',
+  scheduledTaskNameValidator,
+  validateRequest,
+  scheduledTaskController.get
+);
+
+scheduledTasks.get(
+  '/:name/runs',
+  scheduledTaskNameValidator,
+  validateRequest,
+  listQuery(scheduledTaskRunListDefinition),
+  scheduledTaskController.listRuns
+);
+
+scheduledTasks.post(
+  '/:name/run',
+  scheduledTaskNameValidator,
+  validateRequest,
+  scheduledTaskController.run
+);
+
+scheduledTasks.post(
+  '/:name/pause',
+  scheduledTaskNameValidator,
+  validateRequest,
+  scheduledTaskController.pause
+);
+
+scheduledTasks.post(
+  '/:name/resume',
+  scheduledTaskNameValidator,
+  validateRequest,
+  scheduledTaskController.resume
+);
@@ -0,0 +1,94 @@
+import express from 'express';
+import {
+  authenticateMiddleware,
+  authorizeMiddleware,
+  idempotencyMiddleware,
+  listQueryMiddleware,
+  rateLimitMiddleware,
+  tenantContextMiddleware,
+  validateRequestMiddleware,
+} from '../middlewares/index.js';
+import {
+  createWebhookSubscriptionValidator,
+  updateWebhookSubscriptionValidator,
+  webhookDeliveryIdValidator,
+  webhookDeliveryListDefinition,
+  webhookSubscriptionIdValidator,
+  webhookSubscriptionListDefinition,
+} from '../validators/webhook-subscription.validator.js';
+import * as webhookSubscriptionController from '../controllers/webhook-subscription.controller.js';
+
+const { authorize } = authorizeMiddleware;
+const { idempotency } = idempotencyMiddleware;
+const { listQuery } = listQueryMiddleware;
+const { validateRequest } = validateRequestMiddleware;
+
+// Webhooks salientes; los entrantes (Shopify) están en webhook.route.js
+export const webhookSubscriptions = express.Router();
+
+webhookSubscriptions.use(
+  authenticateMiddleware.authenticate,
+  tenantContextMiddleware.tenantContext,
+  rateLimitMiddleware.rateLimit('authenticated')
+);
+
+webhookSubscriptions.get(
+  '/',
+  authorize('webhooks:read'),
+  listQuery(webhookSubscriptionListDefinition),
+  webhookSubscriptionController.list
+);
+
+// La respuesta trae el secreto de firma en claro: no se guarda para los reintentos
+webhookSubscriptions.post(
+  '/',
+  authorize('webhooks:write'),
+  idempotency({ storeBody: false }),
+  createWebhookSubscriptionValidator,
+  validateRequest,
+  webhookSubscriptionController.create
+);
+
+webhookSubscriptions.get(
+  '/:id',
+  authorize('webhooks:read'),
+  webhookSubscriptionIdValidator,
+  validateRequest,
+  webhookSubscriptionController.get
+);
+
+webhookSubscriptions.patch(
+  '/:id',
+  authorize('webhooks:write'),
+  idempotency(),
+  webhookSubscriptionIdValidator,
+  updateWebhookSubscriptionValidator,
+  validateRequest,
+  webhookSubscriptionController.update
+);
+
+webhookSubscriptions.delete(
+  '/:id',
+  authorize('webhooks:write'),
+  webhookSubscriptionIdValidator,
+  validateRequest,
+  webhookSubscriptionController.remove
+);
+
+webhookSubscriptions.get(
+  '/:id/deliveries',
+  authorize('webhooks:read'),
+  webhookSubscriptionIdValidator,
+  validateRequest,
+  listQuery(webhookDeliveryListDefinition),
+  webhookSubscriptionController.listDeliveries
+);
+
+webhookSubscriptions.post(
+  '/:id/deliveries/:deliveryId/redeliver',
+  authorize('webhooks:write'),
+  idempotency(),
+  webhookDeliveryIdValidator,
+  validateRequest,
+  webhookSubscriptionController.redeliver
+);
@@ -0,0 +1,12 @@
+import express from 'express';
+import { rateLimitMiddleware } from '../middlewares/index.js';
+import * as webhookController from '../controllers/webhook.controller.js';
+
+export const webhooks = express.Router();
+
+// Fuera del límite `api` por IP: Shopify entrega desde IPs compartidas y un 429 lo hace
+// reintentar o desactivar el webhook
+webhooks.use(rateLimitMiddleware.rateLimit('webhooks'));
+
+// Sin authenticate: cada proveedor se autentica con la firma del webhook
+webhooks.post('/shopify', webhookController.receiveShopify);
@@ -0,0 +1,39 @@
+import { config } from '../config/index.js';
+import { TASK_NAMES } from './task-names.js';
+import { defineTask } from './scheduler.js';
+import { scheduleCatalogReconciliations } from '../services/catalog-reconciliation.service.js';
+import { refreshIntegrationTokens } from '../services/integration.service.js';
+import { purgeExpiredIdempotencyKeys } from '../services/idempotency.service.js';
+
+/**
+ * Registra las tareas programadas con sus expresiones cron (config.scheduler.schedules)
+ */
+export const registerTasks = () => {
+  const { schedules } = config.scheduler;
+
+  defineTask(
+    TASK_NAMES.CATALOG_RECONCILIATION,
+    async () => ({ queued: await scheduleCatalogReconciliations() }),
+    {
+      schedule: schedules.catalogReconciliation,
+      description: 'Queues the catalog reconciliation of companies with Shopify and Siigo',
+    }
+  );
+
+  defineTask(TASK_NAMES.INTEGRATION_TOKENS, () => refreshIntegrationTokens(), {
+    schedule: schedules.integrationTokens,
+    description: 'Tests every integration credential and renews Siigo access tokens',
+  });
+
+  defineTask(
+    TASK_NAMES.IDEMPOTENCY_PURGE,
+    async () => ({ deleted: await purgeExpiredIdempotencyKeys() }),
+    {
+      schedule: schedules.idempotencyPurge,
+      description: 'Deletes expired idempotency keys',
+    }
+  );
+};
+
+export { TASK_NAMES };
+export { getTask, getTasks, runTaskNow, startScheduler, stopScheduler } from './scheduler.js';
@@ -0,0 +1,249 @@
+import os from 'os';
+import { Cron } from 'croner';
+import { QueryTypes, UniqueConstraintError } from 'sequelize';
+import { config } from '../config/index.js';
+import { ConflictError, NotFoundError } from '../errors/index.js';
+import { ScheduledTask, ScheduledTaskRun } from '../models/index.js';
+import { logger } from '../utils/logger.js';
+import { runAsSystem } from '../utils/tenant-context.js';
+
+// Primer entero de pg_try_advisory_xact_lock: separa los locks del scheduler de otros usos
+const LOCK_NAMESPACE = 7310;
+
+// setTimeout acepta como máximo 2^31-1 ms (~24 días)
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const tasks = new Map();
+const running = new Set();
+const instance = `${os.hostname()}:${process.pid}`;
+
+let started = false;
+
+/**
+ * Registra una tarea programada. La expresión se valida al registrarla.
+ * @param {string} name
+ * @param {(run: ScheduledTaskRun) => Promise<any>} handler - Lo que devuelve se guarda en
+ *   el resultado de la ejecución
+ * @param {Object} options
+ * @param {string} options.schedule - Expresión cron (minuto hora día mes día-semana)
+ * @param {string} [options.timezone] - Por defecto config.scheduler.timezone
+ * @param {string} [options.description]
+ */
+export const defineTask = (name, handler, { schedule, timezone, description = null }) => {
+  const zone = timezone || config.scheduler.timezone;
+
+  tasks.set(name, {
+    name,
+    handler,
+    schedule,
+    timezone: zone,
+    description,
+    cron: new Cron(schedule, { timezone: zone }),
+    timer: null,
+  });
+};
+
+/**
+ * @param {string} name
+ * @returns {Object} Definición registrada con defineTask
+ */
+export const getTask = (name) => {
+  const task = tasks.get(name);
+  if (!task) throw new NotFoundError(`Scheduled task ${name}`);
+
+  return task;
+};
+
+/**
+ * @returns {Object[]} Tareas registradas, por nombre
+ */
+export const getTasks = () => [...tasks.values()].sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Lock de la tarea para toda la base de datos: vive en una transacción propia y se libera
+ * al terminarla. null si otra instancia la está ejecutando.
+ */
+const acquireLock = async (name) => {
+  const { sequelize } = ScheduledTaskRun;
+  const transaction = await sequelize.transaction();
+  let locked = false;
+
+  try {
+    [{ locked }] = await sequelize.query(
+      'SELECT pg_try_advisory_xact_lock(:namespace, hashtext(:name)) AS "locked"',
+      { replacements: { namespace: LOCK_NAMESPACE, name }, type: QueryTypes.SELECT, transaction }
+    );
+  } finally {
+    if (!locked) await transaction.rollback();
+  }
+
+  return locked ? transaction : null;
+};
+
+const releaseLock = (lock, name) =>
+  lock
+    .commit()
+    .catch((error) => logger.error({ error, task: name }, 'Error releasing scheduled task lock'));
+
+const executeRun = async (task, run, lock) => {
+  const startedAt = Date.now();
+  let values;
+
+  try {
+    const result = await runAsSystem(() => task.handler(run));
+    values = { status: 'succeeded', result: result ?? null };
+  } catch (error) {
+    logger.error({ error, task: task.name, runId: run.id }, 'Scheduled task failed');
+    values = { status: 'failed', error: error.message };
+  }
+
+  const durationMs = Date.now() - startedAt;
+  try {
+    await run.update({ ...values, finishedAt: new Date(), durationMs });
+    if (values.status === 'succeeded') {
+      logger.info({ task: task.name, runId: run.id, durationMs }, 'Scheduled task completed');
+    }
+  } catch (error) {
+    logger.error({ error, task: task.name, runId: run.id }, 'Error saving scheduled task run');
+  } finally {
+    await releaseLock(lock, task.name);
+  }
+};
+
+/**
+ * Inicia una ejecución si nadie más tiene el lock. Las programadas se omiten si la tarea
+ * está pausada o si otra réplica ya ejecutó el mismo horario.
+ * @returns {Promise<ScheduledTaskRun|null>} null si se omitió
+ */
+const startRun = async (task, { trigger, scheduledFor = null, requestedById = null }) => {
+  const lock = await acquireLock(task.name);
+  if (!lock) return null;
+
+  let run;
+  try {
+    if (trigger === 'schedule') {
+      const state = await ScheduledTask.findByPk(task.name);
+      if (state?.paused) {
+        await lock.rollback();
+        return null;
+      }
+    }
+
+    run = await ScheduledTaskRun.create({
+      task: task.name,
+      trigger,
+      scheduledFor,
+      instance,
+      requestedById,
+      startedAt: new Date(),
+    });
+  } catch (error) {
+    await lock.rollback();
+    if (error instanceof UniqueConstraintError) return null;
+    throw error;
+  }
+
+  const execution = executeRun(task, run, lock).finally(() => running.delete(execution));
+  running.add(execution);
+  return run;
+};
+
+const scheduleNext = (task) => {
+  if (!started) return;
+
+  const next = task.cron.nextRun();
+  if (!next) return;
+
+  const delay = Math.min(next.getTime() - Date.now(), MAX_TIMEOUT_MS);
+  task.timer = setTimeout(
+    () => {
+      // Horarios a más de ~24 días: el timer se vuelve a programar hasta llegar
+      if (Date.now() < next.getTime()) {
+        scheduleNext(task);
+        return;
+      }
+
+      scheduleNext(task);
+      startRun(task, { trigger: 'schedule', scheduledFor: next })
+        .then((run) => {
+          if (!run) logger.debug({ task: task.name, scheduledFor: next }, 'Scheduled run skipped');
+        })
+        .catch((error) =>
+          logger.error({ error, task: task.name }, 'Error starting scheduled task')
+        );
+    },
+    Math.max(delay, 0)
+  );
+};
+
+/**
+ * Ejecuta la tarea ya, aunque esté pausada. La ejecución sigue en segundo plano.
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {number|null} [options.requestedById]
+ * @returns {Promise<ScheduledTaskRun>}
+ * @throws {ConflictError} La tarea está corriendo en esta u otra instancia
+ */
+export const runTaskNow = async (name, { requestedById = null } = {}) => {
+  const task = getTask(name);
+  const run = await startRun(task, { trigger: 'manual', requestedById });
+  if (!run) throw new ConflictError(`Scheduled task ${name} is already running.`);
+
+  return run;
+};
+
+/**
+ * Programa las tareas registradas en este proceso. Todas las réplicas pueden iniciarlo:
+ * el lock de cada tarea garantiza que solo una ejecuta cada horario.
+ */
+export const startScheduler = () => {
+  if (started) return;
+
+  started = true;
+  for (const task of tasks.values()) scheduleNext(task);
+  logger.info({ instance, tasks: [...tasks.keys()] }, 'Scheduler started');
+};
+
+/**
+ * Deja de programar tareas y espera las que están en curso. Las que no terminen a tiempo
+ * quedan registradas como fallidas.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<boolean>} true si todas las tareas terminaron
+ */
+export const stopScheduler = async ({ timeoutMs = config.scheduler.shutdownTimeoutMs } = {}) => {
+  started = false;
+  for (const task of tasks.values()) {
+    clearTimeout(task.timer);
+    task.timer = null;
+  }
+
+  const pending = [...running];
+  if (pending.length === 0) return true;
+
+  logger.info({ tasks: pending.length }, 'Waiting for scheduled tasks to finish');
+  let timer;
+  const drained = await Promise.race([
+    Promise.allSettled(pending).then(() => true),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    }),
+  ]);
+  clearTimeout(timer);
+
+  if (!drained) {
+    logger.warn('Shutdown timeout reached with scheduled tasks still running');
+    await ScheduledTaskRun.update(
+      {
+        status: 'failed',
+        error: 'Interrupted by shutdown',
+        finishedAt: new Date(),
+        durationMs: ScheduledTaskRun.sequelize.literal(
+          'EXTRACT(EPOCH FROM NOW() - "startedAt")::int * 1000'
+        ),
+      },
+      { where: { instance, status: 'running' } }
+    );
+  }
+  return drained;
+};
@@ -0,0 +1,9 @@
+/**
+ * Tareas programadas. Los handlers y sus expresiones cron se registran en
+ * src/scheduler/index.js.
+ */
+export const TASK_NAMES = Object.freeze({
+  CATALOG_RECONCILIATION: 'catalog.reconcile',
+  INTEGRATION_TOKENS: 'integrations.refresh-tokens',
+  IDEMPOTENCY_PURGE: 'idempotency-keys.purge',
+});
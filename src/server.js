@@ -3,6 +3,10 @@ import { config } from './config/index.js';
 import { logger } from './utils/logger.js';
 import { loadExpress } from './loaders/express.load.js';
 import { loadDatabase } from './loaders/sequelize.load.js';
+import { loadJobs, unloadJobs } from './loaders/jobs.load.js';
+import { loadScheduler, unloadScheduler } from './loaders/scheduler.load.js';
+import { loadHealthChecks } from './loaders/health.load.js';
+import { markShuttingDown } from './health/index.js';
 
 let server;
 
@@ -13,6 +17,15 @@ export const startServer = async () => {
     // Cargar DB
     await loadDatabase();
 
+    // Registrar trabajos e iniciar el worker de la cola
+    loadJobs();
+
+    // Registrar tareas programadas (cron)
+    loadScheduler();
+
+    // Checks de /health/ready (DB, cola, integraciones)
+    loadHealthChecks();
+
     // Cargar middlewares, rutas, JSON, CORS
     loadExpress(app);
 
@@ -40,10 +53,39 @@ const setupGracefulShutdown = () => {
   const shutdown = async (signal) => {
     logger.info({ signal }, 'Received shutdown signal, closing server...');
 
+    // /health/ready responde 503 desde ya para que el balanceador deje de enviar tráfico
+    markShuttingDown();
+
     if (server) {
+      // El worker deja de tomar trabajos de inmediato, en paralelo al cierre de HTTP
+      const jobsStopped = unloadJobs().catch((error) =>
+        logger.error({ error }, 'Error stopping the job worker')
+      );
+      const schedulerStopped = unloadScheduler().catch((error) =>
+        logger.error({ error }, 'Error stopping the scheduler')
+      );
+
+      // Forzar cierre 10 segundos después de dejar de aceptar conexiones
+      setTimeout(() => {
+        logger.error('Force closing the server...');
+        process.exit(1);
+      }, config.health.shutdownDelayMs + 10000);
+
+      // Se siguen atendiendo peticiones mientras el balanceador detecta el not ready
+      if (config.health.shutdownDelayMs > 0) {
+        logger.info(
+          { delayMs: config.health.shutdownDelayMs },
+          'Waiting before closing the server'
+        );
+        await new Promise((resolve) => setTimeout(resolve, config.health.shutdownDelayMs));
+      }
+
       server.close(async () => {
         logger.info('HTTP server closed');
 
+        // Esperar a que terminen los trabajos y tareas en curso antes de cerrar la DB
+        await Promise.all([jobsStopped, schedulerStopped]);
+
         // Cerrar conexiones de DB solo si está habilitada
         try {
           const { sequelize } = await import('./config/database.js');
@@ -57,12 +99,6 @@ const setupGracefulShutdown = () => {
 
         process.exit(0);
       });
-
-      // Forzar cierre después de 10 segundos
-      setTimeout(() => {
-        logger.error('Force closing the server...');
-        process.exit(1);
-      }, 10000);
     }
   };
 
@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { NON_DELEGABLE_PERMISSIONS } from '../config/permissions.js';
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+} from '../errors/index.js';
+import { ApiKey } from '../models/index.js';
+import { paginate } from '../utils/list-query.js';
+import { logger } from '../utils/logger.js';
+import { runAsSystem } from '../utils/tenant-context.js';
+import { can, expandPermission, getPrincipalPermissions } from './authorization.service.js';
+
+// mk_<prefix>_<secreto>: el prefijo identifica la llave, el secreto solo se guarda hasheado
+const TOKEN_PATTERN = /^mk_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+// lastUsedAt se actualiza como mucho una vez por este intervalo para no escribir en cada petición
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Los secretos son 32 bytes aleatorios: basta un hash rápido, no hace falta uno de contraseñas
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const generateToken = () => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  return { prefix, secretHash: hashSecret(secret), token: `mk_${prefix}_${secret}` };
+};
+
+const defaultExpiry = () => new Date(Date.now() + config.apiKeys.defaultTtlDays * DAY_MS);
+
+/**
+ * Una llave solo puede recibir permisos que quien la emite tiene, y nunca los de
+ * administrar llaves o roles
+ */
+const assertDelegable = (principal, company, scopes) => {
+  const effective = getPrincipalPermissions(principal, company);
+  const denied = scopes.filter((scope) =>
+    expandPermission(scope).some(
+      (permission) => NON_DELEGABLE_PERMISSIONS.includes(permission) || !can(effective, permission)
+    )
+  );
+
+  if (denied.length > 0) {
+    throw new ForbiddenError(`These scopes cannot be delegated: ${denied.join(', ')}.`, {
+      scopes: denied,
+    });
+  }
+};
+
+/**
+ * Emite una API key para la compañía
+ * @param {Company} company
+ * @param {Object} principal - Quien emite la llave (req.principal)
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {string[]} params.scopes
+ * @param {Date|string} [params.expiresAt] - Por defecto config.apiKeys.defaultTtlDays
+ * @returns {Promise<{ apiKey: ApiKey, token: string }>} El token solo se devuelve aquí
+ */
+export const issueApiKey = async (company, principal, { name, scopes, expiresAt }) => {
+  assertDelegable(principal, company, scopes);
+
+  const { token, prefix, secretHash } = generateToken();
+  const apiKey = await ApiKey.create({
+    companyId: company.id,
+    name,
+    prefix,
+    secretHash,
+    scopes,
+    expiresAt: expiresAt ? new Date(expiresAt) : defaultExpiry(),
+    createdById: principal.type === 'user' ? principal.id : null,
+  });
+
+  logger.info({ apiKeyId: apiKey.id, prefix }, 'API key issued');
+  return { apiKey, token };
+};
+
+/**
+ * @param {Object} listQuery - req.listQuery
+ */
+export const listApiKeys = (listQuery) => paginate(ApiKey, listQuery);
+
+/**
+ * @param {number} apiKeyId
+ */
+export const getApiKey = async (apiKeyId) => {
+  const apiKey = await ApiKey.findByPk(apiKeyId);
+  if (!apiKey) throw new NotFoundError('API key');
+
+  return apiKey;
+};
+
+/**
+ * Emite una llave nueva con el mismo nombre y scopes y retira la anterior: de inmediato o,
+ * con gracePeriodHours, al vencer ese plazo (para desplegar el token nuevo sin cortes)
+ * @param {Company} company
+ * @param {Object} principal - req.principal
+ * @param {number} apiKeyId
+ * @param {Object} [options]
+ * @param {Date|string} [options.expiresAt] - Vencimiento de la llave nueva
+ * @param {number} [options.gracePeriodHours=0]
+ * @returns {Promise<{ apiKey: ApiKey, token: string, previous: ApiKey }>}
+ */
+export const rotateApiKey = async (
+  company,
+  principal,
+  apiKeyId,
+  { expiresAt, gracePeriodHours = 0 } = {}
+) => {
+  const previous = await getApiKey(apiKeyId);
+  if (previous.status !== 'active') {
+    throw new ConflictError(
+      `Only active API keys can be rotated (this one is ${previous.status}).`
+    );
+  }
+  assertDelegable(principal, company, previous.scopes);
+
+  const { token, prefix, secretHash } = generateToken();
+  const apiKey = await ApiKey.sequelize.transaction(async (transaction) => {
+    const created = await ApiKey.create(
+      {
+        companyId: company.id,
+        name: previous.name,
+        prefix,
+        secretHash,
+        scopes: previous.scopes,
+        expiresAt: expiresAt ? new Date(expiresAt) : defaultExpiry(),
+        createdById: principal.type === 'user' ? principal.id : null,
+        rotatedFromId: previous.id,
+      },
+      { transaction }
+    );
+
+    const graceEndsAt = new Date(Date.now() + gracePeriodHours * 60 * 60 * 1000);
+    await previous.update(
+      gracePeriodHours > 0
+        ? { expiresAt: new Date(Math.min(previous.expiresAt.getTime(), graceEndsAt.getTime())) }
+        : { revokedAt: new Date() },
+      { transaction }
+    );
+
+    return created;
+  });
+
+  logger.info({ apiKeyId: apiKey.id, rotatedFromId: previous.id }, 'API key rotated');
+  return { apiKey, token, previous };
+};
+
+/**
+ * @param {number} apiKeyId
+ * @returns {Promise<ApiKey>}
+ */
+export const revokeApiKey = async (apiKeyId) => {
+  const apiKey = await getApiKey(apiKeyId);
+
+  if (!apiKey.revokedAt) {
+    await apiKey.update({ revokedAt: new Date() });
+    logger.info({ apiKeyId: apiKey.id }, 'API key revoked');
+  }
+  return apiKey;
+};
+
+const touchLastUsed = (apiKey, ip) => {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_INTERVAL_MS) return;
+
+  runAsSystem(() => apiKey.update({ lastUsedAt: new Date(), lastUsedIp: ip })).catch((error) =>
+    logger.warn({ error, apiKeyId: apiKey.id }, 'Error updating API key last use')
+  );
+};
+
+/**
+ * Verifica un token del header x-app-token. Corre como sistema porque todavía no se
+ * conoce la compañía.
+ * @param {string} token
+ * @param {string} [ip] - IP del cliente, para lastUsedIp
+ * @returns {Promise<ApiKey>}
+ */
+export const verifyAppToken = async (token, ip) => {
+  const [, prefix, secret] = TOKEN_PATTERN.exec(token) || [];
+  if (!prefix) throw new UnauthorizedError('Invalid API key.');
+
+  const apiKey = await runAsSystem(() => ApiKey.findOne({ where: { prefix } }));
+  const valid =
+    apiKey &&
+    crypto.timingSafeEqual(
+      Buffer.from(apiKey.secretHash, 'hex'),
+      Buffer.from(hashSecret(secret), 'hex')
+    );
+  if (!valid) throw new UnauthorizedError('Invalid API key.');
+
+  if (apiKey.status === 'revoked') throw new UnauthorizedError('API key has been revoked.');
+  if (apiKey.status === 'expired') throw new UnauthorizedError('API key has expired.');
+
+  touchLastUsed(apiKey, ip);
+  return apiKey;
+};
@@ -0,0 +1,8 @@
+import { AuditLog } from '../models/index.js';
+import { paginate } from '../utils/list-query.js';
+
+/**
+ * Entradas de auditoría de la compañía actual
+ * @param {Object} listQuery - req.listQuery
+ */
+export const listAuditLogs = (listQuery) => paginate(AuditLog, listQuery);
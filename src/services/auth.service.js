@@ -0,0 +1,84 @@
+import { config } from '../config/index.js';
+import { getFirebaseSigningKey } from '../config/firebase.js';
+import { UnauthorizedError } from '../errors/index.js';
+import { User } from '../models/index.js';
+import { decodeJwt, verifyRs256Signature } from '../utils/jwt.js';
+import { logger } from '../utils/logger.js';
+import { runAsSystem } from '../utils/tenant-context.js';
+
+/**
+ * Verifica un ID token de Firebase sin llamar a Google (solo descarga las llaves públicas)
+ * @param {string} token
+ * @returns {Promise<Object>} Claims del token
+ */
+export const verifyIdToken = async (token) => {
+  const decoded = decodeJwt(token);
+  if (!decoded) throw new UnauthorizedError('Invalid authentication token.');
+
+  const { header, payload } = decoded;
+  if (header.alg !== 'RS256' || !header.kid) {
+    throw new UnauthorizedError('Invalid authentication token.');
+  }
+
+  const publicKey = await getFirebaseSigningKey(header.kid);
+  if (!publicKey || !verifyRs256Signature(decoded, publicKey)) {
+    throw new UnauthorizedError('Invalid authentication token.');
+  }
+
+  const { projectId, clockSkewSeconds } = config.firebase;
+  const now = Math.floor(Date.now() / 1000);
+
+  if (
+    payload.aud !== projectId ||
+    payload.iss !== `https://securetoken.google.com/${projectId}` ||
+    typeof payload.sub !== 'string' ||
+    !payload.sub ||
+    payload.iat > now + clockSkewSeconds ||
+    payload.auth_time > now + clockSkewSeconds
+  ) {
+    throw new UnauthorizedError('Invalid authentication token.');
+  }
+
+  if (typeof payload.exp !== 'number' || payload.exp + clockSkewSeconds <= now) {
+    throw new UnauthorizedError('Authentication token has expired.');
+  }
+
+  return payload;
+};
+
+const findOrProvisionUser = async (claims) => {
+  let user = await User.findOne({ where: { firebaseUid: claims.sub } });
+
+  if (!user) {
+    if (!config.firebase.autoProvisionUsers || !claims.email) {
+      throw new UnauthorizedError('User is not registered.');
+    }
+
+    [user] = await User.findOrCreate({
+      where: { firebaseUid: claims.sub },
+      defaults: {
+        email: claims.email,
+        displayName: claims.name || null,
+        companyId: claims.companyId || null,
+      },
+    });
+    logger.info({ userId: user.id, firebaseUid: user.firebaseUid }, 'User provisioned');
+  }
+
+  // auth_time cambia solo cuando el usuario vuelve a iniciar sesión en Firebase
+  const authTime = new Date(claims.auth_time * 1000);
+  if (claims.auth_time && user.lastLoginAt?.getTime() !== authTime.getTime()) {
+    user.lastLoginAt = authTime;
+    await user.save({ fields: ['lastLoginAt'] });
+  }
+
+  return user;
+};
+
+/**
+ * Busca el usuario asociado al token o lo crea si el auto-provisioning está activo.
+ * Corre como sistema porque todavía no se conoce la compañía del usuario.
+ * @param {Object} claims - Claims de un ID token verificado
+ * @returns {Promise<User>}
+ */
+export const resolveUser = (claims) => runAsSystem(() => findOrProvisionUser(claims));
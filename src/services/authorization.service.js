@@ -0,0 +1,75 @@
+import { CONFIGURABLE_ROLES, PERMISSIONS, ROLE_PERMISSIONS } from '../config/permissions.js';
+
+/**
+ * Indica si una lista de permisos (con comodines) cubre el permiso solicitado
+ * @param {string[]} entries
+ * @param {string} permission - Permiso `recurso:acción`
+ * @returns {boolean}
+ */
+const matches = (entries, permission) => {
+  const [resource] = permission.split(':');
+  return entries.some(
+    (entry) => entry === '*' || entry === permission || entry === `${resource}:*`
+  );
+};
+
+/**
+ * Permisos efectivos de un rol, aplicando los overrides de la compañía
+ * (Company.rolePermissions = { [rol]: { grant: [], revoke: [] } })
+ * @param {string} role
+ * @param {Company} [company]
+ * @returns {{ granted: string[], revoked: string[] }}
+ */
+export const getEffectivePermissions = (role, company) => {
+  const base = ROLE_PERMISSIONS[role] || [];
+  const override = CONFIGURABLE_ROLES.includes(role) ? company?.rolePermissions?.[role] : null;
+
+  return {
+    granted: [...new Set([...base, ...(override?.grant || [])])],
+    revoked: [...(override?.revoke || [])],
+  };
+};
+
+/**
+ * @param {{ granted: string[], revoked: string[] }} effective
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export const can = ({ granted, revoked }, permission) =>
+  matches(granted, permission) && !matches(revoked, permission);
+
+/**
+ * Permisos efectivos de quien hace la petición: los de su rol para usuarios, los scopes
+ * de la llave para API keys
+ * @param {{ type: 'user'|'api-key', role?: string, scopes?: string[] }} principal
+ * @param {Company} [company]
+ * @returns {{ granted: string[], revoked: string[] }}
+ */
+export const getPrincipalPermissions = (principal, company) =>
+  principal.type === 'api-key'
+    ? { granted: [...principal.scopes], revoked: [] }
+    : getEffectivePermissions(principal.role, company);
+
+/**
+ * Permisos concretos que cubre un permiso (`recurso:*` se expande a las acciones conocidas)
+ * @param {string} permission
+ * @returns {string[]}
+ */
+export const expandPermission = (permission) => {
+  if (!permission.endsWith(':*')) return [permission];
+
+  const resource = permission.slice(0, -2);
+  return PERMISSIONS.filter((entry) => entry.startsWith(`${resource}:`));
+};
+
+/**
+ * Devuelve los permisos requeridos que el usuario o la API key no tiene dentro de la compañía
+ * @param {Object} principal - req.principal
+ * @param {Company} company
+ * @param {string[]} required
+ * @returns {string[]}
+ */
+export const getMissingPermissions = (principal, company, required) => {
+  const effective = getPrincipalPermissions(principal, company);
+  return required.filter((permission) => !can(effective, permission));
+};
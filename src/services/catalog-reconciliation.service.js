@@ -0,0 +1,530 @@
+import { UniqueConstraintError } from 'sequelize';
+import {
+  ConflictError,
+  NotFoundError,
+  UnprocessableEntityError,
+  isTransientError,
+} from '../errors/index.js';
+import {
+  CatalogReconciliation,
+  Company,
+  IntegrationCredential,
+  ProductMapping,
+} from '../models/index.js';
+import { auditSnapshot, recordAudit } from '../models/audit-trail.js';
+import { enqueueJob } from '../jobs/queue.js';
+import { JOB_TYPES } from '../jobs/job-types.js';
+import { paginate } from '../utils/list-query.js';
+import { logger } from '../utils/logger.js';
+import { runAsSystem, runWithTenant } from '../utils/tenant-context.js';
+import { getShopifyClient } from './shopify.service.js';
+import { getSiigoClient } from './siigo.service.js';
+
+/**
+ * Reglas de conciliación, en el orden por defecto en que se prueban
+ */
+export const MATCH_RULES = ['sku', 'barcode', 'name'];
+
+export const DEFAULT_CATALOG_SETTINGS = {
+  // Reglas que se prueban, en orden; gana la primera que encuentra un solo producto
+  matchBy: MATCH_RULES,
+  // Diferencia de precio (antes de impuestos) que no cuenta como conflicto
+  priceTolerance: 0,
+  comparePrices: true,
+  compareTaxes: true,
+  // Conciliación programada (tarea catalog.reconcile del scheduler)
+  scheduleEnabled: true,
+};
+
+// Variantes sin SKU y productos solo en Siigo que se listan en el resumen de una ejecución
+const MAX_REPORTED_ITEMS = 500;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const normalizeCode = (value) =>
+  String(value ?? '')
+    .trim()
+    .toUpperCase();
+
+const normalizeBarcode = (value) => String(value ?? '').replace(/\s+/g, '');
+
+// Sin tildes, mayúsculas ni puntuación: "CAFÉ ORGÁNICO - 500G" equivale a "Café orgánico 500g"
+const normalizeName = (value) =>
+  String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Campo de cada catálogo que compara cada regla
+const MATCHERS = {
+  sku: { shopify: 'sku', siigo: 'code', normalize: normalizeCode },
+  barcode: { shopify: 'barcode', siigo: 'barcode', normalize: normalizeBarcode },
+  name: { shopify: 'title', siigo: 'name', normalize: normalizeName },
+};
+
+/**
+ * Configuración de conciliación de la compañía con los valores por defecto
+ * @param {Company} company
+ */
+export const getCatalogSettings = (company) => ({
+  ...DEFAULT_CATALOG_SETTINGS,
+  ...company.catalogSettings,
+});
+
+/**
+ * @param {Company} company
+ * @param {Object} settings - Solo se guardan las claves conocidas
+ * @returns {Promise<Object>} Configuración efectiva
+ */
+export const updateCatalogSettings = async (company, settings) => {
+  const known = Object.fromEntries(
+    Object.entries(settings).filter(([key]) => key in DEFAULT_CATALOG_SETTINGS)
+  );
+
+  company.catalogSettings = { ...company.catalogSettings, ...known };
+  await company.save();
+
+  return getCatalogSettings(company);
+};
+
+const toShopifyItems = (product, taxesIncluded) =>
+  (product.variants || []).map((variant) => ({
+    productId: product.id,
+    variantId: variant.id,
+    sku: variant.sku?.trim() || null,
+    title:
+      variant.title && variant.title !== 'Default Title'
+        ? `${product.title} - ${variant.title}`
+        : product.title,
+    barcode: variant.barcode || null,
+    price: Number(variant.price),
+    taxable: variant.taxable !== false,
+    // Configuración de la tienda: los precios incluyen impuestos
+    taxesIncluded,
+  }));
+
+const toSiigoItem = (product) => ({
+  code: product.code,
+  name: product.name,
+  barcode: product.additional_fields?.barcode || null,
+  price: product.prices?.[0]?.price_list?.[0]?.value ?? null,
+  taxIncluded: Boolean(product.tax_included),
+  taxRate: round2(
+    (product.taxes || [])
+      .filter((tax) => !tax.type || tax.type === 'IVA')
+      .reduce((total, tax) => total + Number(tax.percentage || 0), 0) / 100
+  ),
+});
+
+const buildIndex = (items, field, normalize) => {
+  const index = new Map();
+  for (const item of items) {
+    const key = normalize(item[field]);
+    if (key) index.set(key, [...(index.get(key) || []), item]);
+  }
+  return index;
+};
+
+/**
+ * Prueba las reglas en orden: gana la primera que encuentra un solo producto. Si ninguna
+ * lo logra, los candidatos son los de la primera regla con varios productos.
+ */
+const findMatch = (item, indexes, rules) => {
+  let candidates = [];
+
+  for (const rule of rules) {
+    const { shopify, normalize } = MATCHERS[rule];
+    const key = normalize(item[shopify]);
+    const found = (key && indexes[rule].get(key)) || [];
+
+    if (found.length === 1) return { product: found[0], matchedBy: rule, candidates: [] };
+    if (found.length > 1 && candidates.length === 0) candidates = found;
+  }
+
+  return { product: null, matchedBy: null, candidates };
+};
+
+/**
+ * Diferencias de precio (antes de impuestos) y de tratamiento de IVA entre la variante y
+ * el producto de Siigo
+ */
+const findConflicts = (item, product, settings) => {
+  const conflicts = [];
+
+  if (settings.compareTaxes && item.taxable !== product.taxRate > 0) {
+    conflicts.push({ field: 'tax', shopify: item.taxable, siigo: product.taxRate });
+  }
+
+  if (settings.comparePrices && product.price !== null && Number.isFinite(item.price)) {
+    const shopifyPrice = round2(
+      item.taxesIncluded && item.taxable ? item.price / (1 + product.taxRate) : item.price
+    );
+    const siigoPrice = round2(
+      product.taxIncluded ? product.price / (1 + product.taxRate) : product.price
+    );
+
+    if (round2(Math.abs(shopifyPrice - siigoPrice)) > settings.priceTolerance) {
+      conflicts.push({ field: 'price', shopify: shopifyPrice, siigo: siigoPrice });
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Valores del mapeo de un SKU. Los confirmados conservan su producto y solo se revisan
+ * sus diferencias.
+ */
+const reconcileItem = (mapping, item, catalog, settings) => {
+  const reconciledAt = new Date();
+
+  if (mapping?.status === 'confirmed') {
+    const product = catalog.byCode.get(normalizeCode(mapping.siigoCode));
+    const conflicts = product
+      ? findConflicts(item, product, settings)
+      : [{ field: 'product', shopify: item.sku, siigo: null }];
+
+    return {
+      shopify: item,
+      siigo: product || null,
+      conflicts,
+      hasConflicts: conflicts.length > 0,
+      reconciledAt,
+    };
+  }
+
+  const { product, matchedBy, candidates } = findMatch(item, catalog.indexes, settings.matchBy);
+  const conflicts = product ? findConflicts(item, product, settings) : [];
+
+  return {
+    siigoCode: product?.code ?? null,
+    origin: 'auto',
+    status: product ? 'matched' : candidates.length > 0 ? 'ambiguous' : 'unmatched',
+    matchedBy,
+    candidates: candidates.map((candidate) => candidate.code),
+    shopify: item,
+    siigo: product,
+    conflicts,
+    hasConflicts: conflicts.length > 0,
+    reconciledAt,
+  };
+};
+
+/**
+ * Descarga ambos catálogos y actualiza los mapeos de la compañía actual (uno por SKU de
+ * Shopify). Debe correr en el contexto de la compañía.
+ * @param {Company} company
+ * @returns {Promise<Object>} Resumen de la ejecución
+ */
+const reconcileCatalogs = async (company) => {
+  const settings = getCatalogSettings(company);
+  const shopifyClient = await getShopifyClient(company);
+  const siigoClient = await getSiigoClient(company);
+
+  const shop = await shopifyClient.getShop();
+  const products = await shopifyClient.products.listAll({ fields: 'id,title,variants' });
+  const items = products.flatMap((product) =>
+    toShopifyItems(product, Boolean(shop.taxes_included))
+  );
+
+  // Los productos inactivos de Siigo no se pueden facturar
+  const siigoItems = (await siigoClient.products.listAll())
+    .filter((product) => product.active !== false)
+    .map(toSiigoItem);
+  const catalog = {
+    byCode: new Map(siigoItems.map((product) => [normalizeCode(product.code), product])),
+    indexes: Object.fromEntries(
+      Object.entries(MATCHERS).map(([rule, { siigo, normalize }]) => [
+        rule,
+        buildIndex(siigoItems, siigo, normalize),
+      ])
+    ),
+  };
+
+  const withoutSku = items.filter((item) => !item.sku);
+  const bySku = new Map();
+  for (const item of items) {
+    if (item.sku && !bySku.has(item.sku)) bySku.set(item.sku, item);
+  }
+
+  const mappings = new Map(
+    (await ProductMapping.findAll()).map((mapping) => [mapping.sku, mapping])
+  );
+  const results = [];
+
+  await ProductMapping.sequelize.transaction(async (transaction) => {
+    for (const [sku, item] of bySku) {
+      const values = reconcileItem(mappings.get(sku), item, catalog, settings);
+      const mapping = mappings.get(sku) || ProductMapping.build({ sku });
+      await mapping.set(values).save({ transaction });
+
+      mappings.set(sku, mapping);
+      results.push(mapping);
+    }
+  });
+
+  const mappedCodes = new Set(
+    [...mappings.values()]
+      .filter((mapping) => mapping.siigoCode)
+      .map((mapping) => normalizeCode(mapping.siigoCode))
+  );
+  const siigoOnly = siigoItems.filter((product) => !mappedCodes.has(normalizeCode(product.code)));
+  const count = (predicate) => results.filter(predicate).length;
+
+  return {
+    shopifyVariants: items.length,
+    siigoProducts: siigoItems.length,
+    matched: count((mapping) => mapping.status === 'matched'),
+    confirmed: count((mapping) => mapping.status === 'confirmed'),
+    ambiguous: count((mapping) => mapping.status === 'ambiguous'),
+    unmatched: count((mapping) => mapping.status === 'unmatched'),
+    conflicts: count((mapping) => mapping.hasConflicts),
+    withoutSkuCount: withoutSku.length,
+    withoutSku: withoutSku
+      .slice(0, MAX_REPORTED_ITEMS)
+      .map(({ productId, variantId, title }) => ({ productId, variantId, title })),
+    siigoOnlyCount: siigoOnly.length,
+    siigoOnly: siigoOnly.slice(0, MAX_REPORTED_ITEMS).map(({ code, name }) => ({ code, name })),
+  };
+};
+
+/**
+ * Registra una conciliación y la encola en la misma transacción. Solo puede haber una en
+ * curso por compañía.
+ * @param {Company} company
+ * @param {Object|null} principal - req.principal; null cuando la programa el sistema
+ * @param {Object} [options]
+ * @param {'manual'|'schedule'} [options.trigger='manual']
+ * @returns {Promise<CatalogReconciliation>}
+ * @throws {ConflictError} Ya hay una conciliación pendiente o en curso
+ */
+export const requestCatalogReconciliation = async (
+  company,
+  principal,
+  { trigger = 'manual' } = {}
+) => {
+  // Falla antes de encolar si falta alguna de las dos integraciones
+  await getShopifyClient(company);
+  await getSiigoClient(company);
+
+  try {
+    const reconciliation = await CatalogReconciliation.sequelize.transaction(
+      async (transaction) => {
+        const created = await CatalogReconciliation.create(
+          {
+            companyId: company.id,
+            trigger,
+            requestedById: principal?.type === 'user' ? principal.id : null,
+          },
+          { transaction }
+        );
+
+        await enqueueJob(
+          JOB_TYPES.CATALOG_RECONCILIATION,
+          { reconciliationId: created.id },
+          { transaction, companyId: company.id }
+        );
+        return created;
+      }
+    );
+
+    logger.info({ reconciliationId: reconciliation.id, trigger }, 'Catalog reconciliation queued');
+    return reconciliation;
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      throw new ConflictError('A catalog reconciliation is already in progress.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Ejecuta una conciliación (handler del trabajo catalog.reconcile). Los errores transitorios
+ * se relanzan para que la cola reintente; la ejecución vuelve a pending hasta el último
+ * intento. Debe correr en el contexto de la compañía.
+ * @param {number} reconciliationId
+ * @param {Job} [job] - Trabajo en curso, para saber si es el último intento
+ * @returns {Promise<CatalogReconciliation|null>}
+ */
+export const runCatalogReconciliation = async (reconciliationId, job) => {
+  const reconciliation = await CatalogReconciliation.findByPk(reconciliationId);
+  if (!reconciliation || !['pending', 'running'].includes(reconciliation.status)) {
+    return reconciliation;
+  }
+
+  await reconciliation.update({ status: 'running', startedAt: new Date(), error: null });
+
+  try {
+    const company = await Company.findByPk(reconciliation.companyId);
+    const summary = await reconcileCatalogs(company);
+
+    await reconciliation.update({ status: 'succeeded', summary, finishedAt: new Date() });
+    logger.info(
+      {
+        reconciliationId,
+        matched: summary.matched,
+        ambiguous: summary.ambiguous,
+        unmatched: summary.unmatched,
+        conflicts: summary.conflicts,
+      },
+      'Catalog reconciliation finished'
+    );
+  } catch (error) {
+    const transient = isTransientError(error);
+    const lastAttempt = !job || job.attempts >= job.maxAttempts;
+
+    const status = transient && !lastAttempt ? 'pending' : 'failed';
+
+    await reconciliation.update({
+      status,
+      error: error.details?.message || error.message,
+      finishedAt: status === 'failed' ? new Date() : null,
+    });
+    logger.error({ error, reconciliationId }, 'Catalog reconciliation failed');
+
+    if (transient) throw error;
+  }
+
+  return reconciliation;
+};
+
+/**
+ * Encola la conciliación de las compañías activas con Shopify y Siigo conectados (tarea
+ * programada catalog.reconcile). Las que ya tienen una en curso se omiten.
+ * @returns {Promise<number>} Conciliaciones encoladas
+ */
+export const scheduleCatalogReconciliations = () =>
+  runAsSystem(async () => {
+    const connected = await IntegrationCredential.findAll({
+      attributes: ['companyId'],
+      where: { provider: ['shopify', 'siigo'] },
+      group: ['companyId'],
+      having: IntegrationCredential.sequelize.literal('COUNT(DISTINCT "provider") = 2'),
+      raw: true,
+    });
+    const companies = await Company.findAll({
+      where: { id: connected.map(({ companyId }) => companyId), status: 'active' },
+    });
+
+    let queued = 0;
+
+    for (const company of companies) {
+      if (!getCatalogSettings(company).scheduleEnabled) continue;
+
+      try {
+        await runWithTenant(company.id, () =>
+          requestCatalogReconciliation(company, null, { trigger: 'schedule' })
+        );
+        queued += 1;
+      } catch (error) {
+        if (!(error instanceof ConflictError)) {
+          logger.error({ error, companyId: company.id }, 'Error scheduling catalog reconciliation');
+        }
+      }
+    }
+
+    return queued;
+  });
+
+/**
+ * @param {Object} listQuery - req.listQuery
+ */
+export const listCatalogReconciliations = (listQuery) => paginate(CatalogReconciliation, listQuery);
+
+/**
+ * @param {number} reconciliationId
+ */
+export const getCatalogReconciliation = async (reconciliationId) => {
+  const reconciliation = await CatalogReconciliation.findByPk(reconciliationId);
+  if (!reconciliation) throw new NotFoundError('Catalog reconciliation');
+
+  return reconciliation;
+};
+
+/**
+ * Mapeos SKU → Siigo con su estado de conciliación (unmatched, ambiguous, conflictos)
+ * @param {Object} listQuery - req.listQuery
+ */
+export const listProductMappings = (listQuery) => paginate(ProductMapping, listQuery);
+
+/**
+ * @param {number} mappingId
+ */
+export const getProductMapping = async (mappingId) => {
+  const mapping = await ProductMapping.findByPk(mappingId);
+  if (!mapping) throw new NotFoundError('Product mapping');
+
+  return mapping;
+};
+
+const saveConfirmation = (mapping, principal, action, values) =>
+  ProductMapping.sequelize.transaction(async (transaction) => {
+    const before = auditSnapshot(mapping);
+
+    await mapping.update(
+      {
+        ...values,
+        status: 'confirmed',
+        candidates: [],
+        confirmedAt: new Date(),
+        confirmedById: principal.type === 'user' ? principal.id : null,
+      },
+      { transaction }
+    );
+    await recordAudit(action, mapping, { before, after: auditSnapshot(mapping), transaction });
+
+    return mapping;
+  });
+
+/**
+ * Confirma el producto que encontró la conciliación: desde entonces no lo cambia
+ * @param {number} mappingId
+ * @param {Object} principal - req.principal
+ * @returns {Promise<ProductMapping>}
+ */
+export const confirmProductMapping = async (mappingId, principal) => {
+  const mapping = await getProductMapping(mappingId);
+  if (!mapping.siigoCode) {
+    throw new ConflictError(
+      'The mapping has no Siigo product to confirm; set a siigoCode instead.'
+    );
+  }
+
+  return saveConfirmation(mapping, principal, 'confirm', {});
+};
+
+/**
+ * Asigna a mano el producto de Siigo de un SKU (queda confirmado)
+ * @param {Company} company
+ * @param {number} mappingId
+ * @param {Object} principal - req.principal
+ * @param {string} siigoCode
+ * @returns {Promise<ProductMapping>}
+ */
+export const overrideProductMapping = async (company, mappingId, principal, siigoCode) => {
+  const mapping = await getProductMapping(mappingId);
+
+  const client = await getSiigoClient(company);
+  const found = await client.products.findByCode(siigoCode);
+  if (!found) {
+    throw new UnprocessableEntityError(`Siigo product ${siigoCode} does not exist.`, {
+      siigoCode,
+    });
+  }
+
+  const product = toSiigoItem(found);
+  const conflicts = mapping.shopify
+    ? findConflicts(mapping.shopify, product, getCatalogSettings(company))
+    : [];
+
+  return saveConfirmation(mapping, principal, 'override', {
+    siigoCode: product.code,
+    origin: 'manual',
+    matchedBy: null,
+    siigo: product,
+    conflicts,
+    hasConflicts: conflicts.length > 0,
+  });
+};
@@ -0,0 +1,56 @@
+import { CONFIGURABLE_ROLES } from '../config/permissions.js';
+
+/**
+ * Reemplaza los overrides de permisos de la compañía para los roles enviados
+ * @param {Company} company
+ * @param {Object} overrides - { [rol]: { grant: [], revoke: [] } }
+ * @returns {Promise<Company>}
+ */
+export const updateRolePermissions = async (company, overrides) => {
+  const rolePermissions = { ...company.rolePermissions };
+
+  for (const role of CONFIGURABLE_ROLES) {
+    if (overrides[role]) {
+      rolePermissions[role] = {
+        grant: overrides[role].grant || [],
+        revoke: overrides[role].revoke || [],
+      };
+    }
+  }
+
+  company.rolePermissions = rolePermissions;
+  await company.save();
+
+  return company;
+};
+
+const SIIGO_SETTINGS = [
+  'documentId',
+  'sellerId',
+  'costCenterId',
+  'defaultPaymentTypeId',
+  'paymentTypes',
+  'taxes',
+  'shippingProductCode',
+  'defaultCustomerIdentification',
+  'defaultCity',
+  'sendStamp',
+  'sendMail',
+];
+
+/**
+ * Actualiza la configuración de facturación en Siigo de la compañía
+ * @param {Company} company
+ * @param {Object} settings - Solo se guardan las claves conocidas
+ * @returns {Promise<Company>}
+ */
+export const updateSiigoSettings = async (company, settings) => {
+  const known = Object.fromEntries(
+    Object.entries(settings).filter(([key]) => SIIGO_SETTINGS.includes(key))
+  );
+
+  company.siigoSettings = { ...company.siigoSettings, ...known };
+  await company.save();
+
+  return company;
+};
@@ -0,0 +1,387 @@
+import { validationResult } from 'express-validator';
+import { config } from '../config/index.js';
+import {
+  IntegrationError,
+  NotFoundError,
+  UnprocessableEntityError,
+  UnsupportedMediaTypeError,
+  isTransientError,
+} from '../errors/index.js';
+import { Company, DataImport } from '../models/index.js';
+import {
+  buildSiigoCustomerFromRow,
+  buildSiigoProductFromRow,
+} from '../integrations/siigo/index.js';
+import { enqueueJob } from '../jobs/queue.js';
+import { JOB_TYPES } from '../jobs/job-types.js';
+import { formatValidationErrors } from '../middlewares/validate-request.middleware.js';
+import { paginate } from '../utils/list-query.js';
+import { logger } from '../utils/logger.js';
+import { detectSpreadsheetFormat, readSpreadsheetRows } from '../utils/spreadsheet.js';
+import {
+  customerImportRowValidator,
+  productImportRowValidator,
+} from '../validators/data-import.validator.js';
+import { getSiigoClient } from './siigo.service.js';
+
+// Filas válidas que devuelve una vista previa (dry run)
+const PREVIEW_ROWS = 20;
+
+/**
+ * Columnas, reglas de validación y forma de crear cada tipo de registro en Siigo. `key`
+ * identifica el registro: se rechaza repetido en el archivo y, si ya existe en Siigo, la
+ * fila se omite.
+ */
+const IMPORT_DEFINITIONS = {
+  customers: {
+    columns: [
+      'identification',
+      'idType',
+      'personType',
+      'checkDigit',
+      'firstName',
+      'lastName',
+      'companyName',
+      'address',
+      'countryCode',
+      'stateCode',
+      'cityCode',
+      'phone',
+      'email',
+    ],
+    required: ['identification'],
+    key: 'identification',
+    validator: customerImportRowValidator,
+    exists: async (client, row) =>
+      Boolean(await client.customers.findByIdentification(row.identification)),
+    create: (client, row, settings) =>
+      client.customers.create(buildSiigoCustomerFromRow(row, settings)),
+  },
+  products: {
+    columns: [
+      'code',
+      'name',
+      'accountGroupId',
+      'type',
+      'price',
+      'taxId',
+      'taxIncluded',
+      'stockControl',
+      'reference',
+      'barcode',
+      'description',
+    ],
+    required: ['code', 'name', 'accountGroupId'],
+    key: 'code',
+    validator: productImportRowValidator,
+    exists: async (client, row) => Boolean(await client.products.findByCode(row.code)),
+    create: (client, row) => client.products.create(buildSiigoProductFromRow(row)),
+  },
+};
+
+// "First name", "first_name" y "firstName" son la misma columna
+const normalizeHeader = (value) =>
+  String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Columna de cada posición del encabezado (null si no se reconoce)
+ */
+const mapColumns = (headers, definition) => {
+  const known = new Map(definition.columns.map((column) => [normalizeHeader(column), column]));
+  const columns = headers.map((header) => known.get(normalizeHeader(header)) || null);
+
+  const missing = definition.required.filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new UnprocessableEntityError(
+      `The file is missing required columns: ${missing.join(', ')}.`,
+      { missing, expected: definition.columns }
+    );
+  }
+
+  return {
+    columns,
+    ignoredColumns: headers.filter((header, index) => header && !columns[index]),
+  };
+};
+
+// Mismo formato que invalidParams de RequestValidationError
+const toInvalidParams = (errors) =>
+  errors.map(({ param, msg, location, value }) => ({
+    field: param,
+    message: msg,
+    location,
+    value,
+  }));
+
+/**
+ * Valida una fila con las mismas cadenas de express-validator que usa validateRequest
+ * @returns {Promise<{ values: Object, invalidParams: Object[] }>}
+ */
+const validateRow = async (validator, values) => {
+  const req = { body: values };
+  for (const chain of validator) await chain.run(req);
+
+  const errors = validationResult(req);
+  return {
+    values: req.body,
+    invalidParams: errors.isEmpty() ? [] : toInvalidParams(formatValidationErrors(errors)),
+  };
+};
+
+/**
+ * Lee y valida el archivo a medida que llega
+ * @returns {Promise<{ format: string, totalRows: number, rows: Object[], rowErrors: Object[],
+ *   ignoredColumns: string[] }>}
+ */
+const readImportFile = async (definition, file) => {
+  const format = detectSpreadsheetFormat(file.filename, file.mimeType);
+  if (!format) {
+    file.stream.resume();
+    throw new UnsupportedMediaTypeError('Only CSV and XLSX files can be imported.');
+  }
+
+  const result = { format, totalRows: 0, rows: [], rowErrors: [], ignoredColumns: [] };
+  const seen = new Map();
+  let columns = null;
+
+  for await (const { rowNumber, cells } of readSpreadsheetRows(file.stream, format)) {
+    if (!columns) {
+      ({ columns, ignoredColumns: result.ignoredColumns } = mapColumns(cells, definition));
+      continue;
+    }
+
+    result.totalRows += 1;
+    if (result.totalRows > config.imports.maxRows) {
+      throw new UnprocessableEntityError(`The file has more than ${config.imports.maxRows} rows.`, {
+        maxRows: config.imports.maxRows,
+      });
+    }
+
+    const cellValues = Object.fromEntries(
+      columns
+        .map((column, index) => [column, cells[index]])
+        .filter(([column, value]) => column && value !== undefined && value !== '')
+    );
+    const { values, invalidParams } = await validateRow(definition.validator, cellValues);
+
+    const key = values[definition.key];
+    if (invalidParams.length === 0 && seen.has(key)) {
+      invalidParams.push({
+        field: definition.key,
+        message: `${definition.key} is repeated in row ${seen.get(key)}`,
+        location: 'body',
+        value: key,
+      });
+    }
+
+    if (invalidParams.length > 0) {
+      result.rowErrors.push({ row: rowNumber, invalidParams });
+    } else {
+      seen.set(key, rowNumber);
+      result.rows.push({ row: rowNumber, values });
+    }
+  }
+
+  if (!columns) throw new UnprocessableEntityError('The file is empty.');
+  return result;
+};
+
+/**
+ * Valida un archivo de clientes o productos. Con dryRun solo devuelve la vista previa; si no,
+ * guarda las filas válidas y encola el trabajo que las crea en Siigo.
+ * @param {Company} company
+ * @param {Object} principal - req.principal
+ * @param {Object} params
+ * @param {'customers'|'products'} params.entity
+ * @param {{ filename: string, mimeType: string, stream: import('stream').Readable }} params.file
+ *   - req.file del middleware upload
+ * @param {boolean} [params.dryRun=false]
+ * @returns {Promise<{ dataImport?: DataImport, preview?: Object }>}
+ */
+export const importFile = async (company, principal, { entity, file, dryRun = false }) => {
+  const definition = IMPORT_DEFINITIONS[entity];
+  // Sin Siigo conectado no tiene sentido validar un archivo que no se va a poder importar
+  if (!dryRun) {
+    await getSiigoClient(company).catch((error) => {
+      file.stream.resume();
+      throw error;
+    });
+  }
+
+  const { format, totalRows, rows, rowErrors, ignoredColumns } = await readImportFile(
+    definition,
+    file
+  );
+
+  if (dryRun) {
+    return {
+      preview: {
+        entity,
+        format,
+        filename: file.filename,
+        totalRows,
+        validRows: rows.length,
+        invalidRows: rowErrors.length,
+        ignoredColumns,
+        rows: rows.slice(0, PREVIEW_ROWS),
+        rowErrors,
+      },
+    };
+  }
+
+  if (rows.length === 0) {
+    throw new UnprocessableEntityError('The file has no valid rows.', { rowErrors });
+  }
+
+  const dataImport = await DataImport.sequelize.transaction(async (transaction) => {
+    const created = await DataImport.create(
+      {
+        companyId: company.id,
+        entity,
+        filename: file.filename,
+        format,
+        totalRows,
+        validRows: rows.length,
+        invalidRows: rowErrors.length,
+        rows,
+        rowErrors,
+        requestedById: principal.type === 'user' ? principal.id : null,
+      },
+      { transaction }
+    );
+
+    await enqueueJob(
+      JOB_TYPES.DATA_IMPORT,
+      { importId: created.id },
+      { transaction, companyId: company.id }
+    );
+    return created;
+  });
+
+  logger.info(
+    { importId: dataImport.id, entity, validRows: rows.length, invalidRows: rowErrors.length },
+    'Data import queued'
+  );
+  return { dataImport };
+};
+
+// Rechazo de Siigo de una fila, en el formato de invalidParams
+const describeRejection = (error, values) => {
+  const upstream = error.details?.response?.Errors;
+  if (!(error instanceof IntegrationError) || !Array.isArray(upstream) || upstream.length === 0) {
+    return [{ field: null, message: error.message, location: 'body', value: null }];
+  }
+
+  return upstream.map((entry) => {
+    const field = entry.Params?.[0] ?? null;
+    return {
+      field,
+      message: `${entry.Code}: ${entry.Message}`,
+      location: 'body',
+      value: field ? (values[field] ?? null) : null,
+    };
+  });
+};
+
+const saveProgress = (dataImport, processedRows, progress) =>
+  dataImport.update({
+    processedRows,
+    createdRows: dataImport.createdRows + progress.created,
+    skippedRows: dataImport.skippedRows + progress.skipped,
+    failedRows: dataImport.failedRows + progress.failed,
+    rowErrors: [...dataImport.rowErrors, ...progress.rowErrors],
+  });
+
+/**
+ * Crea en Siigo las filas válidas de una importación (handler del trabajo data.import), por
+ * lotes de config.imports.batchSize: el progreso se guarda después de cada lote. Un error
+ * transitorio se relanza para que la cola reintente desde la primera fila sin procesar; los
+ * rechazos de Siigo se registran en rowErrors y la importación sigue.
+ * @param {number} importId
+ * @param {Job} [job] - Trabajo en curso, para saber si es el último intento
+ * @returns {Promise<DataImport|null>}
+ */
+export const runDataImport = async (importId, job) => {
+  const dataImport = await DataImport.findByPk(importId);
+  if (!dataImport || ['succeeded', 'failed'].includes(dataImport.status)) return dataImport;
+
+  await dataImport.update({ status: 'running', startedAt: dataImport.startedAt || new Date() });
+  const definition = IMPORT_DEFINITIONS[dataImport.entity];
+  const { rows } = dataImport;
+  let processedRows = dataImport.processedRows;
+
+  try {
+    const company = await Company.findByPk(dataImport.companyId);
+    const client = await getSiigoClient(company);
+    const settings = company.siigoSettings || {};
+
+    while (processedRows < rows.length) {
+      const batch = rows.slice(processedRows, processedRows + config.imports.batchSize);
+      const progress = { created: 0, skipped: 0, failed: 0, rowErrors: [] };
+
+      try {
+        for (const { row, values } of batch) {
+          try {
+            if (await definition.exists(client, values)) {
+              progress.skipped += 1;
+            } else {
+              await definition.create(client, values, settings);
+              progress.created += 1;
+            }
+          } catch (error) {
+            if (isTransientError(error)) throw error;
+
+            progress.failed += 1;
+            progress.rowErrors.push({ row, invalidParams: describeRejection(error, values) });
+          }
+          processedRows += 1;
+        }
+      } finally {
+        await saveProgress(dataImport, processedRows, progress);
+      }
+    }
+
+    await dataImport.update({ status: 'succeeded', error: null, finishedAt: new Date() });
+    logger.info(
+      {
+        importId,
+        created: dataImport.createdRows,
+        skipped: dataImport.skippedRows,
+        failed: dataImport.failedRows,
+      },
+      'Data import completed'
+    );
+  } catch (error) {
+    const retry = isTransientError(error) && job && job.attempts < job.maxAttempts;
+
+    await dataImport.update({
+      status: retry ? 'pending' : 'failed',
+      error: error.message,
+      ...(!retry && { finishedAt: new Date() }),
+    });
+    logger.error({ error, importId }, 'Data import failed');
+
+    if (retry) throw error;
+  }
+
+  return dataImport;
+};
+
+/**
+ * @param {Object} listQuery - req.listQuery
+ */
+export const listDataImports = (listQuery) =>
+  paginate(DataImport, listQuery, { attributes: { exclude: ['rows', 'rowErrors'] } });
+
+/**
+ * Una importación con su progreso y los errores por fila
+ * @param {number} importId
+ */
+export const getDataImport = async (importId) => {
+  const dataImport = await DataImport.findByPk(importId, { attributes: { exclude: ['rows'] } });
+  if (!dataImport) throw new NotFoundError('Data import');
+
+  return dataImport;
+};
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import { Op, UniqueConstraintError } from 'sequelize';
+import { config } from '../config/index.js';
+import { IdempotencyKeyInProgressError, IdempotencyKeyReusedError } from '../errors/index.js';
+import { IdempotencyKey } from '../models/index.js';
+import { logger } from '../utils/logger.js';
+
+// JSON con las llaves ordenadas: el mismo body con otro orden de campos es la misma petición
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Huella de la petición (método, ruta con query y body)
+ * @param {{ method: string, path: string, body: any }} request
+ */
+export const fingerprintRequest = ({ method, path, body }) =>
+  crypto
+    .createHash('sha256')
+    .update(`${method} ${path}\n${canonicalJson(body ?? null)}`)
+    .digest('hex');
+
+const freshLock = (fingerprint) => {
+  const now = new Date();
+  return {
+    fingerprint,
+    status: 'processing',
+    lockedAt: now,
+    expiresAt: new Date(now.getTime() + config.idempotency.ttlMs),
+    responseStatus: null,
+    responseContentType: null,
+    responseBody: null,
+  };
+};
+
+/**
+ * Toma una llave existente (vencida o abandonada) solo si nadie la modificó desde que se leyó
+ */
+const takeOver = async (record, fingerprint) => {
+  const [updated] = await IdempotencyKey.update(freshLock(fingerprint), {
+    where: { id: record.id, updatedAt: record.updatedAt },
+  });
+  if (updated === 0) throw new IdempotencyKeyInProgressError();
+
+  return { record: await record.reload(), replay: false };
+};
+
+/**
+ * Reserva una Idempotency-Key para la petición actual. Devuelve replay: true con la respuesta
+ * guardada si la llave ya se completó con la misma petición.
+ * @param {Object} params
+ * @param {string} params.scope - Dueño de la llave (user:<id> o api-key:<id>)
+ * @param {string} params.key - Valor del header Idempotency-Key
+ * @param {number} [params.companyId]
+ * @param {string} params.fingerprint - fingerprintRequest() de la petición
+ * @returns {Promise<{ record: IdempotencyKey, replay: boolean }>}
+ * @throws {IdempotencyKeyReusedError} La llave se usó con otra petición
+ * @throws {IdempotencyKeyInProgressError} La petición original sigue en curso
+ */
+export const acquireIdempotencyKey = async (
+  { scope, key, companyId, fingerprint },
+  retry = true
+) => {
+  try {
+    const record = await IdempotencyKey.create({
+      scope,
+      key,
+      companyId,
+      ...freshLock(fingerprint),
+    });
+    return { record, replay: false };
+  } catch (error) {
+    if (!(error instanceof UniqueConstraintError)) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ where: { scope, key } });
+  // Se liberó entre el insert y la lectura (la petición original falló)
+  if (!existing) {
+    if (retry) return acquireIdempotencyKey({ scope, key, companyId, fingerprint }, false);
+    throw new IdempotencyKeyInProgressError();
+  }
+
+  if (existing.expiresAt <= new Date()) return takeOver(existing, fingerprint);
+  if (existing.fingerprint !== fingerprint) throw new IdempotencyKeyReusedError();
+  if (existing.status === 'completed') return { record: existing, replay: true };
+
+  const abandoned = existing.lockedAt < new Date(Date.now() - config.idempotency.lockTimeoutMs);
+  if (abandoned) return takeOver(existing, fingerprint);
+
+  throw new IdempotencyKeyInProgressError();
+};
+
+/**
+ * Guarda la respuesta final para devolverla en los reintentos
+ * @param {IdempotencyKey} record
+ * @param {{ status: number, contentType?: string, body?: string }} response
+ */
+export const completeIdempotencyKey = (record, { status, contentType, body }) =>
+  IdempotencyKey.update(
+    {
+      status: 'completed',
+      responseStatus: status,
+      responseContentType: contentType || null,
+      responseBody: body ?? null,
+      lockedAt: null,
+    },
+    { where: { id: record.id, status: 'processing' } }
+  );
+
+/**
+ * Libera la llave sin guardar respuesta (error 5xx) para que el cliente pueda reintentar
+ * @param {IdempotencyKey} record
+ */
+export const releaseIdempotencyKey = (record) =>
+  IdempotencyKey.destroy({ where: { id: record.id, status: 'processing' } });
+
+/**
+ * Borra las llaves vencidas (tarea programada idempotency-keys.purge)
+ * @returns {Promise<number>} Llaves borradas
+ */
+export const purgeExpiredIdempotencyKeys = async () => {
+  const count = await IdempotencyKey.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+
+  if (count > 0) logger.info({ count }, 'Expired idempotency keys purged');
+  return count;
+};
@@ -0,0 +1,248 @@
+import { Op } from 'sequelize';
+import {
+  ConflictError,
+  IntegrationError,
+  NotFoundError,
+  UnprocessableEntityError,
+} from '../errors/index.js';
+import { Company, IntegrationCredential } from '../models/index.js';
+import { auditSnapshot, recordAudit } from '../models/audit-trail.js';
+import { clearSiigoTokens, createSiigoClient } from '../integrations/siigo/index.js';
+import { createShopifyClient } from '../integrations/shopify/index.js';
+import {
+  decryptEnvelope,
+  encryptEnvelope,
+  getActiveKeyVersion,
+  rewrapEnvelope,
+} from '../utils/envelope-encryption.js';
+import { maskSecret } from '../utils/redact.js';
+import { logger } from '../utils/logger.js';
+import { runAsSystem, runWithTenant } from '../utils/tenant-context.js';
+
+/**
+ * Integraciones soportadas: campos de la credencial, resumen no sensible que se
+ * guarda en metadata y prueba de conexión con el proveedor
+ */
+export const INTEGRATION_PROVIDERS = {
+  siigo: {
+    fields: ['username', 'accessKey'],
+    describe: ({ username, accessKey }) => ({ username, accessKey: maskSecret(accessKey) }),
+    test: async (secret, company) => {
+      // Un token cacheado con las credenciales anteriores daría un falso positivo
+      clearSiigoTokens(company.id);
+      await createSiigoClient({ companyId: company.id, ...secret }).testConnection();
+    },
+  },
+  shopify: {
+    fields: ['shopDomain', 'accessToken'],
+    describe: ({ shopDomain, accessToken }) => ({
+      shopDomain,
+      accessToken: maskSecret(accessToken),
+    }),
+    test: async (secret) => {
+      await createShopifyClient(secret).getShop();
+    },
+  },
+};
+
+// El ciphertext queda atado a la compañía y al proveedor
+const getAad = (companyId, provider) => `${companyId}:${provider}`;
+
+const getProvider = (provider) => {
+  const definition = INTEGRATION_PROVIDERS[provider];
+  if (!definition) throw new NotFoundError(`Integration ${provider}`);
+  return definition;
+};
+
+const describeTestError = (error) =>
+  error instanceof IntegrationError
+    ? `${error.message} (status ${error.details?.status ?? 'n/a'})`
+    : error.message;
+
+const findCredential = async (provider) => {
+  const credential = await IntegrationCredential.findOne({ where: { provider } });
+  if (!credential) throw new NotFoundError(`Integration ${provider}`);
+  return credential;
+};
+
+const decryptCredential = (credential) =>
+  decryptEnvelope(credential, getAad(credential.companyId, credential.provider));
+
+const verifyCredential = async (credential, company) => {
+  const { provider } = credential;
+
+  try {
+    await getProvider(provider).test(decryptCredential(credential), company);
+    await credential.update({ status: 'connected', lastTestedAt: new Date(), lastError: null });
+    return true;
+  } catch (error) {
+    await credential.update({
+      status: 'error',
+      lastTestedAt: new Date(),
+      lastError: describeTestError(error),
+    });
+    logger.warn({ companyId: company.id, provider, error }, 'Integration test failed');
+    return false;
+  }
+};
+
+/**
+ * Integraciones conectadas por la compañía actual (sin material cifrado)
+ * @returns {Promise<IntegrationCredential[]>}
+ */
+export const listIntegrations = () =>
+  IntegrationCredential.findAll({ order: [['provider', 'ASC']] });
+
+/**
+ * Credenciales en claro de una integración, solo para uso interno (clientes de proveedores)
+ * @param {number} companyId
+ * @param {string} provider
+ * @returns {Promise<Object|null>}
+ */
+export const getIntegrationSecret = async (companyId, provider) => {
+  const credential = await IntegrationCredential.findOne({ where: { companyId, provider } });
+  return credential ? decryptCredential(credential) : null;
+};
+
+/**
+ * Conecta (o reemplaza) una integración. Las credenciales se prueban contra el proveedor
+ * antes de guardarse cifradas.
+ * @param {Company} company
+ * @param {string} provider
+ * @param {Object} secret - Campos de la credencial según el proveedor
+ * @param {User} [user] - Usuario que conecta la integración
+ * @returns {Promise<IntegrationCredential>}
+ */
+export const connectIntegration = async (company, provider, secret, user) => {
+  const definition = getProvider(provider);
+  const values = Object.fromEntries(definition.fields.map((field) => [field, secret[field]]));
+
+  if (provider === 'shopify') {
+    values.shopDomain = values.shopDomain.toLowerCase();
+    const owner = await runAsSystem(() =>
+      Company.findOne({
+        where: { shopifyDomain: values.shopDomain, id: { [Op.ne]: company.id } },
+      })
+    );
+    if (owner) throw new ConflictError('This Shopify store is connected to another company.');
+  }
+
+  try {
+    await definition.test(values, company);
+  } catch (error) {
+    throw new UnprocessableEntityError(`Could not connect to ${provider} with these credentials.`, {
+      reason: describeTestError(error),
+    });
+  }
+
+  const credential = await IntegrationCredential.sequelize.transaction(async (transaction) => {
+    const previous = await IntegrationCredential.findOne({ where: { provider }, transaction });
+    const [record] = await IntegrationCredential.upsert(
+      {
+        companyId: company.id,
+        provider,
+        status: 'connected',
+        ...encryptEnvelope(values, getAad(company.id, provider)),
+        metadata: definition.describe(values),
+        connectedById: user?.id ?? null,
+        lastTestedAt: new Date(),
+        lastError: null,
+      },
+      { transaction, conflictFields: ['companyId', 'provider'] }
+    );
+    // upsert no dispara los hooks de auditoría
+    await recordAudit('connect', record, {
+      before: previous && auditSnapshot(previous),
+      after: auditSnapshot(record),
+      transaction,
+    });
+
+    // Los webhooks de Shopify se asocian a la compañía por el dominio de la tienda
+    if (provider === 'shopify') {
+      await company.update({ shopifyDomain: values.shopDomain }, { transaction });
+    }
+    return record;
+  });
+
+  logger.info({ companyId: company.id, provider }, 'Integration connected');
+  return credential;
+};
+
+/**
+ * Prueba las credenciales guardadas y registra el resultado
+ * @param {Company} company
+ * @param {string} provider
+ * @returns {Promise<IntegrationCredential>}
+ */
+export const testIntegration = async (company, provider) => {
+  getProvider(provider);
+  const credential = await findCredential(provider);
+
+  await verifyCredential(credential, company);
+  return credential;
+};
+
+/**
+ * Desconecta una integración eliminando sus credenciales
+ * @param {Company} company
+ * @param {string} provider
+ */
+export const disconnectIntegration = async (company, provider) => {
+  getProvider(provider);
+  const credential = await findCredential(provider);
+
+  await IntegrationCredential.sequelize.transaction(async (transaction) => {
+    await credential.destroy({ transaction });
+    if (provider === 'shopify') {
+      await company.update({ shopifyDomain: null }, { transaction });
+    }
+  });
+
+  if (provider === 'siigo') clearSiigoTokens(company.id);
+  logger.info({ companyId: company.id, provider }, 'Integration disconnected');
+};
+
+/**
+ * Prueba las credenciales de todas las compañías (tarea programada
+ * integrations.refresh-tokens). Con Siigo se obtiene un token nuevo antes de que venza el
+ * anterior; las credenciales revocadas quedan en error sin esperar a que falle una factura.
+ * @returns {Promise<{ checked: number, failed: number }>}
+ */
+export const refreshIntegrationTokens = () =>
+  runAsSystem(async () => {
+    const credentials = await IntegrationCredential.findAll({
+      include: [{ model: Company, as: 'company' }],
+      order: [['id', 'ASC']],
+    });
+
+    let failed = 0;
+    for (const credential of credentials) {
+      const ok = await runWithTenant(credential.companyId, () =>
+        verifyCredential(credential, credential.company)
+      );
+      if (!ok) failed += 1;
+    }
+
+    logger.info({ checked: credentials.length, failed }, 'Integration credentials refreshed');
+    return { checked: credentials.length, failed };
+  });
+
+/**
+ * Rotación de la llave maestra: vuelve a cifrar con la versión activa las llaves de
+ * datos de todas las credenciales que usan otra versión
+ * @returns {Promise<number>} Credenciales rotadas
+ */
+export const rotateCredentialKeys = () =>
+  runAsSystem(async () => {
+    const keyVersion = getActiveKeyVersion();
+    const credentials = await IntegrationCredential.findAll({
+      where: { keyVersion: { [Op.ne]: keyVersion } },
+    });
+
+    for (const credential of credentials) {
+      await credential.update(rewrapEnvelope(credential));
+    }
+
+    logger.info({ keyVersion, rotated: credentials.length }, 'Credential keys rotated');
+    return credentials.length;
+  });
@@ -0,0 +1,330 @@
+import { Op } from 'sequelize';
+import {
+  ConflictError,
+  IntegrationError,
+  NotFoundError,
+  UnprocessableEntityError,
+  isTransientError,
+} from '../errors/index.js';
+import {
+  Company,
+  InvoiceSync,
+  InvoiceSyncAttempt,
+  Order,
+  ProductMapping,
+} from '../models/index.js';
+import {
+  buildSiigoCustomer,
+  buildSiigoInvoice,
+  getCustomerIdentification,
+  getOrderMarker,
+  toSiigoDate,
+} from '../integrations/siigo/index.js';
+import { getSiigoClient } from './siigo.service.js';
+import { dispatchWebhookEvent } from './outbound-webhook.service.js';
+import { enqueueJob } from '../jobs/queue.js';
+import { JOB_TYPES } from '../jobs/job-types.js';
+import { logger } from '../utils/logger.js';
+import { paginate } from '../utils/list-query.js';
+
+// Un intento que lleva más de esto en processing se considera abandonado (proceso caído)
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+/**
+ * Solo las órdenes pagadas y no canceladas se facturan
+ * @param {Order} order
+ */
+export const isInvoiceable = (order) => order.financialStatus === 'paid' && !order.cancelledAt;
+
+const describeError = (error) => {
+  const upstream = error.details?.response?.Errors;
+  if (Array.isArray(upstream) && upstream.length > 0) {
+    return upstream.map((entry) => `${entry.Code}: ${entry.Message}`).join('; ');
+  }
+  return error.details?.message || error.message;
+};
+
+// Los webhooks salientes no deben cambiar el resultado de la sincronización
+const notify = (event, data) =>
+  dispatchWebhookEvent(event, data).catch((error) =>
+    logger.error({ error, event, syncId: data.invoiceSyncId }, 'Error dispatching webhook event')
+  );
+
+/**
+ * Cambia la sincronización a processing solo si nadie más la está procesando
+ * @returns {Promise<boolean>}
+ */
+const claimSync = async (syncId) => {
+  const [count] = await InvoiceSync.update(
+    {
+      status: 'processing',
+      lastAttemptAt: new Date(),
+      attempts: InvoiceSync.sequelize.literal('"attempts" + 1'),
+    },
+    {
+      where: {
+        id: syncId,
+        [Op.or]: [
+          { status: ['pending', 'failed'] },
+          {
+            status: 'processing',
+            lastAttemptAt: {
+              [Op.lt]: new Date(Date.now() - STALE_PROCESSING_MS),
+            },
+          },
+        ],
+      },
+    }
+  );
+
+  return count === 1;
+};
+
+/**
+ * Busca en Siigo una factura creada por un intento anterior cuyo resultado se desconoce
+ * (timeout, caída del proceso) usando la marca de la orden en las observaciones
+ */
+const findExistingInvoice = async (client, order) => {
+  const date = toSiigoDate(order.placedAt || order.createdAt);
+  const marker = getOrderMarker(order);
+
+  for await (const invoice of client.invoices.iterate({
+    date_start: date,
+    date_end: date,
+  })) {
+    if (invoice.observations?.includes(marker)) return invoice;
+  }
+  return null;
+};
+
+const resolveCustomer = async (client, order, settings) => {
+  const identification = getCustomerIdentification(order, settings);
+
+  if (!(await client.customers.findByIdentification(identification))) {
+    await client.customers.create(buildSiigoCustomer(order, identification, settings));
+    logger.info({ orderId: order.id }, 'Siigo customer created');
+  }
+
+  return identification;
+};
+
+/**
+ * Resuelve el código de Siigo de cada SKU: primero el mapeo guardado y si no existe (o la
+ * conciliación no le encontró producto), un producto de Siigo con el mismo código, que se
+ * guarda como mapeo automático
+ * @returns {Promise<Object<string, string>>}
+ */
+const resolveProductCodes = async (client, order) => {
+  const withoutSku = order.lineItems.filter((item) => !item.sku);
+  if (withoutSku.length > 0) {
+    throw new UnprocessableEntityError('Some order items have no SKU.', {
+      items: withoutSku.map((item) => item.title),
+    });
+  }
+
+  const skus = [...new Set(order.lineItems.map((item) => item.sku))];
+  const mappings = await ProductMapping.findAll({ where: { sku: skus } });
+  const bySku = new Map(mappings.map((mapping) => [mapping.sku, mapping]));
+  const codes = Object.fromEntries(
+    mappings
+      .filter((mapping) => mapping.siigoCode)
+      .map((mapping) => [mapping.sku, mapping.siigoCode])
+  );
+
+  const missing = [];
+  for (const sku of skus.filter((value) => !codes[value])) {
+    const product = await client.products.findByCode(sku);
+    if (product) {
+      const mapping = bySku.get(sku) || ProductMapping.build({ sku });
+      await mapping
+        .set({
+          siigoCode: product.code,
+          origin: 'auto',
+          status: 'matched',
+          matchedBy: 'sku',
+          candidates: [],
+        })
+        .save();
+      codes[sku] = product.code;
+    } else {
+      missing.push(sku);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new UnprocessableEntityError(`No Siigo product mapped for SKU: ${missing.join(', ')}.`, {
+      skus: missing,
+    });
+  }
+
+  return codes;
+};
+
+/**
+ * Ejecuta un intento de facturación (handler del trabajo invoice.sync). Es idempotente: si la
+ * sincronización ya terminó o está en curso en otro proceso, no hace nada. Debe correr en el
+ * contexto de la compañía. Los errores transitorios se relanzan para que la cola reintente.
+ * @param {number} syncId
+ * @returns {Promise<InvoiceSync>}
+ */
+export const runInvoiceSync = async (syncId) => {
+  if (!(await claimSync(syncId))) {
+    logger.info({ syncId }, 'Invoice sync already finished or in progress');
+    return InvoiceSync.findByPk(syncId);
+  }
+
+  const sync = await InvoiceSync.findByPk(syncId);
+  const order = await Order.findByPk(sync.orderId);
+  const company = await Company.findByPk(sync.companyId);
+  const startedAt = Date.now();
+  let request = null;
+
+  try {
+    const client = await getSiigoClient(company);
+    const settings = company.siigoSettings;
+
+    let invoice = sync.attempts > 1 ? await findExistingInvoice(client, order) : null;
+
+    if (invoice) {
+      logger.warn({ syncId, invoiceId: invoice.id }, 'Found invoice from a previous attempt');
+    } else {
+      const customerIdentification = await resolveCustomer(client, order, settings);
+      const productCodes = await resolveProductCodes(client, order);
+      request = buildSiigoInvoice({
+        order,
+        settings,
+        customerIdentification,
+        productCodes,
+      });
+      invoice = await client.invoices.create(request);
+    }
+
+    await InvoiceSyncAttempt.create({
+      invoiceSyncId: sync.id,
+      attempt: sync.attempts,
+      status: 'succeeded',
+      request,
+      response: invoice,
+      durationMs: Date.now() - startedAt,
+    });
+    await sync.update({
+      status: 'succeeded',
+      siigoInvoiceId: invoice.id,
+      siigoInvoiceName: invoice.name,
+      lastError: null,
+      succeededAt: new Date(),
+    });
+    logger.info({ syncId, orderId: order.id, invoice: invoice.name }, 'Invoice created in Siigo');
+    await notify('invoice.created', {
+      invoiceSyncId: sync.id,
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      siigoInvoiceId: sync.siigoInvoiceId,
+      siigoInvoiceName: sync.siigoInvoiceName,
+      attempts: sync.attempts,
+    });
+  } catch (error) {
+    await InvoiceSyncAttempt.create({
+      invoiceSyncId: sync.id,
+      attempt: sync.attempts,
+      status: 'failed',
+      request,
+      response: error instanceof IntegrationError ? error.details : null,
+      errorMessage: describeError(error),
+      durationMs: Date.now() - startedAt,
+    });
+    await sync.update({ status: 'failed', lastError: describeError(error) });
+    logger.error({ error, syncId, orderId: order.id }, 'Invoice sync failed');
+
+    const transient = isTransientError(error);
+    await notify('invoice_sync.failed', {
+      invoiceSyncId: sync.id,
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      attempts: sync.attempts,
+      error: describeError(error),
+      retryable: transient,
+    });
+
+    if (transient) throw error;
+  }
+
+  return sync;
+};
+
+/**
+ * Registra (una sola vez) la sincronización de una orden facturable y encola su ejecución
+ * en la misma transacción
+ * @param {Order} order
+ * @returns {Promise<InvoiceSync>}
+ */
+export const queueInvoiceSync = (order) =>
+  InvoiceSync.sequelize.transaction(async (transaction) => {
+    const [sync, created] = await InvoiceSync.findOrCreate({
+      where: { orderId: order.id },
+      defaults: { companyId: order.companyId },
+      transaction,
+    });
+
+    if (created) {
+      await enqueueJob(JOB_TYPES.INVOICE_SYNC, { syncId: sync.id }, { transaction });
+    }
+    return sync;
+  });
+
+/**
+ * Encola manualmente un nuevo intento de una sincronización fallida
+ * @param {number} syncId
+ * @returns {Promise<InvoiceSync>}
+ */
+export const retryInvoiceSync = async (syncId) => {
+  const sync = await InvoiceSync.findByPk(syncId);
+  if (!sync) throw new NotFoundError('Invoice sync');
+
+  if (sync.status === 'succeeded') {
+    throw new ConflictError('The invoice was already created in Siigo.');
+  }
+  const stale = sync.lastAttemptAt < new Date(Date.now() - STALE_PROCESSING_MS);
+  if (sync.status === 'processing' && !stale) {
+    throw new ConflictError('The invoice sync is already in progress.');
+  }
+
+  await enqueueJob(JOB_TYPES.INVOICE_SYNC, { syncId: sync.id });
+  return sync;
+};
+
+/**
+ * @param {Object} listQuery - req.listQuery (paginación, orden y filtros)
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - Equivale a filter[status]
+ */
+export const listInvoiceSyncs = (listQuery, { status } = {}) =>
+  paginate(InvoiceSync, listQuery, {
+    where: status ? { status } : undefined,
+    include: [
+      {
+        model: Order,
+        as: 'order',
+        attributes: ['id', 'orderNumber', 'total', 'currency'],
+      },
+    ],
+  });
+
+/**
+ * @param {number} syncId
+ */
+export const getInvoiceSync = async (syncId) => {
+  const sync = await InvoiceSync.findByPk(syncId, {
+    include: [
+      { model: Order, as: 'order' },
+      {
+        model: InvoiceSyncAttempt,
+        as: 'history',
+        separate: true,
+        order: [['attempt', 'ASC']],
+      },
+    ],
+  });
+  if (!sync) throw new NotFoundError('Invoice sync');
+  return sync;
+};
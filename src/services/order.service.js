@@ -0,0 +1,70 @@
+import { UniqueConstraintError } from 'sequelize';
+import { NotFoundError } from '../errors/index.js';
+import { Order } from '../models/index.js';
+import { mapShopifyOrder, mapShopifyRefund } from '../integrations/shopify/index.js';
+import { logger } from '../utils/logger.js';
+
+const isStale = (order, attributes) =>
+  order.sourceUpdatedAt &&
+  attributes.sourceUpdatedAt &&
+  new Date(attributes.sourceUpdatedAt) < order.sourceUpdatedAt;
+
+/**
+ * Crea o actualiza una orden de Shopify (orders/create y orders/updated).
+ * Debe ejecutarse dentro del contexto de la compañía dueña de la tienda.
+ * @param {Object} payload - Payload del webhook
+ * @returns {Promise<{ order: Order, created: boolean, changed: boolean }>}
+ */
+export const upsertShopifyOrder = async (payload, { retried = false } = {}) => {
+  const attributes = mapShopifyOrder(payload);
+  const existing = await Order.findOne({
+    where: { source: attributes.source, externalId: attributes.externalId },
+  });
+
+  if (existing) {
+    // Shopify no garantiza el orden de entrega de los webhooks
+    if (isStale(existing, attributes)) {
+      logger.info({ orderId: existing.id }, 'Skipping stale Shopify order update');
+      return { order: existing, created: false, changed: false };
+    }
+
+    await existing.update(attributes);
+    return { order: existing, created: false, changed: true };
+  }
+
+  try {
+    const order = await Order.create(attributes);
+    return { order, created: true, changed: true };
+  } catch (error) {
+    // orders/create y orders/updated pueden llegar a la vez
+    if (error instanceof UniqueConstraintError && !retried) {
+      return upsertShopifyOrder(payload, { retried: true });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Registra un reembolso de Shopify (refunds/create) en su orden
+ * @param {Object} payload - Payload del webhook
+ * @returns {Promise<{ order: Order, changed: boolean }>}
+ */
+export const applyShopifyRefund = async (payload) => {
+  const order = await Order.findOne({
+    where: { source: 'shopify', externalId: String(payload.order_id) },
+  });
+  if (!order) throw new NotFoundError(`Shopify order ${payload.order_id}`);
+
+  const refund = mapShopifyRefund(payload);
+  if (order.refunds.some((existing) => existing.externalId === refund.externalId)) {
+    return { order, changed: false };
+  }
+
+  const refunds = [...order.refunds, refund];
+  await order.update({
+    refunds,
+    totalRefunded: refunds.reduce((sum, entry) => sum + entry.amount, 0),
+  });
+
+  return { order, changed: true };
+};
@@ -0,0 +1,286 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { config } from '../config/index.js';
+import { ConflictError, NotFoundError } from '../errors/index.js';
+import { WebhookDelivery, WebhookSubscription } from '../models/index.js';
+import { sendWebhook } from '../integrations/webhooks/index.js';
+import { enqueueJob } from '../jobs/queue.js';
+import { JOB_TYPES } from '../jobs/job-types.js';
+import { decryptEnvelope, encryptEnvelope } from '../utils/envelope-encryption.js';
+import { paginate } from '../utils/list-query.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Eventos a los que una compañía puede suscribirse
+ */
+export const WEBHOOK_EVENTS = ['invoice.created', 'invoice_sync.failed'];
+
+// Lo que se guarda de la respuesta del receptor en el registro de entregas: solo un extracto
+// para diagnosticar, el registro no debe servir para leer respuestas completas
+const MAX_RESPONSE_BODY_LENGTH = 256;
+
+// El secreto cifrado queda atado a la compañía
+const getAad = (companyId) => `${companyId}:webhook-subscription`;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const truncate = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_RESPONSE_BODY_LENGTH ? text.slice(0, MAX_RESPONSE_BODY_LENGTH) : text;
+};
+
+/**
+ * Crea una suscripción con un secreto de firma nuevo
+ * @param {Company} company
+ * @param {Object} principal - req.principal
+ * @param {Object} params
+ * @param {string} params.url
+ * @param {string[]} params.events
+ * @param {string} [params.description]
+ * @returns {Promise<{ subscription: WebhookSubscription, secret: string }>} El secreto solo
+ *   se devuelve aquí
+ */
+export const createWebhookSubscription = async (
+  company,
+  principal,
+  { url, events, description }
+) => {
+  const secret = generateSecret();
+  const subscription = await WebhookSubscription.create({
+    companyId: company.id,
+    url,
+    events,
+    description,
+    ...encryptEnvelope({ secret }, getAad(company.id)),
+    createdById: principal.type === 'user' ? principal.id : null,
+  });
+
+  logger.info({ subscriptionId: subscription.id, events }, 'Webhook subscription created');
+  return { subscription, secret };
+};
+
+/**
+ * @param {Object} listQuery - req.listQuery
+ */
+export const listWebhookSubscriptions = (listQuery) => paginate(WebhookSubscription, listQuery);
+
+/**
+ * @param {number} subscriptionId
+ */
+export const getWebhookSubscription = async (subscriptionId) => {
+  const subscription = await WebhookSubscription.findByPk(subscriptionId);
+  if (!subscription) throw new NotFoundError('Webhook subscription');
+
+  return subscription;
+};
+
+/**
+ * Actualiza la suscripción. Reactivarla (status: active) reinicia el contador de fallos.
+ * @param {number} subscriptionId
+ * @param {Object} changes
+ * @param {string} [changes.url]
+ * @param {string[]} [changes.events]
+ * @param {string|null} [changes.description]
+ * @param {'active'|'disabled'} [changes.status]
+ * @returns {Promise<WebhookSubscription>}
+ */
+export const updateWebhookSubscription = async (subscriptionId, changes) => {
+  const subscription = await getWebhookSubscription(subscriptionId);
+  const values = {};
+
+  for (const field of ['url', 'events', 'description']) {
+    if (changes[field] !== undefined) values[field] = changes[field];
+  }
+
+  if (changes.status === 'active' && subscription.status !== 'active') {
+    Object.assign(values, {
+      status: 'active',
+      consecutiveFailures: 0,
+      disabledAt: null,
+      disabledReason: null,
+    });
+  } else if (changes.status === 'disabled' && subscription.status !== 'disabled') {
+    Object.assign(values, {
+      status: 'disabled',
+      disabledAt: new Date(),
+      disabledReason: 'Disabled manually',
+    });
+  }
+
+  return subscription.update(values);
+};
+
+/**
+ * Elimina la suscripción y su registro de entregas
+ * @param {number} subscriptionId
+ */
+export const deleteWebhookSubscription = async (subscriptionId) => {
+  const subscription = await getWebhookSubscription(subscriptionId);
+  await subscription.destroy();
+
+  logger.info({ subscriptionId }, 'Webhook subscription deleted');
+};
+
+/**
+ * Registro de entregas de una suscripción
+ * @param {number} subscriptionId
+ * @param {Object} listQuery - req.listQuery
+ */
+export const listWebhookDeliveries = async (subscriptionId, listQuery) => {
+  await getWebhookSubscription(subscriptionId);
+  return paginate(WebhookDelivery, listQuery, { where: { subscriptionId } });
+};
+
+const queueDelivery = (subscription, { eventId, event, payload, redeliveryOfId = null }) =>
+  WebhookDelivery.sequelize.transaction(async (transaction) => {
+    const delivery = await WebhookDelivery.create(
+      {
+        companyId: subscription.companyId,
+        subscriptionId: subscription.id,
+        eventId,
+        event,
+        payload,
+        redeliveryOfId,
+      },
+      { transaction }
+    );
+
+    await enqueueJob(
+      JOB_TYPES.WEBHOOK_DELIVERY,
+      { deliveryId: delivery.id },
+      { transaction, companyId: subscription.companyId }
+    );
+    return delivery;
+  });
+
+/**
+ * Publica un evento a las suscripciones activas de la compañía actual: crea una entrega por
+ * suscripción y la encola. Debe correr en el contexto de la compañía.
+ * @param {string} event - Uno de WEBHOOK_EVENTS
+ * @param {Object} data - Contenido de `data` en el payload
+ * @returns {Promise<WebhookDelivery[]>}
+ */
+export const dispatchWebhookEvent = async (event, data) => {
+  const subscriptions = await WebhookSubscription.findAll({
+    where: { status: 'active', events: { [Op.contains]: [event] } },
+  });
+  if (subscriptions.length === 0) return [];
+
+  const eventId = crypto.randomUUID();
+  const payload = { id: eventId, type: event, createdAt: new Date().toISOString(), data };
+
+  const deliveries = [];
+  for (const subscription of subscriptions) {
+    deliveries.push(await queueDelivery(subscription, { eventId, event, payload }));
+  }
+
+  logger.info({ event, eventId, deliveries: deliveries.length }, 'Webhook event dispatched');
+  return deliveries;
+};
+
+/**
+ * Reenvía manualmente una entrega (exitosa o fallida) como una entrega nueva del mismo evento
+ * @param {number} subscriptionId
+ * @param {number} deliveryId
+ * @returns {Promise<WebhookDelivery>}
+ */
+export const redeliverWebhook = async (subscriptionId, deliveryId) => {
+  const subscription = await getWebhookSubscription(subscriptionId);
+  const original = await WebhookDelivery.findOne({ where: { id: deliveryId, subscriptionId } });
+  if (!original) throw new NotFoundError('Webhook delivery');
+
+  if (subscription.status !== 'active') {
+    throw new ConflictError('The webhook subscription is disabled.');
+  }
+
+  return queueDelivery(subscription, {
+    eventId: original.eventId,
+    event: original.event,
+    payload: original.payload,
+    redeliveryOfId: original.id,
+  });
+};
+
+const disableAfterFailures = async (subscription) => {
+  await subscription.update({
+    status: 'disabled',
+    disabledAt: new Date(),
+    disabledReason: `${subscription.consecutiveFailures} consecutive delivery failures`,
+  });
+
+  logger.warn(
+    { subscriptionId: subscription.id, failures: subscription.consecutiveFailures },
+    'Webhook subscription disabled after repeated failures'
+  );
+};
+
+/**
+ * Ejecuta un intento de entrega (handler del trabajo webhook.deliver). Los fallos se relanzan
+ * como IntegrationError para que la cola los registre y reintente con backoff exponencial; tras
+ * config.outboundWebhooks.disableAfterFailures fallos seguidos la suscripción se desactiva y
+ * la entrega deja de reintentarse.
+ * @param {number} deliveryId
+ * @param {Job} [job] - Trabajo en curso, para saber si es el último intento
+ * @returns {Promise<WebhookDelivery|null>}
+ */
+export const deliverWebhook = async (deliveryId, job) => {
+  const delivery = await WebhookDelivery.findByPk(deliveryId, {
+    include: [{ model: WebhookSubscription, as: 'subscription' }],
+  });
+  if (!delivery || delivery.status !== 'pending') return delivery;
+
+  const { subscription } = delivery;
+  if (subscription.status !== 'active') {
+    return delivery.update({ status: 'failed', errorMessage: 'Webhook subscription is disabled.' });
+  }
+
+  const startedAt = Date.now();
+  const attempt = { attempts: delivery.attempts + 1, lastAttemptAt: new Date() };
+
+  try {
+    const response = await sendWebhook({
+      url: subscription.url,
+      secret: decryptEnvelope(subscription, getAad(subscription.companyId)).secret,
+      event: delivery.event,
+      eventId: delivery.eventId,
+      deliveryId: delivery.id,
+      body: JSON.stringify(delivery.payload),
+    });
+
+    await delivery.update({
+      ...attempt,
+      status: 'succeeded',
+      responseStatus: response.status,
+      responseBody: truncate(response.body),
+      errorMessage: null,
+      durationMs: Date.now() - startedAt,
+      deliveredAt: new Date(),
+    });
+    if (subscription.consecutiveFailures > 0) await subscription.update({ consecutiveFailures: 0 });
+
+    return delivery;
+  } catch (error) {
+    const lastAttempt = !job || job.attempts >= job.maxAttempts;
+
+    await delivery.update({
+      ...attempt,
+      status: lastAttempt ? 'failed' : 'pending',
+      responseStatus: error.details?.status ?? null,
+      responseBody: truncate(error.details?.response),
+      errorMessage: error.details?.message || error.message,
+      durationMs: Date.now() - startedAt,
+    });
+
+    await subscription.increment('consecutiveFailures');
+    await subscription.reload();
+    if (subscription.consecutiveFailures >= config.outboundWebhooks.disableAfterFailures) {
+      await disableAfterFailures(subscription);
+      if (!lastAttempt) await delivery.update({ status: 'failed' });
+      return delivery;
+    }
+
+    // En el último intento la cola pasa el trabajo a dead
+    throw error;
+  }
+};
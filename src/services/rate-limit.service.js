@@ -0,0 +1,97 @@
+import { Op } from 'sequelize';
+import { RateLimitCounter } from '../models/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Store de express-rate-limit sobre Postgres: los contadores se comparten entre instancias
+ * y sobreviven a los reinicios. Ventana fija, como el MemoryStore de la librería: el primer
+ * hit abre la ventana y el contador vuelve a cero al vencer resetAt.
+ * Cada limitador necesita su propia instancia (con su prefijo).
+ */
+export class PostgresRateLimitStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.prefix - Prefijo de las llaves, normalmente la política
+   */
+  constructor({ prefix }) {
+    this.prefix = prefix;
+    // Los contadores no viven en el proceso
+    this.localKeys = false;
+    this.lastPurgeAt = 0;
+  }
+
+  /**
+   * Lo llama express-rate-limit al crear el limitador
+   * @param {{ windowMs: number }} options
+   */
+  init({ windowMs }) {
+    this.windowMs = windowMs;
+  }
+
+  /**
+   * Suma un hit en una sola sentencia (seguro con varias instancias concurrentes)
+   * @param {string} key
+   * @returns {Promise<{ totalHits: number, resetTime: Date }>}
+   */
+  async increment(key) {
+    this.purgeExpired();
+
+    try {
+      const [[row]] = await RateLimitCounter.sequelize.query(
+        `INSERT INTO "rate_limit_counters" ("key", "hits", "resetAt")
+         VALUES (:key, 1, NOW() + (:windowMs * INTERVAL '1 millisecond'))
+         ON CONFLICT ("key") DO UPDATE SET
+           "hits" = CASE WHEN "rate_limit_counters"."resetAt" <= NOW() THEN 1
+                         ELSE "rate_limit_counters"."hits" + 1 END,
+           "resetAt" = CASE WHEN "rate_limit_counters"."resetAt" <= NOW() THEN EXCLUDED."resetAt"
+                            ELSE "rate_limit_counters"."resetAt" END
+         RETURNING "hits", "resetAt"`,
+        { replacements: { key: this.prefix + key, windowMs: this.windowMs } }
+      );
+
+      return { totalHits: row.hits, resetTime: new Date(row.resetAt) };
+    } catch (error) {
+      // Sin base de datos no se limita: la petición sigue y falla (o no) por su cuenta
+      logger.warn({ error, key: this.prefix + key }, 'Rate limit store unavailable');
+      return { totalHits: 1, resetTime: new Date(Date.now() + this.windowMs) };
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<{ totalHits: number, resetTime: Date }|undefined>}
+   */
+  async get(key) {
+    const counter = await RateLimitCounter.findOne({
+      where: { key: this.prefix + key, resetAt: { [Op.gt]: new Date() } },
+    });
+
+    return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined;
+  }
+
+  /**
+   * @param {string} key
+   */
+  async decrement(key) {
+    await RateLimitCounter.decrement('hits', {
+      where: { key: this.prefix + key, hits: { [Op.gt]: 0 } },
+    });
+  }
+
+  /**
+   * @param {string} key
+   */
+  async resetKey(key) {
+    await RateLimitCounter.destroy({ where: { key: this.prefix + key } });
+  }
+
+  // Las ventanas vencidas se borran como mucho una vez por ventana (por proceso)
+  purgeExpired() {
+    if (Date.now() - this.lastPurgeAt < this.windowMs) return;
+    this.lastPurgeAt = Date.now();
+
+    RateLimitCounter.destroy({
+      where: { key: { [Op.startsWith]: this.prefix }, resetAt: { [Op.lt]: new Date() } },
+    }).catch((error) => logger.warn({ error }, 'Error purging expired rate limit counters'));
+  }
+}
@@ -0,0 +1,89 @@
+import { ScheduledTask, ScheduledTaskRun } from '../models/index.js';
+import { getTask, getTasks, runTaskNow } from '../scheduler/index.js';
+import { paginate } from '../utils/list-query.js';
+import { logger } from '../utils/logger.js';
+
+const describeTask = async (task, state) => ({
+  name: task.name,
+  description: task.description,
+  schedule: task.schedule,
+  timezone: task.timezone,
+  paused: state?.paused ?? false,
+  pausedAt: state?.pausedAt ?? null,
+  pausedById: state?.pausedById ?? null,
+  nextRunAt: task.cron.nextRun(),
+  lastRun: await ScheduledTaskRun.findOne({
+    where: { task: task.name },
+    order: [['startedAt', 'DESC']],
+  }),
+});
+
+/**
+ * Tareas registradas con su estado, próxima ejecución y última ejecución
+ * @returns {Promise<Object[]>}
+ */
+export const listScheduledTasks = async () => {
+  const tasks = getTasks();
+  const states = await ScheduledTask.findAll({ where: { name: tasks.map(({ name }) => name) } });
+  const byName = new Map(states.map((state) => [state.name, state]));
+
+  return Promise.all(tasks.map((task) => describeTask(task, byName.get(task.name))));
+};
+
+/**
+ * @param {string} name
+ */
+export const getScheduledTask = async (name) => {
+  const task = getTask(name);
+  return describeTask(task, await ScheduledTask.findByPk(name));
+};
+
+/**
+ * Historial de ejecuciones de una tarea
+ * @param {string} name
+ * @param {Object} listQuery - req.listQuery
+ */
+export const listScheduledTaskRuns = (name, listQuery) => {
+  getTask(name);
+  return paginate(ScheduledTaskRun, listQuery, { where: { task: name } });
+};
+
+/**
+ * Ejecuta la tarea ya (también si está pausada)
+ * @param {string} name
+ * @param {Object} principal - req.principal
+ * @returns {Promise<ScheduledTaskRun>}
+ */
+export const runScheduledTask = async (name, principal) => {
+  const run = await runTaskNow(name, {
+    requestedById: principal.type === 'user' ? principal.id : null,
+  });
+
+  logger.info({ task: name, runId: run.id }, 'Scheduled task run requested');
+  return run;
+};
+
+/**
+ * Pausa o reanuda las ejecuciones programadas de la tarea en todas las réplicas
+ * @param {string} name
+ * @param {Object} principal - req.principal
+ * @param {boolean} paused
+ */
+export const setScheduledTaskPaused = async (name, principal, paused) => {
+  const task = getTask(name);
+  const [state] = await ScheduledTask.findOrCreate({ where: { name } });
+
+  if (state.paused !== paused) {
+    await state.update({
+      paused,
+      pausedAt: paused ? new Date() : null,
+      pausedById: paused && principal.type === 'user' ? principal.id : null,
+    });
+    logger.info(
+      { task: name, paused },
+      paused ? 'Scheduled task paused' : 'Scheduled task resumed'
+    );
+  }
+
+  return describeTask(task, state);
+};
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { NotFoundError, UnauthorizedError } from '../errors/index.js';
+import { Company, WebhookEvent } from '../models/index.js';
+import {
+  SHOPIFY_TOPICS,
+  readShopifyHeaders,
+  verifyShopifyHmac,
+} from '../integrations/shopify/index.js';
+import { applyShopifyRefund, upsertShopifyOrder } from './order.service.js';
+import { isInvoiceable, queueInvoiceSync } from './invoice-sync.service.js';
+import { enqueueJob } from '../jobs/queue.js';
+import { JOB_TYPES } from '../jobs/job-types.js';
+import { logger } from '../utils/logger.js';
+import { runAsSystem, runWithTenant } from '../utils/tenant-context.js';
+
+const PROVIDER = 'shopify';
+
+const topicHandlers = {
+  'orders/create': upsertShopifyOrder,
+  'orders/updated': upsertShopifyOrder,
+  'refunds/create': applyShopifyRefund,
+};
+
+/**
+ * Procesa un webhook almacenado (handler del trabajo shopify.webhook): resuelve la compañía
+ * por el dominio de la tienda y aplica el payload dentro de su contexto. Si falla, el error
+ * se registra en el evento y se relanza para que la cola lo reintente.
+ * @param {number} eventId
+ */
+export const processWebhookEvent = async (eventId) => {
+  const event = await WebhookEvent.findByPk(eventId);
+  if (!event || event.status === 'processed') return event;
+
+  await event.update({ status: 'processing', attempts: event.attempts + 1 });
+
+  try {
+    const company = await runAsSystem(() =>
+      Company.findOne({ where: { shopifyDomain: event.shopDomain } })
+    );
+    if (!company) throw new NotFoundError(`Company for shop ${event.shopDomain}`);
+
+    const payload = JSON.parse(event.rawPayload);
+    await runWithTenant(company.id, async () => {
+      const { order } = await topicHandlers[event.topic](payload);
+      if (isInvoiceable(order)) await queueInvoiceSync(order);
+    });
+
+    await event.update({
+      companyId: company.id,
+      status: 'processed',
+      processedAt: new Date(),
+      lastError: null,
+    });
+    logger.info({ eventId, topic: event.topic, companyId: company.id }, 'Webhook processed');
+  } catch (error) {
+    await event.update({ status: 'failed', lastError: error.message });
+    logger.error({ error, eventId, topic: event.topic }, 'Error processing webhook');
+    throw error;
+  }
+
+  return event;
+};
+
+/**
+ * Verifica, deduplica y almacena un webhook de Shopify. El procesamiento se encola en la
+ * misma transacción para responder a Shopify de inmediato sin perder el evento.
+ * @param {Object} options
+ * @param {Object} options.headers - req.headers
+ * @param {Buffer} options.rawBody - Body sin parsear
+ * @returns {Promise<{ eventId: number|null, duplicate: boolean, ignored: boolean }>}
+ */
+export const receiveShopifyWebhook = async ({ headers, rawBody }) => {
+  const { hmac, topic, shopDomain, webhookId } = readShopifyHeaders(headers);
+
+  if (!verifyShopifyHmac(rawBody, hmac, config.shopify.webhookSecret)) {
+    throw new UnauthorizedError('Invalid webhook signature.');
+  }
+
+  if (!SHOPIFY_TOPICS.includes(topic)) {
+    logger.debug({ topic, shopDomain }, 'Ignoring unsupported Shopify topic');
+    return { eventId: null, duplicate: false, ignored: true };
+  }
+
+  const [event, created] = await WebhookEvent.sequelize.transaction(async (transaction) => {
+    const result = await WebhookEvent.findOrCreate({
+      where: {
+        provider: PROVIDER,
+        externalId: webhookId || crypto.createHash('sha256').update(rawBody).digest('hex'),
+      },
+      defaults: { topic, shopDomain, rawPayload: rawBody.toString('utf8') },
+      transaction,
+    });
+
+    if (result[1]) {
+      await enqueueJob(
+        JOB_TYPES.SHOPIFY_WEBHOOK,
+        { eventId: result[0].id },
+        { companyId: null, transaction }
+      );
+    }
+    return result;
+  });
+
+  if (!created) {
+    logger.info({ eventId: event.id, webhookId }, 'Duplicate Shopify webhook');
+  }
+
+  return { eventId: event.id, duplicate: !created, ignored: false };
+};
@@ -0,0 +1,17 @@
+import { UnprocessableEntityError } from '../errors/index.js';
+import { createShopifyClient } from '../integrations/shopify/index.js';
+import { getIntegrationSecret } from './integration.service.js';
+
+/**
+ * Cliente del Admin API de Shopify con las credenciales que la compañía conectó
+ * @param {Company} company
+ */
+export const getShopifyClient = async (company) => {
+  const secret = await getIntegrationSecret(company.id, 'shopify');
+
+  if (!secret) {
+    throw new UnprocessableEntityError('Shopify is not connected for this company.');
+  }
+
+  return createShopifyClient(secret);
+};
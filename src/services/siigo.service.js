@@ -0,0 +1,17 @@
+import { UnprocessableEntityError } from '../errors/index.js';
+import { createSiigoClient } from '../integrations/siigo/index.js';
+import { getIntegrationSecret } from './integration.service.js';
+
+/**
+ * Cliente de Siigo con las credenciales que la compañía conectó
+ * @param {Company} company
+ */
+export const getSiigoClient = async (company) => {
+  const secret = await getIntegrationSecret(company.id, 'siigo');
+
+  if (!secret) {
+    throw new UnprocessableEntityError('Siigo is not connected for this company.');
+  }
+
+  return createSiigoClient({ companyId: company.id, ...secret });
+};
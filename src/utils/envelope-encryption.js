@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+let cachedKeys = null;
+
+/**
+ * Lee CREDENTIALS_MASTER_KEYS ("1:base64,2:base64") una sola vez
+ * @returns {Map<number, Buffer>}
+ */
+const getMasterKeys = () => {
+  if (cachedKeys) return cachedKeys;
+
+  const keys = new Map();
+  for (const entry of (config.credentials.masterKeys || '').split(',')) {
+    if (!entry.trim()) continue;
+
+    const [version, encoded] = entry.trim().split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!Number.isInteger(Number(version)) || key.length !== KEY_BYTES) {
+      throw new Error(`Invalid master key "${version}": expected <version>:<32-byte base64 key>`);
+    }
+    keys.set(Number(version), key);
+  }
+
+  if (keys.size === 0) throw new Error('CREDENTIALS_MASTER_KEYS is not configured');
+
+  cachedKeys = keys;
+  return keys;
+};
+
+/**
+ * Versión de la llave maestra con la que se cifran las credenciales nuevas
+ * @returns {number}
+ */
+export const getActiveKeyVersion = () => {
+  const keys = getMasterKeys();
+  const version = config.credentials.activeKeyVersion || Math.max(...keys.keys());
+
+  if (!keys.has(version)) throw new Error(`Master key version ${version} is not configured`);
+  return version;
+};
+
+const getMasterKey = (version) => {
+  const key = getMasterKeys().get(version);
+  if (!key) throw new Error(`Master key version ${version} is not configured`);
+  return key;
+};
+
+// Resultado empaquetado en base64: iv | authTag | ciphertext
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+const open = (key, sealed, aad) => {
+  const buffer = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_BYTES));
+  decipher.setAuthTag(buffer.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  if (aad) decipher.setAAD(Buffer.from(aad));
+
+  return Buffer.concat([decipher.update(buffer.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+};
+
+/**
+ * Cifra un valor con una llave de datos aleatoria, que a su vez se cifra con la llave
+ * maestra activa. El aad (p. ej. compañía y proveedor) se autentica pero no se cifra:
+ * un ciphertext copiado a otro registro no se puede descifrar.
+ * @param {Object} value - Serializable a JSON
+ * @param {string} [aad]
+ * @returns {{ ciphertext: string, encryptedDataKey: string, keyVersion: number }}
+ */
+export const encryptEnvelope = (value, aad) => {
+  const keyVersion = getActiveKeyVersion();
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+
+  return {
+    ciphertext: seal(dataKey, Buffer.from(JSON.stringify(value)), aad),
+    encryptedDataKey: seal(getMasterKey(keyVersion), dataKey),
+    keyVersion,
+  };
+};
+
+/**
+ * @param {{ ciphertext: string, encryptedDataKey: string, keyVersion: number }} envelope
+ * @param {string} [aad] - El mismo usado al cifrar
+ * @returns {Object}
+ */
+export const decryptEnvelope = ({ ciphertext, encryptedDataKey, keyVersion }, aad) => {
+  try {
+    const dataKey = open(getMasterKey(keyVersion), encryptedDataKey);
+    return JSON.parse(open(dataKey, ciphertext, aad).toString('utf8'));
+  } catch (error) {
+    if (error.message.startsWith('Master key version')) throw error;
+    throw new Error('Unable to decrypt envelope: wrong key or tampered data');
+  }
+};
+
+/**
+ * Rotación: vuelve a cifrar solo la llave de datos con la llave maestra activa.
+ * El ciphertext del valor no cambia.
+ * @param {{ encryptedDataKey: string, keyVersion: number }} envelope
+ * @returns {{ encryptedDataKey: string, keyVersion: number }}
+ */
+export const rewrapEnvelope = ({ encryptedDataKey, keyVersion }) => {
+  const activeVersion = getActiveKeyVersion();
+  const dataKey = open(getMasterKey(keyVersion), encryptedDataKey);
+
+  return {
+    encryptedDataKey: seal(getMasterKey(activeVersion), dataKey),
+    keyVersion: activeVersion,
+  };
+};
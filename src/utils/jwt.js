@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+
+const decodeSegment = (segment) =>
+  JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Decodifica un JWT sin verificar la firma
+ * @param {string} token
+ * @returns {{ header: Object, payload: Object, signingInput: string, signature: Buffer } | null}
+ */
+export const decodeJwt = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+
+  try {
+    return {
+      header: decodeSegment(parts[0]),
+      payload: decodeSegment(parts[1]),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url'),
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Verifica la firma RS256 de un JWT ya decodificado
+ * @param {Object} decoded - Resultado de decodeJwt
+ * @param {crypto.KeyObject} publicKey
+ * @returns {boolean}
+ */
+export const verifyRs256Signature = (decoded, publicKey) =>
+  crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(decoded.signingInput),
+    publicKey,
+    decoded.signature
+  );
@@ -0,0 +1,443 @@
+import { Op } from 'sequelize';
+import { RequestValidationError } from '../errors/index.js';
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+const OPERATORS = {
+  eq: Op.eq,
+  ne: Op.ne,
+  gt: Op.gt,
+  gte: Op.gte,
+  lt: Op.lt,
+  lte: Op.lte,
+  in: Op.in,
+  contains: Op.iLike,
+};
+
+// Operadores permitidos por tipo cuando la definición no los restringe
+const TYPE_OPERATORS = {
+  string: ['eq', 'ne', 'in', 'contains'],
+  enum: ['eq', 'ne', 'in'],
+  integer: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'],
+  date: ['eq', 'gt', 'gte', 'lt', 'lte'],
+  boolean: ['eq'],
+};
+
+const FILTER_KEY = /^filter\[(\w+)\](?:\[(\w+)\])?$/;
+
+// Fechas de los cursores, tal como las serializa JSON.stringify
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+/**
+ * Convierte el valor de un filtro al tipo del campo; undefined si no es válido
+ */
+const coerceValue = (value, { type, values }) => {
+  switch (type) {
+    case 'integer':
+      return /^-?\d+$/.test(value) ? Number(value) : undefined;
+    case 'number':
+      return value !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined;
+    case 'boolean':
+      return { true: true, false: false }[value];
+    case 'date': {
+      const date = new Date(value);
+      return value !== '' && !Number.isNaN(date.getTime()) ? date : undefined;
+    }
+    case 'enum':
+      return values.includes(value) ? value : undefined;
+    default:
+      return value;
+  }
+};
+
+const describeType = ({ type, values }) =>
+  ({
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'true or false',
+    date: 'an ISO 8601 date',
+    enum: `one of ${values?.join(', ')}`,
+  })[type] || 'a string';
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Lee los filtros tanto del query parser simple de Express 5 (claves "filter[status]")
+ * como del extendido ({ filter: { status } })
+ * @returns {Array<{ param: string, field: string, operator: string, value: any }>}
+ */
+const readFilters = (query) => {
+  const filters = [];
+
+  for (const [key, value] of Object.entries(query)) {
+    const match = FILTER_KEY.exec(key);
+    if (match) filters.push({ param: key, field: match[1], operator: match[2] || 'eq', value });
+  }
+
+  if (query.filter && typeof query.filter === 'object') {
+    for (const [field, value] of Object.entries(query.filter)) {
+      const operations =
+        value && typeof value === 'object' && !Array.isArray(value) ? value : { eq: value };
+
+      for (const [operator, operand] of Object.entries(operations)) {
+        const param = operator === 'eq' ? `filter[${field}]` : `filter[${field}][${operator}]`;
+        filters.push({ param, field, operator, value: operand });
+      }
+    }
+  }
+
+  return filters;
+};
+
+const parseFilters = (query, filterable, errors) => {
+  const conditions = [];
+
+  for (const { param, field, operator, value } of readFilters(query)) {
+    const fieldDefinition = filterable[field];
+    if (!fieldDefinition) {
+      errors.push({ param, msg: `Filtering by ${field} is not allowed`, value });
+      continue;
+    }
+
+    const operators = fieldDefinition.operators || TYPE_OPERATORS[fieldDefinition.type || 'string'];
+    if (!operators.includes(operator)) {
+      errors.push({
+        param,
+        msg: `Operator ${operator} is not allowed for ${field} (use ${operators.join(', ')})`,
+        value,
+      });
+      continue;
+    }
+
+    if (operator !== 'in' && typeof value !== 'string') {
+      errors.push({ param, msg: `${param} must be a single value`, value });
+      continue;
+    }
+
+    const rawValues = operator === 'in' ? [value].flat().join(',').split(',') : [value];
+    const values = rawValues.map((raw) => coerceValue(raw.trim(), fieldDefinition));
+
+    if (values.some((item) => item === undefined)) {
+      errors.push({ param, msg: `${param} must be ${describeType(fieldDefinition)}`, value });
+      continue;
+    }
+
+    const operand =
+      operator === 'in'
+        ? values
+        : operator === 'contains'
+          ? `%${escapeLike(values[0])}%`
+          : values[0];
+
+    conditions.push({ [fieldDefinition.column || field]: { [OPERATORS[operator]]: operand } });
+  }
+
+  return conditions;
+};
+
+const parseSort = (sort, { sortable, defaultSort }, errors) => {
+  const fieldNames = Object.keys(sortable);
+
+  if (sort !== undefined && typeof sort !== 'string') {
+    errors.push({ param: 'sort', msg: 'sort must be a single value', value: sort });
+    return [];
+  }
+
+  const fields = [];
+  for (const token of (sort || defaultSort || '').split(',').filter(Boolean)) {
+    const field = token.trim().replace(/^[-+]/, '');
+
+    if (!fieldNames.includes(field)) {
+      errors.push({
+        param: 'sort',
+        msg: `Sorting by ${field} is not allowed (use ${fieldNames.join(', ')})`,
+        value: sort,
+      });
+    } else if (!fields.some((item) => item.field === field)) {
+      fields.push({
+        ...sortable[field],
+        field,
+        direction: token.trim().startsWith('-') ? 'DESC' : 'ASC',
+      });
+    }
+  }
+
+  return fields;
+};
+
+const parsePositiveInteger = (query, name, max, errors) => {
+  if (query[name] === undefined) return undefined;
+
+  const value = Number(query[name]);
+  if (typeof query[name] !== 'string' || !Number.isInteger(value) || value < 1 || value > max) {
+    const range = max === Infinity ? 'a positive integer' : `an integer between 1 and ${max}`;
+    errors.push({ param: name, msg: `${name} must be ${range}`, value: query[name] });
+    return undefined;
+  }
+
+  return value;
+};
+
+/**
+ * ORDER BY explícito para los campos que admiten NULL, para que coincida con keysetWhere
+ * en ambos sentidos
+ */
+const toOrder = (sort, reverse = false) =>
+  sort.map(({ field, direction, nullable }) => {
+    const ascending = (direction === 'ASC') !== reverse;
+    if (!nullable) return [field, ascending ? 'ASC' : 'DESC'];
+
+    return [field, ascending ? 'ASC NULLS LAST' : 'DESC NULLS FIRST'];
+  });
+
+const sortSignature = (sort) =>
+  sort.map(({ field, direction }) => (direction === 'DESC' ? `-${field}` : field)).join(',');
+
+const encodeCursor = (item, listQuery, direction) =>
+  Buffer.from(
+    JSON.stringify({
+      s: sortSignature(listQuery.sort),
+      d: direction,
+      v: listQuery.sort.map(({ field }) => item.get(field)),
+    })
+  ).toString('base64url');
+
+/**
+ * Si un valor del cursor corresponde al tipo del campo; un cursor alterado no debe llegar
+ * a la consulta (Postgres lo rechazaría con un 500)
+ */
+const isCursorValue = (value, { type, values, nullable }) => {
+  if (value === null) return Boolean(nullable);
+
+  switch (type) {
+    case 'integer':
+      return Number.isSafeInteger(value);
+    case 'number':
+      return Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'date':
+      return typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+    case 'enum':
+      return values.includes(value);
+    default:
+      return typeof value === 'string';
+  }
+};
+
+const decodeCursor = (token, sort) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    const valid =
+      cursor.s === sortSignature(sort) &&
+      ['next', 'prev'].includes(cursor.d) &&
+      Array.isArray(cursor.v) &&
+      cursor.v.length === sort.length &&
+      sort.every((field, index) => isCursorValue(cursor.v[index], field));
+
+    return valid ? { direction: cursor.d, values: cursor.v } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parsea los parámetros de listado (?page, ?limit, ?cursor, ?sort, ?filter[campo][op]) contra
+ * la definición del recurso. Solo se aceptan los campos de las allowlists; cualquier otro
+ * parámetro de listado inválido lanza RequestValidationError con todos los errores.
+ * @param {Object} query - req.query
+ * @param {Object} definition
+ * @param {Object<string, { type?: string, values?: string[], nullable?: boolean }>}
+ *   definition.sortable - Campos por los que se puede ordenar con su tipo (como en filterable)
+ *   y si admiten NULL; los NULL van al final en orden ascendente y al principio en descendente
+ * @param {string} [definition.defaultSort] - Ej. '-createdAt'
+ * @param {Object<string, { type?: string, values?: string[], operators?: string[],
+ *   column?: string }>} [definition.filterable] - Campos filtrables con su tipo
+ *   (string, enum, integer, number, date, boolean) y operadores permitidos
+ * @param {number} [definition.defaultLimit]
+ * @param {number} [definition.maxLimit]
+ * @param {string} [definition.primaryKey='id'] - Desempate del orden para cursores estables
+ *   (entero, salvo que sortable declare otro tipo)
+ */
+export const parseListQuery = (query, definition) => {
+  const {
+    filterable = {},
+    defaultLimit = DEFAULT_LIMIT,
+    maxLimit = MAX_LIMIT,
+    primaryKey = 'id',
+  } = definition;
+  const errors = [];
+
+  const limit = parsePositiveInteger(query, 'limit', maxLimit, errors) ?? defaultLimit;
+  const page = parsePositiveInteger(query, 'page', Infinity, errors);
+  const sort = parseSort(query.sort, definition, errors);
+  const conditions = parseFilters(query, filterable, errors);
+
+  if (!sort.some(({ field }) => field === primaryKey)) {
+    sort.push({
+      type: 'integer',
+      ...definition.sortable[primaryKey],
+      field: primaryKey,
+      direction: sort.at(-1)?.direction || 'ASC',
+    });
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    if (page !== undefined) {
+      errors.push({
+        param: 'cursor',
+        msg: 'cursor cannot be combined with page',
+        value: query.cursor,
+      });
+    } else {
+      cursor = typeof query.cursor === 'string' ? decodeCursor(query.cursor, sort) : null;
+      if (!cursor) {
+        errors.push({
+          param: 'cursor',
+          msg: 'cursor is invalid or does not match the current sort',
+          value: query.cursor,
+        });
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new RequestValidationError(errors.map((error) => ({ ...error, location: 'query' })));
+  }
+
+  return {
+    where: conditions.length > 0 ? { [Op.and]: conditions } : {},
+    order: toOrder(sort),
+    sort,
+    limit,
+    page: cursor ? null : page || 1,
+    cursor,
+  };
+};
+
+/**
+ * Condición para que un campo quede estrictamente después del valor del cursor, tratando
+ * NULL como el mayor valor (igual que el ORDER BY); null si ninguna fila puede cumplirla
+ */
+const pastValue = ({ field, nullable }, value, greater) => {
+  if (value === null) return greater ? null : { [field]: { [Op.ne]: null } };
+  if (!greater) return { [field]: { [Op.lt]: value } };
+
+  return nullable
+    ? { [Op.or]: [{ [field]: { [Op.gt]: value } }, { [field]: null }] }
+    : { [field]: { [Op.gt]: value } };
+};
+
+/**
+ * Condición keyset: filas estrictamente después (o antes) de los valores del cursor
+ */
+const keysetWhere = (sort, values, direction) => {
+  const branches = [];
+
+  sort.forEach((field, index) => {
+    const greater = (field.direction === 'ASC') === (direction === 'next');
+    const condition = pastValue(field, values[index], greater);
+    if (!condition) return;
+
+    // Los campos anteriores iguales al cursor; { campo: null } se traduce a IS NULL
+    const previous = sort.slice(0, index).map(({ field: name }, i) => ({ [name]: values[i] }));
+    branches.push(previous.length > 0 ? { [Op.and]: [...previous, condition] } : condition);
+  });
+
+  return { [Op.or]: branches };
+};
+
+/**
+ * Ejecuta el listado parseado por parseListQuery. Con ?cursor pagina por keyset (estable
+ * aunque entren filas nuevas); sin él, por página y offset.
+ * @param {typeof import('sequelize').Model} model
+ * @param {ReturnType<typeof parseListQuery>} listQuery
+ * @param {Object} [options] - Opciones de findAll (include, attributes, where adicional)
+ * @returns {Promise<{ items: Array, total: number, limit: number, page: number|null,
+ *   totalPages: number, hasNext: boolean, hasPrev: boolean, nextCursor: string|null,
+ *   prevCursor: string|null }>}
+ */
+export const paginate = async (model, listQuery, { where, ...options } = {}) => {
+  const { limit, page, cursor, order, sort } = listQuery;
+  const filters = where ? { [Op.and]: [where, listQuery.where] } : listQuery.where;
+
+  let items;
+  let hasNext;
+  let hasPrev;
+  const total = await model.count({ where: filters });
+
+  if (cursor) {
+    const rows = await model.findAll({
+      ...options,
+      where: { [Op.and]: [filters, keysetWhere(sort, cursor.values, cursor.direction)] },
+      order: toOrder(sort, cursor.direction === 'prev'),
+      limit: limit + 1,
+    });
+    const hasMore = rows.length > limit;
+
+    items = rows.slice(0, limit);
+    if (cursor.direction === 'prev') items.reverse();
+    hasNext = cursor.direction === 'next' ? hasMore : true;
+    hasPrev = cursor.direction === 'prev' ? hasMore : true;
+  } else {
+    items = await model.findAll({
+      ...options,
+      where: filters,
+      order,
+      limit,
+      offset: (page - 1) * limit,
+    });
+    hasNext = (page - 1) * limit + items.length < total;
+    hasPrev = page > 1;
+  }
+
+  return {
+    items,
+    total,
+    limit,
+    page,
+    totalPages: Math.ceil(total / limit),
+    hasNext,
+    hasPrev,
+    // Los cursores permiten pasar de la paginación por página a keyset en cualquier momento
+    nextCursor: hasNext && items.length > 0 ? encodeCursor(items.at(-1), listQuery, 'next') : null,
+    prevCursor: hasPrev && items.length > 0 ? encodeCursor(items[0], listQuery, 'prev') : null,
+  };
+};
+
+/**
+ * Links de navegación (rutas relativas con el mismo query) para la respuesta paginada
+ * @param {string} originalUrl - req.originalUrl
+ * @param {Awaited<ReturnType<typeof paginate>>} result
+ */
+export const buildPaginationLinks = (originalUrl, result) => {
+  const link = (changes) => {
+    const url = new URL(originalUrl, 'http://localhost');
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) url.searchParams.delete(key);
+      else url.searchParams.set(key, String(value));
+    }
+    return `${url.pathname}${url.search}`;
+  };
+
+  if (result.page === null) {
+    return {
+      self: link({}),
+      first: link({ cursor: null }),
+      prev: result.prevCursor ? link({ cursor: result.prevCursor }) : null,
+      next: result.nextCursor ? link({ cursor: result.nextCursor }) : null,
+      last: null,
+    };
+  }
+
+  return {
+    self: link({}),
+    first: link({ page: 1 }),
+    prev: result.hasPrev ? link({ page: Math.min(result.page - 1, result.totalPages || 1) }) : null,
+    next: result.hasNext ? link({ page: result.page + 1 }) : null,
+    last: link({ page: Math.max(result.totalPages, 1) }),
+  };
+};
@@ -1,4 +1,6 @@
 import pino from 'pino';
+import { LOGGER_REDACT_PATHS, REDACTED } from './redact.js';
+import { getRequestId } from './request-context.js';
 
 const isDevelopment = process.env.NODE_ENV === 'development';
 
@@ -19,6 +21,16 @@ export const logger = pino({
       return { level: label };
     },
   },
+  // Dentro de una petición, cada línea del logger raíz lleva su request ID
+  // (req.log ya lo trae como binding)
+  mixin: (_mergeObject, _level, instance) => {
+    const requestId = getRequestId();
+    return requestId && instance === logger ? { requestId } : {};
+  },
+  // Secretos que nunca deben llegar a los logs (ver utils/redact.js)
+  redact: {
+    paths: LOGGER_REDACT_PATHS,
+    censor: REDACTED,
+  },
   timestamp: pino.stdTimeFunctions.isoTime,
 });
-
@@ -0,0 +1,116 @@
+import client from 'prom-client';
+import { config } from '../config/index.js';
+import { sequelize } from '../config/database.js';
+import { CustomError, ERROR_CATALOG } from '../errors/index.js';
+import { logger } from './logger.js';
+
+export const register = new client.Registry();
+
+if (config.metrics.collectDefault) {
+  client.collectDefaultMetrics({ register });
+}
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+const appErrors = new client.Counter({
+  name: 'app_errors_total',
+  help: 'Errors handled by errorHandler by error code (ERROR_CATALOG)',
+  labelNames: ['code', 'status'],
+  registers: [register],
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Latency of calls to external providers (one observation per attempt)',
+  labelNames: ['provider', 'method', 'status', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+new client.Gauge({
+  name: 'db_pool_connections',
+  help: 'Sequelize pool connections by state (max = config.db.pool.max)',
+  labelNames: ['state'],
+  registers: [register],
+  collect() {
+    const pool = sequelize?.connectionManager?.pool;
+    if (!pool) return;
+
+    this.set({ state: 'used' }, pool.using);
+    this.set({ state: 'idle' }, pool.available);
+    this.set({ state: 'pending' }, pool.waiting);
+    this.set({ state: 'max' }, config.db.pool.max);
+  },
+});
+
+new client.Gauge({
+  name: 'jobs_queue_depth',
+  help: 'Jobs waiting, running or dead by type',
+  labelNames: ['type', 'status'],
+  registers: [register],
+  async collect() {
+    if (!sequelize?.models.Job) return;
+
+    try {
+      const rows = await sequelize.query(
+        `SELECT "type", "status", COUNT(*)::int AS "count" FROM "jobs"
+          WHERE "status" IN ('pending', 'running', 'dead') GROUP BY "type", "status"`,
+        { type: sequelize.QueryTypes.SELECT }
+      );
+
+      this.reset();
+      for (const row of rows) this.set({ type: row.type, status: row.status }, row.count);
+    } catch (error) {
+      logger.warn({ error }, 'Unable to collect job queue metrics');
+    }
+  },
+});
+
+/**
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} route - Ruta parametrizada (/api/v1/invoice-syncs/:id), no la URL, para
+ * no crear una serie por cada ID
+ * @param {number} durationSeconds
+ */
+export const recordHttpRequest = (req, res, route, durationSeconds) => {
+  const labels = { method: req.method, route, status: res.statusCode };
+  httpRequests.inc(labels);
+  httpDuration.observe(labels, durationSeconds);
+};
+
+/**
+ * @param {Error} error
+ */
+export const recordError = (error) => {
+  if (error instanceof CustomError) {
+    appErrors.inc({ code: error.code, status: error.statusCode });
+  } else {
+    appErrors.inc({ code: ERROR_CATALOG.INTERNAL.code, status: 500 });
+  }
+};
+
+/**
+ * @param {Object} labels
+ * @param {string} labels.provider
+ * @param {string} labels.method
+ * @param {number|string} labels.status - Status HTTP o código de error de red
+ * @param {'success'|'failure'} labels.outcome
+ * @param {number} durationSeconds
+ */
+export const recordUpstreamRequest = (labels, durationSeconds) => {
+  upstreamDuration.observe(labels, durationSeconds);
+};
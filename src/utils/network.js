@@ -0,0 +1,67 @@
+import net from 'net';
+
+// Rangos que no son internet pública: privados, loopback, link-local (metadata de la nube),
+// CGNAT, documentación, multicast y reservados. Una lista por familia: BlockList compara las
+// IPv4 también contra las reglas IPv6 como IPv4 mapeadas (::ffff:0:0/96 las bloquearía todas)
+const NON_PUBLIC_RANGES = { 4: new net.BlockList(), 6: new net.BlockList() };
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  NON_PUBLIC_RANGES[4].addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  // IPv4 mapeada y NAT64: pueden apuntar a cualquier IPv4, incluidas las privadas
+  ['::ffff:0:0', 96],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  NON_PUBLIC_RANGES[6].addSubnet(address, prefix, 'ipv6');
+}
+
+// Nombres que solo resuelven dentro de la red local
+const INTERNAL_HOSTNAME = /(^|\.)(localhost|local|internal|localdomain|home\.arpa)$/i;
+
+/**
+ * Si una IP es enrutable en internet
+ * @param {string} address - IPv4 o IPv6 (sin corchetes)
+ * @returns {boolean}
+ */
+export const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+
+  return !NON_PUBLIC_RANGES[family].check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Si el host de una URL puede ser de internet: una IP pública o un nombre con dominio que no
+ * sea de la red local. Un nombre público igual puede resolver a una IP privada; eso se revisa
+ * al conectar (isPublicAddress sobre la IP resuelta).
+ * @param {string} hostname - URL#hostname (las IPv6 vienen entre corchetes)
+ * @returns {boolean}
+ */
+export const isPublicHostname = (hostname) => {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host)) return isPublicAddress(host);
+
+  return host.includes('.') && !INTERNAL_HOSTNAME.test(host.replace(/\.$/, ''));
+};
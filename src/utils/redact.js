@@ -0,0 +1,156 @@
+import { config } from '../config/index.js';
+
+export const REDACTED = '[REDACTED]';
+
+// Campos cuyo valor nunca debe aparecer en logs ni en detalles de error
+const SECRET_FIELD_PATTERN =
+  /password|passwd|secret|token|access[-_]?key|api[-_]?key|authorization|credential|cvv|cvc|card[-_]?number|cc[-_]?number/i;
+
+const SECRET_HEADERS = [
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'x-app-token',
+  'x-api-key',
+  'x-shopify-access-token',
+  'x-shopify-hmac-sha256',
+];
+
+// 13 a 19 dígitos, con espacios o guiones opcionales entre grupos
+const CARD_NUMBER_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+const lowerCase = (values) => values.map((value) => value.toLowerCase());
+
+const extraFields = lowerCase(config.logging.redact.fields);
+const secretHeaders = [...SECRET_HEADERS, ...lowerCase(config.logging.redact.headers)];
+const extraQueryParams = lowerCase(config.logging.redact.queryParams);
+
+/**
+ * Rutas de pino que se censuran en todas las líneas de log, como red de seguridad
+ * para objetos que se registran sin pasar por estas funciones
+ */
+export const LOGGER_REDACT_PATHS = [
+  'headers.authorization',
+  'headers.cookie',
+  'headers["x-app-token"]',
+  'request.headers.authorization',
+  'request.headers.cookie',
+  'request.headers["x-app-token"]',
+  'req.headers.authorization',
+  'req.headers.cookie',
+  'req.headers["x-app-token"]',
+  '*.password',
+  '*.accessKey',
+  '*.access_key',
+  '*.accessToken',
+  '*.access_token',
+  ...config.logging.redact.paths,
+];
+
+/**
+ * Indica si un campo o parámetro guarda un secreto. Acepta rutas ("user.password").
+ * @param {string} name
+ */
+export const isSensitiveField = (name) => {
+  if (!name) return false;
+  const key = String(name).split('.').pop().toLowerCase();
+  return SECRET_FIELD_PATTERN.test(key) || extraFields.includes(key);
+};
+
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// Números de tarjeta (Luhn válido) dentro de texto libre
+const redactCardNumbers = (text) =>
+  text.replace(CARD_NUMBER_PATTERN, (match) =>
+    passesLuhn(match.replace(/[ -]/g, '')) ? REDACTED : match
+  );
+
+/**
+ * Copia del valor con los campos sensibles y los números de tarjeta enmascarados
+ * (recorre objetos y arrays)
+ * @param {*} value
+ * @returns {*}
+ */
+export const redactSecrets = (value) => {
+  if (typeof value === 'string') return redactCardNumbers(value);
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) return value;
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [
+      key,
+      isSensitiveField(key) ? REDACTED : redactSecrets(entry),
+    ])
+  );
+};
+
+/**
+ * Copia de los headers sin credenciales
+ * @param {Object} headers
+ */
+export const redactHeaders = (headers = {}) =>
+  Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [
+      name,
+      secretHeaders.includes(name.toLowerCase()) ? REDACTED : value,
+    ])
+  );
+
+/**
+ * Enmascara los parámetros sensibles del query string de una URL (absoluta o relativa)
+ * @param {string} url
+ */
+export const redactUrl = (url) => {
+  if (!url || !url.includes('?')) return url;
+
+  const index = url.indexOf('?');
+  const params = new URLSearchParams(url.slice(index + 1));
+  let redacted = false;
+
+  for (const name of new Set(params.keys())) {
+    if (isSensitiveField(name) || extraQueryParams.includes(name.toLowerCase())) {
+      params.set(name, REDACTED);
+      redacted = true;
+    }
+  }
+
+  if (!redacted) return url;
+  return `${url.slice(0, index)}?${params.toString().replaceAll(encodeURIComponent(REDACTED), REDACTED)}`;
+};
+
+/**
+ * Body apto para logs: redactado y truncado si su JSON supera maxBodyLength
+ * @param {*} body
+ * @param {number} [maxLength]
+ */
+export const redactBody = (body, maxLength = config.logging.redact.maxBodyLength) => {
+  if (body === undefined || body === null) return body;
+
+  const redacted = redactSecrets(body);
+  const serialized = typeof redacted === 'string' ? redacted : JSON.stringify(redacted);
+  if (!serialized || serialized.length <= maxLength) return redacted;
+
+  return { truncated: true, length: serialized.length, preview: serialized.slice(0, maxLength) };
+};
+
+/**
+ * Deja visibles solo los últimos caracteres de un secreto ("••••1234")
+ * @param {string} secret
+ * @param {number} [visible=4]
+ */
+export const maskSecret = (secret, visible = 4) => {
+  if (!secret) return secret;
+  const value = String(secret);
+  return value.length <= visible * 2 ? '••••' : `••••${value.slice(-visible)}`;
+};
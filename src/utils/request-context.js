@@ -0,0 +1,36 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} requestId
+ * @property {import('pino').Logger} log
+ * @property {string} [ip] - IP del cliente
+ * @property {Object} [principal] - req.principal, cuando la petición está autenticada
+ */
+
+/**
+ * Ejecuta fn dentro del contexto de una petición: todo el código asíncrono que
+ * dispare (servicios, llamadas a proveedores) puede leer su request ID
+ * @param {RequestContext} context
+ * @param {Function} fn
+ */
+export const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * @returns {RequestContext | undefined}
+ */
+export const getRequestContext = () => storage.getStore();
+
+/**
+ * Agrega el principal autenticado (req.principal) al contexto de la petición en curso,
+ * para que la auditoría sepa quién hizo cada cambio
+ * @param {Object} principal
+ */
+export const setRequestPrincipal = (principal) => {
+  const context = storage.getStore();
+  if (context) context.principal = principal;
+};
+
+export const getRequestId = () => storage.getStore()?.requestId ?? null;
@@ -0,0 +1,106 @@
+import path from 'path';
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+import { parse } from 'csv-parse';
+
+const FORMATS = {
+  csv: { extensions: ['.csv'], mimeTypes: ['text/csv', 'application/csv', 'text/plain'] },
+  xlsx: {
+    extensions: ['.xlsx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  },
+};
+
+export const SPREADSHEET_FORMATS = Object.keys(FORMATS);
+
+/**
+ * Formato del archivo por su extensión o, si no la tiene, por su tipo MIME
+ * @param {string} [filename]
+ * @param {string} [mimeType]
+ * @returns {'csv'|'xlsx'|null}
+ */
+export const detectSpreadsheetFormat = (filename, mimeType) => {
+  const extension = path.extname(filename || '').toLowerCase();
+  const matches = extension
+    ? ({ extensions }) => extensions.includes(extension)
+    : ({ mimeTypes }) => mimeTypes.includes(mimeType);
+
+  return Object.entries(FORMATS).find(([, format]) => matches(format))?.[0] || null;
+};
+
+// Valor de una celda de Excel como texto (fórmulas, texto enriquecido, hipervínculos, fechas)
+const cellToString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(({ text }) => text).join('');
+  if (value.text !== undefined) return cellToString(value.text);
+  if (value.result !== undefined) return cellToString(value.result);
+  return '';
+};
+
+async function* readCsv(stream) {
+  // Excel en español exporta CSV separado por punto y coma
+  const parser = stream.pipe(
+    parse({ bom: true, delimiter: [',', ';'], relax_column_count: true, info: true })
+  );
+
+  for await (const { record, info } of parser) {
+    yield { rowNumber: info.lines, cells: record.map((cell) => cell.trim()) };
+  }
+}
+
+async function* readXlsx(stream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(stream, {
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    styles: 'ignore',
+    worksheets: 'emit',
+  });
+
+  // Solo se lee la primera hoja
+  for await (const worksheet of workbook) {
+    for await (const row of worksheet) {
+      // row.values empieza en el índice 1 (columna A)
+      yield {
+        rowNumber: row.number,
+        cells: row.values.slice(1).map((v) => cellToString(v).trim()),
+      };
+    }
+    return;
+  }
+}
+
+/**
+ * Lee las filas de un CSV o XLSX a medida que llega el stream. Las filas vacías se omiten.
+ * Si el stream falla (conexión cortada, archivo demasiado grande) se lanza ese error; si
+ * quien consume deja de leer, el resto del stream se descarta.
+ * @param {import('stream').Readable} stream
+ * @param {'csv'|'xlsx'} format
+ * @returns {AsyncGenerator<{ rowNumber: number, cells: string[] }>} rowNumber es el número de
+ *   fila del archivo (la primera es 1)
+ */
+export async function* readSpreadsheetRows(stream, format) {
+  // pipe() no propaga errores: se termina la entrada del parser y se relanza el error al final
+  const input = new PassThrough();
+  let streamError = null;
+  stream.on('error', (error) => {
+    streamError = error;
+    input.end();
+  });
+  stream.pipe(input);
+
+  try {
+    for await (const row of format === 'xlsx' ? readXlsx(input) : readCsv(input)) {
+      if (streamError) break;
+      if (row.cells.some((cell) => cell !== '')) yield row;
+    }
+  } catch (error) {
+    throw streamError || error;
+  } finally {
+    stream.unpipe(input);
+    stream.resume();
+  }
+
+  if (streamError) throw streamError;
+}
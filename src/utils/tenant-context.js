@@ -0,0 +1,25 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Ejecuta fn dentro del contexto de una compañía: las consultas sobre modelos
+ * tenant-scoped quedan filtradas por su companyId
+ * @param {number} companyId
+ * @param {Function} fn
+ */
+export const runWithTenant = (companyId, fn) => storage.run({ companyId, system: false }, fn);
+
+/**
+ * Ejecuta fn sin filtro de compañía (autenticación, jobs internos, migraciones).
+ * Usar solo en código que no expone datos a un tenant.
+ * @param {Function} fn
+ */
+export const runAsSystem = (fn) => storage.run({ companyId: null, system: true }, fn);
+
+/**
+ * @returns {{ companyId: number|null, system: boolean } | undefined}
+ */
+export const getTenantContext = () => storage.getStore();
+
+export const getCurrentCompanyId = () => storage.getStore()?.companyId ?? null;
@@ -0,0 +1,60 @@
+import { body, param } from 'express-validator';
+import { config } from '../config/index.js';
+import { isKnownPermission } from '../config/permissions.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const expiresAt = () =>
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date')
+    .bail()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage('expiresAt must be in the future')
+    .bail()
+    .custom((value) => new Date(value) <= new Date(Date.now() + config.apiKeys.maxTtlDays * DAY_MS))
+    .withMessage(`expiresAt cannot be more than ${config.apiKeys.maxTtlDays} days away`);
+
+export const createApiKeyValidator = [
+  body('name')
+    .isString()
+    .withMessage('name must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('name must be between 1 and 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('scopes must be a non-empty array'),
+  body('scopes.*').custom(isKnownPermission).withMessage('Unknown permission'),
+  expiresAt(),
+];
+
+export const rotateApiKeyValidator = [
+  expiresAt(),
+  body('gracePeriodHours')
+    .optional()
+    .isInt({ min: 0, max: 168 })
+    .withMessage('gracePeriodHours must be an integer between 0 and 168')
+    .toInt(),
+];
+
+// Ordenamiento y filtros permitidos en GET /api-keys
+export const apiKeyListDefinition = {
+  sortable: {
+    createdAt: { type: 'date' },
+    name: { type: 'string' },
+    expiresAt: { type: 'date' },
+    lastUsedAt: { type: 'date', nullable: true },
+  },
+  defaultSort: '-createdAt',
+  filterable: {
+    name: { type: 'string' },
+    prefix: { type: 'string' },
+    expiresAt: { type: 'date' },
+    createdAt: { type: 'date' },
+  },
+};
+
+export const apiKeyIdValidator = [
+  param('id').isInt({ min: 1 }).withMessage('id must be a positive integer').toInt(),
+];
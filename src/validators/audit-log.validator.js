@@ -0,0 +1,17 @@
+// Ordenamiento y filtros permitidos en GET /audit-logs
+export const auditLogListDefinition = {
+  sortable: {
+    createdAt: { type: 'date' },
+    id: { type: 'integer' },
+  },
+  defaultSort: '-createdAt',
+  filterable: {
+    actorType: { type: 'enum', values: ['user', 'api-key', 'system'] },
+    actorId: { type: 'integer' },
+    action: { type: 'string' },
+    targetType: { type: 'string' },
+    targetId: { type: 'string' },
+    requestId: { type: 'string' },
+    createdAt: { type: 'date' },
+  },
+};
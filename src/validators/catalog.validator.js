@@ -0,0 +1,72 @@
+import { body, param } from 'express-validator';
+import { MATCH_RULES } from '../services/catalog-reconciliation.service.js';
+
+export const updateCatalogSettingsValidator = [
+  body('matchBy')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('matchBy must be a non-empty array')
+    .bail()
+    .custom((value) => new Set(value).size === value.length)
+    .withMessage('matchBy cannot repeat rules'),
+  body('matchBy.*')
+    .isIn(MATCH_RULES)
+    .withMessage(`matchBy must contain only: ${MATCH_RULES.join(', ')}`),
+  body('priceTolerance')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('priceTolerance must be a non-negative number')
+    .toFloat(),
+  body(['comparePrices', 'compareTaxes', 'scheduleEnabled'])
+    .optional()
+    .isBoolean()
+    .withMessage('must be a boolean')
+    .toBoolean(),
+];
+
+export const overrideProductMappingValidator = [
+  body('siigoCode')
+    .isString()
+    .withMessage('siigoCode must be a string')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('siigoCode is required'),
+];
+
+// Ordenamiento y filtros permitidos en GET /catalog/mappings
+export const productMappingListDefinition = {
+  sortable: {
+    sku: { type: 'string' },
+    updatedAt: { type: 'date' },
+    reconciledAt: { type: 'date', nullable: true },
+  },
+  defaultSort: 'sku',
+  filterable: {
+    status: { type: 'enum', values: ['matched', 'ambiguous', 'unmatched', 'confirmed'] },
+    hasConflicts: { type: 'boolean' },
+    matchedBy: { type: 'enum', values: MATCH_RULES },
+    origin: { type: 'enum', values: ['manual', 'auto'] },
+    sku: { type: 'string' },
+    siigoCode: { type: 'string' },
+    reconciledAt: { type: 'date' },
+  },
+};
+
+// Ordenamiento y filtros permitidos en GET /catalog/reconciliations
+export const catalogReconciliationListDefinition = {
+  sortable: {
+    createdAt: { type: 'date' },
+    finishedAt: { type: 'date', nullable: true },
+  },
+  defaultSort: '-createdAt',
+  filterable: {
+    status: { type: 'enum', values: ['pending', 'running', 'succeeded', 'failed'] },
+    trigger: { type: 'enum', values: ['manual', 'schedule'] },
+    createdAt: { type: 'date' },
+  },
+};
+
+export const catalogIdValidator = [
+  param('id').isInt({ min: 1 }).withMessage('id must be a positive integer').toInt(),
+];
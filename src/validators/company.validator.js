@@ -0,0 +1,40 @@
+import { body } from 'express-validator';
+import { CONFIGURABLE_ROLES, isKnownPermission } from '../config/permissions.js';
+
+export const updateRolePermissionsValidator = [
+  body()
+    .isObject()
+    .withMessage('Body must be an object keyed by role')
+    .custom((value) => Object.keys(value).every((role) => CONFIGURABLE_ROLES.includes(role)))
+    .withMessage(`Only these roles can be configured: ${CONFIGURABLE_ROLES.join(', ')}`),
+  body('*.grant').optional().isArray().withMessage('grant must be an array'),
+  body('*.revoke').optional().isArray().withMessage('revoke must be an array'),
+  body(['*.grant.*', '*.revoke.*']).custom(isKnownPermission).withMessage('Unknown permission'),
+];
+
+export const updateSiigoSettingsValidator = [
+  body(['documentId', 'sellerId']).isInt({ min: 1 }).withMessage('must be a Siigo ID').toInt(),
+  body(['costCenterId', 'defaultPaymentTypeId'])
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('must be a Siigo ID')
+    .toInt(),
+  body(['paymentTypes', 'taxes']).optional().isObject().withMessage('must be an object'),
+  body(['paymentTypes.*', 'taxes.*']).isInt({ min: 1 }).withMessage('must be a Siigo ID').toInt(),
+  body('shippingProductCode').optional({ values: 'null' }).isString().trim(),
+  body('defaultCustomerIdentification')
+    .optional({ values: 'null' })
+    .isNumeric()
+    .withMessage('must contain only digits'),
+  body('defaultCity').optional().isObject().withMessage('must be an object'),
+  body(['defaultCity.country_code', 'defaultCity.state_code', 'defaultCity.city_code'])
+    .if(body('defaultCity').exists())
+    .isString()
+    .notEmpty()
+    .withMessage('is required'),
+  body(['sendStamp', 'sendMail'])
+    .optional()
+    .isBoolean()
+    .withMessage('must be a boolean')
+    .toBoolean(),
+];
@@ -0,0 +1,129 @@
+import { body, param, query } from 'express-validator';
+
+export const IMPORT_ENTITIES = ['customers', 'products'];
+
+// Tipos de documento de identificación de Siigo (13 cédula, 31 NIT, 41 pasaporte, ...)
+const ID_TYPES = ['11', '12', '13', '21', '22', '31', '41', '42', '43', '47', '48', '50', '91'];
+const CITY_FIELDS = ['countryCode', 'stateCode', 'cityCode'];
+const FLAGS = { true: true, false: false, 1: true, 0: false, yes: true, no: false, si: true };
+
+// Las columnas sí/no de una hoja de cálculo llegan como texto
+const isFlag = (value) => String(value).trim().toLowerCase() in FLAGS;
+const toFlag = (value) => FLAGS[String(value).trim().toLowerCase()];
+
+export const importFileValidator = [
+  param('entity')
+    .isIn(IMPORT_ENTITIES)
+    .withMessage(`entity must be one of: ${IMPORT_ENTITIES.join(', ')}`),
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean(),
+];
+
+/**
+ * Reglas de cada fila de un archivo de clientes. Las celdas vacías no se envían: cuentan
+ * como ausentes.
+ */
+export const customerImportRowValidator = [
+  body('identification')
+    .exists()
+    .withMessage('identification is required')
+    .bail()
+    .matches(/^\d{3,15}$/)
+    .withMessage('identification must contain 3 to 15 digits'),
+  body('idType')
+    .default('13')
+    .isIn(ID_TYPES)
+    .withMessage(`idType must be one of: ${ID_TYPES.join(', ')}`),
+  body('personType')
+    .default('Person')
+    .isIn(['Person', 'Company'])
+    .withMessage('personType must be Person or Company'),
+  body('checkDigit').optional().matches(/^\d$/).withMessage('checkDigit must be a single digit'),
+  body(['firstName', 'lastName'])
+    .if(body('personType').equals('Person'))
+    .exists()
+    .withMessage((_value, { path }) => `${path} is required for a person`),
+  body('companyName')
+    .if(body('personType').equals('Company'))
+    .exists()
+    .withMessage('companyName is required for a company'),
+  body(['firstName', 'lastName', 'companyName', 'address'])
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage((_value, { path }) => `${path} must be at most 100 characters`),
+  body(CITY_FIELDS)
+    .if((_value, { req }) => CITY_FIELDS.some((field) => req.body[field] !== undefined))
+    .exists()
+    .withMessage('countryCode, stateCode and cityCode go together'),
+  body('phone')
+    .optional()
+    .customSanitizer((value) => String(value).replace(/[^0-9]/g, ''))
+    .isLength({ min: 7, max: 10 })
+    .withMessage('phone must have 7 to 10 digits'),
+  body('email').optional().isEmail().withMessage('email must be a valid email'),
+];
+
+/**
+ * Reglas de cada fila de un archivo de productos
+ */
+export const productImportRowValidator = [
+  body('code')
+    .exists()
+    .withMessage('code is required')
+    .bail()
+    .isLength({ max: 30 })
+    .withMessage('code must be at most 30 characters'),
+  body('name')
+    .exists()
+    .withMessage('name is required')
+    .bail()
+    .isLength({ max: 100 })
+    .withMessage('name must be at most 100 characters'),
+  body('accountGroupId')
+    .exists()
+    .withMessage('accountGroupId is required')
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage('accountGroupId must be a Siigo ID')
+    .toInt(),
+  body('type')
+    .default('Product')
+    .isIn(['Product', 'Service', 'ConsumerGood'])
+    .withMessage('type must be Product, Service or ConsumerGood'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('price must be a non-negative number')
+    .toFloat(),
+  body('taxId').optional().isInt({ min: 1 }).withMessage('taxId must be a Siigo ID').toInt(),
+  body(['taxIncluded', 'stockControl'])
+    .default('false')
+    .custom(isFlag)
+    .withMessage((_value, { path }) => `${path} must be yes/no, true/false or 1/0`)
+    .customSanitizer(toFlag),
+  body(['reference', 'barcode'])
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage((_value, { path }) => `${path} must be at most 50 characters`),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('description must be at most 500 characters'),
+];
+
+// Ordenamiento y filtros permitidos en GET /imports
+export const dataImportListDefinition = {
+  sortable: {
+    createdAt: { type: 'date' },
+    finishedAt: { type: 'date', nullable: true },
+  },
+  defaultSort: '-createdAt',
+  filterable: {
+    entity: { type: 'enum', values: IMPORT_ENTITIES },
+    status: { type: 'enum', values: ['pending', 'running', 'succeeded', 'failed'] },
+    createdAt: { type: 'date' },
+  },
+};
+
+export const dataImportIdValidator = [
+  param('id').isInt({ min: 1 }).withMessage('id must be a positive integer').toInt(),
+];
@@ -0,0 +1,37 @@
+import { body, param } from 'express-validator';
+import { INTEGRATION_PROVIDERS } from '../services/integration.service.js';
+
+const PROVIDERS = Object.keys(INTEGRATION_PROVIDERS);
+
+export const integrationProviderValidator = [
+  param('provider')
+    .isIn(PROVIDERS)
+    .withMessage(`provider must be one of: ${PROVIDERS.join(', ')}`),
+];
+
+const credentialFieldsByProvider = {
+  siigo: [
+    body('username', 'username is required').isString().trim().notEmpty(),
+    body('accessKey', 'accessKey is required').isString().trim().notEmpty(),
+  ],
+  shopify: [
+    body('shopDomain', 'shopDomain must be a *.myshopify.com domain')
+      .isString()
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/),
+    body('accessToken', 'accessToken is required').isString().trim().notEmpty(),
+  ],
+};
+
+/**
+ * Valida los campos de la credencial según el proveedor de la ruta
+ */
+export const connectIntegrationValidator = [
+  ...integrationProviderValidator,
+  async (req, res, next) => {
+    const validators = credentialFieldsByProvider[req.params.provider] || [];
+    for (const validator of validators) await validator.run(req);
+    next();
+  },
+];
@@ -0,0 +1,30 @@
+import { param, query } from 'express-validator';
+
+const SYNC_STATUSES = ['pending', 'processing', 'succeeded', 'failed'];
+
+export const listInvoiceSyncsValidator = [
+  query('status')
+    .optional()
+    .isIn(SYNC_STATUSES)
+    .withMessage('status must be pending, processing, succeeded or failed'),
+];
+
+// Ordenamiento y filtros permitidos en GET /invoice-syncs
+export const invoiceSyncListDefinition = {
+  sortable: {
+    createdAt: { type: 'date' },
+    updatedAt: { type: 'date' },
+    attempts: { type: 'integer' },
+  },
+  defaultSort: '-createdAt',
+  filterable: {
+    status: { type: 'enum', values: SYNC_STATUSES },
+    orderId: { type: 'integer' },
+    attempts: { type: 'integer' },
+    createdAt: { type: 'date' },
+  },
+};
+
+export const invoiceSyncIdValidator = [
+  param('id').isInt({ min: 1 }).withMessage('id must be a positive integer').toInt(),
+];
@@ -0,0 +1,20 @@
+import { param } from 'express-validator';
+
+export const scheduledTaskNameValidator = [
+  param('name')
+    .matches(/^[a-z0-9.-]+$/)
+    .withMessage('name must contain only lowercase letters, digits, dots and dashes'),
+];
+
+// Ordenamiento y filtros permitidos en GET /scheduled-tasks/:name/runs
+export const scheduledTaskRunListDefinition = {
+  sortable: {
+    startedAt: { type: 'date' },
+  },
+  defaultSort: '-startedAt',
+  filterable: {
+    status: { type: 'enum', values: ['running', 'succeeded', 'failed'] },
+    trigger: { type: 'enum', values: ['schedule', 'manual'] },
+    startedAt: { type: 'date' },
+  },
+};
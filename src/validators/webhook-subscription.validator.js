@@ -0,0 +1,94 @@
+import { body, param } from 'express-validator';
+import { config } from '../config/index.js';
+import { WEBHOOK_EVENTS } from '../services/outbound-webhook.service.js';
+import { isPublicHostname } from '../utils/network.js';
+
+const url = () =>
+  body('url')
+    .isURL({
+      protocols: config.outboundWebhooks.allowHttp ? ['http', 'https'] : ['https'],
+      require_protocol: true,
+      require_tld: !config.outboundWebhooks.allowHttp,
+    })
+    .withMessage(
+      config.outboundWebhooks.allowHttp ? 'url must be an http(s) URL' : 'url must be an https URL'
+    )
+    .bail()
+    .custom(
+      (value) =>
+        config.outboundWebhooks.allowPrivateNetworks || isPublicHostname(new URL(value).hostname)
+    )
+    .withMessage('url must point to a public host');
+
+const events = () => [
+  body('events').isArray({ min: 1 }).withMessage('events must be a non-empty array'),
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`events must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+];
+
+const description = () =>
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('description must be at most 255 characters');
+
+export const createWebhookSubscriptionValidator = [url(), ...events(), description()];
+
+export const updateWebhookSubscriptionValidator = [
+  url().optional(),
+  body('events').optional().isArray({ min: 1 }).withMessage('events must be a non-empty array'),
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`events must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+  description(),
+  body('status')
+    .optional()
+    .isIn(['active', 'disabled'])
+    .withMessage('status must be active or disabled'),
+];
+
+// Ordenamiento y filtros permitidos en GET /webhook-subscriptions
+export const webhookSubscriptionListDefinition = {
+  sortable: {
+    createdAt: { type: 'date' },
+    url: { type: 'string' },
+  },
+  defaultSort: '-createdAt',
+  filterable: {
+    status: { type: 'enum', values: ['active', 'disabled'] },
+    url: { type: 'string' },
+    createdAt: { type: 'date' },
+  },
+};
+
+// Ordenamiento y filtros permitidos en GET /webhook-subscriptions/:id/deliveries
+export const webhookDeliveryListDefinition = {
+  sortable: {
+    createdAt: { type: 'date' },
+    lastAttemptAt: { type: 'date', nullable: true },
+    attempts: { type: 'integer' },
+  },
+  defaultSort: '-createdAt',
+  filterable: {
+    status: { type: 'enum', values: ['pending', 'succeeded', 'failed'] },
+    event: { type: 'enum', values: WEBHOOK_EVENTS },
+    eventId: { type: 'string' },
+    responseStatus: { type: 'integer' },
+    createdAt: { type: 'date' },
+  },
+};
+
+export const webhookSubscriptionIdValidator = [
+  param('id').isInt({ min: 1 }).withMessage('id must be a positive integer').toInt(),
+];
+
+export const webhookDeliveryIdValidator = [
+  ...webhookSubscriptionIdValidator,
+  param('deliveryId')
+    .isInt({ min: 1 })
+    .withMessage('deliveryId must be a positive integer')
+    .toInt(),
+];
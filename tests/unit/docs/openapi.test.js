@@ -0,0 +1,25 @@
+import { describe, expect, it } from '@jest/globals';
+import { buildOpenApiSpec, listApiRoutes } from '../../../src/docs/openapi.js';
+import { ROUTE_DOCS } from '../../../src/docs/route-docs.js';
+import { apiRoutes } from '../../../src/routes/index.js';
+
+const routes = listApiRoutes(apiRoutes);
+
+describe('OpenAPI spec', () => {
+  it('finds the registered routes', () => {
+    expect(routes.length).toBeGreaterThan(0);
+  });
+
+  it.each(routes.map((route) => [route.key, route]))('%s has an entry in ROUTE_DOCS', (key) => {
+    expect(ROUTE_DOCS[key]).toBeDefined();
+  });
+
+  it('includes every registered route in the spec, except the hidden ones', () => {
+    const { paths } = buildOpenApiSpec(apiRoutes);
+
+    for (const route of routes.filter(({ key }) => !ROUTE_DOCS[key]?.hidden)) {
+      const path = route.path.replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1');
+      expect(paths[path]?.[route.method.toLowerCase()]).toBeDefined();
+    }
+  });
+});
@@ -0,0 +1,158 @@
+import http from 'http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from '@jest/globals';
+import { IntegrationError } from '../../../src/errors/index.js';
+import { createHttpClient, toIntegrationError } from '../../../src/integrations/http-client.js';
+import { runWithRequestContext } from '../../../src/utils/request-context.js';
+
+// Respuestas que el servidor entrega en orden; 'reset' corta la conexión sin responder
+let replies = [];
+let received = [];
+
+const server = http.createServer((req, res) => {
+  received.push({ method: req.method, url: req.url, headers: req.headers });
+
+  const reply = replies.shift() ?? { status: 200, body: { ok: true } };
+  if (reply === 'reset') {
+    req.socket.destroy();
+    return;
+  }
+
+  res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+  res.end(JSON.stringify(reply.body ?? {}));
+});
+
+let baseURL;
+
+const client = (options = {}) =>
+  createHttpClient({ provider: 'Test', baseURL, retryBaseDelayMs: 1, ...options });
+
+beforeAll(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  replies = [];
+  received = [];
+});
+
+describe('createHttpClient retries', () => {
+  it('retries a GET on 5xx until it succeeds', async () => {
+    replies = [{ status: 503 }, { status: 502 }, { status: 200, body: { id: 1 } }];
+
+    const response = await client().get('/orders');
+
+    expect(response.data).toEqual({ id: 1 });
+    expect(received).toHaveLength(3);
+  });
+
+  it('retries a GET when the connection is reset', async () => {
+    replies = ['reset', { status: 200, body: { id: 1 } }];
+
+    await expect(client().get('/orders')).resolves.toMatchObject({ data: { id: 1 } });
+    expect(received).toHaveLength(2);
+  });
+
+  it('gives up after maxRetries', async () => {
+    replies = Array(5).fill({ status: 500 });
+
+    await expect(client({ maxRetries: 2 }).get('/orders')).rejects.toMatchObject({
+      response: { status: 500 },
+    });
+    expect(received).toHaveLength(3);
+  });
+
+  it('does not retry a POST on 5xx', async () => {
+    replies = [{ status: 500 }, { status: 200 }];
+
+    await expect(client().post('/invoices', {})).rejects.toMatchObject({
+      response: { status: 500 },
+    });
+    expect(received).toHaveLength(1);
+  });
+
+  it('retries a POST on 5xx when the request opts in', async () => {
+    replies = [{ status: 500 }, { status: 201, body: { id: 7 } }];
+
+    const response = await client().post('/invoices', {}, { retryNonIdempotent: true });
+
+    expect(response.status).toBe(201);
+    expect(received).toHaveLength(2);
+  });
+
+  it('retries a POST on 429', async () => {
+    replies = [{ status: 429 }, { status: 201, body: { id: 7 } }];
+
+    await expect(client().post('/invoices', {})).resolves.toMatchObject({ status: 201 });
+    expect(received.map(({ method }) => method)).toEqual(['POST', 'POST']);
+  });
+
+  it('does not retry 4xx other than 429', async () => {
+    replies = [{ status: 404 }, { status: 200 }];
+
+    await expect(client().get('/orders/1')).rejects.toMatchObject({ response: { status: 404 } });
+    expect(received).toHaveLength(1);
+  });
+
+  it('does not retry when the request sets skipRetry', async () => {
+    replies = [{ status: 429 }, { status: 200 }];
+
+    await expect(client().get('/orders', { skipRetry: true })).rejects.toMatchObject({
+      response: { status: 429 },
+    });
+    expect(received).toHaveLength(1);
+  });
+
+  it('waits the seconds given in Retry-After', async () => {
+    replies = [{ status: 429, headers: { 'Retry-After': '1' } }, { status: 200 }];
+
+    const startedAt = Date.now();
+    await client().get('/orders');
+
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(950);
+    expect(received).toHaveLength(2);
+  });
+
+  it('waits until the date given in Retry-After', async () => {
+    // Las fechas HTTP tienen resolución de segundos: la espera queda entre 1 y 2 segundos
+    const retryAt = new Date(Date.now() + 2000).toUTCString();
+    replies = [{ status: 503, headers: { 'Retry-After': retryAt } }, { status: 200 }];
+
+    const startedAt = Date.now();
+    await client().get('/orders');
+
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(950);
+    expect(received).toHaveLength(2);
+  });
+
+  it('propagates the request ID of the current request', async () => {
+    await runWithRequestContext({ requestId: 'req-123' }, () => client().get('/orders'));
+
+    expect(received[0].headers['x-request-id']).toBe('req-123');
+  });
+});
+
+describe('toIntegrationError', () => {
+  it('redacts secrets from the URL and the response body', async () => {
+    replies = [{ status: 401, body: { error: 'invalid', access_token: 'leaked-token' } }];
+
+    const error = await client()
+      .get('/orders?api_key=super-secret')
+      .catch((cause) => toIntegrationError('Test', cause));
+
+    expect(error).toBeInstanceOf(IntegrationError);
+    expect(error.details).toMatchObject({ status: 401, method: 'GET' });
+    expect(error.details.response.error).toBe('invalid');
+    expect(JSON.stringify(error.details)).not.toMatch(/leaked-token|super-secret/);
+  });
+
+  it('returns IntegrationError instances unchanged', () => {
+    const error = new IntegrationError('Test', { status: 500 });
+
+    expect(toIntegrationError('Other', error)).toBe(error);
+  });
+});
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import express from 'express';
+import { afterAll, beforeAll, describe, expect, it } from '@jest/globals';
+import { config } from '../../../../src/config/index.js';
+import {
+  readShopifyHeaders,
+  verifyShopifyHmac,
+} from '../../../../src/integrations/shopify/shopify.webhooks.js';
+import { loadExpress } from '../../../../src/loaders/express.load.js';
+
+const SECRET = 'shpss_test_secret';
+
+const sign = (body, secret = SECRET) =>
+  crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+describe('verifyShopifyHmac', () => {
+  const rawBody = Buffer.from('{"id":820982911946154508,"email":"ana@example.com"}');
+
+  it('accepts the signature of the raw body', () => {
+    expect(verifyShopifyHmac(rawBody, sign(rawBody), SECRET)).toBe(true);
+  });
+
+  it('rejects a signature made with another secret', () => {
+    expect(verifyShopifyHmac(rawBody, sign(rawBody, 'other'), SECRET)).toBe(false);
+  });
+
+  it('rejects a signature of another body', () => {
+    const tampered = Buffer.from(rawBody.toString().replace('ana', 'eve'));
+
+    expect(verifyShopifyHmac(tampered, sign(rawBody), SECRET)).toBe(false);
+  });
+
+  it('rejects the signature of the body serialized again', () => {
+    // Los ids de Shopify superan Number.MAX_SAFE_INTEGER: JSON.parse + stringify cambia el body
+    const reserialized = JSON.stringify(JSON.parse(rawBody.toString()));
+
+    expect(reserialized).not.toBe(rawBody.toString());
+    expect(verifyShopifyHmac(rawBody, sign(reserialized), SECRET)).toBe(false);
+  });
+
+  it.each([
+    ['a truncated signature', sign(rawBody).slice(0, 20)],
+    ['a longer signature', `${sign(rawBody)}AAAA`],
+    [
+      'a signature with invalid characters',
+      `${sign(rawBody).slice(0, 20)}!!${sign(rawBody).slice(20)}`,
+    ],
+    ['a hex signature', crypto.createHmac('sha256', SECRET).update(rawBody).digest('hex')],
+    ['an empty signature', ''],
+  ])('rejects %s', (_case, signature) => {
+    expect(verifyShopifyHmac(rawBody, signature, SECRET)).toBe(false);
+  });
+
+  it('rejects when the body, header or secret are missing', () => {
+    expect(verifyShopifyHmac(undefined, sign(rawBody), SECRET)).toBe(false);
+    expect(verifyShopifyHmac(rawBody, undefined, SECRET)).toBe(false);
+    expect(verifyShopifyHmac(rawBody, sign(rawBody, ''), '')).toBe(false);
+  });
+});
+
+describe('readShopifyHeaders', () => {
+  it('reads the Shopify headers and normalizes the shop domain', () => {
+    expect(
+      readShopifyHeaders({
+        'x-shopify-hmac-sha256': 'abc=',
+        'x-shopify-topic': 'orders/create',
+        'x-shopify-shop-domain': 'Tienda.MyShopify.com',
+        'x-shopify-webhook-id': 'wh-1',
+      })
+    ).toEqual({
+      hmac: 'abc=',
+      topic: 'orders/create',
+      shopDomain: 'tienda.myshopify.com',
+      webhookId: 'wh-1',
+    });
+  });
+
+  it('falls back to the event id', () => {
+    expect(readShopifyHeaders({ 'x-shopify-event-id': 'ev-1' }).webhookId).toBe('ev-1');
+  });
+});
+
+describe('POST /webhooks/shopify raw body', () => {
+  let server;
+  let url;
+
+  // Un topic no soportado se responde sin tocar la base de datos, después de verificar la firma
+  const deliver = (body, signature) =>
+    fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Hmac-Sha256': signature,
+        'X-Shopify-Topic': 'products/update',
+        'X-Shopify-Shop-Domain': 'tienda.myshopify.com',
+      },
+      body,
+    });
+
+  beforeAll(async () => {
+    config.shopify.webhookSecret = SECRET;
+
+    const app = express();
+    loadExpress(app);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/api/${config.app.apiVersion}/webhooks/shopify`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('verifies the signature over the bytes as sent', async () => {
+    const body = '{ "id": 820982911946154508,\n  "title": "Café" }';
+    const response = await deliver(body, sign(body));
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).data).toMatchObject({ ignored: true });
+  });
+
+  it('rejects a signature of the parsed body', async () => {
+    const body = '{ "id": 820982911946154508,\n  "title": "Café" }';
+    const response = await deliver(body, sign(JSON.stringify(JSON.parse(body))));
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, expect, it } from '@jest/globals';
+import { UnprocessableEntityError } from '../../../../src/errors/index.js';
+import { buildSiigoInvoice } from '../../../../src/integrations/siigo/siigo.invoice-mapper.js';
+
+const settings = {
+  documentId: 24446,
+  sellerId: 629,
+  taxes: { 0.19: 13156 },
+  defaultPaymentTypeId: 5636,
+};
+
+const buildOrder = ({ shippingLines = [], taxesIncluded = true, total = '11900.00' } = {}) => ({
+  id: 1,
+  orderNumber: '#1001',
+  placedAt: '2026-10-19T15:00:00Z',
+  total,
+  paymentGateways: ['manual'],
+  lineItems: [
+    {
+      sku: 'CAF-500',
+      title: 'Café 500g',
+      quantity: 1,
+      price: 11900,
+      totalDiscount: 0,
+      taxable: true,
+      taxLines: [{ rate: 0.19 }],
+    },
+  ],
+  raw: { taxes_included: taxesIncluded, shipping_lines: shippingLines },
+});
+
+const build = (order, overrides = {}) =>
+  buildSiigoInvoice({
+    order,
+    settings: { ...settings, ...overrides },
+    customerIdentification: '222222222222',
+    productCodes: { 'CAF-500': 'P-1' },
+  });
+
+describe('buildSiigoInvoice', () => {
+  it('bills the net price when the order prices include taxes', () => {
+    const invoice = build(buildOrder());
+
+    expect(invoice.items).toEqual([
+      {
+        code: 'P-1',
+        description: 'Café 500g',
+        quantity: 1,
+        price: 10000,
+        discount: 0,
+        taxes: [{ id: 13156 }],
+      },
+    ]);
+    expect(invoice.payments).toEqual([{ id: 5636, value: 11900, due_date: '2026-10-19' }]);
+  });
+
+  it('rejects an order with shipping when no shipping product is configured', () => {
+    const order = buildOrder({
+      shippingLines: [{ title: 'Estándar', price: '5950.00' }],
+      total: '17850.00',
+    });
+
+    expect(() => build(order)).toThrow(UnprocessableEntityError);
+    expect(() => build(order)).toThrow(/shipping/);
+  });
+
+  it('adds taxed shipping as a net item so items and payment add up', () => {
+    const order = buildOrder({
+      shippingLines: [
+        {
+          title: 'Estándar',
+          price: '5950.00',
+          discounted_price: '5950.00',
+          tax_lines: [{ rate: 0.19 }],
+        },
+      ],
+      total: '17850.00',
+    });
+
+    const invoice = build(order, { shippingProductCode: 'ENV' });
+
+    expect(invoice.items[1]).toEqual({
+      code: 'ENV',
+      description: 'Envío - Estándar',
+      quantity: 1,
+      price: 5000,
+      discount: 0,
+      taxes: [{ id: 13156 }],
+    });
+    const net = invoice.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    expect(net * 1.19).toBeCloseTo(invoice.payments[0].value, 2);
+  });
+
+  it('ignores free shipping lines', () => {
+    const order = buildOrder({ shippingLines: [{ title: 'Gratis', price: '0.00' }] });
+
+    expect(build(order).items).toHaveLength(1);
+  });
+});
@@ -0,0 +1,94 @@
+import dns from 'dns';
+import http from 'http';
+import {
+  afterAll,
+  afterEach,
+  beforeAll,
+  beforeEach,
+  describe,
+  expect,
+  it,
+  jest,
+} from '@jest/globals';
+import { config } from '../../../../src/config/index.js';
+import { IntegrationError } from '../../../../src/errors/index.js';
+import { sendWebhook } from '../../../../src/integrations/webhooks/webhook.sender.js';
+
+let received = 0;
+const server = http.createServer((req, res) => {
+  received += 1;
+  res.end('ok');
+});
+
+let port;
+
+const delivery = (url) => ({
+  url,
+  secret: 'whsec_test',
+  event: 'invoice.synced',
+  eventId: '00000000-0000-4000-8000-000000000000',
+  deliveryId: 1,
+  body: '{}',
+});
+
+// Un nombre público que el DNS resuelve a loopback (DNS rebinding)
+const resolveToLoopback = () =>
+  jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+    const address = { address: '127.0.0.1', family: 4 };
+    if (options.all) return callback(null, [address]);
+    callback(null, address.address, address.family);
+  });
+
+beforeAll(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  received = 0;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  config.outboundWebhooks.allowPrivateNetworks = false;
+});
+
+describe('sendWebhook network guard', () => {
+  it('blocks a hostname that resolves to a private address', async () => {
+    resolveToLoopback();
+
+    const error = await sendWebhook(delivery(`http://hooks.example.com:${port}/`)).catch(
+      (cause) => cause
+    );
+
+    expect(error).toBeInstanceOf(IntegrationError);
+    expect(error.details.code).toBe('ERR_WEBHOOK_ADDRESS_BLOCKED');
+    expect(received).toBe(0);
+  });
+
+  it.each(['127.0.0.1', '[::ffff:127.0.0.1]', 'localhost'])(
+    'blocks the private host %s before connecting',
+    async (host) => {
+      const error = await sendWebhook(delivery(`http://${host}:${port}/`)).catch((cause) => cause);
+
+      expect(error).toBeInstanceOf(IntegrationError);
+      expect(error.details.code).toBe('ERR_WEBHOOK_ADDRESS_BLOCKED');
+      expect(received).toBe(0);
+    }
+  );
+
+  it('delivers to private addresses when they are allowed', async () => {
+    config.outboundWebhooks.allowPrivateNetworks = true;
+    resolveToLoopback();
+
+    await expect(sendWebhook(delivery(`http://hooks.example.com:${port}/`))).resolves.toEqual({
+      status: 200,
+      body: 'ok',
+    });
+    expect(received).toBe(1);
+  });
+});
@@ -0,0 +1,103 @@
+import { afterEach, beforeAll, describe, expect, it, jest } from '@jest/globals';
+
+// claimJobs entrega cada trabajo de su tipo una sola vez; Job.update registra los cambios de estado
+let claimable = [];
+const Job = {
+  sequelize: {
+    query: jest.fn(async (sql, { replacements }) => {
+      const claimed = claimable.filter((job) => job.type === replacements.type);
+      claimable = claimable.filter((job) => !claimed.includes(job));
+      return claimed;
+    }),
+    fn: (name) => ({ fn: name }),
+  },
+  update: jest.fn(async () => [1]),
+};
+
+jest.unstable_mockModule('../../../src/models/index.js', () => ({ Job }));
+
+const { config } = await import('../../../src/config/index.js');
+const { defineJob, startJobWorker, stopJobWorker } = await import('../../../src/jobs/queue.js');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 100 && !condition(); attempt += 1) await wait(10);
+  expect(condition()).toBe(true);
+};
+
+const claimedJob = (type) => ({
+  id: 7,
+  type,
+  payload: {},
+  attempts: 1,
+  maxAttempts: 3,
+  companyId: null,
+  requestId: null,
+});
+
+const heartbeats = () => Job.update.mock.calls.filter(([values]) => values.lockedAt?.fn === 'NOW');
+
+beforeAll(() => {
+  config.jobs.pollIntervalMs = 5;
+  config.jobs.lockTimeoutMs = 60;
+});
+
+afterEach(async () => {
+  await stopJobWorker({ timeoutMs: 500 });
+  claimable = [];
+  Job.update.mockClear();
+});
+
+describe('job worker lock heartbeat', () => {
+  it('renews the lock while a long handler runs and stops when it finishes', async () => {
+    let finished = false;
+    defineJob('catalog.reconcile', async () => {
+      await wait(150);
+      finished = true;
+    });
+    claimable = [claimedJob('catalog.reconcile')];
+
+    startJobWorker();
+    await waitFor(() => finished);
+    await wait(10);
+    const renewals = heartbeats().length;
+    await wait(60);
+
+    // Un lock de 60 ms se renueva cada 20 ms: sin renovación el trabajo se reclamaría de nuevo
+    expect(renewals).toBeGreaterThanOrEqual(4);
+    expect(heartbeats()).toHaveLength(renewals);
+    expect(heartbeats()[0][1].where).toEqual({
+      id: 7,
+      lockedBy: expect.any(String),
+      status: 'running',
+    });
+    expect(Job.update).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: 'completed', lockedAt: null, lockedBy: null }),
+      expect.anything()
+    );
+  });
+
+  it('stops renewing the lock when the handler fails', async () => {
+    let failed = false;
+    defineJob('data.import', async () => {
+      await wait(50);
+      failed = true;
+      throw new Error('boom');
+    });
+    claimable = [claimedJob('data.import')];
+
+    startJobWorker();
+    await waitFor(() => failed);
+    await wait(10);
+    const renewals = heartbeats().length;
+    await wait(60);
+
+    expect(renewals).toBeGreaterThanOrEqual(1);
+    expect(heartbeats()).toHaveLength(renewals);
+    expect(Job.update).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: 'pending', lastError: 'boom' }),
+      expect.anything()
+    );
+  });
+});
@@ -0,0 +1,212 @@
+import express from 'express';
+import http from 'http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { UniqueConstraintError } from 'sequelize';
+
+// Tabla idempotency_keys en memoria con la restricción única (scope, key)
+const rows = new Map();
+let nextId = 1;
+
+const matches = (row, where) =>
+  Object.entries(where).every(([field, value]) =>
+    value instanceof Date ? row[field]?.getTime() === value.getTime() : row[field] === value
+  );
+
+class FakeRecord {
+  constructor(row) {
+    Object.assign(this, row);
+  }
+
+  async reload() {
+    return Object.assign(this, rows.get(this.id));
+  }
+}
+
+const IdempotencyKey = {
+  create: async (values) => {
+    if ([...rows.values()].some((row) => row.scope === values.scope && row.key === values.key)) {
+      throw new UniqueConstraintError({ message: 'duplicate key' });
+    }
+    const row = { id: nextId++, ...values, updatedAt: new Date() };
+    rows.set(row.id, row);
+    return new FakeRecord(row);
+  },
+  findOne: async ({ where }) => {
+    const row = [...rows.values()].find((item) => matches(item, where));
+    return row ? new FakeRecord(row) : null;
+  },
+  update: async (values, { where }) => {
+    const matched = [...rows.values()].filter((row) => matches(row, where));
+    matched.forEach((row) => Object.assign(row, values, { updatedAt: new Date() }));
+    return [matched.length];
+  },
+  destroy: async ({ where }) => {
+    const matched = [...rows.values()].filter((row) => matches(row, where));
+    matched.forEach((row) => rows.delete(row.id));
+    return matched.length;
+  },
+};
+
+jest.unstable_mockModule('../../../src/models/index.js', () => ({ IdempotencyKey }));
+
+const { idempotency } = await import('../../../src/middlewares/idempotency.middleware.js');
+
+let executions = 0;
+let releaseSlow;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.principal = { key: 'user:1', companyId: 1 };
+  next();
+});
+app.post('/orders', idempotency(), (req, res) => {
+  executions += 1;
+  res.status(201).json({ id: executions, ...req.body });
+});
+app.post('/failing', idempotency(), (req, res) => {
+  executions += 1;
+  res.status(503).json({ error: 'unavailable' });
+});
+app.post('/api-keys', idempotency({ storeBody: false }), (req, res) => {
+  executions += 1;
+  res.status(201).json({ token: 'mk_secret' });
+});
+app.post('/slow', idempotency(), async (req, res) => {
+  executions += 1;
+  await new Promise((resolve) => {
+    releaseSlow = resolve;
+  });
+  res.status(201).json({ id: executions });
+});
+// eslint-disable-next-line no-unused-vars
+app.use((error, req, res, next) => res.status(error.statusCode || 500).json({ code: error.code }));
+
+let server;
+let baseURL;
+
+const post = async (path, body, key = 'key-1') => {
+  const response = await fetch(`${baseURL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body: JSON.stringify(body),
+  });
+  return {
+    status: response.status,
+    replayed: response.headers.get('Idempotent-Replayed'),
+    body: await response.json(),
+  };
+};
+
+// La respuesta se guarda en 'close', que puede llegar después de que el cliente la recibe
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 100 && !condition(); attempt += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  expect(condition()).toBe(true);
+};
+
+const storedKey = () => [...rows.values()][0];
+
+beforeAll(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  rows.clear();
+  executions = 0;
+});
+
+describe('idempotency', () => {
+  it('replays the stored response without running the handler again', async () => {
+    const first = await post('/orders', { sku: 'A-1', quantity: 2 });
+    await waitFor(() => storedKey()?.status === 'completed');
+
+    // El mismo body con los campos en otro orden es la misma petición
+    const retry = await post('/orders', { quantity: 2, sku: 'A-1' });
+
+    expect(first).toMatchObject({ status: 201, replayed: null, body: { id: 1 } });
+    expect(retry).toEqual({ ...first, replayed: 'true' });
+    expect(executions).toBe(1);
+  });
+
+  it('runs requests without the header normally', async () => {
+    await fetch(`${baseURL}/orders`, { method: 'POST' });
+    await fetch(`${baseURL}/orders`, { method: 'POST' });
+
+    expect(executions).toBe(2);
+    expect(rows.size).toBe(0);
+  });
+
+  it('rejects a key reused with another body', async () => {
+    await post('/orders', { sku: 'A-1' });
+    await waitFor(() => storedKey()?.status === 'completed');
+
+    const retry = await post('/orders', { sku: 'B-2' });
+
+    expect(retry).toMatchObject({ status: 409, body: { code: 'idempotency_key_reused' } });
+    expect(executions).toBe(1);
+  });
+
+  it('rejects a retry while the original request is still running', async () => {
+    const original = post('/slow', {});
+    await waitFor(() => executions === 1);
+
+    const retry = await post('/slow', {});
+    releaseSlow();
+
+    expect(retry).toMatchObject({ status: 409, body: { code: 'idempotency_key_in_progress' } });
+    expect((await original).status).toBe(201);
+  });
+
+  it('releases the key on 5xx so the retry runs again', async () => {
+    await post('/failing', {});
+    await waitFor(() => rows.size === 0);
+
+    const retry = await post('/failing', {});
+
+    expect(retry.status).toBe(503);
+    expect(executions).toBe(2);
+  });
+
+  it('answers 409 instead of replaying when the body is not stored', async () => {
+    const first = await post('/api-keys', { name: 'ERP' });
+    await waitFor(() => storedKey()?.status === 'completed');
+
+    const retry = await post('/api-keys', { name: 'ERP' });
+
+    expect(first.body).toEqual({ token: 'mk_secret' });
+    expect(storedKey().responseBody).toBeNull();
+    expect(retry).toMatchObject({
+      status: 409,
+      body: { code: 'idempotent_response_not_stored' },
+    });
+    expect(executions).toBe(1);
+  });
+
+  it('releases the key when the client aborts before the response', async () => {
+    const request = http.request(`${baseURL}/slow`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'key-1' },
+    });
+    request.on('error', () => {});
+    request.end('{}');
+
+    await waitFor(() => executions === 1);
+    request.destroy();
+    await waitFor(() => rows.size === 0);
+    releaseSlow();
+
+    const retry = post('/slow', {});
+    await waitFor(() => executions === 2);
+    releaseSlow();
+
+    expect(await retry).toMatchObject({ status: 201, body: { id: 2 } });
+  });
+});
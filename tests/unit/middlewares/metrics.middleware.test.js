@@ -0,0 +1,89 @@
+import express from 'express';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from '@jest/globals';
+import { config } from '../../../src/config/index.js';
+import { httpMetrics } from '../../../src/middlewares/metrics.middleware.js';
+import { register } from '../../../src/utils/metrics.js';
+
+const things = express.Router();
+things.get('/', (req, res) => res.json([]));
+things.get('/:id', (req, res) => res.json({ id: req.params.id }));
+things.get('/:id/fail', () => {
+  throw new Error('boom');
+});
+
+const other = express.Router();
+other.get('/', (req, res) => res.send('ok'));
+
+const app = express();
+app.use(httpMetrics);
+app.locals.apiRoutes = [['/things', things]];
+app.use(`/api/${config.app.apiVersion}/things`, things);
+app.use('/other', other);
+app.use((req, res) => res.status(404).end());
+// eslint-disable-next-line no-unused-vars
+app.use((error, req, res, next) => res.status(500).end());
+
+let server;
+let baseURL;
+
+// El cliente puede recibir la respuesta antes de que 'finish' registre la métrica
+const request = async (path) => {
+  const finished = new Promise((resolve) =>
+    server.once('request', (req, res) => res.once('finish', resolve))
+  );
+  const response = await fetch(`${baseURL}${path}`);
+  await response.arrayBuffer();
+  await finished;
+  return response;
+};
+
+const recordedRoutes = async () => {
+  const { values } = await register.getSingleMetric('http_requests_total').get();
+  return values.map(({ labels }) => `${labels.method} ${labels.route} ${labels.status}`);
+};
+
+beforeAll(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  register.getSingleMetric('http_requests_total').reset();
+});
+
+describe('httpMetrics', () => {
+  it('labels requests with the route template', async () => {
+    await request(`/api/${config.app.apiVersion}/things/42`);
+    await request(`/api/${config.app.apiVersion}/things`);
+
+    expect(await recordedRoutes()).toEqual([
+      `GET /api/${config.app.apiVersion}/things/:id 200`,
+      `GET /api/${config.app.apiVersion}/things 200`,
+    ]);
+  });
+
+  it('keeps the full template when the route fails', async () => {
+    await request(`/api/${config.app.apiVersion}/things/42/fail`);
+
+    expect(await recordedRoutes()).toEqual([
+      `GET /api/${config.app.apiVersion}/things/:id/fail 500`,
+    ]);
+  });
+
+  it('uses the mount path for routers outside the API', async () => {
+    await request('/other');
+
+    expect(await recordedRoutes()).toEqual(['GET /other 200']);
+  });
+
+  it('labels requests without a route as unmatched', async () => {
+    await request('/nothing/here');
+
+    expect(await recordedRoutes()).toEqual(['GET unmatched 404']);
+  });
+});
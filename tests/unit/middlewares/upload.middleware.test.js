@@ -0,0 +1,97 @@
+import express from 'express';
+import http from 'http';
+import { afterAll, beforeAll, describe, expect, it } from '@jest/globals';
+import { upload } from '../../../src/middlewares/upload.middleware.js';
+import { getRequestId, runWithRequestContext } from '../../../src/utils/request-context.js';
+import { getCurrentCompanyId, runWithTenant } from '../../../src/utils/tenant-context.js';
+
+const app = express();
+// Como requestContext y tenantContext: el resto de la cadena corre dentro de los contextos
+app.use((req, res, next) => runWithRequestContext({ requestId: 'req-upload' }, next));
+app.use((req, res, next) => runWithTenant(42, next));
+app.post('/imports', upload('file'), async (req, res) => {
+  const context = { requestId: getRequestId(), companyId: getCurrentCompanyId() };
+
+  let size = 0;
+  for await (const chunk of req.file.stream) size += chunk.length;
+
+  res.json({ ...context, size, filename: req.file.filename });
+});
+// eslint-disable-next-line no-unused-vars
+app.use((error, req, res, next) => res.status(error.statusCode || 500).json({ code: error.code }));
+
+const BOUNDARY = 'mordecai-boundary';
+
+let server;
+let baseURL;
+
+/**
+ * Envía un multipart con un archivo. Con splitHeaders las cabeceras de la parte se escriben
+ * tras una pausa, para que el servidor las lea en otra lectura del socket
+ */
+const send = (content, { field = 'file', splitHeaders = false } = {}) => {
+  const head = `--${BOUNDARY}\r\n`;
+  const rest =
+    `Content-Disposition: form-data; name="${field}"; filename="customers.csv"\r\n` +
+    `Content-Type: text/csv\r\n\r\n${content}\r\n--${BOUNDARY}--\r\n`;
+
+  return new Promise((resolve, reject) => {
+    const request = http.request(`${baseURL}/imports`, {
+      method: 'POST',
+      headers: { 'Content-Type': `multipart/form-data; boundary=${BOUNDARY}` },
+    });
+    request.on('response', async (response) => {
+      let text = '';
+      for await (const chunk of response) text += chunk;
+      resolve({ status: response.statusCode, body: JSON.parse(text) });
+    });
+    request.on('error', reject);
+
+    if (!splitHeaders) return request.end(head + rest);
+    request.write(head);
+    setTimeout(() => request.end(rest), 50);
+  });
+};
+
+beforeAll(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+describe('upload', () => {
+  it('keeps the request and tenant context in the handler', async () => {
+    const { status, body } = await send('name,email\nAna,ana@example.com\n');
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      requestId: 'req-upload',
+      companyId: 42,
+      size: 31,
+      filename: 'customers.csv',
+    });
+  });
+
+  it('keeps the context when the file headers arrive in a later chunk', async () => {
+    // El evento 'file' de busboy sale de una lectura posterior del socket
+    const { body } = await send('name\nAna\n', { splitHeaders: true });
+
+    expect(body).toMatchObject({ requestId: 'req-upload', companyId: 42, size: 9 });
+  });
+
+  it('streams large files', async () => {
+    const { body } = await send('x'.repeat(512 * 1024));
+
+    expect(body).toMatchObject({ companyId: 42, size: 512 * 1024 });
+  });
+
+  it('rejects a request without the file field', async () => {
+    const { status } = await send('name\n', { field: 'other' });
+
+    expect(status).toBe(400);
+  });
+});
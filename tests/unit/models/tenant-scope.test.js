@@ -0,0 +1,205 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { DataTypes, Model, Sequelize } from 'sequelize';
+import { ForbiddenError } from '../../../src/errors/index.js';
+import { applyTenantScope } from '../../../src/models/tenant-scope.js';
+import { runAsSystem, runWithTenant } from '../../../src/utils/tenant-context.js';
+
+// Sin conexión: sequelize.query se reemplaza para ver el SQL y devolver filas de prueba
+const sequelize = new Sequelize({ dialect: 'postgres', logging: false });
+
+class Item extends Model {}
+Item.init(
+  {
+    companyId: { type: DataTypes.INTEGER, allowNull: false },
+    name: DataTypes.STRING,
+  },
+  { sequelize, tableName: 'items' }
+);
+
+class Note extends Model {}
+Note.init(
+  {
+    companyId: { type: DataTypes.INTEGER, allowNull: false },
+    itemId: DataTypes.INTEGER,
+    body: DataTypes.STRING,
+  },
+  { sequelize, tableName: 'notes' }
+);
+
+class Company extends Model {}
+Company.init({ name: DataTypes.STRING }, { sequelize, tableName: 'companies' });
+
+Item.hasMany(Note, { foreignKey: 'itemId', as: 'notes' });
+applyTenantScope(Item);
+applyTenantScope(Note);
+applyTenantScope(Company, { key: 'id' });
+
+let queries;
+let rows;
+
+const existing = (model, values) => model.build(values, { isNewRecord: false, raw: true });
+
+const sqlOf = (index = -1) => queries.at(index).sql;
+const bindOf = (index = -1) => queries.at(index).bind;
+
+beforeEach(() => {
+  queries = [];
+  rows = [];
+
+  jest.spyOn(sequelize, 'query').mockImplementation(async (sql, options = {}) => {
+    queries.push({ sql: sql.query ?? sql, bind: options.bind ?? sql.bind });
+
+    if (/COUNT\(/i.test(queries.at(-1).sql)) return { count: rows.length };
+    if (options.type === 'SELECT') return options.plain ? (rows[0] ?? null) : rows;
+    if (options.instance) return [options.instance, 1];
+    return [[], rows.length];
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const asCompany = (fn) => runWithTenant(1, fn);
+
+describe('applyTenantScope without a context', () => {
+  it.each([
+    ['findAll', () => Item.findAll()],
+    ['count', () => Item.count()],
+    ['create', () => Item.create({ name: 'Lamp' })],
+    ['update', () => Item.update({ name: 'Lamp' }, { where: { id: 1 } })],
+    ['destroy', () => Item.destroy({ where: { id: 1 } })],
+  ])('rejects %s', async (_operation, operation) => {
+    await expect(operation()).rejects.toThrow(ForbiddenError);
+    expect(queries).toHaveLength(0);
+  });
+
+  it('does not filter queries that run as system', async () => {
+    await runAsSystem(() => Item.findAll({ where: { name: 'Lamp' } }));
+
+    expect(sqlOf()).not.toMatch(/"companyId" =/);
+  });
+});
+
+describe('applyTenantScope reads', () => {
+  it('filters findAll, findOne and count by the current company', async () => {
+    await asCompany(async () => {
+      await Item.findAll({ where: { name: 'Lamp' } });
+      await Item.findOne({ where: { id: 3 } });
+      await Item.count();
+    });
+
+    expect(sqlOf(0)).toMatch(/"name" = 'Lamp' AND "Item"\."companyId" = 1/);
+    expect(sqlOf(1)).toMatch(/"id" = 3 AND "Item"\."companyId" = 1/);
+    expect(sqlOf(2)).toMatch(/count\(\*\) .* WHERE "Item"\."companyId" = 1/);
+  });
+
+  it('filters by the primary key on models keyed by id', async () => {
+    await asCompany(() => Company.findAll());
+
+    expect(sqlOf()).toMatch(/WHERE "Company"\."id" = 1/);
+  });
+
+  it('rejects an explicit companyId of another company', async () => {
+    await expect(asCompany(() => Item.findAll({ where: { companyId: 2 } }))).rejects.toThrow(
+      ForbiddenError
+    );
+    expect(queries).toHaveLength(0);
+  });
+
+  it('scopes tenant includes and keeps them as LEFT JOIN', async () => {
+    await asCompany(() => Item.findAll({ include: [{ model: Note, as: 'notes' }] }));
+
+    expect(sqlOf()).toMatch(/LEFT OUTER JOIN "notes" AS "notes" ON .*"notes"\."companyId" = 1/);
+    expect(sqlOf()).toMatch(/WHERE "Item"\."companyId" = 1/);
+  });
+
+  it('throws when a row of another company comes back', async () => {
+    rows = [existing(Item, { id: 1, companyId: 1 }), existing(Item, { id: 2, companyId: 2 })];
+
+    await expect(asCompany(() => Item.findAll())).rejects.toThrow(ForbiddenError);
+  });
+
+  it('returns rows of the current company', async () => {
+    rows = [existing(Item, { id: 1, companyId: 1 })];
+
+    await expect(asCompany(() => Item.findAll())).resolves.toHaveLength(1);
+  });
+});
+
+describe('applyTenantScope writes', () => {
+  it('sets the companyId of new records', async () => {
+    const item = await asCompany(() => Item.create({ name: 'Lamp' }));
+
+    expect(item.companyId).toBe(1);
+    expect(sqlOf()).toMatch(/INSERT INTO "items"/);
+    expect(bindOf()).toContain(1);
+  });
+
+  it('rejects creating a record for another company', async () => {
+    await expect(asCompany(() => Item.create({ name: 'Lamp', companyId: 2 }))).rejects.toThrow(
+      ForbiddenError
+    );
+    expect(queries).toHaveLength(0);
+  });
+
+  it('rejects moving a record to another company', async () => {
+    const item = existing(Item, { id: 1, companyId: 1, name: 'Lamp' });
+    item.companyId = 2;
+
+    await expect(asCompany(() => item.save())).rejects.toThrow(ForbiddenError);
+    expect(queries).toHaveLength(0);
+  });
+
+  it('rejects saving or destroying a record of another company', async () => {
+    const item = existing(Item, { id: 1, companyId: 2, name: 'Lamp' });
+    item.name = 'Desk';
+
+    await expect(asCompany(() => item.save())).rejects.toThrow(ForbiddenError);
+    await expect(asCompany(() => item.destroy())).rejects.toThrow(ForbiddenError);
+    expect(queries).toHaveLength(0);
+  });
+
+  it('checks every record of a bulk create', async () => {
+    await expect(
+      asCompany(() => Item.bulkCreate([{ name: 'Lamp' }, { name: 'Desk', companyId: 2 }]))
+    ).rejects.toThrow(ForbiddenError);
+    expect(queries).toHaveLength(0);
+  });
+
+  it('fills the companyId of a bulk create', async () => {
+    await asCompany(() => Item.bulkCreate([{ name: 'Lamp' }, { name: 'Desk' }]));
+
+    expect(sqlOf()).toMatch(
+      /INSERT INTO "items" .*VALUES \(DEFAULT,1,'Lamp'.*\),\(DEFAULT,1,'Desk'/
+    );
+  });
+
+  it('filters bulk updates and destroys by the current company', async () => {
+    await asCompany(async () => {
+      await Item.update({ name: 'Lamp' }, { where: { id: 1 } });
+      await Item.destroy({ where: { id: 1 } });
+    });
+
+    expect(sqlOf(0)).toMatch(/UPDATE "items" SET .* WHERE \("id" = \$3 AND "companyId" = \$4\)/);
+    expect(bindOf(0).slice(2)).toEqual([1, 1]);
+    expect(sqlOf(1)).toMatch(/DELETE FROM "items" WHERE \("id" = 1 AND "companyId" = 1\)/);
+  });
+
+  it('rejects a bulk update that moves records to another company', async () => {
+    await expect(
+      asCompany(() => Item.update({ companyId: 2 }, { where: { id: 1 } }))
+    ).rejects.toThrow(ForbiddenError);
+    expect(queries).toHaveLength(0);
+  });
+
+  it('sets and enforces the companyId of upserts', async () => {
+    await asCompany(() => Item.upsert({ id: 1, name: 'Lamp' }));
+    expect(bindOf()).toContain(1);
+    expect(sqlOf()).toMatch(/INSERT INTO "items" \("id","companyId","name"/);
+
+    await expect(
+      asCompany(() => Item.upsert({ id: 1, name: 'Lamp', companyId: 2 }))
+    ).rejects.toThrow(ForbiddenError);
+  });
+});
@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import http from 'http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { config } from '../../../src/config/index.js';
+import { setFirebaseKeySet } from '../../../src/config/firebase.js';
+import { UnauthorizedError } from '../../../src/errors/index.js';
+import { verifyIdToken } from '../../../src/services/auth.service.js';
+
+const PROJECT_ID = 'mordecai-test';
+
+const generateKey = () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const signingKey = generateKey();
+const otherKey = generateKey();
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signToken = (
+  claims = {},
+  { kid = 'key-1', alg = 'RS256', privateKey = signingKey.privateKey } = {}
+) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encode({ alg, kid, typ: 'JWT' });
+  const payload = encode({
+    aud: PROJECT_ID,
+    iss: `https://securetoken.google.com/${PROJECT_ID}`,
+    sub: 'firebase-uid-1',
+    iat: now,
+    auth_time: now,
+    exp: now + 3600,
+    ...claims,
+  });
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey);
+
+  return `${header}.${payload}.${signature.toString('base64url')}`;
+};
+
+const jwks = (kid, { publicKey }) => ({
+  keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }],
+});
+
+beforeAll(() => {
+  config.firebase.projectId = PROJECT_ID;
+});
+
+afterAll(() => {
+  setFirebaseKeySet(null);
+});
+
+describe('verifyIdToken with a local key set', () => {
+  beforeEach(() => {
+    setFirebaseKeySet(jwks('key-1', signingKey));
+  });
+
+  it('returns the claims of a valid token', async () => {
+    await expect(verifyIdToken(signToken({ email: 'ana@example.com' }))).resolves.toMatchObject({
+      sub: 'firebase-uid-1',
+      email: 'ana@example.com',
+    });
+  });
+
+  it('accepts a key set of PEM public keys by kid', async () => {
+    setFirebaseKeySet({
+      'key-1': signingKey.publicKey.export({ type: 'spki', format: 'pem' }),
+    });
+
+    await expect(verifyIdToken(signToken())).resolves.toMatchObject({ sub: 'firebase-uid-1' });
+  });
+
+  it.each([
+    ['a malformed token', () => 'not-a-jwt'],
+    ['a token signed with another key', () => signToken({}, { privateKey: otherKey.privateKey })],
+    ['an unknown kid', () => signToken({}, { kid: 'key-2' })],
+    ['an algorithm other than RS256', () => signToken({}, { alg: 'HS256' })],
+    ['another audience', () => signToken({ aud: 'other-project' })],
+    ['another issuer', () => signToken({ iss: 'https://securetoken.google.com/other-project' })],
+    ['an empty subject', () => signToken({ sub: '' })],
+    ['an issue date in the future', () => signToken({ iat: Math.floor(Date.now() / 1000) + 600 })],
+  ])('rejects %s', async (_case, buildToken) => {
+    await expect(verifyIdToken(buildToken())).rejects.toThrow(
+      new UnauthorizedError('Invalid authentication token.')
+    );
+  });
+
+  it('rejects an expired token', async () => {
+    const token = signToken({ exp: Math.floor(Date.now() / 1000) - 60 });
+
+    await expect(verifyIdToken(token)).rejects.toThrow('Authentication token has expired.');
+  });
+
+  it('tolerates the configured clock skew', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const token = signToken({ iat: now + 2, exp: now - 2 });
+
+    await expect(verifyIdToken(token)).resolves.toMatchObject({ sub: 'firebase-uid-1' });
+  });
+});
+
+describe('verifyIdToken with the Google key set', () => {
+  const requests = [];
+  let keySet = jwks('key-1', signingKey);
+  let server;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'public, max-age=3600',
+      });
+      res.end(JSON.stringify(keySet));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    config.firebase.certsUrl = `http://127.0.0.1:${server.address().port}/certs`;
+    setFirebaseKeySet(null);
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('downloads the keys once and caches them for max-age', async () => {
+    await verifyIdToken(signToken());
+    await verifyIdToken(signToken());
+
+    expect(requests).toHaveLength(1);
+  });
+
+  it('does not refetch for an unknown kid right after a download', async () => {
+    await expect(verifyIdToken(signToken({}, { kid: 'key-2' }))).rejects.toThrow(UnauthorizedError);
+
+    expect(requests).toHaveLength(1);
+  });
+
+  it('refetches when an unknown kid shows up later (key rotation)', async () => {
+    keySet = { keys: [...jwks('key-1', signingKey).keys, ...jwks('key-2', otherKey).keys] };
+    const realNow = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(realNow + 2 * 60 * 1000);
+
+    const token = signToken({}, { kid: 'key-2', privateKey: otherKey.privateKey });
+    await expect(verifyIdToken(token)).resolves.toMatchObject({ sub: 'firebase-uid-1' });
+
+    expect(requests).toHaveLength(2);
+  });
+});
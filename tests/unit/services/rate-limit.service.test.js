@@ -0,0 +1,238 @@
+import express from 'express';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { Op } from 'sequelize';
+
+// Tabla rate_limit_counters en memoria: la consulta aplica el mismo upsert de ventana fija
+// que el SQL del store (el hit tras resetAt reinicia el contador y abre otra ventana)
+const counters = new Map();
+const queries = [];
+
+const RateLimitCounter = {
+  sequelize: {
+    query: jest.fn(async (sql, { replacements: { key, windowMs } }) => {
+      queries.push(key);
+      const now = Date.now();
+      const counter = counters.get(key);
+      const row =
+        counter && counter.resetAt > now
+          ? { ...counter, hits: counter.hits + 1 }
+          : { hits: 1, resetAt: now + windowMs };
+      counters.set(key, row);
+      return [[{ hits: row.hits, resetAt: new Date(row.resetAt).toISOString() }]];
+    }),
+  },
+  decrement: jest.fn(async () => {}),
+  findOne: async ({ where }) => {
+    const counter = counters.get(where.key);
+    return counter && counter.resetAt > where.resetAt[Op.gt].getTime()
+      ? { hits: counter.hits, resetAt: new Date(counter.resetAt) }
+      : null;
+  },
+  destroy: async ({ where }) => {
+    for (const [key, counter] of counters) {
+      const matches =
+        typeof where.key === 'string'
+          ? key === where.key
+          : key.startsWith(where.key[Op.startsWith]) &&
+            counter.resetAt < where.resetAt[Op.lt].getTime();
+      if (matches) counters.delete(key);
+    }
+  },
+};
+
+jest.unstable_mockModule('../../../src/models/index.js', () => ({ RateLimitCounter }));
+// Con base de datos configurada el limitador usa el store de Postgres
+jest.unstable_mockModule('../../../src/config/database.js', () => ({ sequelize: {} }));
+
+const { config } = await import('../../../src/config/index.js');
+const { PostgresRateLimitStore } = await import('../../../src/services/rate-limit.service.js');
+const { rateLimit } = await import('../../../src/middlewares/rate-limit.middleware.js');
+const { responseHandler } = await import('../../../src/middlewares/response-handler.middleware.js');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+beforeEach(() => {
+  counters.clear();
+  queries.length = 0;
+  RateLimitCounter.sequelize.query.mockClear();
+});
+
+describe('PostgresRateLimitStore', () => {
+  const createStore = (windowMs = 100) => {
+    const store = new PostgresRateLimitStore({ prefix: 'test:' });
+    store.init({ windowMs });
+    return store;
+  };
+
+  it('counts hits within the window under the prefixed key', async () => {
+    const store = createStore(60000);
+
+    const first = await store.increment('ip:1.2.3.4');
+    const second = await store.increment('ip:1.2.3.4');
+
+    expect(first.totalHits).toBe(1);
+    expect(second).toEqual({ totalHits: 2, resetTime: first.resetTime });
+    expect(first.resetTime).toBeInstanceOf(Date);
+    expect(queries).toEqual(['test:ip:1.2.3.4', 'test:ip:1.2.3.4']);
+    expect(RateLimitCounter.sequelize.query.mock.calls[0][1].replacements.windowMs).toBe(60000);
+  });
+
+  it('starts a new window once the previous one expires', async () => {
+    const store = createStore(50);
+
+    const first = await store.increment('ip:1.2.3.4');
+    await store.increment('ip:1.2.3.4');
+    await wait(60);
+    const afterReset = await store.increment('ip:1.2.3.4');
+
+    expect(afterReset.totalHits).toBe(1);
+    expect(afterReset.resetTime.getTime()).toBeGreaterThan(first.resetTime.getTime());
+  });
+
+  it('reads, decrements and resets a key', async () => {
+    const store = createStore(60000);
+    await store.increment('user:9');
+
+    expect(await store.get('user:9')).toMatchObject({ totalHits: 1 });
+    expect(await store.get('user:10')).toBeUndefined();
+
+    await store.decrement('user:9');
+    expect(RateLimitCounter.decrement).toHaveBeenCalledWith('hits', {
+      where: { key: 'test:user:9', hits: { [Op.gt]: 0 } },
+    });
+
+    await store.resetKey('user:9');
+    expect(await store.get('user:9')).toBeUndefined();
+  });
+
+  it('purges expired counters of its own prefix at most once per window', async () => {
+    const store = createStore(50);
+    counters.set('test:ip:old', { hits: 3, resetAt: Date.now() - 1000 });
+    counters.set('other:ip:old', { hits: 3, resetAt: Date.now() - 1000 });
+
+    await store.increment('ip:1.2.3.4');
+    await wait(0);
+    expect([...counters.keys()]).toEqual(['other:ip:old', 'test:ip:1.2.3.4']);
+
+    counters.set('test:ip:old', { hits: 3, resetAt: Date.now() - 1000 });
+    await store.increment('ip:1.2.3.4');
+    await wait(0);
+    expect(counters.has('test:ip:old')).toBe(true);
+  });
+
+  it('lets the request through when the database is unavailable', async () => {
+    const store = createStore(60000);
+    RateLimitCounter.sequelize.query.mockRejectedValueOnce(new Error('connection refused'));
+
+    const result = await store.increment('ip:1.2.3.4');
+
+    expect(result.totalHits).toBe(1);
+    expect(result.resetTime.getTime()).toBeGreaterThan(Date.now());
+  });
+});
+
+describe('rateLimit with the Postgres store', () => {
+  let server;
+  let baseURL;
+
+  const get = (path, headers = {}) => fetch(`${baseURL}${path}`, { headers });
+
+  beforeAll(async () => {
+    config.rateLimit.policies.byIp = { windowMs: 60000, max: 2, by: 'ip' };
+    config.rateLimit.policies.byUser = { windowMs: 60000, max: 2, by: 'user' };
+    config.rateLimit.policies.byCompany = { windowMs: 60000, max: 2, by: 'company' };
+    config.rateLimit.policies.shortWindow = { windowMs: 300, max: 1, by: 'ip' };
+
+    const app = express();
+    app.use(responseHandler);
+    // Como authenticate: la sesión de prueba llega en headers
+    app.use((req, res, next) => {
+      const user = req.get('X-Test-User');
+      if (user)
+        req.principal = { key: `user:${user}`, companyId: Number(req.get('X-Test-Company')) };
+      next();
+    });
+    for (const policy of ['byIp', 'byUser', 'byCompany', 'shortWindow']) {
+      app.get(`/${policy}`, rateLimit(policy), (req, res) => res.ok());
+    }
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('sends the RateLimit headers and answers 429 with Retry-After over the limit', async () => {
+    const first = await get('/byIp');
+    await get('/byIp');
+    const limited = await get('/byIp');
+
+    expect(first.status).toBe(200);
+    expect(first.headers.get('RateLimit-Limit')).toBe('2');
+    expect(first.headers.get('RateLimit-Remaining')).toBe('1');
+    expect(first.headers.get('RateLimit-Policy')).toBe('2;w=60');
+    expect(Number(first.headers.get('RateLimit-Reset'))).toBeGreaterThan(58);
+
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('RateLimit-Remaining')).toBe('0');
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(58);
+    expect(limited.headers.get('Retry-After')).toBe(limited.headers.get('RateLimit-Reset'));
+    expect(limited.headers.get('Content-Type')).toMatch(/^application\/problem\+json/);
+    expect(await limited.json()).toMatchObject({
+      status: 429,
+      code: 'rate_limited',
+      details: { retryAfterSeconds: Number(limited.headers.get('Retry-After')) },
+    });
+    expect(counters.get('byIp:ip:127.0.0.1').hits).toBe(3);
+  });
+
+  it('counts by IP even with a session when the policy is by ip', async () => {
+    await get('/byIp', { 'X-Test-User': '1', 'X-Test-Company': '1' });
+
+    expect(queries).toEqual(['byIp:ip:127.0.0.1']);
+  });
+
+  it('counts each user separately and falls back to the IP without a session', async () => {
+    await get('/byUser', { 'X-Test-User': '1', 'X-Test-Company': '1' });
+    await get('/byUser', { 'X-Test-User': '1', 'X-Test-Company': '1' });
+    const limited = await get('/byUser', { 'X-Test-User': '1', 'X-Test-Company': '1' });
+    const otherUser = await get('/byUser', { 'X-Test-User': '2', 'X-Test-Company': '1' });
+    const anonymous = await get('/byUser');
+
+    expect(limited.status).toBe(429);
+    expect(otherUser.status).toBe(200);
+    expect(anonymous.status).toBe(200);
+    expect(new Set(queries)).toEqual(
+      new Set(['byUser:user:1', 'byUser:user:2', 'byUser:ip:127.0.0.1'])
+    );
+  });
+
+  it('shares the quota between the users of a company', async () => {
+    await get('/byCompany', { 'X-Test-User': '1', 'X-Test-Company': '7' });
+    await get('/byCompany', { 'X-Test-User': '2', 'X-Test-Company': '7' });
+    const limited = await get('/byCompany', { 'X-Test-User': '3', 'X-Test-Company': '7' });
+    const otherCompany = await get('/byCompany', { 'X-Test-User': '4', 'X-Test-Company': '8' });
+    const anonymous = await get('/byCompany');
+
+    expect(limited.status).toBe(429);
+    expect(otherCompany.status).toBe(200);
+    expect(anonymous.status).toBe(200);
+    expect(new Set(queries)).toEqual(
+      new Set(['byCompany:company:7', 'byCompany:company:8', 'byCompany:ip:127.0.0.1'])
+    );
+  });
+
+  it('lets the client through again when the window resets', async () => {
+    await get('/shortWindow');
+    const limited = await get('/shortWindow');
+    await wait(350);
+    const afterReset = await get('/shortWindow');
+
+    expect(limited.status).toBe(429);
+    expect(afterReset.status).toBe(200);
+    expect(counters.get('shortWindow:ip:127.0.0.1').hits).toBe(1);
+  });
+});
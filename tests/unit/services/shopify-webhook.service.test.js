@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import { beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+
+// Tabla webhook_events en memoria con la restricción única (provider, externalId)
+const events = [];
+const WebhookEvent = {
+  sequelize: { transaction: async (fn) => fn({ id: 'transaction' }) },
+  findOrCreate: async ({ where, defaults }) => {
+    const existing = events.find(
+      (event) => event.provider === where.provider && event.externalId === where.externalId
+    );
+    if (existing) return [existing, false];
+
+    const event = { id: events.length + 1, ...where, ...defaults };
+    events.push(event);
+    return [event, true];
+  },
+};
+const enqueueJob = jest.fn(async () => {});
+
+jest.unstable_mockModule('../../../src/models/index.js', () => ({
+  Company: {},
+  WebhookEvent,
+}));
+jest.unstable_mockModule('../../../src/jobs/queue.js', () => ({ enqueueJob }));
+jest.unstable_mockModule('../../../src/services/order.service.js', () => ({
+  applyShopifyRefund: jest.fn(),
+  upsertShopifyOrder: jest.fn(),
+}));
+jest.unstable_mockModule('../../../src/services/invoice-sync.service.js', () => ({
+  isInvoiceable: jest.fn(),
+  queueInvoiceSync: jest.fn(),
+}));
+
+const { config } = await import('../../../src/config/index.js');
+const { UnauthorizedError } = await import('../../../src/errors/index.js');
+const { receiveShopifyWebhook } = await import('../../../src/services/shopify-webhook.service.js');
+
+const SECRET = 'shpss_test_secret';
+
+const delivery = (body, headers = {}) => {
+  const rawBody = Buffer.from(body);
+  return {
+    rawBody,
+    headers: {
+      'x-shopify-hmac-sha256': crypto.createHmac('sha256', SECRET).update(rawBody).digest('base64'),
+      'x-shopify-topic': 'orders/create',
+      'x-shopify-shop-domain': 'tienda.myshopify.com',
+      ...headers,
+    },
+  };
+};
+
+beforeAll(() => {
+  config.shopify.webhookSecret = SECRET;
+});
+
+beforeEach(() => {
+  events.length = 0;
+  enqueueJob.mockClear();
+});
+
+describe('receiveShopifyWebhook', () => {
+  it('stores the event and queues it once per webhook id', async () => {
+    const first = await receiveShopifyWebhook(
+      delivery('{"id":1}', { 'x-shopify-webhook-id': 'w-1' })
+    );
+    // Shopify reintenta la misma entrega con el mismo id
+    const retry = await receiveShopifyWebhook(
+      delivery('{"id":1}', { 'x-shopify-webhook-id': 'w-1' })
+    );
+
+    expect(first).toEqual({ eventId: 1, duplicate: false, ignored: false });
+    expect(retry).toEqual({ eventId: 1, duplicate: true, ignored: false });
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      provider: 'shopify',
+      externalId: 'w-1',
+      topic: 'orders/create',
+      shopDomain: 'tienda.myshopify.com',
+      rawPayload: '{"id":1}',
+    });
+    expect(enqueueJob).toHaveBeenCalledTimes(1);
+    expect(enqueueJob).toHaveBeenCalledWith(
+      'shopify.webhook',
+      { eventId: 1 },
+      expect.objectContaining({ companyId: null, transaction: { id: 'transaction' } })
+    );
+  });
+
+  it('keeps different webhook ids apart', async () => {
+    await receiveShopifyWebhook(delivery('{"id":1}', { 'x-shopify-webhook-id': 'w-1' }));
+    await receiveShopifyWebhook(delivery('{"id":1}', { 'x-shopify-webhook-id': 'w-2' }));
+
+    expect(events.map(({ externalId }) => externalId)).toEqual(['w-1', 'w-2']);
+    expect(enqueueJob).toHaveBeenCalledTimes(2);
+  });
+
+  it('deduplicates by the body hash without a webhook id', async () => {
+    const body = '{"id":1}';
+
+    await receiveShopifyWebhook(delivery(body));
+    const retry = await receiveShopifyWebhook(delivery(body));
+
+    expect(retry.duplicate).toBe(true);
+    expect(events[0].externalId).toBe(crypto.createHash('sha256').update(body).digest('hex'));
+    expect(enqueueJob).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects an invalid signature before storing anything', async () => {
+    const tampered = { ...delivery('{"id":1}'), rawBody: Buffer.from('{"id":2}') };
+
+    await expect(receiveShopifyWebhook(tampered)).rejects.toThrow(UnauthorizedError);
+    expect(events).toHaveLength(0);
+  });
+
+  it('ignores unsupported topics', async () => {
+    const result = await receiveShopifyWebhook(
+      delivery('{"id":1}', { 'x-shopify-topic': 'products/update' })
+    );
+
+    expect(result).toEqual({ eventId: null, duplicate: false, ignored: true });
+    expect(events).toHaveLength(0);
+    expect(enqueueJob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import { beforeAll, beforeEach, describe, expect, it } from '@jest/globals';
+import { config } from '../../../src/config/index.js';
+import {
+  decryptEnvelope,
+  encryptEnvelope,
+  getActiveKeyVersion,
+  rewrapEnvelope,
+} from '../../../src/utils/envelope-encryption.js';
+
+const AAD = 'company:1:siigo';
+const credentials = { username: 'api@example.com', accessKey: 's3cr3t' };
+
+// Las llaves maestras se leen una sola vez: las dos versiones se configuran desde el inicio
+beforeAll(() => {
+  const key = () => crypto.randomBytes(32).toString('base64');
+  config.credentials.masterKeys = `1:${key()},2:${key()}`;
+});
+
+beforeEach(() => {
+  config.credentials.activeKeyVersion = 1;
+});
+
+// Cambia un byte del valor empaquetado en base64
+const flipByte = (sealed, index) => {
+  const buffer = Buffer.from(sealed, 'base64');
+  buffer[index] ^= 0x01;
+  return buffer.toString('base64');
+};
+
+describe('encryptEnvelope / decryptEnvelope', () => {
+  it('round-trips a value with the same AAD', () => {
+    const envelope = encryptEnvelope(credentials, AAD);
+
+    expect(envelope.keyVersion).toBe(1);
+    expect(envelope.ciphertext).not.toContain('s3cr3t');
+    expect(decryptEnvelope(envelope, AAD)).toEqual(credentials);
+  });
+
+  it('uses a new data key and IV for every value', () => {
+    const first = encryptEnvelope(credentials, AAD);
+    const second = encryptEnvelope(credentials, AAD);
+
+    expect(first.ciphertext).not.toBe(second.ciphertext);
+    expect(first.encryptedDataKey).not.toBe(second.encryptedDataKey);
+  });
+
+  it.each([
+    ['another AAD', 'company:2:siigo'],
+    ['no AAD', undefined],
+  ])('rejects decrypting with %s', (_case, aad) => {
+    const envelope = encryptEnvelope(credentials, AAD);
+
+    expect(() => decryptEnvelope(envelope, aad)).toThrow(
+      'Unable to decrypt envelope: wrong key or tampered data'
+    );
+  });
+
+  it.each([
+    ['IV', 0],
+    ['auth tag', 12],
+    ['ciphertext', 28],
+  ])('detects a tampered %s', (_part, index) => {
+    const envelope = encryptEnvelope(credentials, AAD);
+    const tampered = { ...envelope, ciphertext: flipByte(envelope.ciphertext, index) };
+
+    expect(() => decryptEnvelope(tampered, AAD)).toThrow('wrong key or tampered data');
+  });
+
+  it('detects a tampered data key', () => {
+    const envelope = encryptEnvelope(credentials, AAD);
+    const tampered = { ...envelope, encryptedDataKey: flipByte(envelope.encryptedDataKey, 30) };
+
+    expect(() => decryptEnvelope(tampered, AAD)).toThrow('wrong key or tampered data');
+  });
+
+  it('rejects a data key moved from another envelope', () => {
+    const envelope = encryptEnvelope(credentials, AAD);
+    const other = encryptEnvelope(credentials, AAD);
+
+    expect(() =>
+      decryptEnvelope({ ...envelope, encryptedDataKey: other.encryptedDataKey }, AAD)
+    ).toThrow('wrong key or tampered data');
+  });
+
+  it('rejects an envelope sealed with another master key version', () => {
+    const envelope = encryptEnvelope(credentials, AAD);
+
+    expect(() => decryptEnvelope({ ...envelope, keyVersion: 2 }, AAD)).toThrow(
+      'wrong key or tampered data'
+    );
+    expect(() => decryptEnvelope({ ...envelope, keyVersion: 3 }, AAD)).toThrow(
+      'Master key version 3 is not configured'
+    );
+  });
+});
+
+describe('key rotation', () => {
+  it('encrypts new values with the active key version', () => {
+    config.credentials.activeKeyVersion = 2;
+
+    expect(getActiveKeyVersion()).toBe(2);
+    expect(encryptEnvelope(credentials, AAD).keyVersion).toBe(2);
+  });
+
+  it('defaults to the highest configured version', () => {
+    config.credentials.activeKeyVersion = null;
+
+    expect(getActiveKeyVersion()).toBe(2);
+  });
+
+  it('still decrypts values sealed with older versions', () => {
+    const envelope = encryptEnvelope(credentials, AAD);
+    config.credentials.activeKeyVersion = 2;
+
+    expect(decryptEnvelope(envelope, AAD)).toEqual(credentials);
+  });
+
+  it('rewraps only the data key with the active version', () => {
+    const envelope = encryptEnvelope(credentials, AAD);
+    config.credentials.activeKeyVersion = 2;
+
+    const rewrapped = rewrapEnvelope(envelope);
+
+    expect(rewrapped.keyVersion).toBe(2);
+    expect(rewrapped.encryptedDataKey).not.toBe(envelope.encryptedDataKey);
+    expect(decryptEnvelope({ ciphertext: envelope.ciphertext, ...rewrapped }, AAD)).toEqual(
+      credentials
+    );
+    expect(() =>
+      decryptEnvelope({ ...envelope, encryptedDataKey: rewrapped.encryptedDataKey }, AAD)
+    ).toThrow('wrong key or tampered data');
+  });
+
+  it('rejects an active version that is not configured', () => {
+    config.credentials.activeKeyVersion = 5;
+
+    expect(() => encryptEnvelope(credentials, AAD)).toThrow(
+      'Master key version 5 is not configured'
+    );
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, expect, it } from '@jest/globals';
+import { Sequelize } from 'sequelize';
+import { RequestValidationError } from '../../../src/errors/index.js';
+import { paginate, parseListQuery } from '../../../src/utils/list-query.js';
+
+const definition = {
+  sortable: {
+    name: { type: 'string' },
+    lastUsedAt: { type: 'date', nullable: true },
+  },
+  defaultSort: 'name',
+};
+
+const queryGenerator = new Sequelize({ dialect: 'postgres', logging: false }).getQueryInterface()
+  .queryGenerator;
+
+const toSql = (where) => queryGenerator.whereQuery(where).replace(/^WHERE /, '');
+
+const cursorFor = (sort, values, direction = 'next') =>
+  Buffer.from(JSON.stringify({ s: sort, d: direction, v: values })).toString('base64url');
+
+// Modelo mínimo que guarda las opciones de findAll
+const fakeModel = () => {
+  const calls = [];
+  return {
+    calls,
+    count: async () => 0,
+    findAll: async (options) => {
+      calls.push(options);
+      return [];
+    },
+  };
+};
+
+const keysetSql = async (sort, values, direction) => {
+  const model = fakeModel();
+  const listQuery = parseListQuery(
+    // El desempate por id sigue la dirección del último campo
+    {
+      sort,
+      cursor: cursorFor(`${sort},${sort.startsWith('-') ? '-id' : 'id'}`, values, direction),
+    },
+    definition
+  );
+  await paginate(model, listQuery);
+
+  // where = { [Op.and]: [filtros, keyset] }
+  const [{ where, order }] = model.calls;
+  return { sql: toSql(Object.getOwnPropertySymbols(where).map((key) => where[key])[0][1]), order };
+};
+
+describe('parseListQuery', () => {
+  it('orders nullable fields with NULLs last ascending and first descending', () => {
+    expect(parseListQuery({ sort: 'lastUsedAt' }, definition).order).toEqual([
+      ['lastUsedAt', 'ASC NULLS LAST'],
+      ['id', 'ASC'],
+    ]);
+    expect(parseListQuery({ sort: '-lastUsedAt,name' }, definition).order).toEqual([
+      ['lastUsedAt', 'DESC NULLS FIRST'],
+      ['name', 'ASC'],
+      ['id', 'ASC'],
+    ]);
+  });
+
+  it('rejects fields outside the sortable allowlist', () => {
+    expect(() => parseListQuery({ sort: 'secretHash' }, definition)).toThrow(
+      RequestValidationError
+    );
+  });
+
+  it.each([
+    ['fewer values than sort fields', 'name', cursorFor('name,id', ['ana'])],
+    ['a number for a string field', 'name', cursorFor('name,id', [42, 1])],
+    ['null for a non-nullable field', 'name', cursorFor('name,id', [null, 1])],
+    ['a non-integer primary key', 'name', cursorFor('name,id', ['ana', '1'])],
+    ['an object value', 'name', cursorFor('name,id', [{ $gt: 'a' }, 1])],
+    ['an invalid date', 'lastUsedAt', cursorFor('lastUsedAt,id', ['5', 1])],
+    ['another sort', 'name', cursorFor('-name,id', ['ana', 1])],
+    ['malformed JSON', 'name', 'not-a-cursor'],
+  ])('rejects a cursor with %s', (_case, sort, cursor) => {
+    expect(() => parseListQuery({ sort, cursor }, definition)).toThrow(RequestValidationError);
+  });
+
+  it('accepts null for a nullable field', () => {
+    const listQuery = parseListQuery(
+      { sort: 'lastUsedAt', cursor: cursorFor('lastUsedAt,id', [null, 7]) },
+      definition
+    );
+
+    expect(listQuery.cursor).toEqual({ direction: 'next', values: [null, 7] });
+  });
+});
+
+describe('paginate keyset conditions', () => {
+  const date = '2026-10-01T00:00:00.000Z';
+
+  it('includes NULL rows after a value when ascending', async () => {
+    const { sql, order } = await keysetSql('lastUsedAt', [date, 7], 'next');
+
+    expect(sql).toBe(
+      `(("lastUsedAt" > '${date}' OR "lastUsedAt" IS NULL) OR ("lastUsedAt" = '${date}' AND "id" > 7))`
+    );
+    expect(order).toEqual([
+      ['lastUsedAt', 'ASC NULLS LAST'],
+      ['id', 'ASC'],
+    ]);
+  });
+
+  it('stays within the NULL rows once the cursor reaches them', async () => {
+    const { sql } = await keysetSql('lastUsedAt', [null, 7], 'next');
+
+    expect(sql).toBe('(("lastUsedAt" IS NULL AND "id" > 7))');
+  });
+
+  it('moves from the NULL rows to the values when descending', async () => {
+    const { sql, order } = await keysetSql('-lastUsedAt', [null, 7], 'next');
+
+    expect(sql).toBe('("lastUsedAt" IS NOT NULL OR ("lastUsedAt" IS NULL AND "id" < 7))');
+    expect(order).toEqual([
+      ['lastUsedAt', 'DESC NULLS FIRST'],
+      ['id', 'DESC'],
+    ]);
+  });
+
+  it('reverses the order and comparisons for the previous page', async () => {
+    const { sql, order } = await keysetSql('lastUsedAt', [date, 7], 'prev');
+
+    expect(sql).toBe(`("lastUsedAt" < '${date}' OR ("lastUsedAt" = '${date}' AND "id" < 7))`);
+    expect(order).toEqual([
+      ['lastUsedAt', 'DESC NULLS FIRST'],
+      ['id', 'DESC'],
+    ]);
+  });
+
+  it('does not add NULL branches for non-nullable fields', async () => {
+    const { sql } = await keysetSql('name', ['ana', 7], 'next');
+
+    expect(sql).toBe(`("name" > 'ana' OR ("name" = 'ana' AND "id" > 7))`);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, expect, it } from '@jest/globals';
+import { isPublicAddress, isPublicHostname } from '../../../src/utils/network.js';
+
+describe('isPublicAddress', () => {
+  it.each(['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111', '2001:4860:4860::8888'])(
+    'accepts %s',
+    (address) => {
+      expect(isPublicAddress(address)).toBe(true);
+    }
+  );
+
+  it.each([
+    ['private', '10.0.0.5'],
+    ['private', '172.16.3.4'],
+    ['private', '192.168.1.10'],
+    ['loopback', '127.0.0.1'],
+    ['loopback', '127.255.0.1'],
+    ['loopback', '::1'],
+    ['link-local (cloud metadata)', '169.254.169.254'],
+    ['link-local', 'fe80::1'],
+    ['unspecified', '0.0.0.0'],
+    ['unspecified', '::'],
+    ['CGNAT', '100.64.0.1'],
+    ['unique local', 'fd00::1'],
+    ['multicast', '224.0.0.1'],
+    ['IPv4-mapped loopback', '::ffff:127.0.0.1'],
+    ['IPv4-mapped metadata', '::ffff:169.254.169.254'],
+    ['IPv4-mapped public', '::ffff:8.8.8.8'],
+    ['NAT64', '64:ff9b::a00:5'],
+  ])('rejects %s address %s', (_kind, address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  it('rejects values that are not IPs', () => {
+    expect(isPublicAddress('example.com')).toBe(false);
+    expect(isPublicAddress('')).toBe(false);
+  });
+});
+
+describe('isPublicHostname', () => {
+  it.each(['example.com', 'hooks.example.com.', '8.8.8.8', '[2606:4700:4700::1111]'])(
+    'accepts %s',
+    (hostname) => {
+      expect(isPublicHostname(hostname)).toBe(true);
+    }
+  );
+
+  it.each([
+    'localhost',
+    'api.localhost',
+    'printer.local',
+    'metadata.google.internal',
+    'router.home.arpa',
+    'intranet',
+    '127.0.0.1',
+    '169.254.169.254',
+    '[::1]',
+    '[::ffff:10.0.0.5]',
+  ])('rejects %s', (hostname) => {
+    expect(isPublicHostname(hostname)).toBe(false);
+  });
+});
@@ -0,0 +1,238 @@
+import pino from 'pino';
+import { Writable } from 'stream';
+import { describe, expect, it } from '@jest/globals';
+
+// Los extras de LOG_REDACT_* se leen al cargar la configuración
+process.env.LOG_REDACT_FIELDS = 'NIT';
+process.env.LOG_REDACT_HEADERS = 'X-Partner-Id';
+process.env.LOG_REDACT_QUERY_PARAMS = 'sig';
+process.env.LOG_REDACT_PATHS = 'payload.document';
+
+const {
+  LOGGER_REDACT_PATHS,
+  REDACTED,
+  isSensitiveField,
+  maskSecret,
+  redactBody,
+  redactHeaders,
+  redactSecrets,
+  redactUrl,
+} = await import('../../../src/utils/redact.js');
+
+// 4111 1111 1111 1111 pasa Luhn; cambiar el último dígito lo invalida
+const CARD = '4111 1111 1111 1111';
+
+describe('isSensitiveField', () => {
+  it.each([
+    'password',
+    'newPassword',
+    'passwd',
+    'clientSecret',
+    'client_secret',
+    'webhookSecret',
+    'token',
+    'accessToken',
+    'refresh_token',
+    'accessKey',
+    'access_key',
+    'apiKey',
+    'api_key',
+    'x-api-key',
+    'card-number',
+    'Authorization',
+    'credentials',
+    'cvv',
+    'CVC',
+    'cardNumber',
+    'card_number',
+    'ccNumber',
+    'user.password',
+    'nit',
+  ])('treats %s as secret', (name) => {
+    expect(isSensitiveField(name)).toBe(true);
+  });
+
+  it.each(['email', 'name', 'password.length', 'cardholder', 'apiVersion', '', undefined])(
+    'does not treat %s as secret',
+    (name) => {
+      expect(isSensitiveField(name)).toBe(false);
+    }
+  );
+});
+
+describe('redactSecrets', () => {
+  it('masks secret fields at any depth, including arrays', () => {
+    const value = {
+      email: 'ana@example.com',
+      password: 'hunter2',
+      integration: { provider: 'siigo', credentials: { username: 'ana', accessKey: 'k' } },
+      users: [{ name: 'Ana', token: 't-1' }, { name: 'Luis' }],
+      nit: '900123456',
+    };
+
+    expect(redactSecrets(value)).toEqual({
+      email: 'ana@example.com',
+      password: REDACTED,
+      integration: { provider: 'siigo', credentials: REDACTED },
+      users: [{ name: 'Ana', token: REDACTED }, { name: 'Luis' }],
+      nit: REDACTED,
+    });
+  });
+
+  it('does not modify the original value', () => {
+    const value = { password: 'hunter2', nested: { token: 't-1' } };
+
+    redactSecrets(value);
+
+    expect(value).toEqual({ password: 'hunter2', nested: { token: 't-1' } });
+  });
+
+  it('masks card numbers that pass Luhn inside free text', () => {
+    expect(redactSecrets(`Pago con ${CARD} rechazado`)).toBe(`Pago con ${REDACTED} rechazado`);
+    expect(redactSecrets({ note: 'tarjeta 4111-1111-1111-1111' })).toEqual({
+      note: `tarjeta ${REDACTED}`,
+    });
+    expect(redactSecrets(['4111111111111111'])).toEqual([REDACTED]);
+  });
+
+  it('keeps numbers that do not pass Luhn or are too short', () => {
+    expect(redactSecrets('Pedido 4111111111111112')).toBe('Pedido 4111111111111112');
+    expect(redactSecrets('NIT 900123456')).toBe('NIT 900123456');
+  });
+
+  it('returns primitives and buffers as they are', () => {
+    const buffer = Buffer.from('password');
+
+    expect(redactSecrets(buffer)).toBe(buffer);
+    expect(redactSecrets(null)).toBeNull();
+    expect(redactSecrets(42)).toBe(42);
+  });
+});
+
+describe('redactHeaders', () => {
+  it('masks credential headers regardless of case', () => {
+    expect(
+      redactHeaders({
+        Authorization: 'Bearer abc',
+        Cookie: 'sid=1',
+        'X-Api-Key': 'mk_live',
+        'X-Shopify-Access-Token': 'shpat_1',
+        'X-Shopify-Hmac-Sha256': 'c2lnbg==',
+        'X-Partner-Id': 'partner',
+        'Content-Type': 'application/json',
+      })
+    ).toEqual({
+      Authorization: REDACTED,
+      Cookie: REDACTED,
+      'X-Api-Key': REDACTED,
+      'X-Shopify-Access-Token': REDACTED,
+      'X-Shopify-Hmac-Sha256': REDACTED,
+      'X-Partner-Id': REDACTED,
+      'Content-Type': 'application/json',
+    });
+  });
+
+  it('accepts missing headers', () => {
+    expect(redactHeaders()).toEqual({});
+  });
+});
+
+describe('redactUrl', () => {
+  it('masks sensitive query params of absolute and relative URLs', () => {
+    expect(redactUrl('https://api.siigo.com/auth?access_token=abc&page=2')).toBe(
+      `https://api.siigo.com/auth?access_token=${REDACTED}&page=2`
+    );
+    expect(redactUrl('/api/v1/exports?token=abc&format=csv')).toBe(
+      `/api/v1/exports?token=${REDACTED}&format=csv`
+    );
+  });
+
+  it('masks the configured query params and every repeated value', () => {
+    expect(redactUrl('/download?sig=abc&file=a.csv')).toBe(`/download?sig=${REDACTED}&file=a.csv`);
+    expect(redactUrl('/cb?api-key=a&api-key=b')).toBe(`/cb?api-key=${REDACTED}`);
+  });
+
+  it('returns the URL untouched when there is nothing to mask', () => {
+    const url = '/api/v1/orders?q=caf%C3%A9+con+leche&sort=-createdAt';
+
+    expect(redactUrl(url)).toBe(url);
+    expect(redactUrl('/api/v1/orders')).toBe('/api/v1/orders');
+    expect(redactUrl(undefined)).toBeUndefined();
+  });
+});
+
+describe('redactBody', () => {
+  it('redacts the body', () => {
+    expect(redactBody({ email: 'ana@example.com', password: 'hunter2' })).toEqual({
+      email: 'ana@example.com',
+      password: REDACTED,
+    });
+    expect(redactBody(`card=${CARD}`)).toBe(`card=${REDACTED}`);
+  });
+
+  it('truncates bodies longer than the limit after redacting them', () => {
+    const body = { password: 'hunter2', notes: 'x'.repeat(100) };
+    const serialized = JSON.stringify({ password: REDACTED, notes: 'x'.repeat(100) });
+
+    expect(redactBody(body, 40)).toEqual({
+      truncated: true,
+      length: serialized.length,
+      preview: serialized.slice(0, 40),
+    });
+  });
+
+  it('returns empty bodies as they are', () => {
+    expect(redactBody(undefined)).toBeUndefined();
+    expect(redactBody(null)).toBeNull();
+  });
+});
+
+describe('maskSecret', () => {
+  it('leaves only the last characters visible', () => {
+    expect(maskSecret('mk_live_abcdef123456')).toBe('••••3456');
+    expect(maskSecret('mk_live_abcdef123456', 6)).toBe('••••123456');
+  });
+
+  it('hides short secrets entirely', () => {
+    expect(maskSecret('abc12345')).toBe('••••');
+    expect(maskSecret('')).toBe('');
+    expect(maskSecret(null)).toBeNull();
+  });
+});
+
+describe('LOGGER_REDACT_PATHS', () => {
+  // Misma configuración de redact que utils/logger.js, escribiendo a memoria
+  const logLine = (object) => {
+    const lines = [];
+    const stream = new Writable({
+      write(chunk, _encoding, callback) {
+        lines.push(JSON.parse(chunk));
+        callback();
+      },
+    });
+    pino({ redact: { paths: LOGGER_REDACT_PATHS, censor: REDACTED } }, stream).info(object, 'test');
+    return lines[0];
+  };
+
+  it('censors credentials in request headers', () => {
+    const headers = { authorization: 'Bearer abc', cookie: 'sid=1', 'x-app-token': 't' };
+    const line = logLine({ req: { headers }, request: { headers }, headers });
+
+    const censored = { authorization: REDACTED, cookie: REDACTED, 'x-app-token': REDACTED };
+    expect(line.req.headers).toEqual(censored);
+    expect(line.request.headers).toEqual(censored);
+    expect(line.headers).toEqual(censored);
+  });
+
+  it('censors secret fields one level deep and the configured paths', () => {
+    const line = logLine({
+      user: { email: 'ana@example.com', password: 'hunter2' },
+      integration: { accessKey: 'k', access_token: 't' },
+      payload: { document: '123', name: 'Ana' },
+    });
+
+    expect(line.user).toEqual({ email: 'ana@example.com', password: REDACTED });
+    expect(line.integration).toEqual({ accessKey: REDACTED, access_token: REDACTED });
+    expect(line.payload).toEqual({ document: REDACTED, name: 'Ana' });
+  });
+});